@@ -19,6 +19,34 @@ module.exports = {
     PORT: process.env.PORT || 5000,
     MONGODB_URI: process.env.MONGODB_URI,
     JWT_SECRET: process.env.JWT_SECRET,
+    // Token lifetimes
+    ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
+    // Deploy time of login sessions (ISO date). Older 7-day tokens without a session, issued before it, are accepted
+    // until they expire - they can't be revoked by logout. Unset: those tokens are rejected and users log in again.
+    LEGACY_TOKENS_ISSUED_BEFORE: process.env.LEGACY_TOKENS_ISSUED_BEFORE
+        ? new Date(process.env.LEGACY_TOKENS_ISSUED_BEFORE)
+        : null,
+    // Failed-attempt store for brute-force protection ('mongo' or 'memory')
+    ATTEMPT_STORE: process.env.ATTEMPT_STORE || 'mongo',
+    // How often due recurring expenses are generated (0 disables the scheduler)
+    RECURRING_EXPENSES_INTERVAL_MINUTES: process.env.RECURRING_EXPENSES_INTERVAL_MINUTES === '0'
+        ? 0
+        : parseInt(process.env.RECURRING_EXPENSES_INTERVAL_MINUTES, 10) || 15,
+    // How often the OCR worker looks for queued receipts (0 disables the worker in this process)
+    OCR_WORKER_POLL_SECONDS: process.env.OCR_WORKER_POLL_SECONDS === '0'
+        ? 0
+        : parseInt(process.env.OCR_WORKER_POLL_SECONDS, 10) || 5,
+    // Tesseract worker pool: workers kept loaded, requests waiting for one, and idle time before a worker stops
+    OCR_POOL_SIZE: parseInt(process.env.OCR_POOL_SIZE, 10) || 2,
+    OCR_POOL_MAX_QUEUE: parseInt(process.env.OCR_POOL_MAX_QUEUE, 10) || 50,
+    OCR_POOL_IDLE_SECONDS: parseInt(process.env.OCR_POOL_IDLE_SECONDS, 10) || 300,
+    // Image preprocessing steps before OCR, comma separated (all steps by default, 'none' to OCR the image as uploaded)
+    OCR_PREPROCESSING_STEPS: process.env.OCR_PREPROCESSING_STEPS
+        ? process.env.OCR_PREPROCESSING_STEPS.split(',').map((step) => step.trim()).filter((step) => step && step !== 'none')
+        : null,
+    // Also OCR the image as uploaded and keep whichever pass is more confident (0 to only OCR the preprocessed image)
+    OCR_COMPARE_RAW_PASS: process.env.OCR_COMPARE_RAW_PASS !== '0',
     NODE_ENV: process.env.NODE_ENV,
     // Mailtrap configuration
     MAILTRAP_HOST: process.env.MAILTRAP_HOST,
@@ -0,0 +1,346 @@
+// Brute-force protection for login and password reset
+const BRUTE_FORCE = {
+    ATTEMPT_WINDOW_MINUTES: 15, // Failed attempts are counted within this window
+    ACCOUNT_MAX_ATTEMPTS: 5, // Failed logins per account before lockout
+    IP_MAX_ATTEMPTS: 20, // Failed logins per IP before lockout
+    LOCKOUT_MINUTES: 15,
+    DELAY_AFTER_ATTEMPTS: 3, // Progressive delay starts after this many failures
+    BASE_DELAY_SECONDS: 1, // Doubled with every further failure
+    MAX_DELAY_SECONDS: 30,
+    RESET_CODE_MAX_ATTEMPTS: 5, // Wrong codes before a password reset token is invalidated
+    RESET_REQUESTS_PER_HOUR: 5 // Password reset emails per address
+};
+
+// Personal access tokens for scripts and integrations
+const API_TOKEN = {
+    PREFIX: 'set_', // Lets the auth middleware tell API tokens apart from JWTs
+    SCOPES: ['expenses:read', 'expenses:write', 'receipts:read', 'receipts:write'],
+    MAX_PER_USER: 25,
+    DEFAULT_EXPIRES_DAYS: 90,
+    MAX_EXPIRES_DAYS: 365
+};
+
+// Default expense categories seeded for every user; keywords drive OCR category suggestions
+const DEFAULT_CATEGORIES = [
+    {
+        name: 'food',
+        color: '#FF7043',
+        icon: 'restaurant',
+        keywords: ['food', 'mcdonalds', 'starbucks', 'restaurant', 'cafe', 'coffee', 'pizza', 'burger', 'dining', 'kitchen']
+    },
+    {
+        name: 'transport',
+        color: '#42A5F5',
+        icon: 'directions_car',
+        keywords: ['transport', 'uber', 'lyft', 'taxi', 'gas', 'fuel', 'parking', 'metro', 'transit']
+    },
+    {
+        name: 'shopping',
+        color: '#AB47BC',
+        icon: 'shopping_bag',
+        keywords: ['shopping', 'store', 'market', 'shop', 'retail', 'mall']
+    },
+    {
+        name: 'groceries',
+        color: '#66BB6A',
+        icon: 'local_grocery_store',
+        keywords: ['groceries', 'grocery', 'supermarket', 'walmart', 'target', 'safeway']
+    },
+    {
+        name: 'entertainment',
+        color: '#FFCA28',
+        icon: 'movie',
+        keywords: ['entertainment', 'cinema', 'movie', 'theater', 'game']
+    },
+    {
+        name: 'healthcare',
+        color: '#EF5350',
+        icon: 'local_hospital',
+        keywords: ['healthcare', 'pharmacy', 'hospital', 'clinic', 'doctor', 'medical']
+    },
+    {
+        name: 'utilities',
+        color: '#78909C',
+        icon: 'bolt',
+        keywords: ['utilities', 'electric', 'water', 'internet', 'phone', 'utility']
+    }
+];
+
+// Budgets
+const BUDGET = {
+    PERIODS: ['monthly', 'weekly'],
+    // none: every period starts fresh; carry_unused: unspent amount is added to the next period;
+    // carry_all: unspent amount is added and overspending is subtracted
+    ROLLOVER_OPTIONS: ['none', 'carry_unused', 'carry_all'],
+    DEFAULT_ALERT_THRESHOLDS: [50, 80, 100] // Percent of the budget
+};
+
+const RECURRING_EXPENSE = {
+    FREQUENCIES: ['daily', 'weekly', 'monthly', 'yearly'],
+    MAX_INTERVAL: 365,
+    DEFAULT_PREVIEW_MONTHS: 3,
+    MAX_PREVIEW_MONTHS: 24,
+    MAX_PREVIEW_OCCURRENCES: 500,
+    // Per schedule and scheduler run - long backlogs are caught up over several runs
+    MAX_OCCURRENCES_PER_RUN: 100,
+    BATCH_SIZE: 100
+};
+
+const EXPENSE_EXPORT = {
+    FORMATS: ['csv', 'xlsx'],
+    COLUMNS: [
+        'id', 'date', 'merchant', 'amount', 'currency', 'category', 'paymentMethod',
+        'notes', 'tags', 'isVerified', 'receiptUrl', 'receiptStatus', 'createdAt'
+    ],
+    DEFAULT_COLUMNS: [
+        'date', 'merchant', 'amount', 'currency', 'category', 'paymentMethod',
+        'notes', 'tags', 'isVerified', 'receiptUrl'
+    ]
+};
+
+const EXPENSE_IMPORT = {
+    SOURCES: ['csv', 'ofx', 'qif'],
+    FIELDS: ['date', 'amount', 'merchant', 'category', 'currency', 'notes', 'tags'],
+    REQUIRED_FIELDS: ['date', 'amount'],
+    DATE_FORMATS: [
+        'YYYY-MM-DD', 'YYYY/MM/DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY',
+        'DD-MM-YYYY', 'MM-DD-YYYY', 'DD/MM/YY', 'MM/DD/YY'
+    ],
+    DECIMAL_SEPARATORS: ['.', ','],
+    MAX_ROWS: 50000,
+    PREVIEW_ROWS: 20,
+    MAX_REPORTED_ERRORS: 200,
+    PENDING_EXPIRES_HOURS: 24, // Uploaded files not committed by then are discarded
+    BATCH_SIZE: 500
+};
+
+const BANK_IMPORT = {
+    // unmatched: pending expense created; suggested: matches an existing receipt expense, waiting for the user;
+    // confirmed: linked to an expense by the user; ignored: rejected by the user
+    TRANSACTION_STATUSES: ['unmatched', 'suggested', 'confirmed', 'ignored'],
+    QIF_DATE_FORMATS: ['MM/DD/YYYY', 'DD/MM/YYYY', 'MM/DD/YY', 'DD/MM/YY', 'YYYY-MM-DD', 'DD.MM.YYYY'],
+    MATCH_DATE_WINDOW_DAYS: 3,
+    MATCH_AMOUNT_TOLERANCE: 0.01
+};
+
+const EXPENSE_LIST = {
+    // "-amount" sorts descending; ties are broken by _id
+    SORT_FIELDS: ['date', 'amount', 'merchant', 'createdAt'],
+    DEFAULT_SORT: '-date',
+    // Keyset cursors need a value on every expense, which merchant doesn't have
+    CURSOR_SORT_FIELDS: ['date', 'amount', 'createdAt'],
+    MERCHANT_MATCHES: ['prefix', 'contains'],
+    TAG_MATCHES: ['any', 'all'],
+    MAX_FILTER_VALUES: 20 // Categories or tags in one filter
+};
+
+const EXPENSE_SEARCH = {
+    MAX_QUERY_LENGTH: 200,
+    SNIPPET_RADIUS: 60, // Characters of OCR text shown around a match
+    MAX_SNIPPETS: 3
+};
+
+// Exchange rates (ECB reference rates, quoted per 1 EUR)
+const EXCHANGE_RATE = {
+    BASE_CURRENCY: 'EUR',
+    // No rates on weekends and holidays - the latest earlier rate is used, up to this age
+    MAX_RATE_AGE_DAYS: 7,
+    BATCH_SIZE: 500
+};
+
+// Line items read from receipt text
+const RECEIPT_LINE_ITEMS = {
+    MAX_ITEMS: 200,
+    // Items, tax, tip and discounts may be off by rounding on each line
+    TOTAL_TOLERANCE: 0.02
+};
+
+// Splitting one expense across several categories
+const EXPENSE_SPLITS = {
+    MIN_SPLITS: 2,
+    MAX_SPLITS: 20,
+    // Split amounts must add up to the expense amount, give or take rounding
+    AMOUNT_TOLERANCE: 0.01
+};
+
+// Reading PDF receipts: embedded text where the page has it, OCR of the rendered page otherwise
+const PDF_OCR = {
+    MAX_PAGES: 10,
+    // Pages with fewer characters of embedded text are treated as scans
+    MIN_PAGE_TEXT_CHARS: 20,
+    RENDER_SCALE: 2.5 // 180 DPI
+};
+
+// Receipt OCR job queue (jobs survive restarts; a crashed worker's lease runs out and another worker takes over)
+const OCR_QUEUE = {
+    JOB_STATES: ['queued', 'running', 'completed', 'failed'],
+    MAX_ATTEMPTS: 5,
+    LEASE_SECONDS: 120,
+    HEARTBEAT_SECONDS: 30,
+    // The heartbeat keeps the lease while a job runs, so a stalled download of the receipt file has to time out
+    DOWNLOAD_TIMEOUT_SECONDS: 60,
+    // Retry delay doubles after each failed attempt: 30s, 1m, 2m, 4m... capped at an hour
+    BACKOFF_BASE_SECONDS: 30,
+    BACKOFF_MAX_SECONDS: 3600
+};
+
+// Cleaning up receipt photos before OCR
+const OCR_PREPROCESSING = {
+    // All steps, in the order they run
+    STEPS: ['autoRotate', 'grayscale', 'crop', 'normalize', 'deskew', 'threshold'],
+    // Crop and deskew are measured on a downscaled copy
+    ANALYSIS_SIZE: 800,
+    // Rows and columns where at least this share of pixels is bright belong to the paper
+    CROP_MIN_PAPER_FRACTION: 0.3,
+    // Don't crop when the paper (nearly) fills the photo, or when what was found is too small to be the receipt
+    CROP_MAX_AREA_FRACTION: 0.9,
+    CROP_MIN_AREA_FRACTION: 0.1,
+    MAX_DESKEW_DEGREES: 10,
+    DESKEW_STEP_DEGREES: 0.5,
+    MIN_DESKEW_DEGREES: 0.5,
+    // Adaptive threshold: window is 1/8 of the longer side; pixels this much darker than the window mean become ink
+    THRESHOLD_WINDOW_DIVISOR: 8,
+    THRESHOLD_OFFSET_PERCENT: 15
+};
+
+// Tesseract language data OCR may be asked to use (combined with '+', e.g. 'deu+eng')
+const OCR_LANGUAGES = {
+    DEFAULT: 'eng',
+    SUPPORTED: ['eng', 'deu', 'fra', 'spa', 'ita', 'por', 'nld', 'pol', 'tur', 'rus', 'ara', 'hin', 'jpn', 'chi_sim'],
+    // Each language slows recognition down
+    MAX_PER_REQUEST: 3
+};
+
+// Receipt parsing per user language (User.settings.language): Tesseract languages, whether numeric dates put the
+// month or the day first when both are 12 or less, and words of the totals block and month names that are
+// recognized in addition to the English ones
+const RECEIPT_LOCALES = {
+    DEFAULT: 'en',
+    LOCALES: {
+        en: {
+            ocrLanguages: 'eng',
+            dateOrder: 'MDY',
+            keywords: {},
+            months: []
+        },
+        'en-GB': {
+            ocrLanguages: 'eng',
+            dateOrder: 'DMY',
+            keywords: {},
+            months: []
+        },
+        de: {
+            ocrLanguages: 'deu',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['zwischensumme', 'netto'],
+                tip: ['trinkgeld'],
+                discount: ['rabatt', 'nachlass', 'gutschein'],
+                tax: ['mwst', 'ust', 'mehrwertsteuer'],
+                total: ['summe', 'gesamt', 'gesamtsumme', 'gesamtbetrag', 'endbetrag', 'brutto', 'zu zahlen'],
+                payment: ['bar gegeben', 'barzahlung', 'gegeben', 'rückgeld', 'kartenzahlung', 'ec-karte', 'girocard']
+            },
+            months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember']
+        },
+        fr: {
+            ocrLanguages: 'fra',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['sous-total', 'sous total', 'total ht'],
+                tip: ['pourboire'],
+                discount: ['remise', 'réduction'],
+                tax: ['tva'],
+                total: ['montant', 'net à payer', 'à payer'],
+                payment: ['espèces', 'rendu', 'monnaie rendue', 'carte bancaire', 'cb']
+            },
+            months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre']
+        },
+        es: {
+            ocrLanguages: 'spa',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['subtotal', 'base imponible'],
+                tip: ['propina'],
+                discount: ['descuento'],
+                tax: ['iva'],
+                total: ['importe', 'total a pagar'],
+                payment: ['efectivo', 'cambio', 'tarjeta', 'entregado']
+            },
+            months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre']
+        },
+        it: {
+            ocrLanguages: 'ita',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['subtotale'],
+                tip: ['mancia'],
+                discount: ['sconto'],
+                tax: ['iva'],
+                total: ['totale', 'importo', 'totale complessivo'],
+                payment: ['contanti', 'resto', 'carta', 'pagamento elettronico']
+            },
+            months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre']
+        },
+        pt: {
+            ocrLanguages: 'por',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['subtotal'],
+                tip: ['gorjeta'],
+                discount: ['desconto'],
+                tax: ['iva', 'imposto'],
+                total: ['valor a pagar', 'total a pagar'],
+                payment: ['dinheiro', 'troco', 'cartão', 'multibanco']
+            },
+            months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro']
+        },
+        nl: {
+            ocrLanguages: 'nld',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['subtotaal'],
+                tip: ['fooi'],
+                discount: ['korting'],
+                tax: ['btw'],
+                total: ['totaal', 'te betalen'],
+                payment: ['contant', 'wisselgeld', 'pin', 'pinnen']
+            },
+            months: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december']
+        },
+        ar: {
+            // Receipts in Arabic often print prices and item names in English too
+            ocrLanguages: 'ara+eng',
+            dateOrder: 'DMY',
+            keywords: {
+                subtotal: ['المجموع الفرعي', 'الإجمالي الفرعي'],
+                tip: ['بقشيش', 'إكرامية'],
+                discount: ['خصم', 'الخصم'],
+                tax: ['ضريبة', 'الضريبة', 'ضريبة القيمة المضافة'],
+                total: ['المجموع', 'الإجمالي', 'الاجمالي', 'المبلغ الإجمالي', 'المطلوب', 'الصافي'],
+                payment: ['نقدا', 'نقداً', 'الباقي', 'بطاقة', 'مدى']
+            },
+            months: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر']
+        }
+    }
+};
+
+module.exports = {
+    BRUTE_FORCE,
+    API_TOKEN,
+    DEFAULT_CATEGORIES,
+    BUDGET,
+    RECURRING_EXPENSE,
+    EXPENSE_EXPORT,
+    EXPENSE_IMPORT,
+    BANK_IMPORT,
+    EXPENSE_LIST,
+    EXPENSE_SEARCH,
+    EXCHANGE_RATE,
+    RECEIPT_LINE_ITEMS,
+    EXPENSE_SPLITS,
+    PDF_OCR,
+    OCR_QUEUE,
+    OCR_PREPROCESSING,
+    OCR_LANGUAGES,
+    RECEIPT_LOCALES
+};
@@ -1,4 +1,6 @@
 const authService = require('../services/authService');
+const bruteForceService = require('../services/bruteForceService');
+const apiTokenService = require('../services/apiTokenService');
 
 /**
  * Register new user
@@ -12,6 +14,9 @@ const register = async (req, res) => {
             name,
             email,
             password
+        }, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
         });
 
         res.status(201).json({
@@ -24,7 +29,8 @@ const register = async (req, res) => {
                     email: result.user.email,
                     isEmailConfirmed: result.user.isEmailConfirmed
                 },
-                accessToken: result.accessToken
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
             }
         });
     } catch (error) {
@@ -85,7 +91,22 @@ const login = async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        const result = await authService.login(email, password);
+        const result = await authService.login(email, password, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        // Password was correct but a second factor is required
+        if (result.mfaRequired) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: result.mfaToken
+                }
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -97,13 +118,19 @@ const login = async (req, res) => {
                     email: result.user.email,
                     isEmailConfirmed: result.user.isEmailConfirmed
                 },
-                accessToken: result.accessToken
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
             }
         });
     } catch (error) {
         
         const statusCode = error.statusCode || 500;
-        const message = 'An error occurred during login';
+        // Only lockout/throttle messages are shown - anything else stays generic
+        const message = statusCode === 429 ? error.message : 'An error occurred during login';
+
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
 
        return res.status(statusCode).json({
             success: false,
@@ -112,19 +139,184 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * Complete login with two-factor code
+ * POST /api/auth/login/2fa
+ */
+const loginWithTwoFactor = async (req, res) => {
+    try {
+        const { mfaToken, code } = req.body;
+
+        const result = await authService.loginWithTwoFactor(mfaToken, code, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: {
+                    id: result.user._id,
+                    name: result.user.name,
+                    email: result.user.email,
+                    isEmailConfirmed: result.user.isEmailConfirmed
+                },
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+                remainingRecoveryCodes: result.remainingRecoveryCodes
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred during login';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const result = await authService.setupTwoFactor(req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app and confirm with the first code',
+            data: {
+                secret: result.secret,
+                otpauthUri: result.otpauthUri
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred during two-factor setup';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/auth/2fa/confirm
+ */
+const confirmTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const result = await authService.confirmTwoFactor(req.user.userId, code);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+            data: {
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while enabling two-factor authentication';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const result = await authService.disableTwoFactor(req.user.userId, password, code);
+
+        res.status(200).json({
+            success: result.success,
+            message: result.message
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while disabling two-factor authentication';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Rotate refresh token and issue a new access token
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const result = await authService.refreshTokens(refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while refreshing token';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
 /**
  * Logout user
  * POST /api/auth/logout
  */
 const logout = async (req, res) => {
     try {
-        // Since JWT tokens are stateless, we just confirm logout
-        // The client should discard the token on their end
-        // In a production system with token blacklisting, you would invalidate the token here
-        
+        const result = await authService.logout(req.user.userId, req.user.sessionId);
+
         res.status(200).json({
-            success: true,
-            message: 'Logout successful'
+            success: result.success,
+            message: result.message
         });
     } catch (error) {
         console.error('Logout error:', error);
@@ -140,6 +332,181 @@ const logout = async (req, res) => {
     }
 };
 
+/**
+ * Get active sessions
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await authService.getSessions(req.user.userId, req.user.sessionId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sessions retrieved successfully',
+            data: {
+                sessions
+            }
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while retrieving sessions';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Revoke a session
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const result = await authService.revokeSession(req.user.userId, req.params.id);
+
+        res.status(200).json({
+            success: result.success,
+            message: result.message
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while revoking session';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Log out everywhere - revoke all sessions
+ * DELETE /api/auth/sessions
+ */
+const revokeAllSessions = async (req, res) => {
+    try {
+        const result = await authService.revokeAllSessions(req.user.userId);
+
+        res.status(200).json({
+            success: result.success,
+            message: result.message,
+            data: {
+                revokedCount: result.revokedCount
+            }
+        });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while revoking sessions';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Create personal access token
+ * POST /api/auth/tokens
+ */
+const createApiToken = async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        const result = await apiTokenService.createToken(req.user.userId, {
+            name,
+            scopes,
+            expiresInDays
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API token created successfully. Copy it now - it will not be shown again.',
+            data: {
+                apiToken: result.apiToken,
+                token: result.token
+            }
+        });
+    } catch (error) {
+        console.error('Create API token error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while creating API token';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * List personal access tokens
+ * GET /api/auth/tokens
+ */
+const getApiTokens = async (req, res) => {
+    try {
+        const apiTokens = await apiTokenService.getTokens(req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'API tokens retrieved successfully',
+            data: {
+                apiTokens
+            }
+        });
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while retrieving API tokens';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
+/**
+ * Revoke personal access token
+ * DELETE /api/auth/tokens/:id
+ */
+const revokeApiToken = async (req, res) => {
+    try {
+        const result = await apiTokenService.revokeToken(req.user.userId, req.params.id);
+
+        res.status(200).json({
+            success: result.success,
+            message: result.message
+        });
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while revoking API token';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
 /**
  * Get user profile
  * GET /api/auth/profile
@@ -158,6 +525,7 @@ const getProfile = async (req, res) => {
                     email: user.email,
                     avatarUrl: user.avatarUrl || null,
                     isEmailConfirmed: user.isEmailConfirmed,
+                    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
                     roles: user.roles,
                     settings: user.settings,
                     createdAt: user.createdAt,
@@ -185,15 +553,17 @@ const getProfile = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
     try {
-        const { name, newPassword, confirmPassword } = req.body;
+        const { name, currency, language, newPassword, confirmPassword } = req.body;
         const file = req.file; // Multer file object
         
         const updatedUser = await authService.updateProfile(req.user.userId, {
             name,
+            currency,
+            language,
             newPassword,
             confirmPassword,
             file
-        });
+        }, req.user.sessionId);
 
         res.status(200).json({
             success: true,
@@ -204,7 +574,8 @@ const updateProfile = async (req, res) => {
                     name: updatedUser.name,
                     email: updatedUser.email,
                     avatarUrl: updatedUser.avatarUrl,
-                    isEmailConfirmed: updatedUser.isEmailConfirmed
+                    isEmailConfirmed: updatedUser.isEmailConfirmed,
+                    settings: updatedUser.settings
                 }
             }
         });
@@ -238,6 +609,10 @@ const forgetPassword = async (req, res) => {
         });
     } catch (error) {
         console.error('Forget password error:', error);
+
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
         
         const statusCode = error.statusCode || 500;
         const message = error.message || 'An error occurred while processing your request';
@@ -256,9 +631,12 @@ const forgetPassword = async (req, res) => {
  */
 const resetPassword = async (req, res) => {
     try {
-        const { code, newPassword, confirmPassword } = req.body;
+        const { email, code, newPassword, confirmPassword } = req.body;
 
-        const result = await authService.resetPassword(code, newPassword, confirmPassword);
+        const result = await authService.resetPassword(code, newPassword, confirmPassword, {
+            ip: req.ip,
+            email
+        });
 
         res.status(201).json({
             success: result.success,
@@ -266,6 +644,10 @@ const resetPassword = async (req, res) => {
         });
     } catch (error) {
         console.error('Reset password error:', error);
+
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
         
         const statusCode = error.statusCode || 500;
         const message = error.message || 'An error occurred while resetting your password';
@@ -278,15 +660,55 @@ const resetPassword = async (req, res) => {
     }
 };
 
+/**
+ * Unlock account locked after too many failed logins
+ * POST /api/auth/unlock-account
+ */
+const unlockAccount = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const result = await bruteForceService.unlockAccount(token);
+
+        res.status(200).json({
+            success: result.success,
+            message: result.message
+        });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'An error occurred while unlocking your account';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(process.env.NODE_ENV === 'development' && { error: error.stack })
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
+    loginWithTwoFactor,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
     verifyEmail,
+    refresh,
     logout,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    createApiToken,
+    getApiTokens,
+    revokeApiToken,
     getProfile,
     updateProfile,
     forgetPassword,
-    resetPassword
+    resetPassword,
+    unlockAccount
 };
 
 
@@ -0,0 +1,151 @@
+const bankImportService = require('../services/bankImportService');
+
+/**
+ * Get user bank transactions
+ * GET /api/bank-transactions
+ */
+const getBankTransactions = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { page, limit, status, importJobId } = req.query;
+
+        const result = await bankImportService.getTransactions(userId, { page, limit, status, importJobId });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch bank transactions';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get bank transaction by ID
+ * GET /api/bank-transactions/:id
+ */
+const getBankTransaction = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const transactionId = req.params.id;
+
+        const transaction = await bankImportService.getTransactionById(transactionId, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                transaction
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch bank transaction';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Confirm bank transaction
+ * POST /api/bank-transactions/:id/confirm
+ */
+const confirmBankTransaction = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const transactionId = req.params.id;
+
+        const transaction = await bankImportService.confirmTransaction(transactionId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Bank transaction confirmed',
+            data: {
+                transaction
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to confirm bank transaction';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Reject bank transaction
+ * POST /api/bank-transactions/:id/reject
+ */
+const rejectBankTransaction = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const transactionId = req.params.id;
+
+        const transaction = await bankImportService.rejectTransaction(transactionId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Bank transaction rejected',
+            data: {
+                transaction
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to reject bank transaction';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Match bank transaction to an expense
+ * POST /api/bank-transactions/:id/match
+ */
+const matchBankTransaction = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const transactionId = req.params.id;
+        const { expenseId } = req.body;
+
+        const transaction = await bankImportService.matchTransaction(transactionId, expenseId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Bank transaction matched',
+            data: {
+                transaction
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to match bank transaction';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = {
+    getBankTransactions,
+    getBankTransaction,
+    confirmBankTransaction,
+    rejectBankTransaction,
+    matchBankTransaction
+};
@@ -0,0 +1,188 @@
+const budgetService = require('../services/budgetService');
+
+/**
+ * Get user budgets
+ * GET /api/budgets
+ */
+const getBudgets = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const budgets = await budgetService.getBudgets(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                budgets
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch budgets';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get spent vs remaining for all budgets
+ * GET /api/budgets/status
+ */
+const getBudgetStatus = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+
+        const status = await budgetService.getBudgetStatus(userId, date);
+
+        res.status(200).json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch budget status';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get budget by ID
+ * GET /api/budgets/:id
+ */
+const getBudget = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const budgetId = req.params.id;
+
+        const budget = await budgetService.getBudgetById(budgetId, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                budget
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch budget';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Create budget
+ * POST /api/budgets
+ */
+const createBudget = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, categoryId, period, amount, rollover, alertThresholds } = req.body;
+
+        const budget = await budgetService.createBudget(userId, {
+            name,
+            categoryId,
+            period,
+            amount,
+            rollover,
+            alertThresholds
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Budget created successfully',
+            data: {
+                budget
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to create budget';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Update budget
+ * PUT /api/budgets/:id
+ */
+const updateBudget = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const budgetId = req.params.id;
+        const { name, amount, rollover, alertThresholds } = req.body;
+
+        const budget = await budgetService.updateBudget(budgetId, userId, {
+            name,
+            amount,
+            rollover,
+            alertThresholds
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Budget updated successfully',
+            data: {
+                budget
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to update budget';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Delete budget
+ * DELETE /api/budgets/:id
+ */
+const deleteBudget = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const budgetId = req.params.id;
+
+        await budgetService.deleteBudget(budgetId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Budget deleted successfully'
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to delete budget';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = {
+    getBudgets,
+    getBudgetStatus,
+    getBudget,
+    createBudget,
+    updateBudget,
+    deleteBudget
+};
@@ -0,0 +1,189 @@
+const categoryService = require('../services/categoryService');
+
+/**
+ * Get user categories
+ * GET /api/categories
+ */
+const getCategories = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const includeArchived = req.query.includeArchived === 'true';
+
+        const categories = await categoryService.getCategories(userId, { includeArchived });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                categories
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch categories';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get category by ID
+ * GET /api/categories/:id
+ */
+const getCategory = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const categoryId = req.params.id;
+
+        const category = await categoryService.getCategoryById(categoryId, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                category
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch category';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Create category
+ * POST /api/categories
+ */
+const createCategory = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, color, icon, parentId } = req.body;
+
+        const category = await categoryService.createCategory(userId, { name, color, icon, parentId });
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: {
+                category
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to create category';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Update category (renaming also renames the category on existing expenses)
+ * PUT /api/categories/:id
+ */
+const updateCategory = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const categoryId = req.params.id;
+        const { name, color, icon, parentId, isArchived } = req.body;
+
+        const result = await categoryService.updateCategory(categoryId, userId, {
+            name,
+            color,
+            icon,
+            parentId,
+            isArchived
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Category updated successfully',
+            data: {
+                category: result.category,
+                renamedExpenses: result.renamedExpenses
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to update category';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Merge category into another
+ * POST /api/categories/:id/merge
+ */
+const mergeCategory = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const categoryId = req.params.id;
+        const { targetId } = req.body;
+
+        const result = await categoryService.mergeCategory(categoryId, targetId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Categories merged successfully',
+            data: {
+                category: result.category,
+                movedExpenses: result.movedExpenses
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to merge categories';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Delete category
+ * DELETE /api/categories/:id
+ */
+const deleteCategory = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const categoryId = req.params.id;
+
+        await categoryService.deleteCategory(categoryId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Category deleted successfully'
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to delete category';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = {
+    getCategories,
+    getCategory,
+    createCategory,
+    updateCategory,
+    mergeCategory,
+    deleteCategory
+};
@@ -1,4 +1,46 @@
 const expenseService = require('../services/expenseService');
+const exportService = require('../services/exportService');
+
+/**
+ * Pick expense filters from query string (shared by list, export and search)
+ * @param {Object} query - Validated request query
+ * @returns {Object} - Expense filters
+ */
+const pickExpenseFilters = (query) => {
+    const {
+        category,
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        merchant,
+        merchantMatch,
+        tags,
+        tagMatch,
+        paymentMethod,
+        currency,
+        isVerified,
+        hasReceipt,
+        needsReview
+    } = query;
+
+    return {
+        category,
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        merchant,
+        merchantMatch,
+        tags,
+        tagMatch,
+        paymentMethod,
+        currency,
+        isVerified,
+        hasReceipt,
+        needsReview
+    };
+};
 
 /**
  * Create expense manually
@@ -64,14 +106,14 @@ const getExpense = async (req, res) => {
 const getUserExpenses = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { page, limit, category, startDate, endDate } = req.query;
+        const { page, limit, cursor, sort } = req.query;
 
         const result = await expenseService.getUserExpenses(userId, {
             page,
             limit,
-            category,
-            startDate,
-            endDate
+            cursor,
+            sort,
+            ...pickExpenseFilters(req.query)
         });
 
         res.status(200).json({
@@ -92,6 +134,79 @@ const getUserExpenses = async (req, res) => {
     }
 };
 
+/**
+ * Search user expenses
+ * GET /api/expenses/search
+ */
+const searchExpenses = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { q, page, limit } = req.query;
+
+        const result = await expenseService.searchExpenses(userId, {
+            q,
+            page,
+            limit,
+            ...pickExpenseFilters(req.query)
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                expenses: result.expenses,
+                pagination: result.pagination
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to search expenses';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Export user expenses as CSV or XLSX (streamed)
+ * GET /api/expenses/export
+ */
+const exportExpenses = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { format = 'csv', columns, sort } = req.query;
+
+        const { contentType, fileName } = exportService.getExportFileInfo(format);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        await exportService.exportExpenses(userId, {
+            format,
+            columns,
+            sort,
+            ...pickExpenseFilters(req.query)
+        }, res);
+    } catch (error) {
+        // Once rows were sent the status can't change anymore, so just cut the download
+        if (res.headersSent) {
+            console.error('Expense export failed mid-stream:', error);
+            res.destroy(error);
+            return;
+        }
+
+        res.removeHeader('Content-Disposition');
+
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to export expenses';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
 /**
  * Update expense
  * PUT /api/expenses/:id
@@ -122,6 +237,124 @@ const updateExpense = async (req, res) => {
     }
 };
 
+/**
+ * Split expense across categories
+ * PUT /api/expenses/:id/splits
+ */
+const setSplits = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const expenseId = req.params.id;
+        const { splits } = req.body;
+
+        const expense = await expenseService.setSplits(expenseId, splits, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense splits saved successfully',
+            data: {
+                expense
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to save expense splits';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Remove expense splits
+ * DELETE /api/expenses/:id/splits
+ */
+const clearSplits = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const expenseId = req.params.id;
+
+        const expense = await expenseService.clearSplits(expenseId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense splits removed successfully',
+            data: {
+                expense
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to remove expense splits';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Attach receipt to expense
+ * PUT /api/expenses/:id/receipt
+ */
+const attachReceipt = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const expenseId = req.params.id;
+        const { receiptId } = req.body;
+
+        const expense = await expenseService.attachReceipt(expenseId, receiptId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Receipt attached successfully',
+            data: {
+                expense
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to attach receipt';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Detach receipt from expense
+ * DELETE /api/expenses/:id/receipt
+ */
+const detachReceipt = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const expenseId = req.params.id;
+
+        const expense = await expenseService.detachReceipt(expenseId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Receipt detached successfully',
+            data: {
+                expense
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to detach receipt';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
 /**
  * Delete expense
  * DELETE /api/expenses/:id
@@ -131,7 +364,9 @@ const deleteExpense = async (req, res) => {
         const userId = req.user.userId;
         const expenseId = req.params.id;
 
-        await expenseService.deleteExpense(expenseId, userId);
+        const deleteReceipt = req.query.deleteReceipt === 'true';
+
+        await expenseService.deleteExpense(expenseId, userId, { deleteReceipt });
 
         res.status(200).json({
             success: true,
@@ -174,7 +409,13 @@ module.exports = {
     createExpense,
     getExpense,
     getUserExpenses,
+    searchExpenses,
+    exportExpenses,
     updateExpense,
+    setSplits,
+    clearSplits,
+    attachReceipt,
+    detachReceipt,
     deleteExpense,
     getDashboardSummary
 };
@@ -0,0 +1,216 @@
+const importService = require('../services/importService');
+const bankImportService = require('../services/bankImportService');
+
+/**
+ * Pick import options from request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Import options
+ */
+const pickImportOptions = (body) => {
+    const { mapping, dateFormat, decimalSeparator, hasHeaderRow, createMissingCategories, absoluteAmounts, skipInvalidRows } = body;
+    return { mapping, dateFormat, decimalSeparator, hasHeaderRow, createMissingCategories, absoluteAmounts, skipInvalidRows };
+};
+
+/**
+ * Upload CSV file to import
+ * POST /api/imports/csv
+ */
+const uploadCsv = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const file = req.file;
+
+        const result = await importService.uploadCsv(userId, file);
+
+        res.status(201).json({
+            success: true,
+            message: 'File uploaded. Map the columns, preview and commit the import.',
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to upload import file';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Import OFX/QFX or QIF bank statement
+ * POST /api/imports/statement
+ */
+const uploadStatement = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const file = req.file;
+        const { account, dateFormat } = req.body;
+
+        const importJob = await bankImportService.importStatement(userId, file, { account, dateFormat });
+
+        res.status(201).json({
+            success: true,
+            message: 'Statement imported. Review the suggested matches and pending expenses.',
+            data: { importJob }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to import statement';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get user imports
+ * GET /api/imports
+ */
+const getImportJobs = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { page, limit } = req.query;
+
+        const result = await importService.getImportJobs(userId, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch imports';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get import by ID
+ * GET /api/imports/:id
+ */
+const getImportJob = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const jobId = req.params.id;
+
+        const importJob = await importService.getImportJobById(jobId, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                importJob
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch import';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Validate all rows with a column mapping, without importing
+ * POST /api/imports/:id/preview
+ */
+const previewImport = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const jobId = req.params.id;
+
+        const preview = await importService.previewImport(jobId, userId, pickImportOptions(req.body));
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to preview import';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Import rows as expenses
+ * POST /api/imports/:id/commit
+ */
+const commitImport = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const jobId = req.params.id;
+
+        const importJob = await importService.commitImport(jobId, userId, pickImportOptions(req.body));
+
+        res.status(200).json({
+            success: true,
+            message: `Imported ${importJob.importedCount} expense(s)`,
+            data: {
+                importJob
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to import expenses';
+
+        res.status(statusCode).json({
+            success: false,
+            message,
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+};
+
+/**
+ * Undo completed import or discard pending one
+ * DELETE /api/imports/:id
+ */
+const undoImport = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const jobId = req.params.id;
+
+        const result = await importService.undoImport(jobId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: result.importJob
+                ? `Import undone. ${result.deletedExpenses} expense(s) deleted.`
+                : 'Pending import discarded',
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to undo import';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = {
+    uploadCsv,
+    uploadStatement,
+    getImportJobs,
+    getImportJob,
+    previewImport,
+    commitImport,
+    undoImport
+};
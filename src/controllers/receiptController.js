@@ -72,9 +72,9 @@ const getReceipt = async (req, res) => {
 const getUserReceipts = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { page, limit } = req.query;
+        const { page, limit, cursor } = req.query;
 
-        const result = await receiptService.getUserReceipts(userId, { page, limit });
+        const result = await receiptService.getUserReceipts(userId, { page, limit, cursor });
 
         res.status(200).json({
             success: true,
@@ -94,6 +94,71 @@ const getUserReceipts = async (req, res) => {
     }
 };
 
+/**
+ * Get OCR options of a reprocess request
+ * @param {Object} body - Request body ({ languages, preprocessing })
+ * @returns {Object} - OCR options ({ languages, preprocessingSteps })
+ */
+const getReprocessOptions = (body = {}) => ({
+    languages: body.languages ? body.languages.join('+') : undefined,
+    preprocessingSteps: body.preprocessing
+});
+
+/**
+ * Run OCR again on a receipt
+ * POST /api/receipts/:id/reprocess
+ */
+const reprocessReceipt = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const receiptId = req.params.id;
+
+        const receipt = await receiptService.reprocessReceipt(receiptId, userId, getReprocessOptions(req.body));
+
+        res.status(202).json({
+            success: true,
+            message: 'Receipt queued for OCR',
+            data: {
+                receipt
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to reprocess receipt';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Run OCR again on all receipts whose OCR failed
+ * POST /api/receipts/reprocess-failed
+ */
+const reprocessFailedReceipts = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const result = await receiptService.reprocessFailedReceipts(userId, getReprocessOptions(req.body));
+
+        res.status(202).json({
+            success: true,
+            message: `${result.queued} receipt(s) queued for OCR`,
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to reprocess receipts';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
 /**
  * Delete receipt
  * DELETE /api/receipts/:id
@@ -103,7 +168,9 @@ const deleteReceipt = async (req, res) => {
         const userId = req.user.userId;
         const receiptId = req.params.id;
 
-        await receiptService.deleteReceipt(receiptId, userId);
+        const deleteExpense = req.query.deleteExpense === 'true';
+
+        await receiptService.deleteReceipt(receiptId, userId, { deleteExpense });
 
         res.status(200).json({
             success: true,
@@ -120,9 +187,35 @@ const deleteReceipt = async (req, res) => {
     }
 };
 
+/**
+ * Get OCR worker pool and job queue statistics
+ * GET /api/receipts/ocr/stats
+ */
+const getOcrStats = async (req, res) => {
+    try {
+        const stats = await receiptService.getOcrStats();
+
+        res.status(200).json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch OCR statistics';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
 module.exports = {
     uploadReceipt,
     getReceipt,
     getUserReceipts,
-    deleteReceipt
+    reprocessReceipt,
+    reprocessFailedReceipts,
+    deleteReceipt,
+    getOcrStats
 };
@@ -0,0 +1,212 @@
+const recurringExpenseService = require('../services/recurringExpenseService');
+
+/**
+ * Pick recurring expense fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Recurring expense data
+ */
+const pickRecurringExpenseData = (body) => {
+    const { merchant, amount, currency, category, paymentMethod, notes, tags, schedule, isActive } = body;
+    return { merchant, amount, currency, category, paymentMethod, notes, tags, schedule, isActive };
+};
+
+/**
+ * Get user recurring expenses
+ * GET /api/recurring-expenses
+ */
+const getRecurringExpenses = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const recurringExpenses = await recurringExpenseService.getRecurringExpenses(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                recurringExpenses
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch recurring expenses';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Preview upcoming occurrences of all active recurring expenses
+ * GET /api/recurring-expenses/upcoming
+ */
+const getUpcomingOccurrences = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { months } = req.query;
+
+        const upcoming = await recurringExpenseService.getUpcomingOccurrences(userId, months);
+
+        res.status(200).json({
+            success: true,
+            data: upcoming
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch upcoming occurrences';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Get recurring expense by ID
+ * GET /api/recurring-expenses/:id
+ */
+const getRecurringExpense = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const recurringId = req.params.id;
+
+        const recurringExpense = await recurringExpenseService.getRecurringExpenseById(recurringId, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                recurringExpense
+            }
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to fetch recurring expense';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Preview upcoming occurrences of a recurring expense
+ * GET /api/recurring-expenses/:id/preview
+ */
+const previewOccurrences = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const recurringId = req.params.id;
+        const { months } = req.query;
+
+        const preview = await recurringExpenseService.previewOccurrences(recurringId, userId, months);
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to preview recurring expense';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Create recurring expense
+ * POST /api/recurring-expenses
+ */
+const createRecurringExpense = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const result = await recurringExpenseService.createRecurringExpense(userId, pickRecurringExpenseData(req.body));
+
+        res.status(201).json({
+            success: true,
+            message: 'Recurring expense created successfully',
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to create recurring expense';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Update recurring expense
+ * PUT /api/recurring-expenses/:id
+ */
+const updateRecurringExpense = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const recurringId = req.params.id;
+
+        const result = await recurringExpenseService.updateRecurringExpense(
+            recurringId,
+            userId,
+            pickRecurringExpenseData(req.body)
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Recurring expense updated successfully',
+            data: result
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to update recurring expense';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+/**
+ * Delete recurring expense
+ * DELETE /api/recurring-expenses/:id
+ */
+const deleteRecurringExpense = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const recurringId = req.params.id;
+
+        await recurringExpenseService.deleteRecurringExpense(recurringId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Recurring expense deleted successfully. Expenses already generated were kept.'
+        });
+    } catch (error) {
+        const statusCode = error.statusCode || 500;
+        const message = error.message || 'Failed to delete recurring expense';
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = {
+    getRecurringExpenses,
+    getUpcomingOccurrences,
+    getRecurringExpense,
+    previewOccurrences,
+    createRecurringExpense,
+    updateRecurringExpense,
+    deleteRecurringExpense
+};
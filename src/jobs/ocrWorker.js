@@ -0,0 +1,89 @@
+const ocrQueueService = require('../services/ocrQueueService');
+const receiptService = require('../services/receiptService');
+const { OCR_WORKER_POLL_SECONDS, OCR_POOL_SIZE } = require('../config/env');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run OCR for one queued receipt
+ * @param {Object} job - Leased OCR job
+ * @returns {Promise<Object|null>} - Created expense or null
+ */
+const handleJob = (job) => receiptService.processReceiptOCR(job.receiptId.toString(), job.options || {});
+
+/**
+ * Run due jobs one after another until none is left (or the worker is stopped)
+ * @returns {Promise<void>}
+ */
+const drainQueue = async () => {
+    let job = await ocrQueueService.processNextJob(handleJob);
+
+    while (job && timer) {
+        if (job.state === 'completed') {
+            console.log(`🧾 OCR finished for receipt ${job.receiptId}`);
+        } else if (job.state === 'failed') {
+            console.log(`❌ OCR failed for receipt ${job.receiptId}: ${job.lastError}`);
+        }
+
+        job = await ocrQueueService.processNextJob(handleJob);
+    }
+};
+
+/**
+ * Work through the jobs that are due, as many at once as the Tesseract pool has workers.
+ * Skipped if the previous run is still busy.
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+    if (isRunning) {
+        return;
+    }
+
+    isRunning = true;
+    try {
+        await Promise.all(Array.from({ length: OCR_POOL_SIZE }, drainQueue));
+    } catch (error) {
+        console.error('OCR worker error:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the in-process OCR worker: queue receipts left behind by a previous run, then poll for jobs
+ */
+const start = () => {
+    if (timer || OCR_WORKER_POLL_SECONDS <= 0) {
+        return;
+    }
+
+    timer = setInterval(runOnce, OCR_WORKER_POLL_SECONDS * 1000);
+
+    ocrQueueService.recoverStuckReceipts()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`🧾 Re-queued OCR for ${count} receipt(s) left pending by a previous run`);
+            }
+        })
+        .catch(error => console.error('OCR recovery error:', error))
+        .finally(runOnce);
+
+    console.log(`🧾 OCR worker polling every ${OCR_WORKER_POLL_SECONDS} second(s)`);
+};
+
+/**
+ * Stop the worker (a job in progress finishes; its lease is released when it does)
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
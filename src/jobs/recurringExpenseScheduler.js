@@ -0,0 +1,58 @@
+const recurringExpenseService = require('../services/recurringExpenseService');
+const { RECURRING_EXPENSES_INTERVAL_MINUTES } = require('../config/env');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Generate due recurring expenses once. Skipped if the previous run is still busy.
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+    if (isRunning) {
+        return;
+    }
+
+    isRunning = true;
+    try {
+        const result = await recurringExpenseService.processDueRecurringExpenses();
+
+        if (result.generated > 0) {
+            console.log(`🔁 Generated ${result.generated} recurring expense(s) from ${result.processed} schedule(s)`);
+        }
+    } catch (error) {
+        console.error('Recurring expense scheduler error:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the in-process scheduler (runs immediately, then every interval)
+ */
+const start = () => {
+    if (timer || RECURRING_EXPENSES_INTERVAL_MINUTES <= 0) {
+        return;
+    }
+
+    timer = setInterval(runOnce, RECURRING_EXPENSES_INTERVAL_MINUTES * 60 * 1000);
+    runOnce();
+
+    console.log(`🔁 Recurring expense scheduler running every ${RECURRING_EXPENSES_INTERVAL_MINUTES} minute(s)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
@@ -1,9 +1,46 @@
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/env');
+const { JWT_SECRET, LEGACY_TOKENS_ISSUED_BEFORE } = require('../config/env');
 const userRepository = require('../repositories/userRepository');
+const tokenSessionRepository = require('../repositories/tokenSessionRepository');
+const apiTokenService = require('../services/apiTokenService');
 
 /**
- * Authentication middleware - Verifies JWT token
+ * Check for an access token from before login sessions (no sessionId) that is still accepted:
+ * issued before LEGACY_TOKENS_ISSUED_BEFORE, it stays valid until it expires
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Boolean} - True if the token is an accepted legacy token
+ */
+const isLegacyToken = (decoded) => {
+    // Purpose tokens (e.g. the two-factor login step) never grant access
+    if (!LEGACY_TOKENS_ISSUED_BEFORE || decoded.purpose || !decoded.userId || typeof decoded.iat !== 'number') {
+        return false;
+    }
+
+    return decoded.iat * 1000 < LEGACY_TOKENS_ISSUED_BEFORE.getTime();
+};
+
+/**
+ * Check that the session an access token was issued for is still active
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Boolean>} - True if the session is active
+ */
+const isSessionActive = async (decoded) => {
+    if (!decoded.sessionId) {
+        return isLegacyToken(decoded);
+    }
+
+    const session = await tokenSessionRepository.findById(decoded.sessionId);
+
+    return Boolean(
+        session &&
+        session.isActive &&
+        session.userId.toString() === decoded.userId &&
+        session.expiresAt > new Date()
+    );
+};
+
+/**
+ * Authentication middleware - Verifies JWT token or personal access token
  * Extracts token from Authorization header: "Bearer <token>"
  */
 const auth = async (req, res, next) => {
@@ -36,9 +73,42 @@ const auth = async (req, res, next) => {
             });
         }
 
+        // Personal access tokens are looked up by hash instead of verified as JWTs
+        if (apiTokenService.isApiToken(token)) {
+            const result = await apiTokenService.authenticate(token);
+
+            if (!result) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired API token.'
+                });
+            }
+
+            req.user = {
+                userId: result.user._id.toString(),
+                authType: 'api_token',
+                apiTokenId: result.apiToken._id.toString(),
+                scopes: result.apiToken.scopes,
+                email: result.user.email,
+                name: result.user.name,
+                roles: result.user.roles,
+                isEmailConfirmed: result.user.isEmailConfirmed
+            };
+
+            return next();
+        }
+
         // Verify token
         const decoded = jwt.verify(token, JWT_SECRET);
 
+        // Reject tokens whose session was logged out or revoked
+        if (!(await isSessionActive(decoded))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
         // Get user from database
         const user = await userRepository.findById(decoded.userId);
 
@@ -52,6 +122,8 @@ const auth = async (req, res, next) => {
         // Attach user to request object
         req.user = {
             userId: user._id.toString(),
+            authType: 'session',
+            sessionId: decoded.sessionId,
             email: user.email,
             name: user.name,
             roles: user.roles,
@@ -102,11 +174,17 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, JWT_SECRET);
+
+        if (!(await isSessionActive(decoded))) {
+            return next();
+        }
+
         const user = await userRepository.findById(decoded.userId);
 
         if (user) {
             req.user = {
                 userId: user._id.toString(),
+                sessionId: decoded.sessionId,
                 email: user.email,
                 name: user.name,
                 roles: user.roles,
@@ -168,6 +246,53 @@ const requireRole = (...roles) => {
     };
 };
 
+/**
+ * Require API token scope
+ * Requests authenticated with a login session have full access; API tokens need the scope.
+ * @param {String} scope - Required scope (e.g. "expenses:read")
+ */
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required.'
+            });
+        }
+
+        if (req.user.authType === 'api_token' && !req.user.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                message: `API token is missing required scope: ${scope}`
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Require login session - rejects API tokens
+ * Used for account management routes that scripts must not reach
+ */
+const requireSessionAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required.'
+        });
+    }
+
+    if (req.user.authType !== 'session') {
+        return res.status(403).json({
+            success: false,
+            message: 'This action requires logging in. API tokens are not allowed.'
+        });
+    }
+
+    next();
+};
+
 /**
  * Require guest (unauthenticated) - prevents authenticated users from accessing
  * Used for routes like forget-password and reset-password
@@ -190,6 +315,12 @@ const requireGuest = async (req, res, next) => {
         // Try to verify the token
         try {
             const decoded = jwt.verify(token, JWT_SECRET);
+
+            // A token for a revoked session no longer counts as authenticated
+            if (!(await isSessionActive(decoded))) {
+                return next();
+            }
+
             const user = await userRepository.findById(decoded.userId);
 
             // If user is found and token is valid, they are authenticated - deny access
@@ -217,5 +348,7 @@ module.exports = {
     optionalAuth,
     requireEmailVerified,
     requireRole,
+    requireScope,
+    requireSessionAuth,
     requireGuest
 };
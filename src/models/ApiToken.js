@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { API_TOKEN } = require('../constants');
+
+const apiTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // First characters of the token, shown in listings so users can recognize it
+    tokenPrefix: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: API_TOKEN.SCOPES
+        }],
+        default: []
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+apiTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
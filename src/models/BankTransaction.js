@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { BANK_IMPORT } = require('../constants');
+
+// Debit line from an imported bank statement
+const bankTransactionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    importJobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportJob',
+        required: true
+    },
+    // Bank and account ID from the statement ('default' when the file has none)
+    accountKey: {
+        type: String,
+        required: true
+    },
+    // Financial institution transaction ID (synthetic for QIF)
+    fitId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    // Debit amount as a positive number
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String
+    },
+    name: {
+        type: String
+    },
+    memo: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: BANK_IMPORT.TRANSACTION_STATUSES,
+        default: 'unmatched'
+    },
+    // Pending expense created from the line, or the receipt expense it matches
+    expenseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense',
+        default: null
+    },
+    // Days between statement date and the matched expense date
+    matchDateDifference: {
+        type: Number
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+bankTransactionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+bankTransactionSchema.index({ userId: 1, accountKey: 1, fitId: 1 }, { unique: true }); // Re-importing a statement is safe
+bankTransactionSchema.index({ userId: 1, status: 1, date: -1 });
+bankTransactionSchema.index({ importJobId: 1 });
+
+module.exports = mongoose.model('BankTransaction', bankTransactionSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { BUDGET } = require('../constants');
+
+const alertSentSchema = new mongoose.Schema({
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    threshold: {
+        type: Number,
+        required: true
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const budgetSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    // null for an overall budget covering all categories
+    categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    period: {
+        type: String,
+        enum: BUDGET.PERIODS,
+        default: 'monthly'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    rollover: {
+        type: String,
+        enum: BUDGET.ROLLOVER_OPTIONS,
+        default: 'none'
+    },
+    alertThresholds: {
+        type: [Number],
+        default: () => [...BUDGET.DEFAULT_ALERT_THRESHOLDS]
+    },
+    // Thresholds already notified per period, so each alert is sent once
+    alertsSent: {
+        type: [alertSentSchema],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+budgetSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+budgetSchema.index({ userId: 1, categoryId: 1, period: 1 }, { unique: true }); // One budget per category and period
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    color: {
+        type: String
+    },
+    icon: {
+        type: String
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    isArchived: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+categorySchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Category names are unique per user, case-insensitively
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Indexes
+categorySchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+categorySchema.index({ userId: 1, parentId: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+Category.NAME_COLLATION = NAME_COLLATION;
+
+module.exports = Category;
@@ -8,13 +8,18 @@ const emailTokenSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['email_confirm', 'password_reset'],
+        enum: ['email_confirm', 'password_reset', 'account_unlock'],
         required: true
     },
     token: {
         type: String,
         required: true
     },
+    // Wrong guesses against this token (password reset codes are invalidated after too many)
+    attempts: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
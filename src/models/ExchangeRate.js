@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Reference rate of a currency on a day, quoted per 1 unit of EXCHANGE_RATE.BASE_CURRENCY (EUR)
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    // UTC midnight of the rate day
+    date: {
+        type: Date,
+        required: true
+    },
+    rate: {
+        type: Number,
+        required: true
+    },
+    // File the rate was imported from
+    source: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+exchangeRateSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true }); // One rate per day, latest rate lookups
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
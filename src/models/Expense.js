@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+const lineItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    unitPrice: {
+        type: Number
+    },
+    totalPrice: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// What OCR read from the receipt, kept as it was read - reprocessing the receipt only replaces
+// expense fields that still hold these values (the user hasn't changed them)
 const parsedDataSchema = new mongoose.Schema({
     parsedMerchant: {
         type: String
@@ -9,9 +29,43 @@ const parsedDataSchema = new mongoose.Schema({
     },
     parsedAmount: {
         type: Number
+    },
+    parsedLineItems: {
+        type: [lineItemSchema],
+        default: undefined
+    },
+    parsedSubtotal: {
+        type: Number
+    },
+    parsedTax: {
+        type: Number
+    },
+    parsedTip: {
+        type: Number
+    },
+    parsedDiscount: {
+        type: Number
     }
 }, { _id: false });
 
+const splitSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    notes: {
+        type: String
+    },
+    tags: {
+        type: [String],
+        default: []
+    }
+});
+
 const expenseSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -27,22 +81,68 @@ const expenseSchema = new mongoose.Schema({
     },
     currency: {
         type: String,
+        uppercase: true,
         default: 'USD'
     },
+    // Amount converted into the user's home currency (User.settings.currency) at the rate of the expense date;
+    // null while no rate is available for the currency
+    homeAmount: {
+        type: Number,
+        default: null
+    },
+    homeCurrency: {
+        type: String
+    },
+    exchangeRate: {
+        type: Number
+    },
     date: {
         type: Date,
         required: true
     },
+    // Category of the expense, or of its largest split
     category: {
         type: String
     },
+    // Parts of the amount in other categories (e.g. groceries and household on one receipt); they add up to the amount
+    splits: {
+        type: [splitSchema],
+        default: []
+    },
     paymentMethod: {
         type: String
     },
+    // Optional - manual entries (cash, subscriptions) have no receipt
     receiptId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Receipt',
-        required: true
+        default: null
+    },
+    // Set on expenses generated from a recurring expense
+    recurringExpenseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringExpense',
+        default: null
+    },
+    occurrenceDate: {
+        type: Date
+    },
+    // Set on expenses created by a file import, so the import can be undone
+    importJobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportJob',
+        default: null
+    },
+    // Bank statement line this expense was created from or reconciled with
+    bankTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BankTransaction',
+        default: null
+    },
+    // Created from a bank statement and not confirmed by the user yet
+    isPending: {
+        type: Boolean,
+        default: false
     },
     ocrText: {
         type: String
@@ -51,6 +151,36 @@ const expenseSchema = new mongoose.Schema({
         type: parsedDataSchema,
         default: () => ({})
     },
+    // Products on the receipt and its totals block (read by OCR or entered by the user)
+    lineItems: {
+        type: [lineItemSchema],
+        default: []
+    },
+    subtotal: {
+        type: Number,
+        default: null
+    },
+    tax: {
+        type: Number,
+        default: null
+    },
+    tip: {
+        type: Number,
+        default: null
+    },
+    discount: {
+        type: Number,
+        default: null
+    },
+    // Set when line items, tax, tip and discounts don't add up to the amount; cleared when the user verifies the expense
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+    reviewReason: {
+        type: String,
+        default: null
+    },
     notes: {
         type: String
     },
@@ -82,10 +212,22 @@ expenseSchema.pre('save', function(next) {
 expenseSchema.index({ userId: 1 });
 expenseSchema.index({ date: 1 });
 expenseSchema.index({ receiptId: 1 });
-expenseSchema.index({ userId: 1, date: -1 }); // Query recent expenses per user
+expenseSchema.index({ userId: 1, date: -1, _id: -1 }); // Query recent expenses per user (page and cursor pagination)
 expenseSchema.index({ userId: 1, category: 1, date: -1 }); // Category filters
+expenseSchema.index({ userId: 1, 'splits.category': 1 }); // Category filters and renames on split expenses
 expenseSchema.index({ ocrText: "text", merchant: "text", notes: "text" }); // Full-text search
 expenseSchema.index({ userId: 1, amount: 1 }); // Query by amounts
+expenseSchema.index({ userId: 1, merchant: 1 }); // Merchant filter and sorting
+expenseSchema.index({ userId: 1, tags: 1 }); // Tag filters
+expenseSchema.index({ userId: 1, paymentMethod: 1, date: -1 }); // Payment method filter
+expenseSchema.index({ userId: 1, createdAt: -1 }); // Sort by creation time
+expenseSchema.index({ userId: 1, needsReview: 1 }); // Expenses flagged for review
+expenseSchema.index({ importJobId: 1 }); // Undo imports
+expenseSchema.index({ userId: 1, amount: 1, date: 1 }); // Bank statement matching
+expenseSchema.index(
+    { recurringExpenseId: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurringExpenseId: { $type: 'objectId' } } }
+); // One expense per recurring occurrence, even if the scheduler runs twice
 
 module.exports = mongoose.model('Expense', expenseSchema);
 
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { EXPENSE_IMPORT } = require('../constants');
+
+const rowErrorSchema = new mongoose.Schema({
+    row: {
+        type: Number
+    },
+    field: {
+        type: String
+    },
+    message: {
+        type: String
+    }
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: EXPENSE_IMPORT.SOURCES,
+        required: true
+    },
+    // pending: uploaded, waiting for mapping; completed: expenses created; undone: expenses removed again
+    status: {
+        type: String,
+        enum: ['pending', 'importing', 'completed', 'undone'],
+        default: 'pending'
+    },
+    fileName: {
+        type: String
+    },
+    // Raw upload, kept until the import is committed so the client can re-map without uploading again
+    fileContent: {
+        type: String,
+        select: false
+    },
+    delimiter: {
+        type: String
+    },
+    headers: {
+        type: [String],
+        default: []
+    },
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    // Options used on commit (mapping, dateFormat, decimalSeparator, ...)
+    options: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    importedCount: {
+        type: Number,
+        default: 0
+    },
+    skippedCount: {
+        type: Number,
+        default: 0
+    },
+    // Bank statements: lines matched to existing receipt expenses instead of creating new ones
+    matchedCount: {
+        type: Number,
+        default: 0
+    },
+    rowErrors: {
+        type: [rowErrorSchema],
+        default: []
+    },
+    completedAt: {
+        type: Date
+    },
+    undoneAt: {
+        type: Date
+    },
+    // Pending jobs expire (TTL) - cleared once committed
+    expiresAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+importJobSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+importJobSchema.index({ userId: 1, createdAt: -1 });
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    firstAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index to auto-delete stale counters
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
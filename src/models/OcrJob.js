@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { OCR_QUEUE } = require('../constants');
+
+// One job per receipt; processing the receipt again re-queues the same job
+const ocrJobSchema = new mongoose.Schema({
+    receiptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Receipt',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // queued: waiting for a worker (first run or retry); running: leased by a worker
+    state: {
+        type: String,
+        enum: OCR_QUEUE.JOB_STATES,
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: OCR_QUEUE.MAX_ATTEMPTS
+    },
+    // Earliest time the job may run (later than enqueue time after a failure - backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Worker holding the job; the lease is renewed while it works, and anyone may take the job once it runs out
+    leaseOwner: {
+        type: String,
+        default: null
+    },
+    leaseExpiresAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // OCR options of a reprocess request (configured defaults where not set)
+    options: {
+        languages: {
+            type: String
+        },
+        preprocessingSteps: {
+            type: [String],
+            default: undefined
+        }
+    },
+    startedAt: {
+        type: Date
+    },
+    finishedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+ocrJobSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+ocrJobSchema.index({ receiptId: 1 }, { unique: true });
+ocrJobSchema.index({ state: 1, runAt: 1 }); // Claim next queued job
+ocrJobSchema.index({ state: 1, leaseExpiresAt: 1 }); // Take over jobs of crashed workers
+
+module.exports = mongoose.model('OcrJob', ocrJobSchema);
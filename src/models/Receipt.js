@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// Position on the image as fractions of its width and height (0-1), with EXIF orientation applied
+const boxSchema = new mongoose.Schema({
+    x0: Number,
+    y0: Number,
+    x1: Number,
+    y1: Number
+}, { _id: false });
+
+const ocrWordSchema = new mongoose.Schema({
+    text: String,
+    confidence: Number,
+    bbox: boxSchema
+}, { _id: false });
+
+// OCR'd text line (page is the PDF page, 1 for images)
+const ocrLineSchema = new mongoose.Schema({
+    page: Number,
+    text: String,
+    confidence: Number,
+    bbox: boxSchema,
+    words: [ocrWordSchema]
+}, { _id: false });
+
+// Where a parsed field was read: the value as printed, its line and position, and Tesseract's confidence in its words
+// (text embedded in a PDF has no position and counts as 100% confident)
+const fieldSourceSchema = new mongoose.Schema({
+    value: String,
+    line: String,
+    page: Number,
+    lineIndex: Number, // Index into ocrLines
+    bbox: boxSchema,
+    confidence: Number
+}, { _id: false });
+
 const receiptSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -30,9 +64,43 @@ const receiptSchema = new mongoose.Schema({
     ocrResult: {
         type: String
     },
+    // Why the last OCR attempt failed (kept while a retry is pending, cleared on success)
+    ocrError: {
+        type: String,
+        default: null
+    },
+    // Tesseract mean word confidence (0-100) of the kept OCR pass
     ocrConfidence: {
         type: Number
     },
+    ocrLines: {
+        type: [ocrLineSchema],
+        default: undefined
+    },
+    fieldProvenance: {
+        merchant: fieldSourceSchema,
+        amount: fieldSourceSchema,
+        date: fieldSourceSchema
+    },
+    // Image cleanup before OCR: steps that ran, and whether the raw or the preprocessed image gave the kept text
+    preprocessing: {
+        steps: {
+            type: [String],
+            default: undefined
+        },
+        pass: {
+            type: String,
+            enum: ['raw', 'preprocessed', 'mixed']
+        }
+    },
+    // Where ocrResult came from: OCR of the image or of scanned PDF pages, text embedded in the PDF, or both
+    textSource: {
+        type: String,
+        enum: ['ocr', 'embedded', 'mixed']
+    },
+    pageCount: {
+        type: Number
+    },
     uploadedAt: {
         type: Date,
         default: Date.now
@@ -44,7 +112,9 @@ const receiptSchema = new mongoose.Schema({
 
 // Indexes
 receiptSchema.index({ userId: 1 });
-receiptSchema.index({ ocrStatus: 1 });
+receiptSchema.index({ ocrStatus: 1 }); // OCR recovery on startup
+receiptSchema.index({ userId: 1, ocrStatus: 1 }); // Reprocess failed receipts
+receiptSchema.index({ userId: 1, uploadedAt: -1, _id: -1 }); // Receipt list (page and cursor pagination)
 
 module.exports = mongoose.model('Receipt', receiptSchema);
 
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { RECURRING_EXPENSE } = require('../constants');
+
+// RRULE-style schedule: every <interval> <frequency> from startDate until endDate
+const scheduleSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: RECURRING_EXPENSE.FREQUENCIES,
+        required: true
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: RECURRING_EXPENSE.MAX_INTERVAL
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+const recurringExpenseSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    merchant: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        default: 'USD'
+    },
+    category: {
+        type: String
+    },
+    paymentMethod: {
+        type: String
+    },
+    notes: {
+        type: String
+    },
+    tags: {
+        type: [String],
+        default: []
+    },
+    schedule: {
+        type: scheduleSchema,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Next occurrence to generate - null once the schedule has ended
+    nextOccurrenceIndex: {
+        type: Number,
+        default: 0
+    },
+    nextOccurrenceAt: {
+        type: Date,
+        default: null
+    },
+    lastOccurrenceAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt field before saving
+recurringExpenseSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+recurringExpenseSchema.index({ userId: 1, createdAt: -1 });
+recurringExpenseSchema.index({ isActive: 1, nextOccurrenceAt: 1 }); // Scheduler looks up due schedules
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
@@ -10,10 +10,19 @@ const tokenSessionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Hashes of refresh tokens already rotated out of this session (used for reuse detection)
+    previousTokenHashes: {
+        type: [String],
+        default: []
+    },
     issuedAt: {
         type: Date,
         default: Date.now
     },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
     expiresAt: {
         type: Date,
         required: true
@@ -27,14 +36,20 @@ const tokenSessionSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String
     }
 });
 
 // Indexes
 tokenSessionSchema.index({ userId: 1 });
 tokenSessionSchema.index({ refreshTokenHash: 1 });
+tokenSessionSchema.index({ previousTokenHashes: 1 });
 tokenSessionSchema.index({ userId: 1, isActive: 1 });
 tokenSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index to auto-delete expired sessions
 
 module.exports = mongoose.model('TokenSession', tokenSessionSchema);
-
@@ -21,6 +21,32 @@ const settingsSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+const twoFactorSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    secret: {
+        type: String
+    },
+    // Secret generated during enrollment, promoted to `secret` once the first code is confirmed
+    pendingSecret: {
+        type: String
+    },
+    // SHA-256 hashes of one-time recovery codes
+    recoveryCodes: {
+        type: [String],
+        default: []
+    },
+    // Last accepted TOTP time step, prevents replaying a code within its validity window
+    lastUsedStep: {
+        type: Number
+    },
+    enabledAt: {
+        type: Date
+    }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -53,6 +79,10 @@ const userSchema = new mongoose.Schema({
         type: settingsSchema,
         default: () => ({})
     },
+    twoFactor: {
+        type: twoFactorSchema,
+        default: () => ({})
+    },
     createdAt: {
         type: Date,
         default: Date.now,
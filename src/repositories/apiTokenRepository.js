@@ -0,0 +1,87 @@
+const ApiToken = require('../models/ApiToken');
+
+/**
+ * Create new API token
+ * @param {Object} tokenData - Token data (userId, name, tokenHash, tokenPrefix, scopes, expiresAt)
+ * @returns {Promise<Object>} - Created token document
+ */
+const create = async (tokenData) => {
+    const apiToken = new ApiToken(tokenData);
+    return await apiToken.save();
+};
+
+/**
+ * Find API token by ID
+ * @param {String} tokenId - Token ID
+ * @returns {Promise<Object|null>} - Token document or null
+ */
+const findById = async (tokenId) => {
+    return await ApiToken.findById(tokenId);
+};
+
+/**
+ * Find usable (not revoked, not expired) API token by hash
+ * @param {String} tokenHash - Hashed token
+ * @returns {Promise<Object|null>} - Token document or null
+ */
+const findActiveByHash = async (tokenHash) => {
+    return await ApiToken.findOne({
+        tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Find non-revoked API tokens of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of token documents (newest first)
+ */
+const findByUserId = async (userId) => {
+    return await ApiToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+/**
+ * Count usable API tokens of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} - Count of tokens
+ */
+const countActiveByUserId = async (userId) => {
+    return await ApiToken.countDocuments({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Record token usage
+ * @param {String} tokenId - Token ID
+ * @returns {Promise<Object>} - Update result
+ */
+const touch = async (tokenId) => {
+    return await ApiToken.updateOne({ _id: tokenId }, { lastUsedAt: Date.now() });
+};
+
+/**
+ * Revoke API token
+ * @param {String} tokenId - Token ID
+ * @returns {Promise<Object|null>} - Updated token document or null
+ */
+const revoke = async (tokenId) => {
+    return await ApiToken.findByIdAndUpdate(
+        tokenId,
+        { revokedAt: Date.now() },
+        { new: true }
+    );
+};
+
+module.exports = {
+    create,
+    findById,
+    findActiveByHash,
+    findByUserId,
+    countActiveByUserId,
+    touch,
+    revoke
+};
@@ -0,0 +1,142 @@
+const BankTransaction = require('../models/BankTransaction');
+
+/**
+ * Create new bank transaction
+ * @param {Object} transactionData - Bank transaction data
+ * @returns {Promise<Object>} - Created bank transaction document
+ */
+const create = async (transactionData) => {
+    const transaction = new BankTransaction(transactionData);
+    return await transaction.save();
+};
+
+/**
+ * Find bank transaction by ID
+ * @param {String} transactionId - Bank transaction ID
+ * @returns {Promise<Object|null>} - Bank transaction document or null
+ */
+const findById = async (transactionId) => {
+    return await BankTransaction.findById(transactionId).populate('expenseId');
+};
+
+/**
+ * Find bank transactions by user ID
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (limit, skip, filter)
+ * @returns {Promise<Array>} - Array of bank transaction documents (newest first, expense populated)
+ */
+const findByUserId = async (userId, options = {}) => {
+    const { limit = 20, skip = 0, filter = {} } = options;
+
+    return await BankTransaction.find({ userId, ...filter })
+        .populate('expenseId')
+        .sort({ date: -1, _id: -1 })
+        .limit(limit)
+        .skip(skip);
+};
+
+/**
+ * Count user bank transactions
+ * @param {String} userId - User ID
+ * @param {Object} filter - Optional filter
+ * @returns {Promise<Number>} - Count of bank transactions
+ */
+const countByUserId = async (userId, filter = {}) => {
+    return await BankTransaction.countDocuments({ userId, ...filter });
+};
+
+/**
+ * Find already imported transaction IDs of an account
+ * @param {String} userId - User ID
+ * @param {String} accountKey - Account key
+ * @param {Array<String>} fitIds - Transaction IDs to look up
+ * @returns {Promise<Set<String>>} - Transaction IDs that already exist
+ */
+const findExistingFitIds = async (userId, accountKey, fitIds) => {
+    const existing = await BankTransaction.find({ userId, accountKey, fitId: { $in: fitIds } }).select('fitId');
+    return new Set(existing.map((transaction) => transaction.fitId));
+};
+
+/**
+ * Find expense IDs already linked to a bank transaction (suggested or confirmed)
+ * @param {Array<String>} expenseIds - Candidate expense IDs
+ * @returns {Promise<Set<String>>} - Expense IDs that are taken
+ */
+const findLinkedExpenseIds = async (expenseIds) => {
+    const linked = await BankTransaction.find({
+        expenseId: { $in: expenseIds },
+        status: { $in: ['suggested', 'confirmed'] }
+    }).select('expenseId');
+
+    return new Set(linked.map((transaction) => transaction.expenseId.toString()));
+};
+
+/**
+ * Update bank transaction
+ * @param {String} transactionId - Bank transaction ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} - Updated bank transaction document or null
+ */
+const update = async (transactionId, updateData) => {
+    return await BankTransaction.findByIdAndUpdate(
+        transactionId,
+        { ...updateData, updatedAt: Date.now() },
+        { new: true }
+    ).populate('expenseId');
+};
+
+/**
+ * Release bank transactions linked to a deleted expense - they are marked ignored
+ * @param {String} expenseId - Expense ID
+ * @returns {Promise<Object>} - Update result
+ */
+const releaseExpense = async (expenseId) => {
+    return await BankTransaction.updateMany(
+        { expenseId },
+        { status: 'ignored', expenseId: null, updatedAt: Date.now() }
+    );
+};
+
+/**
+ * Release bank transactions linked to deleted expenses - they are marked ignored
+ * @param {Array<String>} expenseIds - Expense IDs
+ * @returns {Promise<Object>} - Update result
+ */
+const releaseExpenses = async (expenseIds) => {
+    return await BankTransaction.updateMany(
+        { expenseId: { $in: expenseIds } },
+        { status: 'ignored', expenseId: null, updatedAt: Date.now() }
+    );
+};
+
+/**
+ * Find bank transactions created by an import job
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<Array>} - Array of bank transaction documents
+ */
+const findByImportJobId = async (importJobId) => {
+    return await BankTransaction.find({ importJobId });
+};
+
+/**
+ * Delete bank transactions created by an import job
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteByImportJobId = async (importJobId) => {
+    return await BankTransaction.deleteMany({ importJobId });
+};
+
+module.exports = {
+    create,
+    findById,
+    findByUserId,
+    countByUserId,
+    findExistingFitIds,
+    findLinkedExpenseIds,
+    update,
+    releaseExpense,
+    releaseExpenses,
+    findByImportJobId,
+    deleteByImportJobId
+};
@@ -0,0 +1,131 @@
+const Budget = require('../models/Budget');
+
+/**
+ * Create new budget
+ * @param {Object} budgetData - Budget data
+ * @returns {Promise<Object>} - Created budget document
+ */
+const create = async (budgetData) => {
+    const budget = new Budget(budgetData);
+    return await budget.save();
+};
+
+/**
+ * Find budget by ID
+ * @param {String} budgetId - Budget ID
+ * @returns {Promise<Object|null>} - Budget document or null
+ */
+const findById = async (budgetId) => {
+    return await Budget.findById(budgetId).populate('categoryId');
+};
+
+/**
+ * Find budgets by user ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of budget documents (overall budgets first)
+ */
+const findByUserId = async (userId) => {
+    return await Budget.find({ userId })
+        .populate('categoryId')
+        .sort({ categoryId: 1, period: 1 });
+};
+
+/**
+ * Find budget by category and period
+ * @param {String} userId - User ID
+ * @param {String|null} categoryId - Category ID (null for overall budget)
+ * @param {String} period - Budget period
+ * @returns {Promise<Object|null>} - Budget document or null
+ */
+const findByCategoryAndPeriod = async (userId, categoryId, period) => {
+    return await Budget.findOne({ userId, categoryId, period });
+};
+
+/**
+ * Update budget
+ * @param {String} budgetId - Budget ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} - Updated budget document or null
+ */
+const update = async (budgetId, updateData) => {
+    return await Budget.findByIdAndUpdate(
+        budgetId,
+        { ...updateData, updatedAt: Date.now() },
+        { new: true, runValidators: true }
+    ).populate('categoryId');
+};
+
+/**
+ * Record that a threshold alert was sent for a period
+ * Only succeeds for the first caller, so concurrent expense updates send one email.
+ * @param {String} budgetId - Budget ID
+ * @param {Date} periodStart - Start of the budget period
+ * @param {Number} threshold - Threshold percent
+ * @returns {Promise<Boolean>} - True if the alert was recorded (not sent before)
+ */
+const recordAlertSent = async (budgetId, periodStart, threshold) => {
+    const result = await Budget.updateOne(
+        {
+            _id: budgetId,
+            alertsSent: { $not: { $elemMatch: { periodStart, threshold } } }
+        },
+        {
+            $push: {
+                alertsSent: {
+                    $each: [{ periodStart, threshold, sentAt: new Date() }],
+                    $slice: -50
+                }
+            }
+        }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Delete budget
+ * @param {String} budgetId - Budget ID
+ * @returns {Promise<Object|null>} - Deleted budget document or null
+ */
+const deleteById = async (budgetId) => {
+    return await Budget.findByIdAndDelete(budgetId);
+};
+
+/**
+ * Move category budgets to another category
+ * Budgets whose period already exists on the target are deleted (the target's budget wins).
+ * @param {String} userId - User ID
+ * @param {String} fromCategoryId - Source category ID
+ * @param {String} toCategoryId - Target category ID
+ * @returns {Promise<void>}
+ */
+const reassignCategory = async (userId, fromCategoryId, toCategoryId) => {
+    const targetPeriods = await Budget.distinct('period', { userId, categoryId: toCategoryId });
+
+    await Budget.deleteMany({ userId, categoryId: fromCategoryId, period: { $in: targetPeriods } });
+    await Budget.updateMany(
+        { userId, categoryId: fromCategoryId },
+        { categoryId: toCategoryId, updatedAt: Date.now() }
+    );
+};
+
+/**
+ * Delete all budgets of a category
+ * @param {String} categoryId - Category ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteByCategoryId = async (categoryId) => {
+    return await Budget.deleteMany({ categoryId });
+};
+
+module.exports = {
+    create,
+    findById,
+    findByUserId,
+    findByCategoryAndPeriod,
+    update,
+    recordAlertSent,
+    reassignCategory,
+    deleteByCategoryId,
+    deleteById
+};
@@ -0,0 +1,116 @@
+const Category = require('../models/Category');
+
+/**
+ * Create new category
+ * @param {Object} categoryData - Category data
+ * @returns {Promise<Object>} - Created category document
+ */
+const create = async (categoryData) => {
+    const category = new Category(categoryData);
+    return await category.save();
+};
+
+/**
+ * Create multiple categories
+ * @param {Array<Object>} categories - Category data
+ * @returns {Promise<Array>} - Created category documents
+ */
+const createMany = async (categories) => {
+    return await Category.insertMany(categories, { ordered: false });
+};
+
+/**
+ * Find category by ID
+ * @param {String} categoryId - Category ID
+ * @returns {Promise<Object|null>} - Category document or null
+ */
+const findById = async (categoryId) => {
+    return await Category.findById(categoryId);
+};
+
+/**
+ * Find user category by name (case-insensitive)
+ * @param {String} userId - User ID
+ * @param {String} name - Category name
+ * @returns {Promise<Object|null>} - Category document or null
+ */
+const findByName = async (userId, name) => {
+    return await Category.findOne({ userId, name: name.trim() })
+        .collation(Category.NAME_COLLATION);
+};
+
+/**
+ * Find categories by user ID
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (includeArchived)
+ * @returns {Promise<Array>} - Array of category documents sorted by name
+ */
+const findByUserId = async (userId, options = {}) => {
+    const { includeArchived = false } = options;
+
+    const query = { userId };
+    if (!includeArchived) {
+        query.isArchived = false;
+    }
+
+    return await Category.find(query)
+        .collation(Category.NAME_COLLATION)
+        .sort({ name: 1 });
+};
+
+/**
+ * Count user categories
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} - Count of categories
+ */
+const countByUserId = async (userId) => {
+    return await Category.countDocuments({ userId });
+};
+
+/**
+ * Update category
+ * @param {String} categoryId - Category ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} - Updated category document or null
+ */
+const update = async (categoryId, updateData) => {
+    return await Category.findByIdAndUpdate(
+        categoryId,
+        { ...updateData, updatedAt: Date.now() },
+        { new: true, runValidators: true }
+    );
+};
+
+/**
+ * Move child categories to a new parent
+ * @param {String} fromParentId - Current parent category ID
+ * @param {String|null} toParentId - New parent category ID (null for top level)
+ * @returns {Promise<Object>} - Update result
+ */
+const reparentChildren = async (fromParentId, toParentId) => {
+    return await Category.updateMany(
+        { parentId: fromParentId },
+        { parentId: toParentId, updatedAt: Date.now() }
+    );
+};
+
+/**
+ * Delete category
+ * @param {String} categoryId - Category ID
+ * @returns {Promise<Object|null>} - Deleted category document or null
+ */
+const deleteById = async (categoryId) => {
+    return await Category.findByIdAndDelete(categoryId);
+};
+
+module.exports = {
+    create,
+    createMany,
+    findById,
+    findByName,
+    findByUserId,
+    countByUserId,
+    update,
+    reparentChildren,
+    deleteById
+};
@@ -0,0 +1,42 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+/**
+ * Insert or replace rates (one per currency and day)
+ * @param {Array<Object>} rates - Rates (currency, date, rate)
+ * @param {String} source - File the rates come from
+ * @returns {Promise<Object>} - Bulk write result
+ */
+const upsertMany = async (rates, source) => {
+    if (rates.length === 0) {
+        return { upsertedCount: 0, modifiedCount: 0 };
+    }
+
+    return await ExchangeRate.bulkWrite(rates.map(({ currency, date, rate }) => ({
+        updateOne: {
+            filter: { currency, date },
+            update: {
+                $set: { rate, source, updatedAt: Date.now() },
+                $setOnInsert: { createdAt: Date.now() }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+/**
+ * Find latest rate of a currency on or before a date
+ * @param {String} currency - Currency code
+ * @param {Date} date - Day of the rate
+ * @param {Date} minDate - Oldest acceptable rate day
+ * @returns {Promise<Object|null>} - Exchange rate document or null
+ */
+const findLatest = async (currency, date, minDate) => {
+    return await ExchangeRate.findOne({ currency, date: { $lte: date, $gte: minDate } })
+        .sort({ date: -1 })
+        .lean();
+};
+
+module.exports = {
+    upsertMany,
+    findLatest
+};
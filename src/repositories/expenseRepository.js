@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+
+// Receipt fields populated into expenses - OCR lines and words are only served by the receipt endpoints
+const RECEIPT_FIELDS = '-ocrLines';
 
 /**
  * Create new expense
@@ -11,13 +15,22 @@ const create = async (expenseData) => {
     return await expense.save();
 };
 
+/**
+ * Insert many expenses at once (used by imports)
+ * @param {Array<Object>} expensesData - Expense data
+ * @returns {Promise<Array>} - Created expense documents
+ */
+const createMany = async (expensesData) => {
+    return await Expense.insertMany(expensesData);
+};
+
 /**
  * Find expense by ID
  * @param {String} expenseId - Expense ID
  * @returns {Promise<Object|null>} - Expense document or null
  */
 const findById = async (expenseId) => {
-    return await Expense.findById(expenseId).populate('receiptId');
+    return await Expense.findById(expenseId).populate('receiptId', RECEIPT_FIELDS);
 };
 
 /**
@@ -32,19 +45,81 @@ const findByUserId = async (userId, options = {}) => {
     const query = { userId, ...filter };
     
     return await Expense.find(query)
-        .populate('receiptId')
+        .populate('receiptId', RECEIPT_FIELDS)
         .sort(sort)
         .limit(limit)
         .skip(skip);
 };
 
+/**
+ * Full-text search over user expenses (text index on OCR text, merchant and notes)
+ * @param {String} userId - User ID
+ * @param {String} search - Search query ($text syntax: words, "phrases", -excluded)
+ * @param {Object} options - Query options (limit, skip, filter)
+ * @returns {Promise<Array>} - Plain expense objects with relevance score, best match first (receipt populated)
+ */
+const searchByUserId = async (userId, search, options = {}) => {
+    const { limit = 10, skip = 0, filter = {} } = options;
+
+    return await Expense.find(
+        { userId, ...filter, $text: { $search: search } },
+        { score: { $meta: 'textScore' } }
+    )
+        .populate('receiptId', RECEIPT_FIELDS)
+        .sort({ score: { $meta: 'textScore' }, date: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+};
+
+/**
+ * Count user expenses matching a full-text search
+ * @param {String} userId - User ID
+ * @param {String} search - Search query
+ * @param {Object} filter - Optional filter
+ * @returns {Promise<Number>} - Count of matching expenses
+ */
+const countSearchResults = async (userId, search, filter = {}) => {
+    return await Expense.countDocuments({ userId, ...filter, $text: { $search: search } });
+};
+
+/**
+ * Open a cursor over user expenses, so large result sets are streamed instead of loaded at once
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (sort, filter)
+ * @returns {Object} - Mongoose query cursor (receipt populated)
+ */
+const streamByUserId = (userId, options = {}) => {
+    const { sort = { date: -1, _id: -1 }, filter = {} } = options;
+
+    return Expense.find({ userId, ...filter })
+        .populate('receiptId', 'fileUrl fileName ocrStatus')
+        .sort(sort)
+        .lean()
+        .cursor();
+};
+
 /**
  * Find expense by receipt ID
  * @param {String} receiptId - Receipt ID
  * @returns {Promise<Object|null>} - Expense document or null
  */
 const findByReceiptId = async (receiptId) => {
-    return await Expense.findOne({ receiptId }).populate('receiptId');
+    return await Expense.findOne({ receiptId }).populate('receiptId', RECEIPT_FIELDS);
+};
+
+/**
+ * Set or clear the receipt linked to an expense
+ * @param {String} expenseId - Expense ID
+ * @param {String|null} receiptId - Receipt ID, or null to detach
+ * @returns {Promise<Object|null>} - Updated expense document or null
+ */
+const setReceipt = async (expenseId, receiptId) => {
+    return await Expense.findByIdAndUpdate(
+        expenseId,
+        { receiptId, updatedAt: Date.now() },
+        { new: true }
+    ).populate('receiptId', RECEIPT_FIELDS);
 };
 
 /**
@@ -58,7 +133,7 @@ const update = async (expenseId, updateData) => {
         expenseId,
         { ...updateData, updatedAt: Date.now() },
         { new: true, runValidators: true }
-    ).populate('receiptId');
+    ).populate('receiptId', RECEIPT_FIELDS);
 };
 
 /**
@@ -70,6 +145,93 @@ const deleteById = async (expenseId) => {
     return await Expense.findByIdAndDelete(expenseId);
 };
 
+/**
+ * Open a cursor over the fields needed to convert expenses to the home currency
+ * @param {Object} filter - Expense filter
+ * @returns {Object} - Mongoose query cursor of plain objects (userId, amount, currency, date)
+ */
+const streamForConversion = (filter) => {
+    return Expense.find(filter)
+        .select('userId amount currency date')
+        .lean()
+        .cursor();
+};
+
+/**
+ * Store home currency amounts of many expenses
+ * @param {Array<Object>} updates - Items of { expenseId, homeAmount, homeCurrency, exchangeRate }
+ * @returns {Promise<Object>} - Bulk write result
+ */
+const setHomeAmounts = async (updates) => {
+    if (updates.length === 0) {
+        return { modifiedCount: 0 };
+    }
+
+    return await Expense.bulkWrite(updates.map(({ expenseId, ...homeAmount }) => ({
+        updateOne: {
+            filter: { _id: expenseId },
+            update: { $set: homeAmount }
+        }
+    })), { ordered: false });
+};
+
+/**
+ * Find users having expenses without a home currency amount
+ * @returns {Promise<Array>} - User IDs
+ */
+const findUserIdsMissingHomeAmount = async () => {
+    return await Expense.distinct('userId', { homeAmount: null });
+};
+
+/**
+ * Find IDs of the expenses created by an import job
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<Array>} - Expense IDs
+ */
+const findIdsByImportJobId = async (importJobId) => {
+    return await Expense.distinct('_id', { importJobId });
+};
+
+/**
+ * Delete all expenses created by an import job
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteByImportJobId = async (importJobId) => {
+    return await Expense.deleteMany({ importJobId });
+};
+
+/**
+ * Find receipt expenses that could match a bank statement line
+ * @param {String} userId - User ID
+ * @param {Object} criteria - Match criteria (minAmount, maxAmount, startDate, endDate)
+ * @returns {Promise<Array>} - Array of expense documents not yet reconciled with a statement line
+ */
+const findBankMatchCandidates = async (userId, criteria) => {
+    const { minAmount, maxAmount, startDate, endDate } = criteria;
+
+    return await Expense.find({
+        userId,
+        receiptId: { $ne: null },
+        bankTransactionId: null,
+        isPending: { $ne: true },
+        amount: { $gte: minAmount, $lte: maxAmount },
+        date: { $gte: startDate, $lte: endDate }
+    });
+};
+
+/**
+ * Remove bank statement links from expenses (used when an import is undone)
+ * @param {Array<String>} bankTransactionIds - Bank transaction IDs
+ * @returns {Promise<Object>} - Update result
+ */
+const clearBankTransactions = async (bankTransactionIds) => {
+    return await Expense.updateMany(
+        { bankTransactionId: { $in: bankTransactionIds } },
+        { bankTransactionId: null, updatedAt: Date.now() }
+    );
+};
+
 /**
  * Count user expenses
  * @param {String} userId - User ID
@@ -80,7 +242,129 @@ const countByUserId = async (userId, filter = {}) => {
     return await Expense.countDocuments({ userId, ...filter });
 };
 
-const aggregateYearlyDashboard = async (userId, year) => {
+/**
+ * Rename category on all user expenses and their splits (case-insensitive match)
+ * @param {String} userId - User ID
+ * @param {String} fromCategory - Current category name
+ * @param {String} toCategory - New category name
+ * @returns {Promise<Object>} - Update result (modifiedCount - expenses changed)
+ */
+const renameCategory = async (userId, fromCategory, toCategory) => {
+    const modifiedCount = await countByCategory(userId, fromCategory);
+
+    await Expense.updateMany(
+        { userId, category: fromCategory },
+        { category: toCategory, updatedAt: Date.now() },
+        { collation: Category.NAME_COLLATION }
+    );
+    await Expense.updateMany(
+        { userId, 'splits.category': fromCategory },
+        { $set: { 'splits.$[split].category': toCategory, updatedAt: Date.now() } },
+        { arrayFilters: [{ 'split.category': fromCategory }], collation: Category.NAME_COLLATION }
+    );
+
+    return { modifiedCount };
+};
+
+/**
+ * Count user expenses in a category, directly or through a split (case-insensitive match)
+ * @param {String} userId - User ID
+ * @param {String} category - Category name
+ * @returns {Promise<Number>} - Count of expenses
+ */
+const countByCategory = async (userId, category) => {
+    return await Expense.countDocuments({ userId, $or: [{ category }, { 'splits.category': category }] })
+        .collation(Category.NAME_COLLATION);
+};
+
+// Expenses created from statement lines count towards totals and budgets once the user confirms them
+const NOT_PENDING = { isPending: { $ne: true } };
+
+/**
+ * Aggregation expression for the amount of an expense in the home currency.
+ * Expenses converted for another home currency, or still waiting for a rate, count as 0 (see unconvertedExpression).
+ * @param {String} homeCurrency - User's home currency
+ * @returns {Object} - Aggregation expression
+ */
+const homeAmountExpression = (homeCurrency) => ({
+    $switch: {
+        branches: [
+            {
+                case: { $and: [{ $eq: ['$homeCurrency', homeCurrency] }, { $isNumber: '$homeAmount' }] },
+                then: '$homeAmount'
+            },
+            {
+                case: { $eq: ['$currency', homeCurrency] },
+                then: '$amount'
+            }
+        ],
+        default: 0
+    }
+});
+
+/**
+ * Aggregation expression that is 1 for expenses not (yet) converted into the home currency, else 0
+ * @param {String} homeCurrency - User's home currency
+ * @returns {Object} - Aggregation expression
+ */
+const unconvertedExpression = (homeCurrency) => ({
+    $cond: [
+        {
+            $or: [
+                { $and: [{ $eq: ['$homeCurrency', homeCurrency] }, { $isNumber: '$homeAmount' }] },
+                { $eq: ['$currency', homeCurrency] }
+            ]
+        },
+        0,
+        1
+    ]
+});
+
+/**
+ * Aggregation stages that turn each expense into one entry per category ({ entry: { category, amount } }):
+ * one per split, or the whole amount under the expense category. Split amounts are their share of the home amount.
+ * @param {String} homeCurrency - User's home currency
+ * @returns {Array<Object>} - Aggregation stages
+ */
+const categoryEntryStages = (homeCurrency) => [
+    {
+        $project: {
+            entries: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+                    {
+                        $map: {
+                            input: '$splits',
+                            as: 'split',
+                            in: {
+                                category: '$$split.category',
+                                amount: {
+                                    $multiply: [homeAmountExpression(homeCurrency), { $divide: ['$$split.amount', '$amount'] }]
+                                }
+                            }
+                        }
+                    },
+                    [{ category: '$category', amount: homeAmountExpression(homeCurrency) }]
+                ]
+            }
+        }
+    },
+    {
+        $unwind: '$entries'
+    },
+    {
+        $project: { entry: '$entries' }
+    }
+];
+
+/**
+ * Aggregate yearly dashboard metrics in the home currency
+ * @param {String} userId - User ID
+ * @param {Number} year - Year
+ * @param {String} homeCurrency - User's home currency
+ * @returns {Promise<Object>} - Totals, category and monthly totals, and count of unconverted expenses
+ */
+const aggregateYearlyDashboard = async (userId, year, homeCurrency) => {
     const userObjectId = new mongoose.Types.ObjectId(userId);
     const startOfYear = new Date(year, 0, 1);
     const endOfYear = new Date(year + 1, 0, 1);
@@ -89,7 +373,8 @@ const aggregateYearlyDashboard = async (userId, year) => {
         {
             $match: {
                 userId: userObjectId,
-                date: { $gte: startOfYear, $lt: endOfYear }
+                date: { $gte: startOfYear, $lt: endOfYear },
+                ...NOT_PENDING
             }
         },
         {
@@ -98,27 +383,39 @@ const aggregateYearlyDashboard = async (userId, year) => {
                     {
                         $group: {
                             _id: null,
-                            totalAmount: { $sum: '$amount' },
-                            expenseCount: { $sum: 1 }
+                            totalAmount: { $sum: homeAmountExpression(homeCurrency) },
+                            expenseCount: { $sum: 1 },
+                            unconvertedCount: { $sum: unconvertedExpression(homeCurrency) }
                         }
                     }
                 ],
+                // Split expenses count their split amounts under each category
                 categoryTotals: [
+                    ...categoryEntryStages(homeCurrency),
                     {
                         $group: {
                             _id: {
-                                $cond: [
-                                    {
-                                        $or: [
-                                            { $eq: ['$category', null] },
-                                            { $eq: ['$category', ''] }
-                                        ]
-                                    },
-                                    'Uncategorized',
-                                    '$category'
-                                ]
+                                category: {
+                                    $cond: [
+                                        {
+                                            $or: [
+                                                { $eq: [{ $ifNull: ['$entry.category', null] }, null] },
+                                                { $eq: ['$entry.category', ''] }
+                                            ]
+                                        },
+                                        'Uncategorized',
+                                        '$entry.category'
+                                    ]
+                                },
+                                expenseId: '$_id'
                             },
-                            totalAmount: { $sum: '$amount' },
+                            totalAmount: { $sum: '$entry.amount' }
+                        }
+                    },
+                    {
+                        $group: {
+                            _id: '$_id.category',
+                            totalAmount: { $sum: '$totalAmount' },
                             expenseCount: { $sum: 1 }
                         }
                     },
@@ -126,7 +423,7 @@ const aggregateYearlyDashboard = async (userId, year) => {
                         $project: {
                             _id: 0,
                             category: '$_id',
-                            totalAmount: 1,
+                            totalAmount: { $round: ['$totalAmount', 2] },
                             expenseCount: 1
                         }
                     },
@@ -138,7 +435,7 @@ const aggregateYearlyDashboard = async (userId, year) => {
                     {
                         $group: {
                             _id: { month: { $month: '$date' } },
-                            totalAmount: { $sum: '$amount' },
+                            totalAmount: { $sum: homeAmountExpression(homeCurrency) },
                             expenseCount: { $sum: 1 }
                         }
                     },
@@ -163,12 +460,74 @@ const aggregateYearlyDashboard = async (userId, year) => {
     return {
         totalAmount: yearlyTotalEntry.totalAmount || 0,
         expenseCount: yearlyTotalEntry.expenseCount || 0,
+        unconvertedCount: yearlyTotalEntry.unconvertedCount || 0,
         categoryTotals: result?.categoryTotals || [],
         monthlyTotals: result?.monthlyTotals || []
     };
 };
 
-const aggregateAllTimeMetrics = async (userId) => {
+/**
+ * Aggregate spending in a date range, overall and per category
+ * @param {String} userId - User ID
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (exclusive)
+ * @param {String} homeCurrency - User's home currency (amounts are summed in it)
+ * @returns {Promise<Object>} - Total amount and category totals (category names lowercased)
+ */
+const aggregateSpending = async (userId, startDate, endDate, homeCurrency) => {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const [result] = await Expense.aggregate([
+        {
+            $match: {
+                userId: userObjectId,
+                date: { $gte: startDate, $lt: endDate },
+                ...NOT_PENDING
+            }
+        },
+        {
+            $facet: {
+                total: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalAmount: { $sum: homeAmountExpression(homeCurrency) }
+                        }
+                    }
+                ],
+                categoryTotals: [
+                    ...categoryEntryStages(homeCurrency),
+                    {
+                        $group: {
+                            _id: { $toLower: { $ifNull: ['$entry.category', ''] } },
+                            totalAmount: { $sum: '$entry.amount' }
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 0,
+                            category: '$_id',
+                            totalAmount: 1
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        totalAmount: result?.total?.[0]?.totalAmount || 0,
+        categoryTotals: result?.categoryTotals || []
+    };
+};
+
+/**
+ * Aggregate all-time dashboard metrics in the home currency
+ * @param {String} userId - User ID
+ * @param {String} homeCurrency - User's home currency
+ * @returns {Promise<Object>} - Totals, category count, current month total and count of unconverted expenses
+ */
+const aggregateAllTimeMetrics = async (userId, homeCurrency) => {
     const userObjectId = new mongoose.Types.ObjectId(userId);
     const now = new Date();
     const startOfCurrentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -176,7 +535,7 @@ const aggregateAllTimeMetrics = async (userId) => {
 
     const [result] = await Expense.aggregate([
         {
-            $match: { userId: userObjectId }
+            $match: { userId: userObjectId, ...NOT_PENDING }
         },
         {
             $facet: {
@@ -184,19 +543,21 @@ const aggregateAllTimeMetrics = async (userId) => {
                     {
                         $group: {
                             _id: null,
-                            totalAmount: { $sum: '$amount' },
-                            expenseCount: { $sum: 1 }
+                            totalAmount: { $sum: homeAmountExpression(homeCurrency) },
+                            expenseCount: { $sum: 1 },
+                            unconvertedCount: { $sum: unconvertedExpression(homeCurrency) }
                         }
                     }
                 ],
                 distinctCategories: [
+                    ...categoryEntryStages(homeCurrency),
                     {
                         $match: {
-                            category: { $exists: true, $nin: [null, ''] }
+                            'entry.category': { $exists: true, $nin: [null, ''] }
                         }
                     },
                     {
-                        $group: { _id: '$category' }
+                        $group: { _id: '$entry.category' }
                     },
                     {
                         $group: {
@@ -214,7 +575,7 @@ const aggregateAllTimeMetrics = async (userId) => {
                     {
                         $group: {
                             _id: null,
-                            totalAmount: { $sum: '$amount' }
+                            totalAmount: { $sum: homeAmountExpression(homeCurrency) }
                         }
                     }
                 ]
@@ -229,6 +590,7 @@ const aggregateAllTimeMetrics = async (userId) => {
     return {
         totalAmount: totalExpensesEntry.totalAmount || 0,
         expenseCount: totalExpensesEntry.expenseCount || 0,
+        unconvertedCount: totalExpensesEntry.unconvertedCount || 0,
         categoryCount: categoryCountEntry.count || 0,
         currentMonthTotal: currentMonthEntry.totalAmount || 0
     };
@@ -236,13 +598,28 @@ const aggregateAllTimeMetrics = async (userId) => {
 
 module.exports = {
     create,
+    createMany,
     findById,
     findByUserId,
+    searchByUserId,
+    countSearchResults,
+    streamByUserId,
     findByReceiptId,
+    setReceipt,
     update,
     deleteById,
+    findIdsByImportJobId,
+    deleteByImportJobId,
+    streamForConversion,
+    setHomeAmounts,
+    findUserIdsMissingHomeAmount,
+    findBankMatchCandidates,
+    clearBankTransactions,
     countByUserId,
+    renameCategory,
+    countByCategory,
     aggregateYearlyDashboard,
-    aggregateAllTimeMetrics
+    aggregateAllTimeMetrics,
+    aggregateSpending
 };
 
@@ -0,0 +1,100 @@
+const ImportJob = require('../models/ImportJob');
+
+/**
+ * Create new import job
+ * @param {Object} jobData - Import job data
+ * @returns {Promise<Object>} - Created import job document
+ */
+const create = async (jobData) => {
+    const importJob = new ImportJob(jobData);
+    return await importJob.save();
+};
+
+/**
+ * Find import job by ID
+ * @param {String} jobId - Import job ID
+ * @param {Object} options - Query options (withFileContent)
+ * @returns {Promise<Object|null>} - Import job document or null
+ */
+const findById = async (jobId, options = {}) => {
+    const query = ImportJob.findById(jobId);
+
+    if (options.withFileContent) {
+        query.select('+fileContent');
+    }
+
+    return await query;
+};
+
+/**
+ * Find import jobs by user ID
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (limit, skip)
+ * @returns {Promise<Array>} - Array of import job documents (newest first, without row errors)
+ */
+const findByUserId = async (userId, options = {}) => {
+    const { limit = 20, skip = 0 } = options;
+
+    return await ImportJob.find({ userId })
+        .select('-rowErrors')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip);
+};
+
+/**
+ * Count user import jobs
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} - Count of import jobs
+ */
+const countByUserId = async (userId) => {
+    return await ImportJob.countDocuments({ userId });
+};
+
+/**
+ * Move import job from one status to another, only if it still has the expected status
+ * @param {String} jobId - Import job ID
+ * @param {String} fromStatus - Expected current status
+ * @param {Object} updateData - Data to update (including the new status)
+ * @returns {Promise<Object|null>} - Updated document, or null if the status already changed
+ */
+const transition = async (jobId, fromStatus, updateData) => {
+    return await ImportJob.findOneAndUpdate(
+        { _id: jobId, status: fromStatus },
+        { ...updateData, updatedAt: Date.now() },
+        { new: true }
+    );
+};
+
+/**
+ * Update import job
+ * @param {String} jobId - Import job ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} - Updated import job document or null
+ */
+const update = async (jobId, updateData) => {
+    return await ImportJob.findByIdAndUpdate(
+        jobId,
+        { ...updateData, updatedAt: Date.now() },
+        { new: true }
+    );
+};
+
+/**
+ * Delete import job
+ * @param {String} jobId - Import job ID
+ * @returns {Promise<Object|null>} - Deleted import job document or null
+ */
+const deleteById = async (jobId) => {
+    return await ImportJob.findByIdAndDelete(jobId);
+};
+
+module.exports = {
+    create,
+    findById,
+    findByUserId,
+    countByUserId,
+    transition,
+    update,
+    deleteById
+};
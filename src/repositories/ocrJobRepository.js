@@ -0,0 +1,141 @@
+const OcrJob = require('../models/OcrJob');
+const { OCR_QUEUE } = require('../constants');
+
+/**
+ * Queue receipt for OCR - creates its job, or resets the existing one to a fresh start
+ * @param {String} receiptId - Receipt ID
+ * @param {String} userId - Receipt owner
+ * @param {Object} options - OCR options ({ languages, preprocessingSteps }) - replace those of a previous run
+ * @returns {Promise<Object>} - Queued job document
+ */
+const enqueue = async (receiptId, userId, options = {}) => {
+    const now = new Date();
+
+    return await OcrJob.findOneAndUpdate(
+        { receiptId },
+        {
+            $set: {
+                userId,
+                state: 'queued',
+                attempts: 0,
+                runAt: now,
+                leaseOwner: null,
+                leaseExpiresAt: null,
+                lastError: null,
+                finishedAt: null,
+                options,
+                updatedAt: now
+            },
+            $setOnInsert: { createdAt: now }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Lease the next job that is due, or whose previous worker's lease ran out, and count the attempt
+ * @param {String} owner - Worker ID
+ * @param {Number} leaseSeconds - Lease length
+ * @returns {Promise<Object|null>} - Leased job document, or null if nothing is due
+ */
+const claimNext = async (owner, leaseSeconds) => {
+    const now = new Date();
+
+    return await OcrJob.findOneAndUpdate(
+        {
+            $or: [
+                { state: 'queued', runAt: { $lte: now } },
+                { state: 'running', leaseExpiresAt: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                state: 'running',
+                leaseOwner: owner,
+                leaseExpiresAt: new Date(now.getTime() + leaseSeconds * 1000),
+                startedAt: now,
+                updatedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Extend the lease of a running job (heartbeat)
+ * @param {String} jobId - Job ID
+ * @param {String} owner - Worker ID
+ * @param {Number} leaseSeconds - Lease length from now
+ * @returns {Promise<Boolean>} - False if the worker no longer holds the job
+ */
+const renewLease = async (jobId, owner, leaseSeconds) => {
+    const result = await OcrJob.updateOne(
+        { _id: jobId, state: 'running', leaseOwner: owner },
+        { leaseExpiresAt: new Date(Date.now() + leaseSeconds * 1000), updatedAt: Date.now() }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Release a running job held by a worker (completed, failed, or queued again for a retry)
+ * @param {String} jobId - Job ID
+ * @param {String} owner - Worker ID
+ * @param {Object} updateData - Data to update (including the new state)
+ * @returns {Promise<Object|null>} - Updated document, or null if the worker lost the job (lease taken over or re-queued)
+ */
+const release = async (jobId, owner, updateData) => {
+    return await OcrJob.findOneAndUpdate(
+        { _id: jobId, state: 'running', leaseOwner: owner },
+        { ...updateData, leaseOwner: null, leaseExpiresAt: null, updatedAt: Date.now() },
+        { new: true }
+    );
+};
+
+/**
+ * Find which of the given receipts have a queued or running job
+ * @param {Array<String>} receiptIds - Receipt IDs
+ * @returns {Promise<Array>} - Receipt IDs with an active job
+ */
+const findActiveReceiptIds = async (receiptIds) => {
+    return await OcrJob.distinct('receiptId', {
+        receiptId: { $in: receiptIds },
+        state: { $in: ['queued', 'running'] }
+    });
+};
+
+/**
+ * Count jobs per state
+ * @returns {Promise<Object>} - { queued, running, completed, failed }
+ */
+const countByState = async () => {
+    const counts = await OcrJob.aggregate([
+        { $group: { _id: '$state', count: { $sum: 1 } } }
+    ]);
+
+    return OCR_QUEUE.JOB_STATES.reduce((result, state) => {
+        const entry = counts.find((item) => item._id === state);
+        result[state] = entry ? entry.count : 0;
+        return result;
+    }, {});
+};
+
+/**
+ * Delete the job of a receipt
+ * @param {String} receiptId - Receipt ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteByReceiptId = async (receiptId) => {
+    return await OcrJob.deleteOne({ receiptId });
+};
+
+module.exports = {
+    enqueue,
+    claimNext,
+    renewLease,
+    release,
+    findActiveReceiptIds,
+    countByState,
+    deleteByReceiptId
+};
@@ -22,18 +22,37 @@ const findById = async (receiptId) => {
 /**
  * Find receipts by user ID
  * @param {String} userId - User ID
- * @param {Object} options - Query options (limit, skip, sort)
+ * @param {Object} options - Query options (limit, skip, sort, filter)
  * @returns {Promise<Array>} - Array of receipt documents
  */
 const findByUserId = async (userId, options = {}) => {
-    const { limit = 10, skip = 0, sort = { uploadedAt: -1 } } = options;
+    const { limit = 10, skip = 0, sort = { uploadedAt: -1 }, filter = {} } = options;
     
-    return await Receipt.find({ userId })
+    // OCR lines and words are only needed on the receipt itself
+    return await Receipt.find({ userId, ...filter })
+        .select('-ocrLines')
         .sort(sort)
         .limit(limit)
         .skip(skip);
 };
 
+/**
+ * Find receipts in the given OCR states (for recovery after a restart, or to reprocess failed ones)
+ * @param {Array<String>} ocrStatuses - OCR states
+ * @param {String} userId - Only receipts of this user (optional)
+ * @returns {Promise<Array>} - Receipts (_id, userId and ocrStatus only)
+ */
+const findByOcrStatus = async (ocrStatuses, userId = null) => {
+    const filter = { ocrStatus: { $in: ocrStatuses } };
+    if (userId) {
+        filter.userId = userId;
+    }
+
+    return await Receipt.find(filter)
+        .select('_id userId ocrStatus')
+        .lean();
+};
+
 /**
  * Update receipt
  * @param {String} receiptId - Receipt ID
@@ -70,6 +89,7 @@ module.exports = {
     create,
     findById,
     findByUserId,
+    findByOcrStatus,
     update,
     deleteById,
     countByUserId
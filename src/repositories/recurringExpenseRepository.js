@@ -0,0 +1,127 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const Category = require('../models/Category');
+
+/**
+ * Create new recurring expense
+ * @param {Object} recurringData - Recurring expense data
+ * @returns {Promise<Object>} - Created recurring expense document
+ */
+const create = async (recurringData) => {
+    const recurringExpense = new RecurringExpense(recurringData);
+    return await recurringExpense.save();
+};
+
+/**
+ * Find recurring expense by ID
+ * @param {String} recurringId - Recurring expense ID
+ * @returns {Promise<Object|null>} - Recurring expense document or null
+ */
+const findById = async (recurringId) => {
+    return await RecurringExpense.findById(recurringId);
+};
+
+/**
+ * Find recurring expenses by user ID
+ * @param {String} userId - User ID
+ * @param {Object} filter - Optional filter
+ * @returns {Promise<Array>} - Array of recurring expense documents (newest first)
+ */
+const findByUserId = async (userId, filter = {}) => {
+    return await RecurringExpense.find({ userId, ...filter }).sort({ createdAt: -1 });
+};
+
+/**
+ * Find active recurring expenses with an occurrence due
+ * @param {Date} now - Current time
+ * @param {Number} limit - Maximum number of documents
+ * @returns {Promise<Array>} - Array of recurring expense documents (most overdue first)
+ */
+const findDue = async (now, limit) => {
+    return await RecurringExpense.find({
+        isActive: true,
+        nextOccurrenceAt: { $ne: null, $lte: now }
+    })
+        .sort({ nextOccurrenceAt: 1 })
+        .limit(limit);
+};
+
+/**
+ * Update recurring expense
+ * @param {String} recurringId - Recurring expense ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} - Updated recurring expense document or null
+ */
+const update = async (recurringId, updateData) => {
+    return await RecurringExpense.findByIdAndUpdate(
+        recurringId,
+        { ...updateData, updatedAt: Date.now() },
+        { new: true, runValidators: true }
+    );
+};
+
+/**
+ * Move to the next occurrence, only if no one else has done so already
+ * @param {String} recurringId - Recurring expense ID
+ * @param {Number} expectedIndex - Occurrence index that was just generated
+ * @param {Date} occurrenceDate - Date of the generated occurrence
+ * @param {Date|null} nextOccurrenceAt - Date of the following occurrence (null when the schedule ended)
+ * @returns {Promise<Object|null>} - Updated document, or null if the occurrence was already advanced
+ */
+const advanceOccurrence = async (recurringId, expectedIndex, occurrenceDate, nextOccurrenceAt) => {
+    return await RecurringExpense.findOneAndUpdate(
+        { _id: recurringId, nextOccurrenceIndex: expectedIndex },
+        {
+            nextOccurrenceIndex: expectedIndex + 1,
+            nextOccurrenceAt,
+            lastOccurrenceAt: occurrenceDate
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Rename category on all user recurring expenses (case-insensitive match)
+ * @param {String} userId - User ID
+ * @param {String} fromCategory - Current category name
+ * @param {String} toCategory - New category name
+ * @returns {Promise<Object>} - Update result
+ */
+const renameCategory = async (userId, fromCategory, toCategory) => {
+    return await RecurringExpense.updateMany(
+        { userId, category: fromCategory },
+        { category: toCategory, updatedAt: Date.now() },
+        { collation: Category.NAME_COLLATION }
+    );
+};
+
+/**
+ * Count user recurring expenses in a category (case-insensitive match)
+ * @param {String} userId - User ID
+ * @param {String} category - Category name
+ * @returns {Promise<Number>} - Count of recurring expenses
+ */
+const countByCategory = async (userId, category) => {
+    return await RecurringExpense.countDocuments({ userId, category })
+        .collation(Category.NAME_COLLATION);
+};
+
+/**
+ * Delete recurring expense
+ * @param {String} recurringId - Recurring expense ID
+ * @returns {Promise<Object|null>} - Deleted recurring expense document or null
+ */
+const deleteById = async (recurringId) => {
+    return await RecurringExpense.findByIdAndDelete(recurringId);
+};
+
+module.exports = {
+    create,
+    findById,
+    findByUserId,
+    findDue,
+    update,
+    advanceOccurrence,
+    renameCategory,
+    countByCategory,
+    deleteById
+};
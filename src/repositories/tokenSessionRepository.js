@@ -0,0 +1,113 @@
+const TokenSession = require('../models/TokenSession');
+
+/**
+ * Create new token session
+ * @param {Object} sessionData - Session data (userId, refreshTokenHash, expiresAt, ip, userAgent)
+ * @returns {Promise<Object>} - Created session document
+ */
+const create = async (sessionData) => {
+    const session = new TokenSession(sessionData);
+    return await session.save();
+};
+
+/**
+ * Find session by ID
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const findById = async (sessionId) => {
+    return await TokenSession.findById(sessionId);
+};
+
+/**
+ * Find active sessions by user ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of active session documents (most recently used first)
+ */
+const findActiveByUserId = async (userId) => {
+    return await TokenSession.find({
+        userId,
+        isActive: true,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Find session by a refresh token hash that has already been rotated out
+ * @param {String} tokenHash - Hashed refresh token
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const findByPreviousTokenHash = async (tokenHash) => {
+    return await TokenSession.findOne({ previousTokenHashes: tokenHash });
+};
+
+/**
+ * Atomically rotate the refresh token of an active session
+ * Only succeeds if the current hash still matches, so concurrent use of the same token rotates once.
+ * @param {String} currentHash - Hash of the refresh token being presented
+ * @param {String} newHash - Hash of the newly issued refresh token
+ * @param {Date} expiresAt - New session expiry
+ * @returns {Promise<Object|null>} - Updated session document or null
+ */
+const rotate = async (currentHash, newHash, expiresAt) => {
+    return await TokenSession.findOneAndUpdate(
+        {
+            refreshTokenHash: currentHash,
+            isActive: true,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                refreshTokenHash: newHash,
+                lastUsedAt: Date.now(),
+                expiresAt
+            },
+            // Keep a bounded history of rotated hashes for reuse detection
+            $push: { previousTokenHashes: { $each: [currentHash], $slice: -50 } }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Revoke session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Object|null>} - Updated session document or null
+ */
+const revoke = async (sessionId, reason) => {
+    return await TokenSession.findByIdAndUpdate(
+        sessionId,
+        { isActive: false, revokedAt: Date.now(), revokedReason: reason },
+        { new: true }
+    );
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {String} exceptSessionId - Optional session ID to keep active
+ * @returns {Promise<Object>} - Update result
+ */
+const revokeAllByUserId = async (userId, reason, exceptSessionId = null) => {
+    const filter = { userId, isActive: true };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    return await TokenSession.updateMany(
+        filter,
+        { isActive: false, revokedAt: Date.now(), revokedReason: reason }
+    );
+};
+
+module.exports = {
+    create,
+    findById,
+    findActiveByUserId,
+    findByPreviousTokenHash,
+    rotate,
+    revoke,
+    revokeAllByUserId
+};
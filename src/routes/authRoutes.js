@@ -2,8 +2,8 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const authController = require('../controllers/authController');
-const { registerValidation, loginValidation, emailConfirmValidation, updateProfileValidation, forgetPasswordValidation, resetPasswordValidation, handleValidationErrors } = require('../validations/authValidation');
-const { auth, requireGuest } = require('../middleware/auth');
+const { registerValidation, loginValidation, twoFactorCodeValidation, loginTwoFactorValidation, disableTwoFactorValidation, emailConfirmValidation, refreshTokenValidation, sessionIdValidation, updateProfileValidation, forgetPasswordValidation, resetPasswordValidation, unlockAccountValidation, createApiTokenValidation, apiTokenIdValidation, handleValidationErrors } = require('../validations/authValidation');
+const { auth, requireSessionAuth, requireGuest } = require('../middleware/auth');
 const upload = require('../utils/upload');
 
 // Multer for handling multipart/form-data (without files)
@@ -23,6 +23,13 @@ router.post('/register', uploadNone.none(), registerValidation, handleValidation
  */
 router.post('/login', loginValidation, handleValidationErrors, authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with TOTP or recovery code
+ * @access  Public (requires MFA token from login)
+ */
+router.post('/login/2fa', loginTwoFactorValidation, handleValidationErrors, authController.loginWithTwoFactor);
+
 /**
  * @route   POST /api/auth/verify-email
  * @desc    Verify email with token
@@ -30,6 +37,13 @@ router.post('/login', loginValidation, handleValidationErrors, authController.lo
  */
 router.post('/verify-email', uploadNone.none(), emailConfirmValidation, handleValidationErrors, authController.verifyEmail);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and get a new access token
+ * @access  Public (requires valid refresh token)
+ */
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, authController.refresh);
+
 /**
  * @route   POST /api/auth/forget-password
  * @desc    Request password reset - sends verification code to email
@@ -39,31 +53,101 @@ router.post('/forget-password', requireGuest, uploadNone.none(), forgetPasswordV
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password using verification code
+ * @desc    Reset password using verification code (email optional)
  * @access  Public (unauthenticated users only)
  */
 router.post('/reset-password', requireGuest, uploadNone.none(), resetPasswordValidation, handleValidationErrors, authController.resetPassword);
 
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Unlock account locked after too many failed logins
+ * @access  Public
+ */
+router.post('/unlock-account', uploadNone.none(), unlockAccountValidation, handleValidationErrors, authController.unlockAccount);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revokes the current session)
+ * @access  Private (requires authentication)
+ */
+router.post('/logout', auth, requireSessionAuth, authController.logout);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (device, IP, user agent)
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', auth, requireSessionAuth, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere - revoke all sessions
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions', auth, requireSessionAuth, authController.revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a single session
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions/:id', auth, requireSessionAuth, sessionIdValidation, handleValidationErrors, authController.revokeSession);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create personal access token (token is returned only once)
+ * @access  Private (requires authentication)
+ */
+router.post('/tokens', auth, requireSessionAuth, createApiTokenValidation, handleValidationErrors, authController.createApiToken);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List personal access tokens
+ * @access  Private (requires authentication)
+ */
+router.get('/tokens', auth, requireSessionAuth, authController.getApiTokens);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke personal access token
+ * @access  Private (requires authentication)
+ */
+router.delete('/tokens/:id', auth, requireSessionAuth, apiTokenIdValidation, handleValidationErrors, authController.revokeApiToken);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/setup', auth, requireSessionAuth, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm two-factor enrollment with first code (returns recovery codes)
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/confirm', auth, requireSessionAuth, twoFactorCodeValidation, handleValidationErrors, authController.confirmTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
  * @access  Private (requires authentication)
  */
-router.post('/logout', auth, authController.logout);
+router.post('/2fa/disable', auth, requireSessionAuth, disableTwoFactorValidation, handleValidationErrors, authController.disableTwoFactor);
 
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
  * @access  Private (requires authentication)
  */
-router.get('/profile', auth, authController.getProfile);
+router.get('/profile', auth, requireSessionAuth, authController.getProfile);
 
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update user profile (name, password, avatar image)
+ * @desc    Update user profile (name, currency, receipt language, password, avatar image)
  * @access  Private (requires authentication)
  */
-router.put('/profile', auth, upload.single('image'), updateProfileValidation, handleValidationErrors, authController.updateProfile);
+router.put('/profile', auth, requireSessionAuth, upload.single('image'), updateProfileValidation, handleValidationErrors, authController.updateProfile);
 
 module.exports = router;
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const bankTransactionController = require('../controllers/bankTransactionController');
+const { auth, requireScope } = require('../middleware/auth');
+const {
+    bankTransactionIdValidation,
+    bankTransactionListValidation,
+    matchBankTransactionValidation,
+    handleValidationErrors
+} = require('../validations/bankTransactionValidation');
+
+/**
+ * @route   GET /api/bank-transactions
+ * @desc    Get imported statement lines (filter by status or import)
+ * @access  Private
+ */
+router.get('/', auth, requireScope('expenses:read'), bankTransactionListValidation, handleValidationErrors, bankTransactionController.getBankTransactions);
+
+/**
+ * @route   GET /api/bank-transactions/:id
+ * @desc    Get statement line by ID
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('expenses:read'), bankTransactionIdValidation, handleValidationErrors, bankTransactionController.getBankTransaction);
+
+/**
+ * @route   POST /api/bank-transactions/:id/confirm
+ * @desc    Accept suggested match, or keep the pending expense
+ * @access  Private
+ */
+router.post('/:id/confirm', auth, requireScope('expenses:write'), bankTransactionIdValidation, handleValidationErrors, bankTransactionController.confirmBankTransaction);
+
+/**
+ * @route   POST /api/bank-transactions/:id/reject
+ * @desc    Reject suggested match (creates pending expense) or pending expense (ignores the line)
+ * @access  Private
+ */
+router.post('/:id/reject', auth, requireScope('expenses:write'), bankTransactionIdValidation, handleValidationErrors, bankTransactionController.rejectBankTransaction);
+
+/**
+ * @route   POST /api/bank-transactions/:id/match
+ * @desc    Match statement line to an expense manually
+ * @access  Private
+ */
+router.post('/:id/match', auth, requireScope('expenses:write'), matchBankTransactionValidation, handleValidationErrors, bankTransactionController.matchBankTransaction);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const budgetController = require('../controllers/budgetController');
+const { auth, requireScope } = require('../middleware/auth');
+const {
+    budgetIdValidation,
+    createBudgetValidation,
+    updateBudgetValidation,
+    budgetStatusValidation,
+    handleValidationErrors
+} = require('../validations/budgetValidation');
+
+/**
+ * @route   GET /api/budgets
+ * @desc    Get user budgets
+ * @access  Private
+ */
+router.get('/', auth, requireScope('expenses:read'), budgetController.getBudgets);
+
+/**
+ * @route   POST /api/budgets
+ * @desc    Create overall or per-category budget
+ * @access  Private
+ */
+router.post('/', auth, requireScope('expenses:write'), createBudgetValidation, handleValidationErrors, budgetController.createBudget);
+
+/**
+ * @route   GET /api/budgets/status
+ * @desc    Get spent vs remaining for all budgets in the current (or given) period
+ * @access  Private
+ */
+router.get('/status', auth, requireScope('expenses:read'), budgetStatusValidation, handleValidationErrors, budgetController.getBudgetStatus);
+
+/**
+ * @route   GET /api/budgets/:id
+ * @desc    Get budget by ID
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('expenses:read'), budgetIdValidation, handleValidationErrors, budgetController.getBudget);
+
+/**
+ * @route   PUT /api/budgets/:id
+ * @desc    Update budget
+ * @access  Private
+ */
+router.put('/:id', auth, requireScope('expenses:write'), updateBudgetValidation, handleValidationErrors, budgetController.updateBudget);
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Delete budget
+ * @access  Private
+ */
+router.delete('/:id', auth, requireScope('expenses:write'), budgetIdValidation, handleValidationErrors, budgetController.deleteBudget);
+
+module.exports = router;
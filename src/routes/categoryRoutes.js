@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { auth, requireScope } = require('../middleware/auth');
+const {
+    categoryIdValidation,
+    categoryListValidation,
+    createCategoryValidation,
+    updateCategoryValidation,
+    mergeCategoryValidation,
+    handleValidationErrors
+} = require('../validations/categoryValidation');
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get user categories (defaults are seeded on first use)
+ * @access  Private
+ */
+router.get('/', auth, requireScope('expenses:read'), categoryListValidation, handleValidationErrors, categoryController.getCategories);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create category
+ * @access  Private
+ */
+router.post('/', auth, requireScope('expenses:write'), createCategoryValidation, handleValidationErrors, categoryController.createCategory);
+
+/**
+ * @route   GET /api/categories/:id
+ * @desc    Get category by ID
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('expenses:read'), categoryIdValidation, handleValidationErrors, categoryController.getCategory);
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update category (rename rewrites existing expenses)
+ * @access  Private
+ */
+router.put('/:id', auth, requireScope('expenses:write'), updateCategoryValidation, handleValidationErrors, categoryController.updateCategory);
+
+/**
+ * @route   POST /api/categories/:id/merge
+ * @desc    Merge category into another category
+ * @access  Private
+ */
+router.post('/:id/merge', auth, requireScope('expenses:write'), mergeCategoryValidation, handleValidationErrors, categoryController.mergeCategory);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete unused category
+ * @access  Private
+ */
+router.delete('/:id', auth, requireScope('expenses:write'), categoryIdValidation, handleValidationErrors, categoryController.deleteCategory);
+
+module.exports = router;
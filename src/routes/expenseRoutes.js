@@ -1,57 +1,104 @@
 const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expenseController');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope } = require('../middleware/auth');
 const {
     createExpenseValidation,
     updateExpenseValidation,
     expenseIdValidation,
-    expenseFilterValidation,
+    deleteExpenseValidation,
+    splitExpenseValidation,
+    attachReceiptValidation,
+    expenseListValidation,
+    exportExpenseValidation,
+    searchExpenseValidation,
     dashboardQueryValidation,
     handleValidationErrors
 } = require('../validations/expenseValidation');
 
 /**
  * @route   POST /api/expenses
- * @desc    Create expense manually
+ * @desc    Create expense manually (receipt is optional)
  * @access  Private
  */
-router.post('/', auth, createExpenseValidation, handleValidationErrors, expenseController.createExpense);
+router.post('/', auth, requireScope('expenses:write'), createExpenseValidation, handleValidationErrors, expenseController.createExpense);
 
 /**
  * @route   GET /api/expenses
- * @desc    Get user expenses with filters
+ * @desc    Get user expenses with filters and sorting
  * @access  Private
  */
-router.get('/', auth, expenseFilterValidation, handleValidationErrors, expenseController.getUserExpenses);
+router.get('/', auth, requireScope('expenses:read'), expenseListValidation, handleValidationErrors, expenseController.getUserExpenses);
+
+/**
+ * @route   GET /api/expenses/export?format=csv|xlsx&columns=date,amount,...
+ * @desc    Export user expenses as a spreadsheet (same filters as the list)
+ * @access  Private
+ */
+router.get('/export', auth, requireScope('expenses:read'), exportExpenseValidation, handleValidationErrors, expenseController.exportExpenses);
+
+/**
+ * @route   GET /api/expenses/search?q=drill
+ * @desc    Full-text search over OCR text, merchant and notes, with relevance score and highlighted OCR snippets
+ * @access  Private
+ */
+router.get('/search', auth, requireScope('expenses:read'), searchExpenseValidation, handleValidationErrors, expenseController.searchExpenses);
 
 /**
  * @route   GET /api/expenses/dashboard
  * @desc    Get dashboard metrics for a selected year
  * @access  Private
  */
-router.get('/dashboard', auth, dashboardQueryValidation, handleValidationErrors, expenseController.getDashboardSummary);
+router.get('/dashboard', auth, requireScope('expenses:read'), dashboardQueryValidation, handleValidationErrors, expenseController.getDashboardSummary);
 
 /**
  * @route   GET /api/expenses/:id
  * @desc    Get expense by ID
  * @access  Private
  */
-router.get('/:id', auth, expenseIdValidation, handleValidationErrors, expenseController.getExpense);
+router.get('/:id', auth, requireScope('expenses:read'), expenseIdValidation, handleValidationErrors, expenseController.getExpense);
 
 /**
  * @route   PUT /api/expenses/:id
  * @desc    Update expense
  * @access  Private
  */
-router.put('/:id', auth, updateExpenseValidation, handleValidationErrors, expenseController.updateExpense);
+router.put('/:id', auth, requireScope('expenses:write'), updateExpenseValidation, handleValidationErrors, expenseController.updateExpense);
+
+/**
+ * @route   PUT /api/expenses/:id/splits
+ * @desc    Split expense across categories (replaces current splits; amounts must add up to the expense amount)
+ * @access  Private
+ */
+router.put('/:id/splits', auth, requireScope('expenses:write'), splitExpenseValidation, handleValidationErrors, expenseController.setSplits);
+
+/**
+ * @route   DELETE /api/expenses/:id/splits
+ * @desc    Remove expense splits
+ * @access  Private
+ */
+router.delete('/:id/splits', auth, requireScope('expenses:write'), expenseIdValidation, handleValidationErrors, expenseController.clearSplits);
+
+/**
+ * @route   PUT /api/expenses/:id/receipt
+ * @desc    Attach receipt to expense
+ * @access  Private
+ */
+router.put('/:id/receipt', auth, requireScope('expenses:write'), attachReceiptValidation, handleValidationErrors, expenseController.attachReceipt);
+
+/**
+ * @route   DELETE /api/expenses/:id/receipt
+ * @desc    Detach receipt from expense (receipt is kept)
+ * @access  Private
+ */
+router.delete('/:id/receipt', auth, requireScope('expenses:write'), expenseIdValidation, handleValidationErrors, expenseController.detachReceipt);
 
 /**
  * @route   DELETE /api/expenses/:id
- * @desc    Delete expense
+ * @desc    Delete expense (receipt is kept unless ?deleteReceipt=true)
  * @access  Private
  */
-router.delete('/:id', auth, expenseIdValidation, handleValidationErrors, expenseController.deleteExpense);
+router.delete('/:id', auth, requireScope('expenses:write'), deleteExpenseValidation, handleValidationErrors, expenseController.deleteExpense);
 
 module.exports = router;
 
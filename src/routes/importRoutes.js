@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { auth, requireScope } = require('../middleware/auth');
+const upload = require('../utils/upload');
+const {
+    importJobIdValidation,
+    importOptionsValidation,
+    commitImportValidation,
+    statementImportValidation,
+    importListValidation,
+    handleValidationErrors
+} = require('../validations/importValidation');
+
+/**
+ * @route   POST /api/imports/csv
+ * @desc    Upload CSV file - detects columns and formats, nothing is imported yet
+ * @access  Private
+ */
+router.post('/csv', auth, requireScope('expenses:write'), upload.csv.single('file'), importController.uploadCsv);
+
+/**
+ * @route   POST /api/imports/statement
+ * @desc    Import OFX/QFX or QIF bank statement - debits are matched to receipt expenses or become pending expenses
+ * @access  Private
+ */
+router.post('/statement', auth, requireScope('expenses:write'), upload.statement.single('file'), statementImportValidation, handleValidationErrors, importController.uploadStatement);
+
+/**
+ * @route   GET /api/imports
+ * @desc    Get user imports
+ * @access  Private
+ */
+router.get('/', auth, requireScope('expenses:read'), importListValidation, handleValidationErrors, importController.getImportJobs);
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Get import by ID (including per-row errors)
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('expenses:read'), importJobIdValidation, handleValidationErrors, importController.getImportJob);
+
+/**
+ * @route   POST /api/imports/:id/preview
+ * @desc    Validate all rows with a column mapping, without importing
+ * @access  Private
+ */
+router.post('/:id/preview', auth, requireScope('expenses:write'), importOptionsValidation, handleValidationErrors, importController.previewImport);
+
+/**
+ * @route   POST /api/imports/:id/commit
+ * @desc    Import rows as expenses in one batch
+ * @access  Private
+ */
+router.post('/:id/commit', auth, requireScope('expenses:write'), commitImportValidation, handleValidationErrors, importController.commitImport);
+
+/**
+ * @route   DELETE /api/imports/:id
+ * @desc    Undo completed import (deletes its expenses and statement lines) or discard pending one
+ * @access  Private
+ */
+router.delete('/:id', auth, requireScope('expenses:write'), importJobIdValidation, handleValidationErrors, importController.undoImport);
+
+module.exports = router;
@@ -1,36 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const receiptController = require('../controllers/receiptController');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope, requireRole } = require('../middleware/auth');
 const upload = require('../utils/upload');
-const { getReceiptValidation, paginationValidation, handleValidationErrors } = require('../validations/receiptValidation');
+const {
+    getReceiptValidation,
+    deleteReceiptValidation,
+    reprocessOptionsValidation,
+    reprocessReceiptValidation,
+    paginationValidation,
+    handleValidationErrors
+} = require('../validations/receiptValidation');
 
 /**
  * @route   POST /api/receipts
  * @desc    Upload receipt image or file
  * @access  Private
  */
-router.post('/', auth, upload.single('receipt'), receiptController.uploadReceipt);
+router.post('/', auth, requireScope('receipts:write'), upload.single('receipt'), receiptController.uploadReceipt);
 
 /**
  * @route   GET /api/receipts
  * @desc    Get user receipts with pagination
  * @access  Private
  */
-router.get('/', auth, paginationValidation, handleValidationErrors, receiptController.getUserReceipts);
+router.get('/', auth, requireScope('receipts:read'), paginationValidation, handleValidationErrors, receiptController.getUserReceipts);
+
+/**
+ * @route   GET /api/receipts/ocr/stats
+ * @desc    OCR worker pool and job queue statistics (monitoring)
+ * @access  Private (admin)
+ */
+router.get('/ocr/stats', auth, requireRole('admin'), receiptController.getOcrStats);
+
+/**
+ * @route   POST /api/receipts/reprocess-failed
+ * @desc    Run OCR again on all receipts whose OCR failed (optional languages and preprocessing steps)
+ * @access  Private
+ */
+router.post('/reprocess-failed', auth, requireScope('receipts:write'), reprocessOptionsValidation, handleValidationErrors, receiptController.reprocessFailedReceipts);
 
 /**
  * @route   GET /api/receipts/:id
- * @desc    Get receipt by ID
+ * @desc    Get receipt by ID (with OCR lines, confidence and where each parsed field was read)
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('receipts:read'), getReceiptValidation, handleValidationErrors, receiptController.getReceipt);
+
+/**
+ * @route   POST /api/receipts/:id/reprocess
+ * @desc    Run OCR again on a receipt (optional languages and preprocessing steps); updates or creates its expense
  * @access  Private
  */
-router.get('/:id', auth, getReceiptValidation, handleValidationErrors, receiptController.getReceipt);
+router.post('/:id/reprocess', auth, requireScope('receipts:write'), reprocessReceiptValidation, handleValidationErrors, receiptController.reprocessReceipt);
 
 /**
  * @route   DELETE /api/receipts/:id
- * @desc    Delete receipt
+ * @desc    Delete receipt (linked expense is kept unless ?deleteExpense=true)
  * @access  Private
  */
-router.delete('/:id', auth, getReceiptValidation, handleValidationErrors, receiptController.deleteReceipt);
+router.delete('/:id', auth, requireScope('receipts:write'), deleteReceiptValidation, handleValidationErrors, receiptController.deleteReceipt);
 
 module.exports = router;
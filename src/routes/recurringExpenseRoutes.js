@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const recurringExpenseController = require('../controllers/recurringExpenseController');
+const { auth, requireScope } = require('../middleware/auth');
+const {
+    recurringExpenseIdValidation,
+    createRecurringExpenseValidation,
+    updateRecurringExpenseValidation,
+    previewValidation,
+    handleValidationErrors
+} = require('../validations/recurringExpenseValidation');
+
+/**
+ * @route   GET /api/recurring-expenses
+ * @desc    Get user recurring expenses
+ * @access  Private
+ */
+router.get('/', auth, requireScope('expenses:read'), recurringExpenseController.getRecurringExpenses);
+
+/**
+ * @route   POST /api/recurring-expenses
+ * @desc    Create recurring expense (occurrences already due are generated right away)
+ * @access  Private
+ */
+router.post('/', auth, requireScope('expenses:write'), createRecurringExpenseValidation, handleValidationErrors, recurringExpenseController.createRecurringExpense);
+
+/**
+ * @route   GET /api/recurring-expenses/upcoming?months=3
+ * @desc    Preview upcoming occurrences of all active recurring expenses
+ * @access  Private
+ */
+router.get('/upcoming', auth, requireScope('expenses:read'), previewValidation, handleValidationErrors, recurringExpenseController.getUpcomingOccurrences);
+
+/**
+ * @route   GET /api/recurring-expenses/:id
+ * @desc    Get recurring expense by ID
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('expenses:read'), recurringExpenseIdValidation, handleValidationErrors, recurringExpenseController.getRecurringExpense);
+
+/**
+ * @route   GET /api/recurring-expenses/:id/preview?months=3
+ * @desc    Preview upcoming occurrences of a recurring expense
+ * @access  Private
+ */
+router.get('/:id/preview', auth, requireScope('expenses:read'), recurringExpenseIdValidation, previewValidation, handleValidationErrors, recurringExpenseController.previewOccurrences);
+
+/**
+ * @route   PUT /api/recurring-expenses/:id
+ * @desc    Update recurring expense (applies to future occurrences only)
+ * @access  Private
+ */
+router.put('/:id', auth, requireScope('expenses:write'), updateRecurringExpenseValidation, handleValidationErrors, recurringExpenseController.updateRecurringExpense);
+
+/**
+ * @route   DELETE /api/recurring-expenses/:id
+ * @desc    Delete recurring expense (generated expenses are kept)
+ * @access  Private
+ */
+router.delete('/:id', auth, requireScope('expenses:write'), recurringExpenseIdValidation, handleValidationErrors, recurringExpenseController.deleteRecurringExpense);
+
+module.exports = router;
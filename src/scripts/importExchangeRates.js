@@ -0,0 +1,38 @@
+/**
+ * Import ECB reference rates from a local file and convert expenses that were waiting for a rate.
+ * Usage: npm run rates:import -- path/to/eurofxref-hist.csv (or .xml)
+ * Files: https://www.ecb.europa.eu/stats/policy_and_exchange_rates/euro_reference_exchange_rates/html/index.en.html
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const currencyService = require('../services/currencyService');
+const { decodeText } = require('../utils/valueParsers');
+
+const run = async () => {
+    const filePath = process.argv[2];
+    if (!filePath) {
+        console.error('Usage: npm run rates:import -- <file.csv|file.xml>');
+        process.exit(1);
+    }
+
+    const text = decodeText(fs.readFileSync(filePath));
+
+    await connectDB();
+
+    try {
+        const result = await currencyService.importRates(text, path.basename(filePath));
+
+        console.log(`💱 Imported ${result.rates} rate(s) for ${result.currencies.length} currencies`
+            + ` (${result.from.toISOString().slice(0, 10)} to ${result.to.toISOString().slice(0, 10)})`);
+        console.log(`💱 Converted ${result.convertedExpenses} expense(s) into their home currency`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('Exchange rate import failed:', error.message);
+    process.exit(1);
+});
@@ -3,6 +3,9 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const { PORT } = require('./config/env');
+const recurringExpenseScheduler = require('./jobs/recurringExpenseScheduler');
+const ocrWorker = require('./jobs/ocrWorker');
+const ocrService = require('./services/ocrService');
 
 const app = express();
 
@@ -18,11 +21,21 @@ connectDB();
 const authRoutes = require('./routes/authRoutes');
 const receiptRoutes = require('./routes/receiptRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const recurringExpenseRoutes = require('./routes/recurringExpenseRoutes');
+const importRoutes = require('./routes/importRoutes');
+const bankTransactionRoutes = require('./routes/bankTransactionRoutes');
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/receipts', receiptRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/bank-transactions', bankTransactionRoutes);
 
 // Test route
 app.get('/', (req, res) => {
@@ -30,7 +43,37 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 Server is running on port ${PORT}`);
     console.log(`📍 Visit http://localhost:${PORT}`);
+
+    recurringExpenseScheduler.start();
+    ocrWorker.start();
 });
+
+/**
+ * Graceful shutdown: stop taking requests and jobs, let running OCR finish, then stop Tesseract workers.
+ * Unfinished OCR jobs are picked up again after their lease runs out.
+ * @param {String} signal - Received signal
+ */
+const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, shutting down...`);
+
+    // Don't hang forever on a stuck recognition
+    setTimeout(() => process.exit(1), 30 * 1000).unref();
+
+    recurringExpenseScheduler.stop();
+    ocrWorker.stop();
+    server.close();
+
+    try {
+        await ocrService.shutdown();
+    } catch (error) {
+        console.error('OCR shutdown error:', error);
+    }
+
+    process.exit(0);
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const apiTokenRepository = require('../repositories/apiTokenRepository');
+const userRepository = require('../repositories/userRepository');
+const { API_TOKEN } = require('../constants');
+
+/**
+ * Hash API token for storage and lookup
+ * @param {String} token - Plain API token
+ * @returns {String} - SHA-256 hash of the token
+ */
+const hashApiToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check if a bearer token looks like a personal access token (rather than a JWT)
+ * @param {String} token - Bearer token
+ * @returns {Boolean} - True if the token has the API token prefix
+ */
+const isApiToken = (token) => {
+    return typeof token === 'string' && token.startsWith(API_TOKEN.PREFIX);
+};
+
+/**
+ * Convert token document to a safe summary (never includes the hash)
+ * @param {Object} apiToken - ApiToken document
+ * @returns {Object} - Token summary
+ */
+const toTokenSummary = (apiToken) => ({
+    id: apiToken._id,
+    name: apiToken.name,
+    tokenPrefix: apiToken.tokenPrefix,
+    scopes: apiToken.scopes,
+    expiresAt: apiToken.expiresAt,
+    lastUsedAt: apiToken.lastUsedAt || null,
+    createdAt: apiToken.createdAt,
+    isExpired: apiToken.expiresAt <= new Date()
+});
+
+/**
+ * Create personal access token
+ * @param {String} userId - User ID
+ * @param {Object} tokenData - Token data (name, scopes, expiresInDays)
+ * @returns {Promise<Object>} - Token summary and the plain token (shown only once)
+ */
+const createToken = async (userId, tokenData) => {
+    const { name, scopes, expiresInDays = API_TOKEN.DEFAULT_EXPIRES_DAYS } = tokenData;
+
+    const invalidScopes = (scopes || []).filter((scope) => !API_TOKEN.SCOPES.includes(scope));
+    if (!scopes || scopes.length === 0 || invalidScopes.length > 0) {
+        const error = new Error(`Scopes must be a non-empty list of: ${API_TOKEN.SCOPES.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const activeCount = await apiTokenRepository.countActiveByUserId(userId);
+    if (activeCount >= API_TOKEN.MAX_PER_USER) {
+        const error = new Error(`You can have at most ${API_TOKEN.MAX_PER_USER} active API tokens`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const token = `${API_TOKEN.PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + parseInt(expiresInDays, 10));
+
+    const apiToken = await apiTokenRepository.create({
+        userId,
+        name: name.trim(),
+        tokenHash: hashApiToken(token),
+        tokenPrefix: token.substring(0, API_TOKEN.PREFIX.length + 8),
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    return {
+        apiToken: toTokenSummary(apiToken),
+        token
+    };
+};
+
+/**
+ * List personal access tokens of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of token summaries
+ */
+const getTokens = async (userId) => {
+    const apiTokens = await apiTokenRepository.findByUserId(userId);
+    return apiTokens.map(toTokenSummary);
+};
+
+/**
+ * Revoke personal access token
+ * @param {String} userId - User ID
+ * @param {String} tokenId - Token ID
+ * @returns {Promise<Object>} - Success message
+ */
+const revokeToken = async (userId, tokenId) => {
+    const apiToken = await apiTokenRepository.findById(tokenId);
+
+    if (!apiToken || apiToken.revokedAt) {
+        const error = new Error('API token not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (apiToken.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    await apiTokenRepository.revoke(tokenId);
+
+    return { success: true, message: 'API token revoked successfully' };
+};
+
+/**
+ * Authenticate request with a personal access token
+ * @param {String} token - Plain API token
+ * @returns {Promise<Object|null>} - User and token documents, or null if the token is invalid
+ */
+const authenticate = async (token) => {
+    const apiToken = await apiTokenRepository.findActiveByHash(hashApiToken(token));
+    if (!apiToken) {
+        return null;
+    }
+
+    const user = await userRepository.findById(apiToken.userId);
+    if (!user) {
+        return null;
+    }
+
+    // Usage tracking must never fail the request
+    apiTokenRepository.touch(apiToken._id).catch((error) => {
+        console.error('Failed to update API token usage:', error);
+    });
+
+    return { user, apiToken };
+};
+
+module.exports = {
+    isApiToken,
+    createToken,
+    getTokens,
+    revokeToken,
+    authenticate
+};
@@ -2,9 +2,18 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const EmailToken = require('../models/EmailToken');
 const userRepository = require('../repositories/userRepository');
+const tokenSessionRepository = require('../repositories/tokenSessionRepository');
 const emailService = require('./emailService');
+const bruteForceService = require('./bruteForceService');
+const categoryService = require('./categoryService');
+const currencyService = require('./currencyService');
+const totp = require('../utils/totp');
 const cloudinary = require('../config/cloudinary');
-const { JWT_SECRET } = require('../config/env');
+const { JWT_SECRET, ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_EXPIRES_DAYS } = require('../config/env');
+const { BRUTE_FORCE } = require('../constants');
+
+const TOTP_ISSUER = 'Smart Expense Tracker';
+const RECOVERY_CODE_COUNT = 10;
 
 /**
  * Generate secure random token
@@ -23,18 +32,172 @@ const generateVerificationCode = () => {
 };
 
 /**
- * Generate JWT access token
+ * Hash refresh token for storage (refresh tokens are never stored in plain text)
+ * @param {String} token - Refresh token
+ * @returns {String} - SHA-256 hash of the token
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get refresh token session expiry date
+ * @returns {Date} - Expiry date
+ */
+const getRefreshTokenExpiry = () => {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRES_DAYS);
+    return expiresAt;
+};
+
+/**
+ * Generate short-lived JWT access token
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Token session ID the access token belongs to
+ * @returns {String} - JWT token
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign(
+        { userId, sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Generate short-lived token proving the password step of a two-factor login succeeded
  * @param {String} userId - User ID
  * @returns {String} - JWT token
  */
-const generateAccessToken = (userId) => {
+const generateMfaToken = (userId) => {
     return jwt.sign(
-        { userId },
+        { userId, purpose: 'mfa' },
         JWT_SECRET,
-        { expiresIn: '7d' } // Token expires in 7 days
+        { expiresIn: '5m' } // User has 5 minutes to enter the code
     );
 };
 
+/**
+ * Generate one-time recovery codes
+ * @returns {Array<String>} - Plain recovery codes (shown to the user once)
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+/**
+ * Normalize recovery code before hashing (ignores case, dashes and spaces)
+ * @param {String} code - Recovery code
+ * @returns {String} - Normalized code
+ */
+const normalizeRecoveryCode = (code) => {
+    return String(code).toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * Verify a TOTP or recovery code against user's enabled two-factor settings.
+ * Consumes the recovery code or records the TOTP step so the same code can't be reused.
+ * @param {Object} user - User document
+ * @param {String} code - TOTP code or recovery code
+ * @returns {Promise<Boolean>} - True if the code is valid
+ */
+const verifyTwoFactorCode = async (user, code) => {
+    const { twoFactor } = user;
+    if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) {
+        return false;
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, code);
+    if (step !== null) {
+        if (twoFactor.lastUsedStep !== undefined && step <= twoFactor.lastUsedStep) {
+            return false;
+        }
+
+        twoFactor.lastUsedStep = step;
+        await user.save();
+        return true;
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const recoveryIndex = twoFactor.recoveryCodes.indexOf(codeHash);
+    if (recoveryIndex !== -1) {
+        twoFactor.recoveryCodes.splice(recoveryIndex, 1);
+        await user.save();
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Create token session and issue access + refresh tokens
+ * @param {String} userId - User ID
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object>} - Access token and refresh token
+ */
+const issueTokens = async (userId, context = {}) => {
+    const refreshToken = generateToken();
+
+    const session = await tokenSessionRepository.create({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: getRefreshTokenExpiry(),
+        ip: context.ip,
+        userAgent: context.userAgent
+    });
+
+    return {
+        accessToken: generateAccessToken(userId, session._id.toString()),
+        refreshToken
+    };
+};
+
+/**
+ * Rotate refresh token - issues a new token pair and invalidates the presented refresh token.
+ * Presenting a refresh token that was already rotated revokes the whole session.
+ * @param {String} refreshToken - Refresh token
+ * @returns {Promise<Object>} - New access token and refresh token
+ */
+const refreshTokens = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateToken();
+
+    const session = await tokenSessionRepository.rotate(
+        tokenHash,
+        hashToken(newRefreshToken),
+        getRefreshTokenExpiry()
+    );
+
+    if (!session) {
+        // Token was already rotated - someone is replaying an old token, so kill the session
+        const reusedSession = await tokenSessionRepository.findByPreviousTokenHash(tokenHash);
+        if (reusedSession && reusedSession.isActive) {
+            await tokenSessionRepository.revoke(reusedSession._id, 'refresh_token_reuse');
+            console.warn(`⚠️  Refresh token reuse detected for session ${reusedSession._id}. Session revoked.`);
+        }
+
+        const error = new Error('Invalid or expired refresh token');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const user = await userRepository.findById(session.userId);
+    if (!user) {
+        await tokenSessionRepository.revoke(session._id, 'user_not_found');
+        const error = new Error('Invalid or expired refresh token');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    return {
+        accessToken: generateAccessToken(user._id.toString(), session._id.toString()),
+        refreshToken: newRefreshToken
+    };
+};
+
 /**
  * Create email confirmation token
  * @param {String} userId - User ID
@@ -78,12 +241,90 @@ const createPasswordResetToken = async (userId) => {
     return await emailToken.save();
 };
 
+/**
+ * Logout - revokes the session the access token belongs to
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Current session ID
+ * @returns {Promise<Object>} - Success message
+ */
+const logout = async (userId, sessionId) => {
+    const session = sessionId ? await tokenSessionRepository.findById(sessionId) : null;
+
+    if (session && session.userId.toString() === userId) {
+        await tokenSessionRepository.revoke(session._id, 'logout');
+    }
+
+    return { success: true, message: 'Logout successful' };
+};
+
+/**
+ * Get active sessions of a user
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Current session ID (flagged in the result)
+ * @returns {Promise<Array>} - Array of session summaries
+ */
+const getSessions = async (userId, currentSessionId) => {
+    const sessions = await tokenSessionRepository.findActiveByUserId(userId);
+
+    return sessions.map((session) => ({
+        id: session._id,
+        ip: session.ip || null,
+        userAgent: session.userAgent || null,
+        issuedAt: session.issuedAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === currentSessionId
+    }));
+};
+
+/**
+ * Revoke a single session of a user
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID to revoke
+ * @returns {Promise<Object>} - Success message
+ */
+const revokeSession = async (userId, sessionId) => {
+    const session = await tokenSessionRepository.findById(sessionId);
+
+    if (!session || !session.isActive) {
+        const error = new Error('Session not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (session.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    await tokenSessionRepository.revoke(session._id, 'revoked_by_user');
+
+    return { success: true, message: 'Session revoked successfully' };
+};
+
+/**
+ * Revoke all sessions of a user (log out everywhere)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - Success message and number of revoked sessions
+ */
+const revokeAllSessions = async (userId) => {
+    const result = await tokenSessionRepository.revokeAllByUserId(userId, 'logout_all');
+
+    return {
+        success: true,
+        message: 'Logged out from all sessions',
+        revokedCount: result.modifiedCount
+    };
+};
+
 /**
  * Register new user
  * @param {Object} userData - User registration data (name, email, password)
- * @returns {Promise<Object>} - Created user object (without password) and access token
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object>} - Created user object (without password), access token and refresh token
  */
-const register = async (userData) => {
+const register = async (userData, context = {}) => {
     // Check if user already exists
     const existingUser = await userRepository.findByEmail(userData.email);
     if (existingUser) {
@@ -99,6 +340,14 @@ const register = async (userData) => {
         password: userData.password
     });
 
+    // Seed default expense categories
+    try {
+        await categoryService.ensureDefaultCategories(user._id);
+    } catch (error) {
+        console.error('Failed to seed default categories:', error);
+        // Continue - categories are seeded again on first use
+    }
+
     // Generate email confirmation token
     const emailToken = await createEmailConfirmationToken(user._id);
 
@@ -110,16 +359,17 @@ const register = async (userData) => {
         // Continue even if email fails - token is already saved
     }
 
-    // Generate access token for immediate login
-    const accessToken = generateAccessToken(user._id.toString());
+    // Generate tokens for immediate login
+    const { accessToken, refreshToken } = await issueTokens(user._id.toString(), context);
 
-    // Return user without password and access token
+    // Return user without password and tokens
     const userObj = user.toObject();
     delete userObj.password;
     
     return {
         user: userObj,
-        accessToken
+        accessToken,
+        refreshToken
     };
 };
 
@@ -167,13 +417,18 @@ const verifyEmailToken = async (token) => {
  * Login user
  * @param {String} email - User email
  * @param {String} password - User password
- * @returns {Promise<Object>} - User object and access token
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object>} - User object, access token and refresh token
  */
-const login = async (email, password) => {
+const login = async (email, password, context = {}) => {
+    // Reject early if this account or IP is locked out or throttled
+    await bruteForceService.assertLoginAllowed(email, context.ip);
+
     // Find user by email
     const user = await userRepository.findByEmail(email);
     
     if (!user) {
+        await bruteForceService.recordLoginFailure(email, context.ip);
         const error = new Error('Invalid email or password');
         error.statusCode = 401;
         throw error;
@@ -183,22 +438,204 @@ const login = async (email, password) => {
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+        await bruteForceService.recordLoginFailure(email, context.ip, user);
         const error = new Error('Invalid email or password');
         error.statusCode = 401;
         throw error;
     }
 
-    // Generate access token
-    const accessToken = generateAccessToken(user._id.toString());
-
     // Return user without password
     const userObj = user.toObject();
     delete userObj.password;
+    delete userObj.twoFactor;
+
+    // Two-factor users only get a short-lived token for the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+        return {
+            user: userObj,
+            mfaRequired: true,
+            mfaToken: generateMfaToken(user._id.toString())
+        };
+    }
+
+    await bruteForceService.recordLoginSuccess(email);
+
+    // Generate access and refresh tokens
+    const { accessToken, refreshToken } = await issueTokens(user._id.toString(), context);
+
+    return {
+        user: userObj,
+        accessToken,
+        refreshToken
+    };
+};
+
+/**
+ * Complete two-factor login with a TOTP or recovery code
+ * @param {String} mfaToken - Token returned by the password step of login
+ * @param {String} code - TOTP code or recovery code
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object>} - User object, access token and refresh token
+ */
+const loginWithTwoFactor = async (mfaToken, code, context = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(mfaToken, JWT_SECRET);
+    } catch (error) {
+        decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'mfa') {
+        const error = new Error('Invalid or expired two-factor session. Please log in again.');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const user = await userRepository.findById(decoded.userId);
+    if (!user) {
+        const error = new Error('Invalid or expired two-factor session. Please log in again.');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    // Wrong second-factor codes count towards the same lockout as wrong passwords
+    await bruteForceService.assertLoginAllowed(user.email, context.ip);
+
+    const isCodeValid = await verifyTwoFactorCode(user, code);
+    if (!isCodeValid) {
+        await bruteForceService.recordLoginFailure(user.email, context.ip, user);
+        const error = new Error('Invalid two-factor authentication code');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    await bruteForceService.recordLoginSuccess(user.email);
+
+    const { accessToken, refreshToken } = await issueTokens(user._id.toString(), context);
+
+    const userObj = user.toObject();
+    delete userObj.password;
+    delete userObj.twoFactor;
 
     return {
         user: userObj,
-        accessToken
+        accessToken,
+        refreshToken,
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+    };
+};
+
+/**
+ * Start two-factor enrollment - generates a secret that must be confirmed with a first code
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - Secret and otpauth URI for authenticator apps
+ */
+const setupTwoFactor = async (userId) => {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+    };
+};
+
+/**
+ * Confirm two-factor enrollment with the first code from the authenticator app
+ * @param {String} userId - User ID
+ * @param {String} code - TOTP code
+ * @returns {Promise<Object>} - One-time recovery codes (shown only once)
+ */
+const confirmTwoFactor = async (userId, code) => {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+        const error = new Error('Two-factor setup has not been started');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+        const error = new Error('Invalid two-factor authentication code');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode))),
+        lastUsedStep: step,
+        enabledAt: new Date()
     };
+    await user.save();
+
+    return { recoveryCodes };
+};
+
+/**
+ * Disable two-factor authentication (requires password and a current code)
+ * @param {String} userId - User ID
+ * @param {String} password - Current password
+ * @param {String} code - TOTP code or recovery code
+ * @returns {Promise<Object>} - Success message
+ */
+const disableTwoFactor = async (userId, password, code) => {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+        const error = new Error('Two-factor authentication is not enabled');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = isPasswordValid && await verifyTwoFactorCode(user, code);
+
+    if (!isPasswordValid || !isCodeValid) {
+        const error = new Error('Invalid password or two-factor authentication code');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    return { success: true, message: 'Two-factor authentication disabled' };
 };
 
 /**
@@ -239,11 +676,12 @@ const uploadImageToCloudinary = (fileBuffer, fileName, mimeType, userId) => {
 /**
  * Update user profile
  * @param {String} userId - User ID
- * @param {Object} updateData - Data to update (name, newPassword, image file)
+ * @param {Object} updateData - Data to update (name, currency, language, newPassword, image file)
+ * @param {String} currentSessionId - Current session ID (kept active on password change)
  * @returns {Promise<Object>} - Updated user object (without password)
  */
-const updateProfile = async (userId, updateData) => {
-    const { name, newPassword, confirmPassword, file } = updateData;
+const updateProfile = async (userId, updateData, currentSessionId = null) => {
+    const { name, currency, language, newPassword, confirmPassword, file } = updateData;
     
     // Validate password fields if password update is requested
     if (newPassword || confirmPassword) {
@@ -276,6 +714,19 @@ const updateProfile = async (userId, updateData) => {
         hasUpdates = true;
     }
 
+    // Home currency - expense amounts are converted into it for totals
+    const currencyChanged = Boolean(currency) && currency !== user.settings.currency;
+    if (currencyChanged) {
+        user.settings.currency = currency;
+        hasUpdates = true;
+    }
+
+    // Language receipts are read in (Tesseract languages, total keywords and date order)
+    if (language && language !== user.settings.language) {
+        user.settings.language = language;
+        hasUpdates = true;
+    }
+
     // Handle image upload if provided
     if (file) {
         // Validate that file is an image
@@ -329,6 +780,18 @@ const updateProfile = async (userId, updateData) => {
         throw error;
     }
 
+    // Sign out every other device after a password change
+    if (newPassword) {
+        await tokenSessionRepository.revokeAllByUserId(userId, 'password_changed', currentSessionId);
+    }
+
+    // Convert existing expenses into the new home currency (background task - totals skip them until done)
+    if (currencyChanged) {
+        currencyService.recomputeHomeAmounts(userId).catch(error => {
+            console.error('Home currency recompute error:', error);
+        });
+    }
+
     // Return user without password
     const userObj = updatedUser.toObject();
     delete userObj.password;
@@ -363,6 +826,9 @@ const getProfile = async (userId) => {
  * @returns {Promise<Object>} - Success message
  */
 const forgetPassword = async (email) => {
+    // Limit reset emails per address (applied whether or not the user exists)
+    await bruteForceService.assertResetRequestAllowed(email);
+
     // Find user by email
     const user = await userRepository.findByEmail(email);
     
@@ -392,13 +858,16 @@ const forgetPassword = async (email) => {
 };
 
 /**
- * Reset password using verification code
+ * Reset password using verification code.
+ * Wrong codes count against the client IP; when the email is sent they also count against that user's reset code,
+ * which is invalidated after too many.
  * @param {String} code - Verification code
  * @param {String} newPassword - New password
  * @param {String} confirmPassword - Confirm password
+ * @param {Object} context - Request context (ip, email - optional)
  * @returns {Promise<Object>} - Success message
  */
-const resetPassword = async (code, newPassword, confirmPassword) => {
+const resetPassword = async (code, newPassword, confirmPassword, context = {}) => {
     // Validate passwords match
     if (newPassword !== confirmPassword) {
         const error = new Error('Passwords do not match');
@@ -406,16 +875,29 @@ const resetPassword = async (code, newPassword, confirmPassword) => {
         throw error;
     }
 
-    // Find the password reset token
-    const emailToken = await EmailToken.findOne({
-        token: code,
-        type: 'password_reset'
-    });
+    // Reject early if this IP is guessing codes
+    await bruteForceService.assertResetAttemptAllowed(context.ip);
 
-    if (!emailToken) {
+    const invalidCodeError = () => {
         const error = new Error('Invalid or expired verification code');
         error.statusCode = 400;
-        throw error;
+        return error;
+    };
+
+    // Find the password reset token - of the user when the email is sent, else the one with this code
+    let emailToken;
+    if (context.email) {
+        const emailUser = await userRepository.findByEmail(context.email);
+        emailToken = emailUser
+            ? await EmailToken.findOne({ userId: emailUser._id, type: 'password_reset' })
+            : null;
+    } else {
+        emailToken = await EmailToken.findOne({ token: code, type: 'password_reset' });
+    }
+
+    if (!emailToken) {
+        await bruteForceService.recordResetFailure(context.ip);
+        throw invalidCodeError();
     }
 
     // Check if token is expired
@@ -427,7 +909,26 @@ const resetPassword = async (code, newPassword, confirmPassword) => {
         throw error;
     }
 
-    // Get user
+    // Count wrong guesses and invalidate the code after too many
+    if (emailToken.token !== code) {
+        await bruteForceService.recordResetFailure(context.ip);
+
+        const updatedToken = await EmailToken.findByIdAndUpdate(
+            emailToken._id,
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (updatedToken && updatedToken.attempts >= BRUTE_FORCE.RESET_CODE_MAX_ATTEMPTS) {
+            await EmailToken.deleteOne({ _id: emailToken._id });
+            const error = new Error('Too many invalid attempts. Please request a new verification code.');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        throw invalidCodeError();
+    }
+
     const user = await userRepository.findById(emailToken.userId);
     if (!user) {
         const error = new Error('User not found');
@@ -443,15 +944,27 @@ const resetPassword = async (code, newPassword, confirmPassword) => {
     // Delete the used token
     await EmailToken.deleteOne({ _id: emailToken._id });
 
+    // Revoke all existing sessions so a compromised token can't outlive the reset
+    await tokenSessionRepository.revokeAllByUserId(user._id, 'password_reset');
+
     return { success: true, message: 'Password has been reset successfully' };
 };
 
 module.exports = {
     register,
     login,
+    loginWithTwoFactor,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
     verifyEmailToken,
     generateToken,
     generateAccessToken,
+    refreshTokens,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
     updateProfile,
     getProfile,
     forgetPassword,
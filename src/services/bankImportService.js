@@ -0,0 +1,455 @@
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
+const importJobRepository = require('../repositories/importJobRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const currencyService = require('./currencyService');
+const budgetService = require('./budgetService');
+const { decodeText } = require('../utils/valueParsers');
+const { detectStatementFormat, parseOfx, parseQif } = require('../utils/statementParsers');
+const { BANK_IMPORT, EXPENSE_IMPORT } = require('../constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get words of a merchant/payee name for fuzzy comparison
+ * @param {String} name - Merchant or payee
+ * @returns {Set<String>} - Lowercased words of 3+ characters
+ */
+const getNameWords = (name) => {
+    return new Set(
+        String(name || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter((word) => word.length >= 3)
+    );
+};
+
+/**
+ * Find the best receipt expense for a statement line: same amount, closest date, then most similar name
+ * @param {String} userId - User ID
+ * @param {Object} line - Statement line (amount, date, currency, name)
+ * @param {Set<String>} claimedExpenseIds - Expenses already matched to another line
+ * @returns {Promise<Object|null>} - Expense and date difference in days, or null
+ */
+const findMatch = async (userId, line, claimedExpenseIds) => {
+    const windowMs = BANK_IMPORT.MATCH_DATE_WINDOW_DAYS * DAY;
+
+    const candidates = await expenseRepository.findBankMatchCandidates(userId, {
+        minAmount: line.amount - BANK_IMPORT.MATCH_AMOUNT_TOLERANCE,
+        maxAmount: line.amount + BANK_IMPORT.MATCH_AMOUNT_TOLERANCE,
+        startDate: new Date(line.date.getTime() - windowMs),
+        endDate: new Date(line.date.getTime() + windowMs)
+    });
+
+    const linkedExpenseIds = await bankTransactionRepository.findLinkedExpenseIds(candidates.map((expense) => expense._id));
+    const lineWords = getNameWords(line.name);
+    let best = null;
+
+    candidates.forEach((expense) => {
+        const expenseId = expense._id.toString();
+        if (claimedExpenseIds.has(expenseId) || linkedExpenseIds.has(expenseId)) {
+            return;
+        }
+
+        if (expense.currency && line.currency && expense.currency !== line.currency) {
+            return;
+        }
+
+        const dateDifference = Math.round(Math.abs(expense.date - line.date) / DAY);
+        const sharedWords = [...getNameWords(expense.merchant)].filter((word) => lineWords.has(word)).length;
+
+        if (
+            !best
+            || dateDifference < best.dateDifference
+            || (dateDifference === best.dateDifference && sharedWords > best.sharedWords)
+        ) {
+            best = { expense, dateDifference, sharedWords };
+        }
+    });
+
+    return best;
+};
+
+/**
+ * Create pending expense for a statement line
+ * @param {Object} transaction - Bank transaction document
+ * @param {String} homeCurrency - User's home currency
+ * @param {Map} rateCache - Exchange rate lookup cache
+ * @returns {Promise<Object>} - Created expense document
+ */
+const createPendingExpense = async (transaction, homeCurrency, rateCache) => {
+    return await expenseRepository.create(await currencyService.withHomeAmount({
+        userId: transaction.userId,
+        merchant: transaction.name,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        date: transaction.date,
+        notes: transaction.memo,
+        receiptId: null,
+        isVerified: false,
+        isPending: true,
+        bankTransactionId: transaction._id,
+        importJobId: transaction.importJobId
+    }, homeCurrency, rateCache));
+};
+
+/**
+ * Store one debit line - suggests a match with a receipt expense, or creates a pending expense
+ * @param {String} userId - User ID
+ * @param {Object} importJob - Import job document
+ * @param {Object} line - Normalised statement line
+ * @param {Object} context - Import state (claimedExpenseIds - expenses matched earlier, homeCurrency, rateCache)
+ * @returns {Promise<String>} - 'matched', 'created' or 'duplicate'
+ */
+const importLine = async (userId, importJob, line, context) => {
+    const { claimedExpenseIds, homeCurrency, rateCache } = context;
+    const match = await findMatch(userId, line, claimedExpenseIds);
+
+    let transaction;
+    try {
+        transaction = await bankTransactionRepository.create({
+            userId,
+            importJobId: importJob._id,
+            ...line,
+            status: match ? 'suggested' : 'unmatched',
+            expenseId: match ? match.expense._id : null,
+            matchDateDifference: match ? match.dateDifference : undefined
+        });
+    } catch (error) {
+        // Same line imported concurrently
+        if (error.code === 11000) {
+            return 'duplicate';
+        }
+        throw error;
+    }
+
+    if (match) {
+        claimedExpenseIds.add(match.expense._id.toString());
+        return 'matched';
+    }
+
+    const expense = await createPendingExpense(transaction, homeCurrency, rateCache);
+    await bankTransactionRepository.update(transaction._id, { expenseId: expense._id });
+
+    return 'created';
+};
+
+/**
+ * Import OFX/QFX or QIF statement.
+ * Debits become pending expenses, or match suggestions when a receipt expense has the same amount
+ * within a few days. Lines imported before (same account and FITID) are skipped.
+ * @param {String} userId - User ID
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} options - Import options (account - overrides the account from the file, dateFormat - QIF dates)
+ * @returns {Promise<Object>} - Completed import job
+ */
+const importStatement = async (userId, file, options = {}) => {
+    if (!file) {
+        const error = new Error('No file uploaded');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const text = decodeText(file.buffer);
+    const format = detectStatementFormat(file.originalname, text);
+
+    if (!format) {
+        const error = new Error('Unsupported statement format. Upload an OFX, QFX or QIF file.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const lines = format === 'ofx'
+        ? parseOfx(text)
+        : parseQif(text, { dateFormat: options.dateFormat, dateFormats: BANK_IMPORT.QIF_DATE_FORMATS });
+
+    if (lines.length === 0) {
+        const error = new Error('No transactions found in the statement');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (lines.length > EXPENSE_IMPORT.MAX_ROWS) {
+        const error = new Error(`Statement has too many transactions. At most ${EXPENSE_IMPORT.MAX_ROWS} can be imported at once.`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const homeCurrency = await currencyService.getHomeCurrency(userId);
+
+    const importJob = await importJobRepository.create({
+        userId,
+        source: format,
+        status: 'importing',
+        fileName: file.originalname,
+        totalRows: lines.length,
+        options: { account: options.account, dateFormat: options.dateFormat }
+    });
+
+    const rowErrors = [];
+    const counts = { created: 0, matched: 0, duplicate: 0, credit: 0 };
+    const context = { claimedExpenseIds: new Set(), homeCurrency, rateCache: new Map() };
+    const seenKeys = new Set();
+
+    try {
+        for (const [index, line] of lines.entries()) {
+            if (!line.fitId || !line.date || line.amount === null) {
+                rowErrors.push({ row: index + 1, field: line.date ? 'amount' : 'date', message: 'Transaction is missing its ID, date or amount' });
+                continue;
+            }
+
+            // Credits (refunds, salary, transfers in) aren't expenses
+            if (line.amount >= 0) {
+                counts.credit++;
+                continue;
+            }
+
+            const accountKey = options.account || line.accountKey || 'default';
+            const key = `${accountKey}|${line.fitId}`;
+            if (seenKeys.has(key)) {
+                counts.duplicate++;
+                continue;
+            }
+            seenKeys.add(key);
+
+            const existing = await bankTransactionRepository.findExistingFitIds(userId, accountKey, [line.fitId]);
+            if (existing.size > 0) {
+                counts.duplicate++;
+                continue;
+            }
+
+            const result = await importLine(userId, importJob, {
+                accountKey,
+                fitId: line.fitId,
+                type: line.type,
+                date: line.date,
+                amount: Math.round(Math.abs(line.amount) * 100) / 100,
+                currency: line.currency || homeCurrency,
+                name: line.name,
+                memo: line.memo
+            }, context);
+
+            counts[result]++;
+        }
+    } catch (error) {
+        // Leave nothing half-imported behind
+        await expenseRepository.deleteByImportJobId(importJob._id);
+        await bankTransactionRepository.deleteByImportJobId(importJob._id);
+        await importJobRepository.deleteById(importJob._id);
+        throw error;
+    }
+
+    return await importJobRepository.update(importJob._id, {
+        status: 'completed',
+        importedCount: counts.created,
+        matchedCount: counts.matched,
+        skippedCount: counts.duplicate + counts.credit,
+        rowErrors: rowErrors.slice(0, EXPENSE_IMPORT.MAX_REPORTED_ERRORS),
+        completedAt: new Date()
+    });
+};
+
+/**
+ * Get bank transaction owned by user
+ * @param {String} transactionId - Bank transaction ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Bank transaction document (expense populated)
+ */
+const getTransactionById = async (transactionId, userId) => {
+    const transaction = await bankTransactionRepository.findById(transactionId);
+
+    if (!transaction) {
+        const error = new Error('Bank transaction not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (transaction.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return transaction;
+};
+
+/**
+ * Get user bank transactions with pagination and filters
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (page, limit, status, importJobId)
+ * @returns {Promise<Object>} - Bank transactions and pagination info
+ */
+const getTransactions = async (userId, options = {}) => {
+    const { page = 1, limit = 20, status, importJobId } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) {
+        filter.status = status;
+    }
+    if (importJobId) {
+        filter.importJobId = importJobId;
+    }
+
+    const transactions = await bankTransactionRepository.findByUserId(userId, {
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        filter
+    });
+    const total = await bankTransactionRepository.countByUserId(userId, filter);
+
+    return {
+        transactions,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Build "wrong status" error for review actions
+ * @param {Object} transaction - Bank transaction document
+ * @param {String} action - Attempted action
+ * @returns {Error} - Error with statusCode 409
+ */
+const createStatusError = (transaction, action) => {
+    const error = new Error(`Cannot ${action} a transaction that is ${transaction.status}`);
+    error.statusCode = 409;
+    return error;
+};
+
+/**
+ * Confirm a statement line: accepts the suggested match, or keeps the pending expense
+ * @param {String} transactionId - Bank transaction ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated bank transaction
+ */
+const confirmTransaction = async (transactionId, userId) => {
+    const transaction = await getTransactionById(transactionId, userId);
+
+    if (!['suggested', 'unmatched'].includes(transaction.status) || !transaction.expenseId) {
+        throw createStatusError(transaction, 'confirm');
+    }
+
+    await expenseRepository.update(transaction.expenseId._id, {
+        bankTransactionId: transaction._id,
+        isPending: false
+    });
+
+    // A confirmed pending expense now counts towards budgets
+    if (transaction.expenseId.isPending) {
+        budgetService.checkBudgetAlerts(userId, transaction.expenseId.date).catch(error => {
+            console.error('Budget alert check error:', error);
+        });
+    }
+
+    return await bankTransactionRepository.update(transactionId, { status: 'confirmed' });
+};
+
+/**
+ * Reject a statement line: a wrong match becomes a pending expense, a pending expense is deleted
+ * @param {String} transactionId - Bank transaction ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated bank transaction
+ */
+const rejectTransaction = async (transactionId, userId) => {
+    const transaction = await getTransactionById(transactionId, userId);
+
+    if (transaction.status === 'suggested') {
+        const homeCurrency = await currencyService.getHomeCurrency(userId);
+        const expense = await createPendingExpense(transaction, homeCurrency);
+        return await bankTransactionRepository.update(transactionId, {
+            status: 'unmatched',
+            expenseId: expense._id,
+            $unset: { matchDateDifference: 1 }
+        });
+    }
+
+    if (transaction.status === 'unmatched') {
+        if (transaction.expenseId && transaction.expenseId.isPending) {
+            await expenseRepository.deleteById(transaction.expenseId._id);
+        }
+
+        return await bankTransactionRepository.update(transactionId, {
+            status: 'ignored',
+            expenseId: null
+        });
+    }
+
+    throw createStatusError(transaction, 'reject');
+};
+
+/**
+ * Manually match a statement line to an expense (replaces its pending expense)
+ * @param {String} transactionId - Bank transaction ID
+ * @param {String} expenseId - Expense to reconcile with
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated bank transaction
+ */
+const matchTransaction = async (transactionId, expenseId, userId) => {
+    const transaction = await getTransactionById(transactionId, userId);
+
+    if (transaction.status === 'confirmed') {
+        throw createStatusError(transaction, 'match');
+    }
+
+    const expense = await expenseRepository.findById(expenseId);
+    if (!expense) {
+        const error = new Error('Expense not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (expense.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    if (expense.isPending || (expense.bankTransactionId && expense.bankTransactionId.toString() !== transactionId)) {
+        const error = new Error('Expense is already reconciled with another bank transaction');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    // Drop the pending expense created for this line
+    const previousExpense = transaction.expenseId;
+    if (previousExpense && previousExpense.isPending && previousExpense._id.toString() !== expenseId) {
+        await expenseRepository.deleteById(previousExpense._id);
+    }
+
+    await expenseRepository.update(expenseId, { bankTransactionId: transaction._id });
+
+    return await bankTransactionRepository.update(transactionId, {
+        status: 'confirmed',
+        expenseId,
+        matchDateDifference: Math.round(Math.abs(expense.date - transaction.date) / DAY)
+    });
+};
+
+/**
+ * Remove the bank transactions of an import and their links (used when the import is undone)
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<void>}
+ */
+const deleteImportTransactions = async (importJobId) => {
+    const transactions = await bankTransactionRepository.findByImportJobId(importJobId);
+    if (transactions.length === 0) {
+        return;
+    }
+
+    await expenseRepository.clearBankTransactions(transactions.map((transaction) => transaction._id));
+    await bankTransactionRepository.deleteByImportJobId(importJobId);
+};
+
+module.exports = {
+    importStatement,
+    getTransactions,
+    getTransactionById,
+    confirmTransaction,
+    rejectTransaction,
+    matchTransaction,
+    deleteImportTransactions
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const EmailToken = require('../models/EmailToken');
+const emailService = require('./emailService');
+const { ATTEMPT_STORE } = require('../config/env');
+const { BRUTE_FORCE } = require('../constants');
+
+const MINUTE = 60 * 1000;
+
+// Attempt store is pluggable so tests can run without MongoDB
+let store = ATTEMPT_STORE === 'memory'
+    ? require('../stores/memoryAttemptStore')
+    : require('../stores/mongoAttemptStore');
+
+/**
+ * Replace the attempt store (e.g. with memoryAttemptStore in tests)
+ * @param {Object} newStore - Store implementing get, increment, lock and reset
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Build attempt store keys
+ */
+const accountKey = (email) => `login:account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `login:ip:${ip || 'unknown'}`;
+const resetIpKey = (ip) => `reset:ip:${ip || 'unknown'}`;
+const resetRequestKey = (email) => `reset:request:${String(email).toLowerCase().trim()}`;
+
+/**
+ * Build "too many attempts" error
+ * @param {String} message - Error message
+ * @param {Date} retryAt - When the client may try again
+ * @returns {Error} - Error with statusCode 429 and retryAfter (seconds)
+ */
+const createTooManyAttemptsError = (message, retryAt) => {
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.retryAfter = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+    return error;
+};
+
+/**
+ * Get progressive delay for a number of failed attempts
+ * @param {Number} count - Failed attempts so far
+ * @returns {Number} - Delay in milliseconds before the next attempt is allowed
+ */
+const getProgressiveDelay = (count) => {
+    if (count < BRUTE_FORCE.DELAY_AFTER_ATTEMPTS) {
+        return 0;
+    }
+
+    const exponent = count - BRUTE_FORCE.DELAY_AFTER_ATTEMPTS;
+    const delaySeconds = Math.min(BRUTE_FORCE.BASE_DELAY_SECONDS * 2 ** exponent, BRUTE_FORCE.MAX_DELAY_SECONDS);
+
+    return delaySeconds * 1000;
+};
+
+/**
+ * Throw if a key is locked or still inside its progressive delay
+ * @param {String} key - Attempt key
+ * @param {Boolean} useDelay - Whether progressive delay applies to this key
+ * @returns {Promise<void>}
+ */
+const assertKeyAllowed = async (key, useDelay) => {
+    const record = await store.get(key);
+    if (!record) {
+        return;
+    }
+
+    const now = new Date();
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+        throw createTooManyAttemptsError(
+            'Too many failed attempts. Please try again later or check your email to unlock your account.',
+            record.lockedUntil
+        );
+    }
+
+    if (useDelay) {
+        const retryAt = new Date(record.lastAttemptAt.getTime() + getProgressiveDelay(record.count));
+        if (retryAt > now) {
+            throw createTooManyAttemptsError('Too many failed attempts. Please wait before trying again.', retryAt);
+        }
+    }
+};
+
+/**
+ * Create account unlock token
+ * @param {String} userId - User ID
+ * @param {Date} expiresAt - Token expiry (end of the lockout)
+ * @returns {Promise<Object>} - EmailToken document
+ */
+const createAccountUnlockToken = async (userId, expiresAt) => {
+    await EmailToken.deleteMany({ userId, type: 'account_unlock' });
+
+    const emailToken = new EmailToken({
+        userId,
+        type: 'account_unlock',
+        token: crypto.randomBytes(32).toString('hex'),
+        expiresAt
+    });
+
+    return await emailToken.save();
+};
+
+/**
+ * Check that a login attempt is allowed for this account and IP
+ * @param {String} email - Email used to log in
+ * @param {String} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const assertLoginAllowed = async (email, ip) => {
+    await assertKeyAllowed(ipKey(ip), false);
+    await assertKeyAllowed(accountKey(email), true);
+};
+
+/**
+ * Record failed login - locks the account/IP once the limits are reached
+ * @param {String} email - Email used to log in
+ * @param {String} ip - Client IP
+ * @param {Object|null} user - User document if the account exists (receives the unlock email)
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (email, ip, user = null) => {
+    const windowMs = BRUTE_FORCE.ATTEMPT_WINDOW_MINUTES * MINUTE;
+    const lockedUntil = new Date(Date.now() + BRUTE_FORCE.LOCKOUT_MINUTES * MINUTE);
+
+    const [accountRecord, ipRecord] = await Promise.all([
+        store.increment(accountKey(email), windowMs),
+        store.increment(ipKey(ip), windowMs)
+    ]);
+
+    if (ipRecord.count >= BRUTE_FORCE.IP_MAX_ATTEMPTS) {
+        await store.lock(ipKey(ip), lockedUntil);
+        console.warn(`⚠️  Too many failed logins from IP ${ip}. Locked until ${lockedUntil.toISOString()}`);
+    }
+
+    // Lock exactly once per window so the user gets a single unlock email
+    if (accountRecord.count === BRUTE_FORCE.ACCOUNT_MAX_ATTEMPTS) {
+        await store.lock(accountKey(email), lockedUntil);
+        console.warn(`⚠️  Account ${email} locked until ${lockedUntil.toISOString()}`);
+
+        if (user) {
+            try {
+                const emailToken = await createAccountUnlockToken(user._id, lockedUntil);
+                await emailService.sendAccountUnlock(user.email, user.name, emailToken.token, BRUTE_FORCE.LOCKOUT_MINUTES);
+            } catch (error) {
+                console.error('Failed to send account unlock email:', error);
+            }
+        }
+    }
+};
+
+/**
+ * Clear failed attempts for an account after successful login
+ * @param {String} email - User email
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (email) => {
+    await store.reset(accountKey(email));
+};
+
+/**
+ * Unlock account using token from the unlock email
+ * @param {String} token - Account unlock token
+ * @returns {Promise<Object>} - Success message
+ */
+const unlockAccount = async (token) => {
+    const emailToken = await EmailToken.findOne({ token, type: 'account_unlock' }).populate('userId');
+
+    if (!emailToken || new Date() > emailToken.expiresAt || !emailToken.userId) {
+        const error = new Error('Invalid or expired unlock token');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    await store.reset(accountKey(emailToken.userId.email));
+    await EmailToken.deleteOne({ _id: emailToken._id });
+
+    return { success: true, message: 'Your account has been unlocked. You can now log in.' };
+};
+
+/**
+ * Check that a password reset code attempt is allowed from this IP
+ * @param {String} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const assertResetAttemptAllowed = async (ip) => {
+    await assertKeyAllowed(resetIpKey(ip), true);
+};
+
+/**
+ * Record wrong password reset code from an IP
+ * @param {String} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const recordResetFailure = async (ip) => {
+    const record = await store.increment(resetIpKey(ip), BRUTE_FORCE.ATTEMPT_WINDOW_MINUTES * MINUTE);
+
+    if (record.count >= BRUTE_FORCE.IP_MAX_ATTEMPTS) {
+        await store.lock(resetIpKey(ip), new Date(Date.now() + BRUTE_FORCE.LOCKOUT_MINUTES * MINUTE));
+    }
+};
+
+/**
+ * Limit how many password reset emails can be requested for an address
+ * @param {String} email - Email address
+ * @returns {Promise<void>}
+ */
+const assertResetRequestAllowed = async (email) => {
+    const record = await store.increment(resetRequestKey(email), 60 * MINUTE);
+
+    if (record.count > BRUTE_FORCE.RESET_REQUESTS_PER_HOUR) {
+        throw createTooManyAttemptsError(
+            'Too many password reset requests. Please try again later.',
+            new Date(record.firstAttemptAt.getTime() + 60 * MINUTE)
+        );
+    }
+};
+
+module.exports = {
+    setStore,
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount,
+    assertResetAttemptAllowed,
+    recordResetFailure,
+    assertResetRequestAllowed
+};
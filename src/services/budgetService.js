@@ -0,0 +1,398 @@
+const budgetRepository = require('../repositories/budgetRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const userRepository = require('../repositories/userRepository');
+const categoryService = require('./categoryService');
+const emailService = require('./emailService');
+
+/**
+ * Get the budget period containing a date
+ * Monthly periods start on the 1st, weekly periods start on Monday.
+ * @param {String} period - Budget period ('monthly' or 'weekly')
+ * @param {Date} date - Date inside the period
+ * @returns {Object} - Period start (inclusive) and end (exclusive)
+ */
+const getPeriodRange = (period, date = new Date()) => {
+    if (period === 'weekly') {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const daysSinceMonday = (start.getDay() + 6) % 7;
+        start.setDate(start.getDate() - daysSinceMonday);
+
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+
+        return { start, end };
+    }
+
+    return {
+        start: new Date(date.getFullYear(), date.getMonth(), 1),
+        end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    };
+};
+
+/**
+ * Get display name of a budget
+ * @param {Object} budget - Budget document (category populated)
+ * @returns {String} - Budget name
+ */
+const getBudgetName = (budget) => {
+    if (budget.name) {
+        return budget.name;
+    }
+
+    const scope = budget.categoryId ? budget.categoryId.name : 'Overall';
+    return `${scope} (${budget.period})`;
+};
+
+/**
+ * Create the overall monthly budget from User.settings.monthlyBudget if it doesn't exist yet
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const ensureSettingsBudget = async (user) => {
+    const monthlyBudget = user.settings && user.settings.monthlyBudget;
+    if (!monthlyBudget || monthlyBudget <= 0) {
+        return;
+    }
+
+    const existing = await budgetRepository.findByCategoryAndPeriod(user._id, null, 'monthly');
+    if (existing) {
+        return;
+    }
+
+    try {
+        await budgetRepository.create({
+            userId: user._id,
+            categoryId: null,
+            period: 'monthly',
+            amount: monthlyBudget
+        });
+    } catch (error) {
+        // Concurrent request created it first
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Keep User.settings.monthlyBudget in sync with the overall monthly budget
+ * @param {Object} budget - Budget document
+ * @param {Number|undefined} amount - New amount (undefined when the budget is deleted)
+ * @returns {Promise<void>}
+ */
+const syncSettingsBudget = async (budget, amount) => {
+    if (budget.categoryId || budget.period !== 'monthly') {
+        return;
+    }
+
+    const user = await userRepository.findById(budget.userId);
+    if (user) {
+        user.settings.monthlyBudget = amount;
+        await user.save();
+    }
+};
+
+/**
+ * Get user with settings budget migrated
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - User document
+ */
+const getUserWithBudgets = async (userId) => {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    await ensureSettingsBudget(user);
+    return user;
+};
+
+/**
+ * Get budget owned by user
+ * @param {String} budgetId - Budget ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Budget document
+ */
+const getBudgetById = async (budgetId, userId) => {
+    const budget = await budgetRepository.findById(budgetId);
+
+    if (!budget) {
+        const error = new Error('Budget not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (budget.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return budget;
+};
+
+/**
+ * Get user budgets
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of budget documents
+ */
+const getBudgets = async (userId) => {
+    await getUserWithBudgets(userId);
+    return await budgetRepository.findByUserId(userId);
+};
+
+/**
+ * Create budget
+ * @param {String} userId - User ID
+ * @param {Object} budgetData - Budget data (name, categoryId, period, amount, rollover, alertThresholds)
+ * @returns {Promise<Object>} - Created budget document
+ */
+const createBudget = async (userId, budgetData) => {
+    const { name, categoryId = null, period = 'monthly', amount, rollover, alertThresholds } = budgetData;
+
+    await getUserWithBudgets(userId);
+
+    if (categoryId) {
+        await categoryService.getCategoryById(categoryId, userId);
+    }
+
+    const existing = await budgetRepository.findByCategoryAndPeriod(userId, categoryId, period);
+    if (existing) {
+        const error = new Error(`A ${period} budget already exists for this ${categoryId ? 'category' : 'account'}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const budget = await budgetRepository.create({
+        userId,
+        name,
+        categoryId,
+        period,
+        amount,
+        rollover,
+        alertThresholds
+    });
+
+    await syncSettingsBudget(budget, amount);
+
+    return await budgetRepository.findById(budget._id);
+};
+
+/**
+ * Update budget
+ * @param {String} budgetId - Budget ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} updateData - Data to update (name, amount, rollover, alertThresholds)
+ * @returns {Promise<Object>} - Updated budget document
+ */
+const updateBudget = async (budgetId, userId, updateData) => {
+    const budget = await getBudgetById(budgetId, userId);
+    const { name, amount, rollover, alertThresholds } = updateData;
+
+    const changes = {};
+
+    if (name !== undefined) {
+        changes.name = name;
+    }
+
+    if (amount !== undefined) {
+        changes.amount = amount;
+    }
+
+    if (rollover !== undefined) {
+        changes.rollover = rollover;
+    }
+
+    if (alertThresholds !== undefined) {
+        changes.alertThresholds = alertThresholds;
+    }
+
+    const updatedBudget = await budgetRepository.update(budgetId, changes);
+
+    if (amount !== undefined) {
+        await syncSettingsBudget(budget, amount);
+    }
+
+    return updatedBudget;
+};
+
+/**
+ * Delete budget
+ * @param {String} budgetId - Budget ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Deleted budget document
+ */
+const deleteBudget = async (budgetId, userId) => {
+    const budget = await getBudgetById(budgetId, userId);
+
+    await budgetRepository.deleteById(budgetId);
+
+    // Otherwise the settings value would recreate the budget on next read
+    await syncSettingsBudget(budget, undefined);
+
+    return budget;
+};
+
+/**
+ * Create memoized spending lookup so budgets sharing a period run one aggregation
+ * @param {String} userId - User ID
+ * @param {String} homeCurrency - User's home currency (budgets are in it)
+ * @returns {Function} - (start, end) => Promise of aggregated spending
+ */
+const createSpendingLookup = (userId, homeCurrency) => {
+    const cache = new Map();
+
+    return (start, end) => {
+        const key = `${start.getTime()}-${end.getTime()}`;
+        if (!cache.has(key)) {
+            cache.set(key, expenseRepository.aggregateSpending(userId, start, end, homeCurrency));
+        }
+        return cache.get(key);
+    };
+};
+
+/**
+ * Get amount spent against a budget from aggregated spending
+ * @param {Object} budget - Budget document (category populated)
+ * @param {Object} spending - Result of aggregateSpending
+ * @returns {Number} - Spent amount
+ */
+const getSpentAmount = (budget, spending) => {
+    if (!budget.categoryId) {
+        return spending.totalAmount;
+    }
+
+    const categoryName = budget.categoryId.name.toLowerCase();
+    const entry = spending.categoryTotals.find((item) => item.category === categoryName);
+    return entry ? entry.totalAmount : 0;
+};
+
+/**
+ * Compute spent vs remaining for a budget in the period containing a date
+ * @param {Object} budget - Budget document (category populated)
+ * @param {Date} date - Date inside the period
+ * @param {Function} getSpending - Spending lookup from createSpendingLookup
+ * @returns {Promise<Object>} - Budget status
+ */
+const computeBudgetStatus = async (budget, date, getSpending) => {
+    const { start, end } = getPeriodRange(budget.period, date);
+    const spent = getSpentAmount(budget, await getSpending(start, end));
+
+    // Rollover only looks one period back, and only if the budget already existed then
+    let rolloverAmount = 0;
+    if (budget.rollover !== 'none' && budget.createdAt < start) {
+        const previous = getPeriodRange(budget.period, new Date(start.getTime() - 1));
+        const previousSpent = getSpentAmount(budget, await getSpending(previous.start, previous.end));
+        const previousRemaining = budget.amount - previousSpent;
+
+        rolloverAmount = budget.rollover === 'carry_all'
+            ? previousRemaining
+            : Math.max(0, previousRemaining);
+    }
+
+    const effectiveLimit = budget.amount + rolloverAmount;
+    const percentUsed = effectiveLimit > 0 ? (spent / effectiveLimit) * 100 : (spent > 0 ? 100 : 0);
+
+    return {
+        budgetId: budget._id,
+        name: getBudgetName(budget),
+        category: budget.categoryId
+            ? { id: budget.categoryId._id, name: budget.categoryId.name }
+            : null,
+        period: budget.period,
+        periodStart: start,
+        periodEnd: end,
+        limit: budget.amount,
+        rolloverAmount,
+        effectiveLimit,
+        spent,
+        remaining: effectiveLimit - spent,
+        percentUsed,
+        thresholdsReached: budget.alertThresholds
+            .filter((threshold) => percentUsed >= threshold)
+            .sort((a, b) => a - b)
+    };
+};
+
+/**
+ * Get status of all user budgets for the period containing a date
+ * @param {String} userId - User ID
+ * @param {Date} date - Date inside the period (defaults to now)
+ * @returns {Promise<Object>} - Budget statuses and currency
+ */
+const getBudgetStatus = async (userId, date = new Date()) => {
+    const user = await getUserWithBudgets(userId);
+    const budgets = await budgetRepository.findByUserId(userId);
+    const getSpending = createSpendingLookup(userId, user.settings.currency);
+
+    const statuses = await Promise.all(
+        budgets.map((budget) => computeBudgetStatus(budget, date, getSpending))
+    );
+
+    return {
+        date,
+        currency: user.settings.currency,
+        budgets: statuses
+    };
+};
+
+/**
+ * Send threshold alerts for budgets affected by an expense on a date.
+ * Only the current period is checked - backdated expenses don't trigger alerts.
+ * @param {String} userId - User ID
+ * @param {Date} expenseDate - Date of the created/updated expense
+ * @returns {Promise<Array>} - Alerts sent
+ */
+const checkBudgetAlerts = async (userId, expenseDate) => {
+    const user = await getUserWithBudgets(userId);
+    const budgets = await budgetRepository.findByUserId(userId);
+    const getSpending = createSpendingLookup(userId, user.settings.currency);
+    const now = new Date();
+    const sentAlerts = [];
+
+    for (const budget of budgets) {
+        const { start, end } = getPeriodRange(budget.period, now);
+        if (expenseDate < start || expenseDate >= end) {
+            continue;
+        }
+
+        const status = await computeBudgetStatus(budget, now, getSpending);
+
+        // Only the highest newly reached threshold is emailed, lower ones are marked as sent too
+        let highestNewThreshold = null;
+        for (const threshold of status.thresholdsReached) {
+            if (await budgetRepository.recordAlertSent(budget._id, start, threshold)) {
+                highestNewThreshold = threshold;
+            }
+        }
+
+        if (highestNewThreshold === null) {
+            continue;
+        }
+
+        const alert = { ...status, threshold: highestNewThreshold, currency: user.settings.currency };
+
+        try {
+            await emailService.sendBudgetAlert(user.email, user.name, alert);
+        } catch (error) {
+            console.error('Failed to send budget alert email:', error);
+        }
+
+        sentAlerts.push(alert);
+    }
+
+    return sentAlerts;
+};
+
+module.exports = {
+    getPeriodRange,
+    getBudgets,
+    getBudgetById,
+    createBudget,
+    updateBudget,
+    deleteBudget,
+    getBudgetStatus,
+    checkBudgetAlerts
+};
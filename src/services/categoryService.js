@@ -0,0 +1,287 @@
+const categoryRepository = require('../repositories/categoryRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const budgetRepository = require('../repositories/budgetRepository');
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const { DEFAULT_CATEGORIES } = require('../constants');
+
+// Guards against cycles when walking the parent chain
+const MAX_CATEGORY_DEPTH = 10;
+
+/**
+ * Seed default categories for a user who has none yet
+ * @param {String} userId - User ID
+ * @returns {Promise<void>}
+ */
+const ensureDefaultCategories = async (userId) => {
+    const count = await categoryRepository.countByUserId(userId);
+    if (count > 0) {
+        return;
+    }
+
+    try {
+        await categoryRepository.createMany(
+            DEFAULT_CATEGORIES.map(({ name, color, icon }) => ({ userId, name, color, icon }))
+        );
+    } catch (error) {
+        // Concurrent request already seeded the same names
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Get category owned by user
+ * @param {String} categoryId - Category ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Category document
+ */
+const getCategoryById = async (categoryId, userId) => {
+    const category = await categoryRepository.findById(categoryId);
+
+    if (!category) {
+        const error = new Error('Category not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (category.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return category;
+};
+
+/**
+ * Find user category by name (case-insensitive), seeding defaults first if needed
+ * @param {String} userId - User ID
+ * @param {String} name - Category name
+ * @returns {Promise<Object|null>} - Category document or null
+ */
+const findCategoryByName = async (userId, name) => {
+    if (!name || !name.trim()) {
+        return null;
+    }
+
+    await ensureDefaultCategories(userId);
+    return await categoryRepository.findByName(userId, name);
+};
+
+/**
+ * Validate parent category - must belong to user and must not create a cycle
+ * @param {String} userId - User ID
+ * @param {String|null} parentId - Parent category ID
+ * @param {String|null} categoryId - Category being updated (null on create)
+ * @returns {Promise<void>}
+ */
+const validateParent = async (userId, parentId, categoryId = null) => {
+    if (!parentId) {
+        return;
+    }
+
+    if (categoryId && parentId.toString() === categoryId.toString()) {
+        const error = new Error('Category cannot be its own parent');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let current = await getCategoryById(parentId.toString(), userId);
+
+    for (let depth = 0; current.parentId; depth++) {
+        if (depth >= MAX_CATEGORY_DEPTH) {
+            const error = new Error(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (categoryId && current.parentId.toString() === categoryId.toString()) {
+            const error = new Error('Category cannot be moved under one of its own subcategories');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        current = await categoryRepository.findById(current.parentId);
+        if (!current) {
+            break;
+        }
+    }
+};
+
+/**
+ * Throw if another category of the user already has this name
+ * @param {String} userId - User ID
+ * @param {String} name - Category name
+ * @param {String|null} categoryId - Category allowed to have the name (on update)
+ * @returns {Promise<void>}
+ */
+const assertNameAvailable = async (userId, name, categoryId = null) => {
+    const existing = await categoryRepository.findByName(userId, name);
+
+    if (existing && existing._id.toString() !== categoryId) {
+        const error = new Error('A category with this name already exists');
+        error.statusCode = 409;
+        throw error;
+    }
+};
+
+/**
+ * Get user categories
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (includeArchived)
+ * @returns {Promise<Array>} - Array of category documents
+ */
+const getCategories = async (userId, options = {}) => {
+    await ensureDefaultCategories(userId);
+    return await categoryRepository.findByUserId(userId, options);
+};
+
+/**
+ * Create category
+ * @param {String} userId - User ID
+ * @param {Object} categoryData - Category data (name, color, icon, parentId)
+ * @returns {Promise<Object>} - Created category document
+ */
+const createCategory = async (userId, categoryData) => {
+    const { name, color, icon, parentId } = categoryData;
+
+    await ensureDefaultCategories(userId);
+    await assertNameAvailable(userId, name);
+    await validateParent(userId, parentId);
+
+    return await categoryRepository.create({
+        userId,
+        name: name.trim(),
+        color,
+        icon,
+        parentId: parentId || null
+    });
+};
+
+/**
+ * Update category - renaming rewrites the category on existing expenses
+ * @param {String} categoryId - Category ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} updateData - Data to update (name, color, icon, parentId, isArchived)
+ * @returns {Promise<Object>} - Updated category document and number of expenses renamed
+ */
+const updateCategory = async (categoryId, userId, updateData) => {
+    const category = await getCategoryById(categoryId, userId);
+    const { name, color, icon, parentId, isArchived } = updateData;
+
+    const changes = {};
+    let renamedExpenses = 0;
+
+    if (parentId !== undefined) {
+        await validateParent(userId, parentId, categoryId);
+        changes.parentId = parentId || null;
+    }
+
+    if (color !== undefined) {
+        changes.color = color;
+    }
+
+    if (icon !== undefined) {
+        changes.icon = icon;
+    }
+
+    if (isArchived !== undefined) {
+        changes.isArchived = isArchived;
+    }
+
+    if (name !== undefined && name.trim() !== category.name) {
+        const newName = name.trim();
+        await assertNameAvailable(userId, newName, categoryId);
+        changes.name = newName;
+
+        const result = await expenseRepository.renameCategory(userId, category.name, newName);
+        renamedExpenses = result.modifiedCount;
+
+        await recurringExpenseRepository.renameCategory(userId, category.name, newName);
+    }
+
+    const updatedCategory = await categoryRepository.update(categoryId, changes);
+
+    return {
+        category: updatedCategory,
+        renamedExpenses
+    };
+};
+
+/**
+ * Delete unused category - subcategories move up to the deleted category's parent, its budgets are removed
+ * @param {String} categoryId - Category ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Deleted category document
+ */
+const deleteCategory = async (categoryId, userId) => {
+    const category = await getCategoryById(categoryId, userId);
+
+    const expenseCount = await expenseRepository.countByCategory(userId, category.name);
+    if (expenseCount > 0) {
+        const error = new Error(`Category is used by ${expenseCount} expense(s). Archive it or merge it into another category instead.`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const recurringCount = await recurringExpenseRepository.countByCategory(userId, category.name);
+    if (recurringCount > 0) {
+        const error = new Error(`Category is used by ${recurringCount} recurring expense(s). Archive it or merge it into another category instead.`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    await categoryRepository.reparentChildren(category._id, category.parentId);
+    await budgetRepository.deleteByCategoryId(category._id);
+    await categoryRepository.deleteById(categoryId);
+
+    return category;
+};
+
+/**
+ * Merge category into another - expenses, recurring expenses, subcategories and budgets move to the target, source is deleted
+ * @param {String} sourceId - Category to merge (deleted afterwards)
+ * @param {String} targetId - Category to merge into
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Target category document and number of expenses moved
+ */
+const mergeCategory = async (sourceId, targetId, userId) => {
+    if (sourceId === targetId) {
+        const error = new Error('Cannot merge a category into itself');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const source = await getCategoryById(sourceId, userId);
+    const target = await getCategoryById(targetId, userId);
+
+    // Target was a subcategory of the source - lift it to the source's level first
+    if (target.parentId && target.parentId.toString() === sourceId) {
+        await categoryRepository.update(targetId, { parentId: source.parentId });
+    }
+
+    await categoryRepository.reparentChildren(source._id, target._id);
+
+    const result = await expenseRepository.renameCategory(userId, source.name, target.name);
+    await recurringExpenseRepository.renameCategory(userId, source.name, target.name);
+
+    await budgetRepository.reassignCategory(userId, source._id, target._id);
+    await categoryRepository.deleteById(sourceId);
+
+    return {
+        category: await categoryRepository.findById(targetId),
+        movedExpenses: result.modifiedCount
+    };
+};
+
+module.exports = {
+    ensureDefaultCategories,
+    findCategoryByName,
+    getCategories,
+    getCategoryById,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    mergeCategory
+};
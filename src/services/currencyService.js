@@ -0,0 +1,191 @@
+const exchangeRateRepository = require('../repositories/exchangeRateRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const userRepository = require('../repositories/userRepository');
+const { parseExchangeRates } = require('../utils/exchangeRateParsers');
+const { EXCHANGE_RATE } = require('../constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get UTC midnight of the day of a date
+ * @param {Date|String} date - Date
+ * @returns {Date} - Start of the UTC day
+ */
+const startOfUtcDay = (date) => {
+    const value = new Date(date);
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+/**
+ * Get rate of a currency per 1 base currency (EUR) on a day.
+ * Weekends and holidays have no rates, so the latest earlier rate is used.
+ * @param {String} currency - Currency code
+ * @param {Date} date - Day
+ * @param {Map} cache - Lookups already made (shared across calls of one request or batch)
+ * @returns {Promise<Number|null>} - Rate, or null if there is no recent enough rate
+ */
+const getRate = async (currency, date, cache = new Map()) => {
+    if (currency === EXCHANGE_RATE.BASE_CURRENCY) {
+        return 1;
+    }
+
+    const day = startOfUtcDay(date);
+    const key = `${currency}|${day.getTime()}`;
+
+    if (!cache.has(key)) {
+        const minDate = new Date(day.getTime() - EXCHANGE_RATE.MAX_RATE_AGE_DAYS * DAY);
+        cache.set(key, exchangeRateRepository.findLatest(currency, day, minDate)
+            .then((exchangeRate) => (exchangeRate ? exchangeRate.rate : null)));
+    }
+
+    return await cache.get(key);
+};
+
+/**
+ * Convert an amount between currencies at the rates of a day (cross rate through EUR)
+ * @param {Number} amount - Amount
+ * @param {String} fromCurrency - Currency of the amount
+ * @param {String} toCurrency - Target currency
+ * @param {Date} date - Day of the rates
+ * @param {Map} cache - Rate lookup cache
+ * @returns {Promise<Object|null>} - { amount, rate } rounded, or null if a rate is missing
+ */
+const convertAmount = async (amount, fromCurrency, toCurrency, date, cache = new Map()) => {
+    if (fromCurrency === toCurrency) {
+        return { amount, rate: 1 };
+    }
+
+    const [fromRate, toRate] = await Promise.all([
+        getRate(fromCurrency, date, cache),
+        getRate(toCurrency, date, cache)
+    ]);
+
+    if (!fromRate || !toRate) {
+        return null;
+    }
+
+    const rate = toRate / fromRate;
+
+    return {
+        amount: Math.round(amount * rate * 100) / 100,
+        rate: Math.round(rate * 1e6) / 1e6
+    };
+};
+
+/**
+ * Get user's home currency
+ * @param {String} userId - User ID
+ * @returns {Promise<String>} - Currency code
+ */
+const getHomeCurrency = async (userId) => {
+    const user = await userRepository.findById(userId);
+    return (user && user.settings && user.settings.currency) || 'USD';
+};
+
+/**
+ * Add the home currency amount to expense data, converted at the rate of the expense date.
+ * Expenses without a currency are in the home currency. homeAmount stays null while a rate is missing.
+ * @param {Object} expenseData - Expense data (amount, currency, date)
+ * @param {String} homeCurrency - User's home currency
+ * @param {Map} cache - Rate lookup cache
+ * @returns {Promise<Object>} - Expense data with currency, homeAmount, homeCurrency and exchangeRate
+ */
+const withHomeAmount = async (expenseData, homeCurrency, cache = new Map()) => {
+    const currency = expenseData.currency || homeCurrency;
+    const converted = await convertAmount(Number(expenseData.amount), currency, homeCurrency, expenseData.date, cache);
+
+    return {
+        ...expenseData,
+        currency,
+        homeAmount: converted ? converted.amount : null,
+        homeCurrency,
+        exchangeRate: converted ? converted.rate : null
+    };
+};
+
+/**
+ * Recompute home currency amounts of user expenses (after the home currency changed or new rates were imported)
+ * @param {String} userId - User ID
+ * @param {Object} options - { onlyMissing - only expenses without a home amount }
+ * @returns {Promise<Object>} - Converted and unconverted (rate missing) counts, and the home currency
+ */
+const recomputeHomeAmounts = async (userId, options = {}) => {
+    const homeCurrency = await getHomeCurrency(userId);
+    const cache = new Map();
+    const counts = { converted: 0, unconverted: 0 };
+    let updates = [];
+
+    const filter = { userId };
+    if (options.onlyMissing) {
+        filter.homeAmount = null;
+    }
+
+    const cursor = expenseRepository.streamForConversion(filter);
+
+    try {
+        for await (const expense of cursor) {
+            const { homeAmount, exchangeRate } = await withHomeAmount(expense, homeCurrency, cache);
+            counts[homeAmount === null ? 'unconverted' : 'converted']++;
+
+            updates.push({ expenseId: expense._id, homeAmount, homeCurrency, exchangeRate });
+            if (updates.length >= EXCHANGE_RATE.BATCH_SIZE) {
+                await expenseRepository.setHomeAmounts(updates);
+                updates = [];
+            }
+        }
+
+        await expenseRepository.setHomeAmounts(updates);
+    } finally {
+        await cursor.close();
+    }
+
+    return { homeCurrency, ...counts };
+};
+
+/**
+ * Import ECB-style reference rates (CSV or XML), then convert expenses that were waiting for a rate
+ * @param {String} text - File content
+ * @param {String} source - File name, stored with the rates
+ * @returns {Promise<Object>} - Import summary (rates, currencies, date range, converted expenses)
+ */
+const importRates = async (text, source) => {
+    const rates = parseExchangeRates(text);
+
+    if (rates.length === 0) {
+        const error = new Error('No exchange rates found. Expected an ECB reference rates CSV or XML file.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    for (let i = 0; i < rates.length; i += EXCHANGE_RATE.BATCH_SIZE) {
+        await exchangeRateRepository.upsertMany(rates.slice(i, i + EXCHANGE_RATE.BATCH_SIZE), source);
+    }
+
+    const userIds = await expenseRepository.findUserIdsMissingHomeAmount();
+    let convertedExpenses = 0;
+    for (const userId of userIds) {
+        const result = await recomputeHomeAmounts(userId.toString(), { onlyMissing: true });
+        convertedExpenses += result.converted;
+    }
+
+    // History files have too many rates to spread into Math.min/max
+    const from = rates.reduce((earliest, rate) => (rate.date < earliest ? rate.date : earliest), rates[0].date);
+    const to = rates.reduce((latest, rate) => (rate.date > latest ? rate.date : latest), rates[0].date);
+
+    return {
+        rates: rates.length,
+        currencies: [...new Set(rates.map((rate) => rate.currency))].sort(),
+        from,
+        to,
+        convertedExpenses
+    };
+};
+
+module.exports = {
+    getRate,
+    convertAmount,
+    getHomeCurrency,
+    withHomeAmount,
+    recomputeHomeAmounts,
+    importRates
+};
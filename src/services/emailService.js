@@ -18,6 +18,18 @@ const transporter = nodemailer.createTransport({
     }
 });
 
+/**
+ * Escape user-provided text for an email HTML body
+ * @param {String} text - Text
+ * @returns {String} - Text safe to put in HTML
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Send email verification token to user
  * @param {String} email - User email address
@@ -149,8 +161,146 @@ const sendPasswordResetCode = async (email, name, code) => {
     }
 };
 
+/**
+ * Send account unlock link after too many failed login attempts
+ * @param {String} email - User email address
+ * @param {String} name - User name
+ * @param {String} token - Account unlock token
+ * @param {Number} lockoutMinutes - Lockout duration in minutes
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendAccountUnlock = async (email, name, token, lockoutMinutes) => {
+    // Skip email sending if credentials are not configured
+    if (!MAILTRAP_USER || !MAILTRAP_PASS) {
+        console.warn(`⚠️  Email not sent to ${email} - Mailtrap credentials missing`);
+        console.warn(`🔗 Unlock URL: ${FRONTEND_URL}/unlock-account?token=${token}`);
+        return { success: false, message: 'Email credentials not configured' };
+    }
+
+    const unlockUrl = `${FRONTEND_URL}/unlock-account?token=${token}`;
+
+    const mailOptions = {
+        from: EMAIL_FROM,
+        to: email,
+        subject: 'Your Account Has Been Locked - Smart Expense Tracker',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Account Temporarily Locked</h2>
+                <p>Hello ${name},</p>
+                <p>We detected several failed sign-in attempts on your account, so we have locked it for ${lockoutMinutes} minutes.</p>
+                <p>If this was you, you can unlock your account right away:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${unlockUrl}" 
+                       style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                        Unlock Account
+                    </a>
+                </div>
+                <p>Or copy and paste this link into your browser:</p>
+                <p style="color: #666; word-break: break-all;">${unlockUrl}</p>
+                <p>If this wasn't you, we recommend resetting your password.</p>
+                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+                <p style="color: #999; font-size: 12px;">Smart Expense Tracker Team</p>
+            </div>
+        `,
+        text: `
+            Account Temporarily Locked
+            
+            Hello ${name},
+            
+            We detected several failed sign-in attempts on your account, so we have locked it for ${lockoutMinutes} minutes.
+            
+            If this was you, you can unlock your account right away by visiting:
+            ${unlockUrl}
+            
+            If this wasn't you, we recommend resetting your password.
+            
+            Smart Expense Tracker Team
+        `
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Account unlock email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending account unlock email:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Send budget threshold alert
+ * @param {String} email - User email address
+ * @param {String} name - User name
+ * @param {Object} alert - Budget status with reached threshold (name, threshold, spent, effectiveLimit, remaining, currency, periodStart, periodEnd)
+ * @returns {Promise} - Promise that resolves when email is sent
+ */
+const sendBudgetAlert = async (email, name, alert) => {
+    const formatAmount = (value) => `${value.toFixed(2)} ${alert.currency}`;
+    const lastDay = new Date(alert.periodEnd.getTime() - 1);
+    const periodLabel = `${alert.periodStart.toDateString()} - ${lastDay.toDateString()}`;
+    const headline = alert.threshold >= 100
+        ? `You have exceeded your "${alert.name}" budget`
+        : `You have used ${alert.threshold}% of your "${alert.name}" budget`;
+
+    // Skip email sending if credentials are not configured
+    if (!MAILTRAP_USER || !MAILTRAP_PASS) {
+        console.warn(`⚠️  Email not sent to ${email} - Mailtrap credentials missing`);
+        console.warn(`💰 Budget alert: ${headline} (${formatAmount(alert.spent)} of ${formatAmount(alert.effectiveLimit)})`);
+        return { success: false, message: 'Email credentials not configured' };
+    }
+
+    const mailOptions = {
+        from: EMAIL_FROM,
+        to: email,
+        subject: `Budget Alert: ${alert.name} at ${Math.round(alert.percentUsed)}% - Smart Expense Tracker`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">${escapeHtml(headline)}</h2>
+                <p>Hello ${escapeHtml(name)},</p>
+                <p>Here is where your budget stands for ${periodLabel}:</p>
+                <table style="margin: 20px 0; border-collapse: collapse;">
+                    <tr><td style="padding: 4px 16px 4px 0; color: #666;">Spent</td><td><strong>${formatAmount(alert.spent)}</strong></td></tr>
+                    <tr><td style="padding: 4px 16px 4px 0; color: #666;">Budget</td><td>${formatAmount(alert.effectiveLimit)}</td></tr>
+                    <tr><td style="padding: 4px 16px 4px 0; color: #666;">Remaining</td><td>${formatAmount(alert.remaining)}</td></tr>
+                </table>
+                <p>
+                    <a href="${FRONTEND_URL}/budgets" style="color: #4CAF50;">Review your budgets</a>
+                </p>
+                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+                <p style="color: #999; font-size: 12px;">Smart Expense Tracker Team</p>
+            </div>
+        `,
+        text: `
+            ${headline}
+            
+            Hello ${name},
+            
+            Here is where your budget stands for ${periodLabel}:
+            Spent: ${formatAmount(alert.spent)}
+            Budget: ${formatAmount(alert.effectiveLimit)}
+            Remaining: ${formatAmount(alert.remaining)}
+            
+            Review your budgets: ${FRONTEND_URL}/budgets
+            
+            Smart Expense Tracker Team
+        `
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Budget alert email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending budget alert email:', error.message);
+        throw error;
+    }
+};
+
 module.exports = {
     sendEmailConfirmation,
-    sendPasswordResetCode
+    sendPasswordResetCode,
+    sendAccountUnlock,
+    sendBudgetAlert
 };
 
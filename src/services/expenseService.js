@@ -1,61 +1,137 @@
 const expenseRepository = require('../repositories/expenseRepository');
 const receiptRepository = require('../repositories/receiptRepository');
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
 const receiptService = require('./receiptService');
+const budgetService = require('./budgetService');
+const currencyService = require('./currencyService');
+const { escapeRegex, parseSearchQuery, buildSnippets } = require('../utils/textSearch');
+const { decodeCursor, buildCursorQuery, getCursorPage, getCursors } = require('../utils/cursor');
+const { getLineItemReview } = require('../utils/receiptParser');
+const { EXPENSE_LIST, EXPENSE_SEARCH, EXPENSE_SPLITS } = require('../constants');
 
 /**
- * Create expense from OCR data
- * @param {Object} expenseData - Expense data
+ * Check budget thresholds after an expense changed (background task)
  * @param {String} userId - User ID
- * @returns {Promise<Object>} - Created expense document
+ * @param {Object} expense - Created or updated expense document
  */
-const createExpense = async (expenseData, userId) => {
-    // Validate required fields
-    if (!expenseData.receiptId) {
-        const error = new Error('Receipt ID is required');
-        error.statusCode = 400;
+const notifyBudgets = (userId, expense) => {
+    budgetService.checkBudgetAlerts(userId, expense.date).catch(error => {
+        console.error('Budget alert check error:', error);
+    });
+};
+
+/**
+ * Get receipt owned by user that is not linked to another expense
+ * @param {String} receiptId - Receipt ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {String} expenseId - Expense the receipt may already belong to (optional)
+ * @returns {Promise<Object>} - Receipt document
+ */
+const getAttachableReceipt = async (receiptId, userId, expenseId = null) => {
+    const receipt = await receiptRepository.findById(receiptId);
+    if (!receipt) {
+        const error = new Error('Receipt not found');
+        error.statusCode = 404;
         throw error;
     }
 
-    if (!expenseData.amount) {
-        const error = new Error('Amount is required');
-        error.statusCode = 400;
+    if (receipt.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
         throw error;
     }
 
-    if (!expenseData.date) {
-        const error = new Error('Date is required');
-        error.statusCode = 400;
+    // Check if another expense already uses this receipt
+    const existingExpense = await expenseRepository.findByReceiptId(receiptId);
+    if (existingExpense && existingExpense._id.toString() !== expenseId) {
+        const error = new Error('Expense already exists for this receipt');
+        error.statusCode = 409;
         throw error;
     }
 
-    // Verify receipt belongs to user
-    const receipt = await receiptRepository.findById(expenseData.receiptId);
-    if (!receipt) {
-        const error = new Error('Receipt not found');
+    return receipt;
+};
+
+/**
+ * Get expense owned by user
+ * @param {String} expenseId - Expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Expense document
+ */
+const getOwnedExpense = async (expenseId, userId) => {
+    const expense = await expenseRepository.findById(expenseId);
+
+    if (!expense) {
+        const error = new Error('Expense not found');
         error.statusCode = 404;
         throw error;
     }
 
-    if (receipt.userId.toString() !== userId) {
+    if (expense.userId.toString() !== userId) {
         const error = new Error('Access denied');
         error.statusCode = 403;
         throw error;
     }
 
-    // Check if expense already exists for this receipt
-    const existingExpense = await expenseRepository.findByReceiptId(expenseData.receiptId);
-    if (existingExpense) {
-        const error = new Error('Expense already exists for this receipt');
-        error.statusCode = 409;
+    return expense;
+};
+
+/**
+ * Create expense, either manually or from a receipt
+ * @param {Object} expenseData - Expense data (receiptId is optional)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - Created expense document
+ */
+const createExpense = async (expenseData, userId) => {
+    if (!expenseData.amount) {
+        const error = new Error('Amount is required');
+        error.statusCode = 400;
         throw error;
     }
 
+    if (!expenseData.date) {
+        const error = new Error('Date is required');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // Verify receipt belongs to user and isn't used yet
+    if (expenseData.receiptId) {
+        await getAttachableReceipt(expenseData.receiptId, userId);
+    }
+
+    const homeCurrency = await currencyService.getHomeCurrency(userId);
+
+    // Recurring, import and bank statement links, parsedData and the home amount are set by the server;
+    // splits are checked against the amount and categories through their own endpoint;
+    // review flags are derived from the line items
+    const {
+        userId: _userId,
+        parsedData: _parsedData,
+        recurringExpenseId: _recurringExpenseId,
+        occurrenceDate: _occurrenceDate,
+        importJobId: _importJobId,
+        bankTransactionId: _bankTransactionId,
+        isPending: _isPending,
+        homeAmount: _homeAmount,
+        homeCurrency: _homeCurrency,
+        exchangeRate: _exchangeRate,
+        needsReview: _needsReview,
+        reviewReason: _reviewReason,
+        splits: _splits,
+        ...data
+    } = expenseData;
+
     // Create expense
-    const expense = await expenseRepository.create({
+    const expense = await expenseRepository.create(await currencyService.withHomeAmount({
         userId,
-        ...expenseData,
+        ...data,
+        ...getLineItemReview(data),
+        receiptId: data.receiptId || null,
         isVerified: false
-    });
+    }, homeCurrency));
+
+    notifyBudgets(userId, expense);
 
     return expense;
 };
@@ -82,28 +158,44 @@ const getExpenseById = async (expenseId, userId) => {
     }
 
     // Ensure receipt is populated (it should be from repository, but double-check)
-    if (!expense.receiptId || typeof expense.receiptId === 'string') {
+    if (expense.receiptId && !expense.receiptId.fileUrl) {
         // If receipt is not populated, populate it
-        await expense.populate('receiptId');
+        await expense.populate('receiptId', '-ocrLines');
     }
 
     return expense;
 };
 
 /**
- * Get user expenses with pagination and filters
- * @param {String} userId - User ID
- * @param {Object} options - Query options (page, limit, category, startDate, endDate)
- * @returns {Promise<Object>} - Expenses and pagination info
+ * Build expense query filter from list/export/search filters
+ * @param {Object} options - Filters (category - one or several, startDate, endDate, minAmount, maxAmount,
+ *   merchant, merchantMatch, tags, tagMatch, paymentMethod, currency, isVerified, hasReceipt, needsReview)
+ * @returns {Object} - MongoDB filter (without userId)
  */
-const getUserExpenses = async (userId, options = {}) => {
-    const { page = 1, limit = 10, category, startDate, endDate } = options;
-    const skip = (page - 1) * limit;
+const buildExpenseFilter = (options = {}) => {
+    const {
+        category,
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        merchant,
+        merchantMatch = 'prefix',
+        tags,
+        tagMatch = 'all',
+        paymentMethod,
+        currency,
+        isVerified,
+        hasReceipt,
+        needsReview
+    } = options;
 
-    // Build filter
     const filter = {};
-    if (category) {
-        filter.category = category;
+    const categories = [].concat(category || []);
+    if (categories.length > 0) {
+        // Split expenses match any of their split categories ($and keeps this $or apart from the cursor's)
+        const categoryMatch = categories.length === 1 ? categories[0] : { $in: categories };
+        filter.$and = [{ $or: [{ category: categoryMatch }, { 'splits.category': categoryMatch }] }];
     }
     if (startDate || endDate) {
         filter.date = {};
@@ -114,17 +206,173 @@ const getUserExpenses = async (userId, options = {}) => {
             filter.date.$lte = new Date(endDate);
         }
     }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        filter.amount = {};
+        if (minAmount !== undefined) {
+            filter.amount.$gte = Number(minAmount);
+        }
+        if (maxAmount !== undefined) {
+            filter.amount.$lte = Number(maxAmount);
+        }
+    }
+    if (merchant) {
+        const pattern = escapeRegex(merchant);
+        filter.merchant = new RegExp(merchantMatch === 'contains' ? pattern : `^${pattern}`, 'i');
+    }
+    if (tags && tags.length > 0) {
+        filter.tags = tagMatch === 'any' ? { $in: tags } : { $all: tags };
+    }
+    if (paymentMethod) {
+        filter.paymentMethod = paymentMethod;
+    }
+    if (currency) {
+        filter.currency = currency;
+    }
+    if (isVerified !== undefined) {
+        filter.isVerified = isVerified === true || isVerified === 'true';
+    }
+    if (hasReceipt !== undefined) {
+        const withReceipt = hasReceipt === true || hasReceipt === 'true';
+        filter.receiptId = withReceipt ? { $ne: null } : null;
+    }
+    if (needsReview !== undefined) {
+        filter.needsReview = needsReview === true || needsReview === 'true';
+    }
+
+    return filter;
+};
+
+/**
+ * Build sort for expense list/export
+ * @param {String} sort - Field name, prefixed with "-" for descending (e.g. "-amount")
+ * @returns {Object} - MongoDB sort (with _id as tie-breaker, so pages are stable)
+ */
+const buildExpenseSort = (sort = EXPENSE_LIST.DEFAULT_SORT) => {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+
+    if (!EXPENSE_LIST.SORT_FIELDS.includes(field)) {
+        const error = new Error(`Sort must be one of: ${EXPENSE_LIST.SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const direction = descending ? -1 : 1;
+    return { [field]: direction, _id: direction };
+};
+
+/**
+ * Get user expenses with pagination, filters and sorting.
+ * Pages are addressed either by page number or by the opaque nextCursor/prevCursor of a previous response;
+ * cursors don't skip or repeat expenses when expenses are added while paging.
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (page, limit, cursor, sort and the filters of buildExpenseFilter)
+ * @returns {Promise<Object>} - Expenses and pagination info
+ */
+const getUserExpenses = async (userId, options = {}) => {
+    const { page = 1, cursor } = options;
+    const limit = parseInt(options.limit || 10);
+    const skip = (page - 1) * limit;
+
+    const filter = buildExpenseFilter(options);
+    const sort = buildExpenseSort(options.sort);
+    const supportsCursor = EXPENSE_LIST.CURSOR_SORT_FIELDS.includes(Object.keys(sort)[0]);
+
+    if (cursor) {
+        if (!supportsCursor) {
+            const error = new Error(`Cursors are only available when sorting by ${EXPENSE_LIST.CURSOR_SORT_FIELDS.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const decodedCursor = decodeCursor(cursor, sort);
+        const cursorQuery = buildCursorQuery(sort, decodedCursor);
+
+        const [expenses, total] = await Promise.all([
+            expenseRepository.findByUserId(userId, {
+                limit: limit + 1,
+                sort: cursorQuery.sort,
+                filter: { ...filter, ...cursorQuery.filter }
+            }),
+            expenseRepository.countByUserId(userId, filter)
+        ]);
+
+        const { items, nextCursor, prevCursor } = getCursorPage(expenses, sort, decodedCursor, limit);
+
+        return {
+            expenses: items,
+            pagination: {
+                limit,
+                total,
+                nextCursor,
+                prevCursor
+            }
+        };
+    }
 
     const expenses = await expenseRepository.findByUserId(userId, {
-        limit: parseInt(limit),
+        limit,
         skip: parseInt(skip),
+        sort,
         filter
     });
 
     const total = await expenseRepository.countByUserId(userId, filter);
 
+    const cursors = supportsCursor
+        ? getCursors(expenses, sort, { hasNext: skip + expenses.length < total, hasPrev: skip > 0 })
+        : { nextCursor: null, prevCursor: null };
+
     return {
         expenses,
+        pagination: {
+            page: parseInt(page),
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+            ...cursors
+        }
+    };
+};
+
+/**
+ * Full-text search over user expenses (OCR text, merchant, notes), best matches first
+ * @param {String} userId - User ID
+ * @param {Object} options - Search options (q, page, limit and the list filters)
+ * @returns {Promise<Object>} - Expenses with relevance score and OCR snippets, and pagination info
+ */
+const searchExpenses = async (userId, options = {}) => {
+    const { q, page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = buildExpenseFilter(options);
+    const parsedQuery = parseSearchQuery(q);
+
+    // Only excluded words (e.g. "-fuel") match nothing in a text search
+    if (parsedQuery.terms.length === 0 && parsedQuery.phrases.length === 0) {
+        const error = new Error('Search query must contain at least one word');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const [expenses, total] = await Promise.all([
+        expenseRepository.searchByUserId(userId, q, {
+            limit: parseInt(limit),
+            skip: parseInt(skip),
+            filter
+        }),
+        expenseRepository.countSearchResults(userId, q, filter)
+    ]);
+
+    return {
+        expenses: expenses.map((expense) => ({
+            ...expense,
+            score: Math.round(expense.score * 1000) / 1000,
+            snippets: buildSnippets(expense.ocrText, parsedQuery, {
+                radius: EXPENSE_SEARCH.SNIPPET_RADIUS,
+                maxSnippets: EXPENSE_SEARCH.MAX_SNIPPETS
+            })
+        })),
         pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -156,41 +404,184 @@ const updateExpense = async (expenseId, updateData, userId) => {
         throw error;
     }
 
+    // Ownership, receipt, recurring, import and bank statement links only change through their dedicated endpoints;
+    // parsedData is what OCR read and only changes when the receipt is processed
+    const {
+        userId: _userId,
+        receiptId: _receiptId,
+        parsedData: _parsedData,
+        recurringExpenseId: _recurringExpenseId,
+        occurrenceDate: _occurrenceDate,
+        importJobId: _importJobId,
+        bankTransactionId: _bankTransactionId,
+        isPending: _isPending,
+        homeAmount: _homeAmount,
+        homeCurrency: _homeCurrency,
+        exchangeRate: _exchangeRate,
+        needsReview: _needsReview,
+        reviewReason: _reviewReason,
+        splits: _splits,
+        ...allowedData
+    } = updateData;
+
+    // Splits must keep adding up to the amount, so they change first through their own endpoint
+    if (
+        allowedData.amount !== undefined
+        && expense.splits && expense.splits.length > 0
+        && Math.abs(Number(allowedData.amount) - expense.amount) > EXPENSE_SPLITS.AMOUNT_TOLERANCE
+    ) {
+        const error = new Error('Expense is split across categories. Update or remove the splits before changing the amount.');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    // The category of a split expense is its largest split, so it follows the splits
+    if (
+        allowedData.category !== undefined
+        && expense.splits && expense.splits.length > 0
+        && allowedData.category !== expense.category
+    ) {
+        const error = new Error('Expense is split across categories. Update or remove the splits before changing the category.');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    // Convert again when amount, currency or date (and so the rate) changed
+    let homeAmountData = {};
+    if (allowedData.amount !== undefined || allowedData.currency !== undefined || allowedData.date !== undefined) {
+        const { homeAmount, homeCurrency, exchangeRate } = await currencyService.withHomeAmount({
+            amount: allowedData.amount !== undefined ? allowedData.amount : expense.amount,
+            currency: allowedData.currency || expense.currency,
+            date: allowedData.date || expense.date
+        }, await currencyService.getHomeCurrency(userId));
+
+        homeAmountData = { homeAmount, homeCurrency, exchangeRate };
+    }
+
+    // Check line items again when they or the amounts changed; verifying the expense accepts it as it is
+    let reviewData = {};
+    if (['lineItems', 'subtotal', 'tax', 'tip', 'discount', 'amount'].some((field) => allowedData[field] !== undefined)) {
+        reviewData = getLineItemReview({ ...expense.toObject(), ...allowedData });
+    }
+    if (allowedData.isVerified === true || allowedData.isVerified === 'true') {
+        reviewData = { needsReview: false, reviewReason: null };
+    }
+
     // Update expense
-    const updatedExpense = await expenseRepository.update(expenseId, updateData);
+    const updatedExpense = await expenseRepository.update(expenseId, { ...allowedData, ...homeAmountData, ...reviewData });
+
+    notifyBudgets(userId, updatedExpense);
 
     return updatedExpense;
 };
 
 /**
- * Delete expense and related receipt
+ * Split an expense across categories, replacing its current splits.
+ * The split amounts must add up to the expense amount; the largest split becomes the expense category.
  * @param {String} expenseId - Expense ID
+ * @param {Array<Object>} splits - Splits (category, amount, notes, tags)
  * @param {String} userId - User ID (for authorization)
- * @returns {Promise<Object>} - Deleted expense document
+ * @returns {Promise<Object>} - Updated expense document
  */
-const deleteExpense = async (expenseId, userId) => {
-    const expense = await expenseRepository.findById(expenseId);
+const setSplits = async (expenseId, splits, userId) => {
+    const expense = await getOwnedExpense(expenseId, userId);
 
-    if (!expense) {
-        const error = new Error('Expense not found');
-        error.statusCode = 404;
+    const splitTotal = Math.round(splits.reduce((sum, split) => sum + Number(split.amount), 0) * 100) / 100;
+    if (Math.abs(splitTotal - expense.amount) > EXPENSE_SPLITS.AMOUNT_TOLERANCE) {
+        const error = new Error(`Split amounts add up to ${splitTotal.toFixed(2)} but the expense amount is ${expense.amount.toFixed(2)}`);
+        error.statusCode = 400;
         throw error;
     }
 
-    if (expense.userId.toString() !== userId) {
-        const error = new Error('Access denied');
-        error.statusCode = 403;
+    const largestSplit = splits.reduce((largest, split) => (Number(split.amount) > Number(largest.amount) ? split : largest));
+
+    const updatedExpense = await expenseRepository.update(expenseId, {
+        splits: splits.map(({ category, amount, notes, tags }) => ({ category, amount: Number(amount), notes, tags: tags || [] })),
+        category: largestSplit.category
+    });
+
+    notifyBudgets(userId, updatedExpense);
+
+    return updatedExpense;
+};
+
+/**
+ * Remove the splits of an expense - the whole amount counts under the expense category again
+ * @param {String} expenseId - Expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated expense document
+ */
+const clearSplits = async (expenseId, userId) => {
+    const expense = await getOwnedExpense(expenseId, userId);
+
+    if (!expense.splits || expense.splits.length === 0) {
+        const error = new Error('Expense is not split');
+        error.statusCode = 400;
         throw error;
     }
 
+    const updatedExpense = await expenseRepository.update(expenseId, { splits: [] });
+
+    notifyBudgets(userId, updatedExpense);
+
+    return updatedExpense;
+};
+
+/**
+ * Attach receipt to an expense (replaces a previously attached receipt, which is kept)
+ * @param {String} expenseId - Expense ID
+ * @param {String} receiptId - Receipt ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated expense document
+ */
+const attachReceipt = async (expenseId, receiptId, userId) => {
+    await getOwnedExpense(expenseId, userId);
+    await getAttachableReceipt(receiptId, userId, expenseId);
+
+    return await expenseRepository.setReceipt(expenseId, receiptId);
+};
+
+/**
+ * Detach receipt from an expense - both the expense and the receipt are kept
+ * @param {String} expenseId - Expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Updated expense document
+ */
+const detachReceipt = async (expenseId, userId) => {
+    const expense = await getOwnedExpense(expenseId, userId);
+
+    if (!expense.receiptId) {
+        const error = new Error('Expense has no receipt attached');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return await expenseRepository.setReceipt(expenseId, null);
+};
+
+/**
+ * Delete expense, keeping its receipt unless explicitly asked to delete it too
+ * @param {String} expenseId - Expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - Delete options (deleteReceipt)
+ * @returns {Promise<Object>} - Deleted expense document
+ */
+const deleteExpense = async (expenseId, userId, options = {}) => {
+    const { deleteReceipt = false } = options;
+
+    const expense = await getOwnedExpense(expenseId, userId);
+
     // Store receipt ID before deleting expense
     const receiptId = expense.receiptId?._id || expense.receiptId;
 
     // Delete the expense first
     await expenseRepository.deleteById(expenseId);
 
-    // Delete the related receipt if it exists (this will also delete from Cloudinary)
-    if (receiptId) {
+    // Statement lines matched to this expense no longer have one
+    await bankTransactionRepository.releaseExpense(expense._id);
+
+    // Delete the related receipt only on request (this will also delete from Cloudinary)
+    if (deleteReceipt && receiptId) {
         try {
             // Use receiptService to ensure Cloudinary file is also deleted
             await receiptService.deleteReceipt(receiptId.toString(), userId);
@@ -215,12 +606,21 @@ const getDashboardSummary = async (userId, year) => {
         throw error;
     }
 
+    // Totals are in the home currency; expenses without a rate yet are left out and counted in unconvertedCount
+    const homeCurrency = await currencyService.getHomeCurrency(userId);
+
     const [yearlyMetrics, allTimeMetrics] = await Promise.all([
-        expenseRepository.aggregateYearlyDashboard(userId, numericYear),
-        expenseRepository.aggregateAllTimeMetrics(userId)
+        expenseRepository.aggregateYearlyDashboard(userId, numericYear, homeCurrency),
+        expenseRepository.aggregateAllTimeMetrics(userId, homeCurrency)
     ]);
 
-    const { totalAmount: yearlyTotal, expenseCount: yearlyExpenseCount, categoryTotals, monthlyTotals } = yearlyMetrics;
+    const {
+        totalAmount: yearlyTotal,
+        expenseCount: yearlyExpenseCount,
+        unconvertedCount: yearlyUnconvertedCount,
+        categoryTotals,
+        monthlyTotals
+    } = yearlyMetrics;
 
     const categoryBreakdown = (categoryTotals || []).map((item) => ({
         category: item.category,
@@ -262,9 +662,11 @@ const getDashboardSummary = async (userId, year) => {
 
     return {
         selectedYear: numericYear,
+        currency: homeCurrency,
         yearlySummary: {
             totalAmount: yearlyTotal,
             expenseCount: yearlyExpenseCount,
+            unconvertedCount: yearlyUnconvertedCount,
             averageMonthlySpending
         },
         topCategory,
@@ -273,6 +675,7 @@ const getDashboardSummary = async (userId, year) => {
         allTimeSummary: {
             totalAmount: allTimeMetrics.totalAmount,
             expenseCount: allTimeMetrics.expenseCount,
+            unconvertedCount: allTimeMetrics.unconvertedCount,
             categoryCount: allTimeMetrics.categoryCount,
             currentMonthTotal: allTimeMetrics.currentMonthTotal
         }
@@ -280,10 +683,17 @@ const getDashboardSummary = async (userId, year) => {
 };
 
 module.exports = {
+    buildExpenseFilter,
+    buildExpenseSort,
     createExpense,
     getExpenseById,
     getUserExpenses,
+    searchExpenses,
     updateExpense,
+    setSplits,
+    clearSplits,
+    attachReceipt,
+    detachReceipt,
     deleteExpense,
     getDashboardSummary
 };
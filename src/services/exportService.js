@@ -0,0 +1,245 @@
+const ExcelJS = require('exceljs');
+const expenseRepository = require('../repositories/expenseRepository');
+const expenseService = require('./expenseService');
+const { EXPENSE_EXPORT } = require('../constants');
+
+/**
+ * Export column definitions
+ * value() receives a lean expense (receipt populated) and returns the raw cell value
+ */
+const COLUMN_DEFINITIONS = {
+    id: { header: 'ID', width: 26, value: (expense) => expense._id.toString() },
+    date: { header: 'Date', width: 12, type: 'date', value: (expense) => expense.date },
+    merchant: { header: 'Merchant', width: 30, value: (expense) => expense.merchant },
+    amount: { header: 'Amount', width: 12, type: 'amount', value: (expense) => expense.amount },
+    currency: { header: 'Currency', width: 10, value: (expense) => expense.currency },
+    category: { header: 'Category', width: 18, value: (expense) => expense.category },
+    paymentMethod: { header: 'Payment Method', width: 16, value: (expense) => expense.paymentMethod },
+    notes: { header: 'Notes', width: 40, value: (expense) => expense.notes },
+    tags: { header: 'Tags', width: 24, value: (expense) => (expense.tags || []).join(', ') },
+    isVerified: { header: 'Verified', width: 10, type: 'boolean', value: (expense) => Boolean(expense.isVerified) },
+    receiptUrl: { header: 'Receipt URL', width: 50, type: 'url', value: (expense) => expense.receiptId?.fileUrl },
+    receiptStatus: { header: 'Receipt OCR Status', width: 18, value: (expense) => expense.receiptId?.ocrStatus },
+    createdAt: { header: 'Created At', width: 20, type: 'datetime', value: (expense) => expense.createdAt }
+};
+
+// Cell formats per column type in XLSX exports
+const XLSX_STYLES = {
+    date: { numFmt: 'yyyy-mm-dd' },
+    datetime: { numFmt: 'yyyy-mm-dd hh:mm' },
+    amount: { numFmt: '#,##0.00' }
+};
+
+/**
+ * Resolve requested columns, keeping the requested order
+ * @param {Array<String>} columns - Column keys (defaults when empty)
+ * @returns {Array<Object>} - Column definitions with their key
+ */
+const resolveColumns = (columns) => {
+    const keys = columns && columns.length > 0 ? [...new Set(columns)] : EXPENSE_EXPORT.DEFAULT_COLUMNS;
+
+    return keys.map((key) => {
+        if (!COLUMN_DEFINITIONS[key]) {
+            const error = new Error(`Unknown export column: ${key}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return { key, ...COLUMN_DEFINITIONS[key] };
+    });
+};
+
+/**
+ * Format a value as a CSV field
+ * Text starting with =, +, -, @ is prefixed with a quote so spreadsheets don't run it as a formula.
+ * @param {*} value - Raw cell value
+ * @param {String} type - Column type
+ * @returns {String} - Escaped CSV field
+ */
+const toCsvField = (value, type) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text;
+    if (type === 'date') {
+        text = new Date(value).toISOString().slice(0, 10);
+    } else if (type === 'datetime') {
+        text = new Date(value).toISOString();
+    } else if (type === 'boolean') {
+        text = value ? 'Yes' : 'No';
+    } else if (type === 'amount') {
+        text = String(value);
+    } else {
+        text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+};
+
+/**
+ * Write a chunk, waiting for the output to drain when its buffer is full.
+ * A client that disconnects never drains the buffer, so waiting also ends when the output closes or fails
+ * (the writers check output.destroyed and stop).
+ * @param {Object} output - Writable stream
+ * @param {String} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (output, chunk) => {
+    if (output.destroyed || output.write(chunk) || output.destroyed) {
+        return;
+    }
+
+    await new Promise((resolve) => {
+        const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            output.off('error', done);
+            resolve();
+        };
+
+        output.on('drain', done);
+        output.on('close', done);
+        output.on('error', done);
+    });
+};
+
+/**
+ * Stream expenses as CSV
+ * @param {Object} cursor - Expense cursor
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object} output - Writable stream
+ * @returns {Promise<Number>} - Number of rows written
+ */
+const writeCsv = async (cursor, columns, output) => {
+    let rowCount = 0;
+
+    // BOM so Excel opens the file as UTF-8
+    await writeChunk(output, '\uFEFF' + columns.map((column) => toCsvField(column.header)).join(',') + '\r\n');
+
+    for await (const expense of cursor) {
+        if (output.destroyed) {
+            break;
+        }
+
+        const row = columns.map((column) => toCsvField(column.value(expense), column.type));
+        await writeChunk(output, row.join(',') + '\r\n');
+        rowCount++;
+    }
+
+    output.end();
+    return rowCount;
+};
+
+/**
+ * Stream expenses as XLSX (rows are committed one by one, so the workbook is never held in memory)
+ * @param {Object} cursor - Expense cursor
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object} output - Writable stream
+ * @returns {Promise<Number>} - Number of rows written
+ */
+const writeXlsx = async (cursor, columns, output) => {
+    let rowCount = 0;
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: output,
+        useStyles: true,
+        useSharedStrings: false
+    });
+    const worksheet = workbook.addWorksheet('Expenses', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    worksheet.columns = columns.map((column) => ({
+        header: column.header,
+        key: column.key,
+        width: column.width,
+        style: XLSX_STYLES[column.type] || {}
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const expense of cursor) {
+        if (output.destroyed) {
+            break;
+        }
+
+        const row = {};
+        columns.forEach((column) => {
+            const value = column.value(expense);
+            row[column.key] = column.type === 'url' && value
+                ? { text: value, hyperlink: value }
+                : value;
+        });
+
+        worksheet.addRow(row).commit();
+        rowCount++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return rowCount;
+};
+
+/**
+ * Stream user expenses as a spreadsheet
+ * @param {String} userId - User ID
+ * @param {Object} options - Export options (format, columns, sort and the list filters)
+ * @param {Object} output - Writable stream (e.g. the HTTP response)
+ * @returns {Promise<Number>} - Number of expenses exported
+ */
+const exportExpenses = async (userId, options, output) => {
+    const { format = 'csv', columns } = options;
+
+    if (!EXPENSE_EXPORT.FORMATS.includes(format)) {
+        const error = new Error(`Format must be one of: ${EXPENSE_EXPORT.FORMATS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const resolvedColumns = resolveColumns(columns);
+    const cursor = expenseRepository.streamByUserId(userId, {
+        sort: expenseService.buildExpenseSort(options.sort),
+        filter: expenseService.buildExpenseFilter(options)
+    });
+
+    try {
+        return format === 'xlsx'
+            ? await writeXlsx(cursor, resolvedColumns, output)
+            : await writeCsv(cursor, resolvedColumns, output);
+    } finally {
+        await cursor.close();
+    }
+};
+
+/**
+ * Get content type and file name for an export
+ * @param {String} format - Export format
+ * @returns {Object} - contentType and fileName
+ */
+const getExportFileInfo = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'xlsx') {
+        return {
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            fileName: `expenses-${date}.xlsx`
+        };
+    }
+
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        fileName: `expenses-${date}.csv`
+    };
+};
+
+module.exports = {
+    exportExpenses,
+    getExportFileInfo
+};
@@ -0,0 +1,603 @@
+const importJobRepository = require('../repositories/importJobRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
+const userRepository = require('../repositories/userRepository');
+const categoryService = require('./categoryService');
+const budgetService = require('./budgetService');
+const bankImportService = require('./bankImportService');
+const currencyService = require('./currencyService');
+const { detectDelimiter, parseCsv } = require('../utils/csv');
+const { decodeText, parseDate, detectDateFormat, parseAmount, detectDecimalSeparator } = require('../utils/valueParsers');
+const { EXPENSE_IMPORT } = require('../constants');
+
+// Header names recognised when suggesting a column mapping (compared lowercased)
+const HEADER_SYNONYMS = {
+    date: ['date', 'transaction date', 'posting date', 'posted', 'booking date', 'day'],
+    amount: ['amount', 'total', 'price', 'cost', 'value', 'sum', 'debit'],
+    merchant: ['merchant', 'payee', 'vendor', 'store', 'shop', 'description', 'name'],
+    category: ['category', 'type', 'group'],
+    currency: ['currency', 'ccy', 'currency code'],
+    notes: ['notes', 'note', 'memo', 'comment', 'comments'],
+    tags: ['tags', 'tag', 'labels', 'label']
+};
+
+/**
+ * Make header names unique and non-empty so they can be used in a mapping
+ * @param {Array<String>} row - First row of the file
+ * @returns {Array<String>} - Header names
+ */
+const normalizeHeaders = (row) => {
+    const seen = new Map();
+
+    return row.map((value, index) => {
+        const name = value.trim() || `Column ${index + 1}`;
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count > 1 ? `${name} (${count})` : name;
+    });
+};
+
+/**
+ * Suggest which column holds which expense field, based on header names
+ * @param {Array<String>} headers - Header names
+ * @returns {Object} - Mapping of expense field to header name
+ */
+const suggestMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+
+    EXPENSE_IMPORT.FIELDS.forEach((field) => {
+        const header = headers.find((name) => !used.has(name) && HEADER_SYNONYMS[field].includes(name.toLowerCase()));
+        if (header) {
+            mapping[field] = header;
+            used.add(header);
+        }
+    });
+
+    return mapping;
+};
+
+/**
+ * Get import job owned by user
+ * @param {String} jobId - Import job ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - Query options (withFileContent)
+ * @returns {Promise<Object>} - Import job document
+ */
+const getImportJobById = async (jobId, userId, options = {}) => {
+    const importJob = await importJobRepository.findById(jobId, options);
+
+    if (!importJob) {
+        const error = new Error('Import not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (importJob.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return importJob;
+};
+
+/**
+ * Get user import jobs with pagination
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (page, limit)
+ * @returns {Promise<Object>} - Import jobs and pagination info
+ */
+const getImportJobs = async (userId, options = {}) => {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const importJobs = await importJobRepository.findByUserId(userId, {
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+    });
+    const total = await importJobRepository.countByUserId(userId);
+
+    return {
+        importJobs,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Parse stored file of an import job
+ * @param {Object} importJob - Import job document (with fileContent)
+ * @param {Boolean} hasHeaderRow - Whether the first row holds column names
+ * @returns {Array<Array<String>>} - Data rows
+ */
+const getDataRows = (importJob, hasHeaderRow) => {
+    const rows = parseCsv(importJob.fileContent, importJob.delimiter);
+    return hasHeaderRow ? rows.slice(1) : rows;
+};
+
+/**
+ * Resolve mapping values (header names or 0-based column indexes) to column indexes
+ * @param {Object} mapping - Mapping of expense field to column
+ * @param {Array<String>} headers - Header names
+ * @returns {Object} - Mapping of expense field to column index
+ */
+const resolveMapping = (mapping, headers) => {
+    const columnIndexes = {};
+
+    Object.entries(mapping || {}).forEach(([field, column]) => {
+        if (column === null || column === undefined || column === '') {
+            return;
+        }
+
+        if (!EXPENSE_IMPORT.FIELDS.includes(field)) {
+            const error = new Error(`Unknown field in mapping: ${field}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const index = typeof column === 'number' ? column : headers.indexOf(column);
+        if (index < 0 || index >= headers.length) {
+            const error = new Error(`Column "${column}" mapped to ${field} does not exist`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        columnIndexes[field] = index;
+    });
+
+    const missingFields = EXPENSE_IMPORT.REQUIRED_FIELDS.filter((field) => columnIndexes[field] === undefined);
+    if (missingFields.length > 0) {
+        const error = new Error(`Mapping must include: ${missingFields.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return columnIndexes;
+};
+
+/**
+ * Build everything needed to convert rows: column indexes, formats, user categories and currency
+ * @param {String} userId - User ID
+ * @param {Object} importJob - Import job document (with fileContent)
+ * @param {Object} options - Import options (mapping, dateFormat, decimalSeparator, hasHeaderRow, createMissingCategories, absoluteAmounts)
+ * @returns {Promise<Object>} - Conversion context and data rows
+ */
+const buildConversionContext = async (userId, importJob, options) => {
+    const hasHeaderRow = options.hasHeaderRow !== false;
+    const rows = getDataRows(importJob, hasHeaderRow);
+    const columnIndexes = resolveMapping(options.mapping, importJob.headers);
+
+    const sampleValues = (field) => rows
+        .slice(0, EXPENSE_IMPORT.PREVIEW_ROWS * 5)
+        .map((row) => row[columnIndexes[field]]);
+
+    const dateFormat = options.dateFormat
+        || detectDateFormat(sampleValues('date'), EXPENSE_IMPORT.DATE_FORMATS)
+        || EXPENSE_IMPORT.DATE_FORMATS[0];
+    const decimalSeparator = options.decimalSeparator || detectDecimalSeparator(sampleValues('amount'));
+
+    const user = await userRepository.findById(userId);
+    const categories = await categoryService.getCategories(userId, { includeArchived: true });
+    // Archived categories can't be assigned, like on manual expenses - and aren't created again either
+    const activeCategories = categories.filter((category) => !category.isArchived);
+    const archivedCategories = categories.filter((category) => category.isArchived);
+
+    return {
+        rows,
+        context: {
+            firstRowNumber: hasHeaderRow ? 2 : 1,
+            columnIndexes,
+            dateFormat,
+            decimalSeparator,
+            absoluteAmounts: options.absoluteAmounts === true,
+            createMissingCategories: options.createMissingCategories === true,
+            defaultCurrency: (user && user.settings && user.settings.currency) || 'USD',
+            categoriesByName: new Map(activeCategories.map((category) => [category.name.toLowerCase(), category.name])),
+            archivedCategoryNames: new Set(archivedCategories.map((category) => category.name.toLowerCase())),
+            missingCategories: new Map()
+        }
+    };
+};
+
+/**
+ * Convert one CSV row into expense data
+ * @param {Array<String>} row - Row fields
+ * @param {Number} rowNumber - Row number in the file (for error messages)
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { expense } or { errors }
+ */
+const convertRow = (row, rowNumber, context) => {
+    const { columnIndexes } = context;
+    const errors = [];
+    const expense = {};
+
+    const value = (field) => {
+        const index = columnIndexes[field];
+        return index === undefined ? '' : String(row[index] || '').trim();
+    };
+
+    const addError = (field, message) => errors.push({ row: rowNumber, field, message });
+
+    const date = parseDate(value('date'), context.dateFormat);
+    if (date) {
+        expense.date = date;
+    } else {
+        addError('date', `Invalid date "${value('date')}" (expected ${context.dateFormat})`);
+    }
+
+    let amount = parseAmount(value('amount'), context.decimalSeparator);
+    if (amount !== null && context.absoluteAmounts) {
+        amount = Math.abs(amount);
+    }
+    if (amount === null) {
+        addError('amount', `Invalid amount "${value('amount')}"`);
+    } else if (amount <= 0) {
+        addError('amount', 'Amount must be greater than 0');
+    } else {
+        expense.amount = Math.round(amount * 100) / 100;
+    }
+
+    if (value('merchant')) {
+        expense.merchant = value('merchant');
+    }
+
+    if (value('notes')) {
+        expense.notes = value('notes');
+    }
+
+    const category = value('category');
+    if (category) {
+        const key = category.toLowerCase();
+        if (context.categoriesByName.has(key)) {
+            expense.category = context.categoriesByName.get(key);
+        } else if (context.archivedCategoryNames.has(key)) {
+            addError('category', `Category "${category}" is archived`);
+        } else if (context.createMissingCategories) {
+            if (!context.missingCategories.has(key)) {
+                context.missingCategories.set(key, category);
+            }
+            expense.category = context.missingCategories.get(key);
+        } else {
+            addError('category', `Category "${category}" does not exist`);
+        }
+    }
+
+    const currency = value('currency');
+    if (!currency) {
+        expense.currency = context.defaultCurrency;
+    } else if (/^[A-Za-z]{3}$/.test(currency)) {
+        expense.currency = currency.toUpperCase();
+    } else {
+        addError('currency', `Invalid currency "${currency}"`);
+    }
+
+    const tags = value('tags');
+    expense.tags = tags
+        ? [...new Set(tags.split(/[,;|]/).map((tag) => tag.trim()).filter(Boolean))]
+        : [];
+
+    return errors.length > 0 ? { errors } : { expense };
+};
+
+/**
+ * Convert all rows of an import
+ * @param {Array<Array<String>>} rows - Data rows
+ * @param {Object} context - Conversion context
+ * @returns {Object} - Valid expenses (with row numbers) and row errors
+ */
+const convertRows = (rows, context) => {
+    const expenses = [];
+    const errors = [];
+    let invalidRows = 0;
+
+    rows.forEach((row, index) => {
+        const rowNumber = context.firstRowNumber + index;
+        const result = convertRow(row, rowNumber, context);
+
+        if (result.errors) {
+            invalidRows++;
+            errors.push(...result.errors);
+        } else {
+            expenses.push({ row: rowNumber, expense: result.expense });
+        }
+    });
+
+    return { expenses, errors, invalidRows };
+};
+
+/**
+ * Upload CSV file and detect its columns. Nothing is imported until the job is committed.
+ * @param {String} userId - User ID
+ * @param {Object} file - Uploaded file (multer)
+ * @returns {Promise<Object>} - Import job and detected columns, suggested mapping and formats, sample rows
+ */
+const uploadCsv = async (userId, file) => {
+    if (!file) {
+        const error = new Error('No file uploaded');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const text = decodeText(file.buffer);
+    const delimiter = detectDelimiter(text);
+    const rows = parseCsv(text, delimiter);
+
+    if (rows.length < 2) {
+        const error = new Error('File must contain a header row and at least one data row');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (rows.length - 1 > EXPENSE_IMPORT.MAX_ROWS) {
+        const error = new Error(`File has too many rows. At most ${EXPENSE_IMPORT.MAX_ROWS} rows can be imported at once.`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const headers = normalizeHeaders(rows[0]);
+    const dataRows = rows.slice(1);
+    const suggestedMapping = suggestMapping(headers);
+
+    const sampleColumn = (header) => {
+        const index = headers.indexOf(header);
+        return index < 0 ? [] : dataRows.slice(0, EXPENSE_IMPORT.PREVIEW_ROWS * 5).map((row) => row[index]);
+    };
+
+    const importJob = await importJobRepository.create({
+        userId,
+        source: 'csv',
+        fileName: file.originalname,
+        fileContent: text,
+        delimiter,
+        headers,
+        totalRows: dataRows.length,
+        expiresAt: new Date(Date.now() + EXPENSE_IMPORT.PENDING_EXPIRES_HOURS * 60 * 60 * 1000)
+    });
+
+    return {
+        importJob: await importJobRepository.findById(importJob._id),
+        detected: {
+            delimiter,
+            headers,
+            suggestedMapping,
+            dateFormat: suggestedMapping.date
+                ? detectDateFormat(sampleColumn(suggestedMapping.date), EXPENSE_IMPORT.DATE_FORMATS)
+                : null,
+            decimalSeparator: suggestedMapping.amount
+                ? detectDecimalSeparator(sampleColumn(suggestedMapping.amount))
+                : '.',
+            sampleRows: dataRows.slice(0, EXPENSE_IMPORT.PREVIEW_ROWS)
+        }
+    };
+};
+
+/**
+ * Get pending import job with its file content
+ * @param {String} jobId - Import job ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Import job document
+ */
+const getPendingImportJob = async (jobId, userId) => {
+    const importJob = await getImportJobById(jobId, userId, { withFileContent: true });
+
+    if (importJob.status !== 'pending') {
+        const error = new Error(`Import is already ${importJob.status}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    return importJob;
+};
+
+/**
+ * Validate all rows with a mapping without importing anything
+ * @param {String} jobId - Import job ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - Import options (mapping, dateFormat, decimalSeparator, hasHeaderRow, createMissingCategories, absoluteAmounts)
+ * @returns {Promise<Object>} - Row counts, per-row errors, converted sample rows and the formats used
+ */
+const previewImport = async (jobId, userId, options) => {
+    const importJob = await getPendingImportJob(jobId, userId);
+    const { rows, context } = await buildConversionContext(userId, importJob, options);
+    const { expenses, errors, invalidRows } = convertRows(rows, context);
+
+    return {
+        totalRows: rows.length,
+        validRows: expenses.length,
+        invalidRows,
+        dateFormat: context.dateFormat,
+        decimalSeparator: context.decimalSeparator,
+        categoriesToCreate: [...context.missingCategories.values()],
+        errors: errors.slice(0, EXPENSE_IMPORT.MAX_REPORTED_ERRORS),
+        errorCount: errors.length,
+        sampleRows: expenses.slice(0, EXPENSE_IMPORT.PREVIEW_ROWS)
+    };
+};
+
+/**
+ * Create categories referenced by the import that don't exist yet
+ * @param {String} userId - User ID
+ * @param {Map} missingCategories - Lowercased name to name as written in the file
+ * @param {Array<Object>} createdCategories - Collects the categories created, so a failed import can remove them
+ * @returns {Promise<void>}
+ */
+const createMissingCategories = async (userId, missingCategories, createdCategories) => {
+    for (const name of missingCategories.values()) {
+        try {
+            createdCategories.push(await categoryService.createCategory(userId, { name }));
+        } catch (error) {
+            // Created in the meantime
+            if (error.statusCode !== 409) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Delete the expenses created by an import job and release the statement lines matched to them
+ * @param {String} importJobId - Import job ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteImportExpenses = async (importJobId) => {
+    const expenseIds = await expenseRepository.findIdsByImportJobId(importJobId);
+    const result = await expenseRepository.deleteByImportJobId(importJobId);
+    await bankTransactionRepository.releaseExpenses(expenseIds);
+    return result;
+};
+
+/**
+ * Delete categories created by an import that failed - categories used in the meantime are kept
+ * @param {String} userId - User ID
+ * @param {Array<Object>} categories - Categories created by the import
+ * @returns {Promise<void>}
+ */
+const deleteCreatedCategories = async (userId, categories) => {
+    for (const category of categories) {
+        try {
+            await categoryService.deleteCategory(category._id.toString(), userId);
+        } catch (error) {
+            if (error.statusCode !== 409 && error.statusCode !== 404) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Import all valid rows as expenses in one batch
+ * Fails without importing anything if a row is invalid, unless skipInvalidRows is set.
+ * @param {String} jobId - Import job ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - Import options (as for preview, plus skipInvalidRows)
+ * @returns {Promise<Object>} - Completed import job
+ */
+const commitImport = async (jobId, userId, options) => {
+    const importJob = await getPendingImportJob(jobId, userId);
+    const { rows, context } = await buildConversionContext(userId, importJob, options);
+    const { expenses, errors, invalidRows } = convertRows(rows, context);
+
+    if (invalidRows > 0 && !options.skipInvalidRows) {
+        const error = new Error(`${invalidRows} row(s) are invalid. Fix the mapping or set skipInvalidRows to import the valid rows only.`);
+        error.statusCode = 400;
+        error.errors = errors.slice(0, EXPENSE_IMPORT.MAX_REPORTED_ERRORS);
+        throw error;
+    }
+
+    if (expenses.length === 0) {
+        const error = new Error('No valid rows to import');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // Guards against the same import being committed twice in parallel
+    const claimedJob = await importJobRepository.transition(jobId, 'pending', { status: 'importing' });
+    if (!claimedJob) {
+        const error = new Error('Import is already being committed');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const createdCategories = [];
+
+    try {
+        if (context.createMissingCategories) {
+            await createMissingCategories(userId, context.missingCategories, createdCategories);
+        }
+
+        const rateCache = new Map();
+
+        for (let i = 0; i < expenses.length; i += EXPENSE_IMPORT.BATCH_SIZE) {
+            const batch = await Promise.all(expenses.slice(i, i + EXPENSE_IMPORT.BATCH_SIZE).map(({ expense }) => (
+                currencyService.withHomeAmount({
+                    userId,
+                    ...expense,
+                    receiptId: null,
+                    isVerified: false,
+                    importJobId: importJob._id
+                }, context.defaultCurrency, rateCache)
+            )));
+
+            await expenseRepository.createMany(batch);
+        }
+    } catch (error) {
+        // Roll back the partial import so the job can be committed again
+        await deleteImportExpenses(importJob._id);
+        await deleteCreatedCategories(userId, createdCategories);
+        await importJobRepository.transition(jobId, 'importing', { status: 'pending' });
+        throw error;
+    }
+
+    const completedJob = await importJobRepository.update(jobId, {
+        status: 'completed',
+        options: {
+            mapping: options.mapping,
+            dateFormat: context.dateFormat,
+            decimalSeparator: context.decimalSeparator,
+            hasHeaderRow: options.hasHeaderRow !== false,
+            createMissingCategories: context.createMissingCategories,
+            absoluteAmounts: context.absoluteAmounts
+        },
+        importedCount: expenses.length,
+        skippedCount: invalidRows,
+        rowErrors: errors.slice(0, EXPENSE_IMPORT.MAX_REPORTED_ERRORS),
+        completedAt: new Date(),
+        $unset: { fileContent: 1, expiresAt: 1 }
+    });
+
+    const latestDate = expenses.reduce((latest, { expense }) => (expense.date > latest ? expense.date : latest), expenses[0].expense.date);
+    budgetService.checkBudgetAlerts(userId, latestDate).catch(error => {
+        console.error('Budget alert check error:', error);
+    });
+
+    return completedJob;
+};
+
+/**
+ * Undo a completed import (deletes every expense it created) or discard a pending one
+ * @param {String} jobId - Import job ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Import job and number of expenses deleted
+ */
+const undoImport = async (jobId, userId) => {
+    const importJob = await getImportJobById(jobId, userId);
+
+    if (importJob.status === 'pending') {
+        await importJobRepository.deleteById(jobId);
+        return { importJob: null, deletedExpenses: 0 };
+    }
+
+    if (importJob.status !== 'completed') {
+        const error = new Error(`Import is ${importJob.status} and cannot be undone`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const result = await deleteImportExpenses(importJob._id);
+    // Statement imports: drop their lines and unlink the receipt expenses they were matched to
+    await bankImportService.deleteImportTransactions(importJob._id);
+
+    const undoneJob = await importJobRepository.transition(jobId, 'completed', {
+        status: 'undone',
+        undoneAt: new Date()
+    });
+
+    return {
+        importJob: undoneJob,
+        deletedExpenses: result.deletedCount
+    };
+};
+
+module.exports = {
+    getImportJobs,
+    getImportJobById,
+    uploadCsv,
+    previewImport,
+    commitImport,
+    undoImport
+};
@@ -0,0 +1,147 @@
+const os = require('os');
+const crypto = require('crypto');
+const ocrJobRepository = require('../repositories/ocrJobRepository');
+const receiptRepository = require('../repositories/receiptRepository');
+const { OCR_QUEUE } = require('../constants');
+
+// Identifies this process as lease owner
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Queue receipt for OCR (a new upload, a receipt whose OCR stopped with the process, or a reprocess request)
+ * @param {Object} receipt - Receipt document
+ * @param {Object} options - OCR options ({ languages, preprocessingSteps })
+ * @returns {Promise<Object>} - Queued job document
+ */
+const enqueueReceipt = async (receipt, options = {}) => {
+    const job = await ocrJobRepository.enqueue(receipt._id, receipt.userId, options);
+
+    if (receipt.ocrStatus !== 'pending') {
+        await receiptRepository.update(receipt._id, { ocrStatus: 'pending' });
+    }
+
+    return job;
+};
+
+/**
+ * Get delay before the next attempt after a failed one (exponential backoff)
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+    const seconds = OCR_QUEUE.BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(seconds, OCR_QUEUE.BACKOFF_MAX_SECONDS) * 1000;
+};
+
+/**
+ * Record a failed attempt: retry later, or give up and mark the receipt as failed.
+ * Errors with a 4xx statusCode (unreadable file, receipt deleted) are not retried.
+ * @param {Object} job - Job document
+ * @param {Error} error - Error of the attempt
+ * @returns {Promise<Object|null>} - Updated job, or null if the worker lost the job meanwhile
+ */
+const recordFailure = async (job, error) => {
+    const reason = error.message || 'OCR processing failed';
+    const isPermanent = error.statusCode >= 400 && error.statusCode < 500;
+
+    if (isPermanent || job.attempts >= job.maxAttempts) {
+        const failedJob = await ocrJobRepository.release(job._id, WORKER_ID, {
+            state: 'failed',
+            lastError: reason,
+            finishedAt: new Date()
+        });
+
+        if (failedJob) {
+            await receiptRepository.update(job.receiptId, { ocrStatus: 'failed', ocrError: reason });
+        }
+        return failedJob;
+    }
+
+    const retryJob = await ocrJobRepository.release(job._id, WORKER_ID, {
+        state: 'queued',
+        lastError: reason,
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts))
+    });
+
+    if (retryJob) {
+        await receiptRepository.update(job.receiptId, { ocrStatus: 'pending', ocrError: reason });
+    }
+    return retryJob;
+};
+
+/**
+ * Lease the next due job and run it, keeping the lease alive while the handler works
+ * @param {Function} handler - async (job) => result; throws to fail the attempt
+ * @returns {Promise<Object|null>} - Job after the attempt, or null if no job was due
+ */
+const processNextJob = async (handler) => {
+    const job = await ocrJobRepository.claimNext(WORKER_ID, OCR_QUEUE.LEASE_SECONDS);
+    if (!job) {
+        return null;
+    }
+
+    // A worker died during the last attempt and its lease ran out
+    if (job.attempts > job.maxAttempts) {
+        const error = new Error(`OCR gave up after ${job.maxAttempts} attempts`);
+        error.statusCode = 422;
+        return await recordFailure(job, error) || job;
+    }
+
+    await receiptRepository.update(job.receiptId, { ocrStatus: 'processing' });
+
+    const heartbeat = setInterval(() => {
+        ocrJobRepository.renewLease(job._id, WORKER_ID, OCR_QUEUE.LEASE_SECONDS)
+            .then((isHeld) => {
+                if (!isHeld) {
+                    console.warn(`⚠️  Lost lease on OCR job ${job._id}`);
+                }
+            })
+            .catch(error => console.error('OCR job heartbeat error:', error));
+    }, OCR_QUEUE.HEARTBEAT_SECONDS * 1000);
+
+    try {
+        await handler(job);
+
+        return await ocrJobRepository.release(job._id, WORKER_ID, {
+            state: 'completed',
+            lastError: null,
+            finishedAt: new Date()
+        }) || job;
+    } catch (error) {
+        console.error(`OCR job ${job._id} attempt ${job.attempts} failed:`, error.message);
+        return await recordFailure(job, error) || job;
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+/**
+ * Queue receipts left pending or processing without a job - uploaded before a crash
+ * or before the queue existed. Jobs of crashed workers are taken over once their lease runs out.
+ * @returns {Promise<Number>} - Number of receipts queued
+ */
+const recoverStuckReceipts = async () => {
+    const receipts = await receiptRepository.findByOcrStatus(['pending', 'processing']);
+    if (receipts.length === 0) {
+        return 0;
+    }
+
+    const activeIds = new Set(
+        (await ocrJobRepository.findActiveReceiptIds(receipts.map((receipt) => receipt._id)))
+            .map((receiptId) => receiptId.toString())
+    );
+
+    const stuckReceipts = receipts.filter((receipt) => !activeIds.has(receipt._id.toString()));
+    for (const receipt of stuckReceipts) {
+        await enqueueReceipt(receipt);
+    }
+
+    return stuckReceipts.length;
+};
+
+module.exports = {
+    enqueueReceipt,
+    getRetryDelay,
+    processNextJob,
+    recoverStuckReceipts
+};
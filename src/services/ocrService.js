@@ -1,47 +1,272 @@
-const Tesseract = require('tesseract.js');
+const { DEFAULT_CATEGORIES, PDF_OCR, OCR_PREPROCESSING, OCR_LANGUAGES } = require('../constants');
+const {
+    OCR_POOL_SIZE,
+    OCR_POOL_MAX_QUEUE,
+    OCR_POOL_IDLE_SECONDS,
+    OCR_PREPROCESSING_STEPS,
+    OCR_COMPARE_RAW_PASS
+} = require('../config/env');
+const { createTesseractPool } = require('../utils/tesseractPool');
+const { getDisplaySize, preprocessImage } = require('../utils/imagePreprocessing');
+const { getReceiptLocale, parseReceiptAmount, parseReceiptLines, parseReceiptDate } = require('../utils/receiptParser');
+const { normalizeDigits } = require('../utils/valueParsers');
+const { roundConfidence, buildFieldProvenance } = require('../utils/ocrProvenance');
+const { openPdf, getPageText, renderPageToImage } = require('../utils/pdf');
+
+// Shared by all OCR in this process, so bulk uploads queue up instead of each starting a worker
+const tesseractPool = createTesseractPool({
+    size: OCR_POOL_SIZE,
+    maxQueue: OCR_POOL_MAX_QUEUE,
+    idleTimeoutMs: OCR_POOL_IDLE_SECONDS * 1000,
+    languages: OCR_LANGUAGES.DEFAULT,
+    logger: (m) => {
+        if (m.status === 'recognizing text') {
+            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+        }
+    }
+});
 
 /**
- * Perform OCR on image buffer
+ * Recognize text in one image
  * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<String>} - Extracted text
+ * @param {Object} frame - { size, mapBox } - size of the displayed image, and how to map boxes onto it (optional)
+ * @param {String} languages - Tesseract languages (pool default if not given)
+ * @returns {Promise<Object>} - { text, confidence (0-100), lines }; line and word boxes are fractions of the displayed image
  */
-const extractTextFromImage = async (imageBuffer) => {
+const recognizeImage = async (imageBuffer, frame, languages) => {
+    let result;
     try {
-        const result = await Tesseract.recognize(
-            imageBuffer,
-            'eng',
-            {
-                logger: (m) => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-                    }
-                }
-            }
-        );
-        
-        return result.data.text;
+        result = await tesseractPool.recognize(imageBuffer, { text: true, blocks: true }, languages);
     } catch (error) {
         console.error('OCR extraction error:', error);
+
+        // Pool busy or shutting down - keep the status so the job is retried later
+        if (error.statusCode) {
+            throw error;
+        }
         throw new Error('Failed to extract text from image');
     }
+
+    const toFrameBox = (bbox) => {
+        if (!frame.size || !bbox) {
+            return null;
+        }
+        const { x0, y0, x1, y1 } = frame.mapBox ? frame.mapBox(bbox) : bbox;
+        const round = (value) => Math.round(value * 10000) / 10000;
+
+        return {
+            x0: round(x0 / frame.size.width),
+            y0: round(y0 / frame.size.height),
+            x1: round(x1 / frame.size.width),
+            y1: round(y1 / frame.size.height)
+        };
+    };
+
+    const lines = [];
+    (result.data.blocks || []).forEach((block) => {
+        block.paragraphs.forEach((paragraph) => {
+            paragraph.lines.forEach((line) => {
+                lines.push({
+                    text: line.text.trim(),
+                    confidence: roundConfidence(line.confidence),
+                    bbox: toFrameBox(line.bbox),
+                    words: line.words.map((word) => ({
+                        text: word.text,
+                        confidence: roundConfidence(word.confidence),
+                        bbox: toFrameBox(word.bbox)
+                    }))
+                });
+            });
+        });
+    });
+
+    return {
+        text: result.data.text,
+        confidence: result.data.confidence,
+        lines
+    };
+};
+
+/**
+ * Perform OCR on image buffer. The image is preprocessed first (rotation, contrast, thresholding...);
+ * the image as uploaded is recognized as well and the more confident result is kept,
+ * since preprocessing can also hurt (e.g. thresholding a clean scan or a faint print).
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {Object} options - { languages, preprocessingSteps } (configured defaults if not given)
+ * @returns {Promise<Object>} - { text, confidence, lines (with word confidence and position), preprocessingSteps,
+ *   pass ('raw' or 'preprocessed') }
+ */
+const extractTextFromImage = async (imageBuffer, options = {}) => {
+    const languages = options.languages || undefined;
+    const steps = Array.isArray(options.preprocessingSteps) ? options.preprocessingSteps : OCR_PREPROCESSING_STEPS;
+
+    let preprocessed = null;
+    if (steps === null || steps.length > 0) {
+        try {
+            preprocessed = await preprocessImage(imageBuffer, steps || undefined);
+        } catch (error) {
+            // Formats sharp can't read can still go to Tesseract as they are
+            console.error('Image preprocessing error:', error.message);
+        }
+    }
+
+    // Tesseract reads the uploaded image with its EXIF orientation applied, like browsers show it
+    const displaySize = await getDisplaySize(imageBuffer).catch(() => null);
+
+    const hasPreprocessedPass = preprocessed && preprocessed.steps.length > 0;
+    const [preprocessedResult, rawResult] = await Promise.all([
+        hasPreprocessedPass
+            ? recognizeImage(preprocessed.image, { size: preprocessed.displaySize, mapBox: preprocessed.mapBox }, languages)
+            : null,
+        !hasPreprocessedPass || OCR_COMPARE_RAW_PASS ? recognizeImage(imageBuffer, { size: displaySize }, languages) : null
+    ]);
+
+    const usePreprocessed = preprocessedResult && (!rawResult || preprocessedResult.confidence >= rawResult.confidence);
+    const result = usePreprocessed ? preprocessedResult : rawResult;
+
+    return {
+        text: result.text,
+        confidence: result.confidence,
+        lines: result.lines,
+        preprocessingSteps: hasPreprocessedPass ? preprocessed.steps : [],
+        pass: usePreprocessed ? 'preprocessed' : 'raw'
+    };
+};
+
+/**
+ * Get OCR worker pool statistics
+ * @returns {Object} - Pool statistics
+ */
+const getPoolStats = () => tesseractPool.getStats();
+
+/**
+ * Stop OCR workers (on shutdown) - running recognitions finish first
+ * @returns {Promise<void>}
+ */
+const shutdown = () => tesseractPool.shutdown();
+
+/**
+ * Extract text from a PDF: embedded text of text pages (e-receipts, invoices),
+ * OCR of the rendered page for scanned pages
+ * @param {Buffer} pdfBuffer - PDF file content
+ * @param {Object} options - OCR options for scanned pages ({ languages, preprocessingSteps })
+ * @returns {Promise<Object>} - { text, textSource ('embedded', 'ocr' or 'mixed'), pageCount,
+ *   confidence (average over pages, embedded text counting as 100), lines (of OCR'd pages),
+ *   preprocessingSteps (of any OCR'd page), pass }
+ */
+const extractTextFromPdf = async (pdfBuffer, options = {}) => {
+    let pdf;
+    try {
+        pdf = await openPdf(pdfBuffer);
+    } catch (error) {
+        console.error('PDF loading error:', error);
+        // Retrying won't help with a broken or locked file
+        const pdfError = new Error(error.name === 'PasswordException' ? 'PDF is password protected' : 'Failed to read PDF file');
+        pdfError.statusCode = 422;
+        throw pdfError;
+    }
+
+    try {
+        const pageCount = Math.min(pdf.numPages, PDF_OCR.MAX_PAGES);
+        const pageTexts = [];
+        const pageConfidences = [];
+        const lines = [];
+        const preprocessingSteps = new Set();
+        const passes = new Set();
+        let ocrPages = 0;
+
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+
+            try {
+                let text = await getPageText(page);
+                let confidence = 100;
+
+                if (text.replace(/\s/g, '').length < PDF_OCR.MIN_PAGE_TEXT_CHARS) {
+                    const image = await renderPageToImage(page, PDF_OCR.RENDER_SCALE);
+                    const result = await extractTextFromImage(image, options);
+
+                    ({ text, confidence } = result);
+                    result.lines.forEach((line) => lines.push({ page: pageNumber, ...line }));
+                    result.preprocessingSteps.forEach((step) => preprocessingSteps.add(step));
+                    passes.add(result.pass);
+                    ocrPages++;
+                }
+
+                pageConfidences.push(confidence);
+
+                pageTexts.push(text.trim());
+            } finally {
+                page.cleanup();
+            }
+        }
+
+        let textSource = 'mixed';
+        if (ocrPages === 0) {
+            textSource = 'embedded';
+        } else if (ocrPages === pageCount) {
+            textSource = 'ocr';
+        }
+
+        return {
+            text: pageTexts.filter(Boolean).join('\n\n'),
+            textSource,
+            pageCount: pdf.numPages,
+            confidence: pageConfidences.length
+                ? Math.round(pageConfidences.reduce((sum, value) => sum + value, 0) / pageConfidences.length)
+                : null,
+            lines,
+            // Steps in pipeline order
+            preprocessingSteps: OCR_PREPROCESSING.STEPS.filter((step) => preprocessingSteps.has(step)),
+            pass: passes.size === 1 ? [...passes][0] : (passes.size ? 'mixed' : null)
+        };
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+/**
+ * Get the line of text around a position
+ * @param {String} text - Text
+ * @param {Number} index - Character position
+ * @returns {String} - Trimmed line
+ */
+const getLineAt = (text, index) => {
+    const start = text.lastIndexOf('\n', index) + 1;
+    const end = text.indexOf('\n', index);
+    return text.slice(start, end === -1 ? text.length : end).trim();
 };
 
 /**
  * Parse receipt data from OCR text
- * @param {String} ocrText - Raw OCR text
- * @returns {Object} - Parsed receipt data
+ * @param {String} ocrText - OCR text (with ASCII digits)
+ * @param {Object} locale - Receipt locale (from getReceiptLocale) - keywords and day/month order to read
+ * @returns {Object} - Parsed receipt data (merchant, amount, date, line items, subtotal, tax, tip and discount)
+ *   and the line each of merchant, amount and date was read from
  */
-const parseReceiptData = (ocrText) => {
+const parseReceiptData = (ocrText, locale = getReceiptLocale()) => {
+    const { lineItems, subtotal, tax, tip, discount, total, totalSource } = parseReceiptLines(ocrText, locale);
+
     const parsedData = {
         parsedMerchant: null,
-        parsedAmount: null,
-        parsedDate: null
+        parsedAmount: total,
+        parsedDate: null,
+        lineItems,
+        subtotal,
+        tax,
+        tip,
+        discount,
+        // Line and text each parsed field was read from: { line, value }
+        fieldSources: {
+            merchant: null,
+            amount: totalSource,
+            date: null
+        }
     };
 
-    // Extract amount (looking for patterns like $XX.XX, XX.XX, $XX)
-    const amountPatterns = [
-        /total[:\s]*\$?(\d+[.,]\d{2})/i,
-        /amount[:\s]*\$?(\d+[.,]\d{2})/i,
+    // Extract amount (looking for patterns like "Total: $XX.XX", "Summe 12,50", $XX.XX, XX.XX) unless a total line was found
+    const amountPatterns = total !== null ? [] : [
+        locale.labelledTotal,
         /\$(\d+[.,]\d{2})/g,
         /(\d+[.,]\d{2})/g
     ];
@@ -50,32 +275,22 @@ const parseReceiptData = (ocrText) => {
         const match = ocrText.match(pattern);
         if (match) {
             const amount = match[1] || match[0];
-            const cleanAmount = parseFloat(amount.replace(/[,$]/g, '').replace(',', '.'));
+            const cleanAmount = parseReceiptAmount(amount);
             if (cleanAmount > 0) {
                 parsedData.parsedAmount = cleanAmount;
+                // Global patterns don't report where they matched
+                const index = match.index !== undefined ? match.index : ocrText.indexOf(match[0]);
+                parsedData.fieldSources.amount = { line: getLineAt(ocrText, index), value: amount };
                 break;
             }
         }
     }
 
-    // Extract date (looking for various date formats)
-    const datePatterns = [
-        /(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})/,
-        /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/,
-        /(\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{2,4})/i,
-        /((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2},?\s+\d{2,4})/i
-    ];
-
-    for (const pattern of datePatterns) {
-        const match = ocrText.match(pattern);
-        if (match) {
-            const dateString = match[1];
-            const parsedDate = new Date(dateString);
-            if (!isNaN(parsedDate.getTime())) {
-                parsedData.parsedDate = parsedDate;
-                break;
-            }
-        }
+    // Extract date (numeric in the locale's day/month order, ISO, or with a month name)
+    const receiptDate = parseReceiptDate(ocrText, locale);
+    if (receiptDate) {
+        parsedData.parsedDate = receiptDate.date;
+        parsedData.fieldSources.date = { line: getLineAt(ocrText, receiptDate.index), value: receiptDate.value };
     }
 
     // Extract merchant name (usually in the first few lines)
@@ -88,6 +303,8 @@ const parseReceiptData = (ocrText) => {
         if (/^\d+/.test(parsedData.parsedMerchant) || /street|avenue|road|blvd/i.test(parsedData.parsedMerchant)) {
             parsedData.parsedMerchant = lines[1]?.trim() || parsedData.parsedMerchant;
         }
+
+        parsedData.fieldSources.merchant = { line: parsedData.parsedMerchant, value: parsedData.parsedMerchant };
     }
 
     return parsedData;
@@ -100,21 +317,11 @@ const parseReceiptData = (ocrText) => {
  */
 const extractCategory = (ocrText) => {
     const text = ocrText.toLowerCase();
-    
-     const categories = {
-        'food': ['food', 'mcdonalds', 'starbucks', 'restaurant', 'cafe', 'coffee', 'pizza', 'burger', 'food', 'dining', 'kitchen'],
-        'transport': [ 'transport','uber', 'lyft', 'taxi', 'gas', 'fuel', 'parking', 'metro', 'transit'],
-        'shopping': ['shopping','store', 'market', 'shop', 'retail', 'mall'],
-        'groceries': ['groceries','grocery', 'supermarket', 'walmart', 'target', 'safeway'],
-        'entertainment': ['entertainment','cinema', 'movie', 'theater', 'game', 'entertainment'],
-        'healthcare': ['healthcare','pharmacy', 'hospital', 'clinic', 'doctor', 'medical'],
-        'utilities': ['utilities','electric', 'water', 'internet', 'phone', 'utility']
-    };
 
-    for (const [category, keywords] of Object.entries(categories)) {
+    for (const { name, keywords } of DEFAULT_CATEGORIES) {
         for (const keyword of keywords) {
             if (text.includes(keyword)) {
-                return category;
+                return name;
             }
         }
     }
@@ -123,23 +330,49 @@ const extractCategory = (ocrText) => {
 };
 
 /**
- * Process receipt image with OCR and extract expense data
- * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<Object>} - Extracted data including text and parsed fields
+ * Process receipt image or PDF with OCR and extract expense data
+ * @param {Buffer} fileBuffer - Image or PDF buffer
+ * @param {String} mimeType - File MIME type
+ * @param {Object} options - { language (User.settings.language - picks the Tesseract languages unless languages
+ *   are given, and the keywords and date order to parse with), languages, preprocessingSteps } (defaults if not given)
+ * @returns {Promise<Object>} - Extracted data including text, where it came from, OCR confidence, lines and words,
+ *   preprocessing, parsed fields and where each of merchant, amount and date was read
  */
-const processReceipt = async (imageBuffer) => {
+const processReceipt = async (fileBuffer, mimeType = 'image/png', options = {}) => {
     try {
-        // Extract text using OCR
-        const ocrText = await extractTextFromImage(imageBuffer);
+        const locale = getReceiptLocale(options.language);
+        const ocrOptions = { ...options, languages: options.languages || locale.ocrLanguages };
+
+        // Extract text using OCR (or the text embedded in PDFs)
+        let result;
+        if (mimeType === 'application/pdf') {
+            result = await extractTextFromPdf(fileBuffer, ocrOptions);
+        } else {
+            const imageResult = await extractTextFromImage(fileBuffer, ocrOptions);
+            result = {
+                ...imageResult,
+                lines: imageResult.lines.map((line) => ({ page: 1, ...line })),
+                textSource: 'ocr',
+                pageCount: 1
+            };
+        }
+
+        const { text: ocrText, textSource, pageCount, confidence, lines, preprocessingSteps, pass } = result;
         
-        // Parse the text to extract structured data
-        const parsedData = parseReceiptData(ocrText);
+        // Parse the text to extract structured data (Arabic-Indic digits read as ASCII)
+        const { fieldSources, ...parsedData } = parseReceiptData(normalizeDigits(ocrText), locale);
         
         // Extract category suggestion
         const category = extractCategory(ocrText);
 
         return {
             ocrText,
+            textSource,
+            pageCount,
+            confidence: confidence !== null ? roundConfidence(confidence) : null,
+            lines,
+            fieldProvenance: buildFieldProvenance(fieldSources, lines, textSource),
+            preprocessing: { steps: preprocessingSteps, pass },
             parsedData,
             suggestedCategory: category
         };
@@ -151,8 +384,11 @@ const processReceipt = async (imageBuffer) => {
 
 module.exports = {
     extractTextFromImage,
+    extractTextFromPdf,
     parseReceiptData,
     extractCategory,
-    processReceipt
+    processReceipt,
+    getPoolStats,
+    shutdown
 };
 
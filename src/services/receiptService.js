@@ -1,7 +1,20 @@
 const cloudinary = require('../config/cloudinary');
 const receiptRepository = require('../repositories/receiptRepository');
 const expenseRepository = require('../repositories/expenseRepository');
+const userRepository = require('../repositories/userRepository');
+const ocrJobRepository = require('../repositories/ocrJobRepository');
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
 const ocrService = require('./ocrService');
+const ocrQueueService = require('./ocrQueueService');
+const categoryService = require('./categoryService');
+const budgetService = require('./budgetService');
+const currencyService = require('./currencyService');
+const { getLineItemReview } = require('../utils/receiptParser');
+const { decodeCursor, buildCursorQuery, getCursorPage, getCursors } = require('../utils/cursor');
+const { OCR_QUEUE, RECEIPT_LOCALES } = require('../constants');
+
+// Newest uploads first; _id breaks ties so cursors are stable
+const RECEIPT_SORT = { uploadedAt: -1, _id: -1 };
 
 /**
  * Upload file to Cloudinary
@@ -100,10 +113,12 @@ const createReceipt = async (file, userId) => {
             ocrStatus: 'pending'
         });
 
-        // Process OCR in the background (don't wait for it)
-        processReceiptOCR(receipt._id, file.buffer, userId).catch(error => {
-            console.error('Background OCR processing error:', error);
-        });
+        // OCR runs in the background worker; if queueing fails, the receipt is recovered on the next start
+        try {
+            await ocrQueueService.enqueueReceipt(receipt);
+        } catch (error) {
+            console.error('Failed to queue receipt OCR:', error);
+        }
 
         return receipt;
     } catch (error) {
@@ -120,68 +135,259 @@ const createReceipt = async (file, userId) => {
 };
 
 /**
- * Process receipt OCR and create expense (background task)
- * @param {String} receiptId - Receipt ID
- * @param {Buffer} imageBuffer - Image buffer
- * @param {String} userId - User ID
- * @returns {Promise<Object>} - Created expense or error
+ * Download the stored receipt file. A download that takes too long fails with statusCode 503, so the OCR queue retries it.
+ * @param {Object} receipt - Receipt document
+ * @returns {Promise<Buffer>} - File content
  */
-const processReceiptOCR = async (receiptId, imageBuffer, userId) => {
+const downloadReceiptFile = async (receipt) => {
     try {
-        // Update receipt status to processing
-        await receiptRepository.update(receiptId, { ocrStatus: 'processing' });
+        const response = await fetch(receipt.fileUrl, {
+            signal: AbortSignal.timeout(OCR_QUEUE.DOWNLOAD_TIMEOUT_SECONDS * 1000)
+        });
 
-        // Process OCR only for images (not PDFs)
-        const receipt = await receiptRepository.findById(receiptId);
-        const isImage = receipt.mimeType.startsWith('image/');
-        
-        if (!isImage) {
-            await receiptRepository.update(receiptId, { 
-                ocrStatus: 'done',
-                ocrResult: 'PDF files do not support OCR processing' 
-            });
-            return null;
+        if (!response.ok) {
+            throw new Error(`Failed to download receipt file (HTTP ${response.status})`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            const timeoutError = new Error(`Receipt file download timed out after ${OCR_QUEUE.DOWNLOAD_TIMEOUT_SECONDS}s`);
+            timeoutError.statusCode = 503;
+            throw timeoutError;
         }
+        throw error;
+    }
+};
 
-        // Extract data from receipt
-        const { ocrText, parsedData, suggestedCategory } = await ocrService.processReceipt(imageBuffer);
+/**
+ * Build the parsedData of an expense from what OCR read
+ * @param {Object} parsedData - Parsed receipt data
+ * @returns {Object} - Expense parsedData
+ */
+const buildParsedSnapshot = (parsedData) => ({
+    parsedMerchant: parsedData.parsedMerchant,
+    parsedDate: parsedData.parsedDate,
+    parsedAmount: parsedData.parsedAmount,
+    parsedLineItems: parsedData.lineItems,
+    parsedSubtotal: parsedData.subtotal,
+    parsedTax: parsedData.tax,
+    parsedTip: parsedData.tip,
+    parsedDiscount: parsedData.discount
+});
 
-        // Update receipt with OCR results
-        await receiptRepository.update(receiptId, { 
-            ocrStatus: 'done',
-            ocrResult: ocrText 
-        });
+/**
+ * Compare values read from an expense and from OCR (dates by time, line items by content, missing as null)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {Boolean} - True if equal
+ */
+const isSameValue = (a, b) => {
+    const normalize = (value) => {
+        if (value instanceof Date) {
+            return value.getTime();
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => [item.description, item.quantity, item.unitPrice ?? null, item.totalPrice]);
+        }
+        return value ?? null;
+    };
 
-        // Create expense if we have amount and date
-        const amount = parsedData.parsedAmount;
-        const date = parsedData.parsedDate || new Date();
-        
-        if (amount && amount > 0) {
-            const expense = await expenseRepository.create({
-                userId,
-                receiptId,
-                merchant: parsedData.parsedMerchant || 'Unknown Merchant',
-                amount,
-                date,
-                category: suggestedCategory,
-                ocrText,
-                parsedData: {
-                    parsedMerchant: parsedData.parsedMerchant,
-                    parsedDate: parsedData.parsedDate,
-                    parsedAmount: parsedData.parsedAmount
-                },
-                isVerified: false
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+/**
+ * Apply new OCR results to the expense linked to a receipt without overwriting the user's changes:
+ * parsedData and ocrText always take the new results; merchant, date, amount and the line items with
+ * their totals only where they still hold what OCR read last time, and not at all once the expense is verified.
+ * A missing category is filled in from the suggestion.
+ * @param {Object} expense - Linked expense document
+ * @param {Object} ocrData - { ocrText, parsedData, suggestedCategory } from OCR
+ * @returns {Promise<Object>} - Updated expense document
+ */
+const refreshLinkedExpense = async (expense, { ocrText, parsedData, suggestedCategory }) => {
+    const current = expense.toObject();
+    const previous = current.parsedData || {};
+    const userId = current.userId.toString();
+    const updateData = { ocrText, parsedData: buildParsedSnapshot(parsedData) };
+
+    if (!current.isVerified) {
+        if (parsedData.parsedMerchant && current.merchant === (previous.parsedMerchant || 'Unknown Merchant')) {
+            updateData.merchant = parsedData.parsedMerchant;
+        }
+
+        // Without a parsed date the expense got the upload date, which the user may have corrected since
+        if (parsedData.parsedDate && previous.parsedDate && isSameValue(current.date, previous.parsedDate)) {
+            updateData.date = parsedData.parsedDate;
+        }
+
+        // Split amounts must keep adding up, so a split expense keeps its amount
+        const isSplit = current.splits && current.splits.length > 0;
+        if (parsedData.parsedAmount > 0 && !isSplit && isSameValue(current.amount, previous.parsedAmount)) {
+            updateData.amount = parsedData.parsedAmount;
+        }
+
+        if (!current.category && suggestedCategory) {
+            const category = await categoryService.findCategoryByName(userId, suggestedCategory);
+            if (category && !category.isArchived) {
+                updateData.category = category.name;
+            }
+        }
+
+        // Line items and totals go together; expenses from before they were recorded in parsedData
+        // only get them when they have none
+        const totalsUntouched = previous.parsedLineItems
+            ? isSameValue(current.lineItems, previous.parsedLineItems)
+                && isSameValue(current.subtotal, previous.parsedSubtotal)
+                && isSameValue(current.tax, previous.parsedTax)
+                && isSameValue(current.tip, previous.parsedTip)
+                && isSameValue(current.discount, previous.parsedDiscount)
+            : current.lineItems.length === 0
+                && [current.subtotal, current.tax, current.tip, current.discount].every((value) => value === null || value === undefined);
+
+        if (totalsUntouched) {
+            Object.assign(updateData, {
+                lineItems: parsedData.lineItems,
+                subtotal: parsedData.subtotal,
+                tax: parsedData.tax,
+                tip: parsedData.tip,
+                discount: parsedData.discount
             });
+            Object.assign(updateData, getLineItemReview({ ...current, ...updateData }));
+        } else if (updateData.amount !== undefined) {
+            Object.assign(updateData, getLineItemReview({ ...current, ...updateData }));
+        }
 
-            console.log(`✅ Expense created automatically for receipt ${receiptId}`);
-            return expense;
-        } else {
-            console.log(`⚠️  Could not extract amount from receipt ${receiptId}. Manual entry required.`);
-            return null;
+        if (updateData.amount !== undefined || updateData.date !== undefined) {
+            const { homeAmount, homeCurrency, exchangeRate } = await currencyService.withHomeAmount({
+                amount: updateData.amount !== undefined ? updateData.amount : current.amount,
+                currency: current.currency,
+                date: updateData.date || current.date
+            }, await currencyService.getHomeCurrency(userId));
+
+            Object.assign(updateData, { homeAmount, homeCurrency, exchangeRate });
         }
-    } catch (error) {
-        console.error('OCR processing failed:', error);
-        await receiptRepository.update(receiptId, { ocrStatus: 'failed' });
+    }
+
+    const updatedExpense = await expenseRepository.update(current._id, updateData);
+
+    if (updateData.amount !== undefined || updateData.date !== undefined) {
+        budgetService.checkBudgetAlerts(userId, updatedExpense.date).catch(error => {
+            console.error('Budget alert check error:', error);
+        });
+    }
+    return updatedExpense;
+};
+
+/**
+ * Get the language receipts of a user are read in
+ * @param {String} userId - User ID
+ * @returns {Promise<String>} - User.settings.language
+ */
+const getReceiptLanguage = async (userId) => {
+    const user = await userRepository.findById(userId);
+    return (user && user.settings && user.settings.language) || RECEIPT_LOCALES.DEFAULT;
+};
+
+/**
+ * Process receipt OCR and create its expense, or update the expense already linked to it
+ * (run by the OCR worker for each queued receipt). Throws when the attempt fails, so the queue can retry it.
+ * The receipt is read in the user's language unless the reprocess request picked Tesseract languages.
+ * @param {String} receiptId - Receipt ID
+ * @param {Object} options - OCR options ({ languages, preprocessingSteps }) of a reprocess request
+ * @returns {Promise<Object|null>} - Created or updated expense, or null if no expense was created
+ */
+const processReceiptOCR = async (receiptId, options = {}) => {
+    const receipt = await receiptRepository.findById(receiptId);
+    if (!receipt) {
+        const error = new Error('Receipt not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const userId = receipt.userId.toString();
+    const fileBuffer = await downloadReceiptFile(receipt);
+    const language = await getReceiptLanguage(userId);
+
+    // Extract data from receipt (images and PDFs)
+    const {
+        ocrText,
+        textSource,
+        pageCount,
+        confidence,
+        lines,
+        fieldProvenance,
+        preprocessing,
+        parsedData,
+        suggestedCategory
+    } = await ocrService.processReceipt(
+        fileBuffer,
+        receipt.mimeType,
+        { ...options, language }
+    );
+
+    // Update receipt with OCR results
+    await receiptRepository.update(receiptId, {
+        ocrStatus: 'done',
+        ocrResult: ocrText,
+        ocrError: null,
+        textSource,
+        pageCount,
+        ocrConfidence: confidence,
+        ocrLines: lines,
+        fieldProvenance,
+        preprocessing,
+        processedAt: new Date()
+    });
+
+    // Reprocessed receipt, or one the user attached to an expense while OCR was running
+    const linkedExpense = await expenseRepository.findByReceiptId(receiptId);
+    if (linkedExpense) {
+        const expense = await refreshLinkedExpense(linkedExpense, { ocrText, parsedData, suggestedCategory });
+        console.log(`ℹ️  Receipt ${receiptId} is linked to expense ${linkedExpense._id}. Updated it with the OCR results.`);
+        return expense;
+    }
+
+    // Create expense if we have amount and date
+    const amount = parsedData.parsedAmount;
+    const date = parsedData.parsedDate || new Date();
+    
+    if (amount && amount > 0) {
+        // Only use the suggestion if the user still has that category (it may be renamed or archived)
+        const category = await categoryService.findCategoryByName(userId, suggestedCategory);
+
+        const homeCurrency = await currencyService.getHomeCurrency(userId);
+
+        const totals = {
+            lineItems: parsedData.lineItems,
+            subtotal: parsedData.subtotal,
+            tax: parsedData.tax,
+            tip: parsedData.tip,
+            discount: parsedData.discount
+        };
+
+        const expense = await expenseRepository.create(await currencyService.withHomeAmount({
+            userId,
+            receiptId,
+            merchant: parsedData.parsedMerchant || 'Unknown Merchant',
+            amount,
+            date,
+            category: category && !category.isArchived ? category.name : undefined,
+            ocrText,
+            parsedData: buildParsedSnapshot(parsedData),
+            ...totals,
+            ...getLineItemReview({ ...totals, amount }),
+            isVerified: false
+        }, homeCurrency));
+
+        console.log(`✅ Expense created automatically for receipt ${receiptId}`);
+
+        budgetService.checkBudgetAlerts(userId, expense.date).catch(error => {
+            console.error('Budget alert check error:', error);
+        });
+        return expense;
+    } else {
+        console.log(`⚠️  Could not extract amount from receipt ${receiptId}. Manual entry required.`);
         return null;
     }
 };
@@ -212,18 +418,85 @@ const getReceiptById = async (receiptId, userId) => {
 };
 
 /**
- * Get user receipts with pagination
+ * Run OCR again on a receipt (after a failure, or with other languages or preprocessing).
+ * The stored file is downloaded again by the OCR worker; the linked expense is updated, or created if there is none.
+ * @param {String} receiptId - Receipt ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - OCR options ({ languages, preprocessingSteps })
+ * @returns {Promise<Object>} - Receipt document (queued for OCR)
+ */
+const reprocessReceipt = async (receiptId, userId, options = {}) => {
+    const receipt = await getReceiptById(receiptId, userId);
+
+    const activeIds = await ocrJobRepository.findActiveReceiptIds([receipt._id]);
+    if (activeIds.length > 0) {
+        const error = new Error('Receipt is already queued for OCR');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    await ocrQueueService.enqueueReceipt(receipt, options);
+
+    return await receiptRepository.findById(receiptId);
+};
+
+/**
+ * Run OCR again on all receipts of a user whose OCR failed
  * @param {String} userId - User ID
- * @param {Object} options - Query options (page, limit)
+ * @param {Object} options - OCR options ({ languages, preprocessingSteps })
+ * @returns {Promise<Object>} - { queued } number of receipts queued
+ */
+const reprocessFailedReceipts = async (userId, options = {}) => {
+    const receipts = await receiptRepository.findByOcrStatus(['failed'], userId);
+
+    for (const receipt of receipts) {
+        await ocrQueueService.enqueueReceipt(receipt, options);
+    }
+
+    return { queued: receipts.length };
+};
+
+/**
+ * Get user receipts with page or cursor pagination
+ * @param {String} userId - User ID
+ * @param {Object} options - Query options (page, limit, cursor - nextCursor/prevCursor of a previous response)
  * @returns {Promise<Object>} - Receipts and pagination info
  */
 const getUserReceipts = async (userId, options = {}) => {
-    const { page = 1, limit = 10 } = options;
+    const { page = 1, cursor } = options;
+    const limit = parseInt(options.limit || 10);
     const skip = (page - 1) * limit;
 
+    if (cursor) {
+        const decodedCursor = decodeCursor(cursor, RECEIPT_SORT);
+        const cursorQuery = buildCursorQuery(RECEIPT_SORT, decodedCursor);
+
+        const [receipts, total] = await Promise.all([
+            receiptRepository.findByUserId(userId, {
+                limit: limit + 1,
+                sort: cursorQuery.sort,
+                filter: cursorQuery.filter
+            }),
+            receiptRepository.countByUserId(userId)
+        ]);
+
+        const { items, nextCursor, prevCursor } = getCursorPage(receipts, RECEIPT_SORT, decodedCursor, limit);
+
+        return {
+            receipts: items,
+            pagination: {
+                limit,
+                total,
+                nextCursor,
+                prevCursor
+            }
+        };
+    }
+
     const receipts = await receiptRepository.findByUserId(userId, {
-        limit: parseInt(limit),
-        skip: parseInt(skip)
+        limit,
+        skip: parseInt(skip),
+        sort: RECEIPT_SORT
     });
 
     const total = await receiptRepository.countByUserId(userId);
@@ -232,20 +505,24 @@ const getUserReceipts = async (userId, options = {}) => {
         receipts,
         pagination: {
             page: parseInt(page),
-            limit: parseInt(limit),
+            limit,
             total,
-            pages: Math.ceil(total / limit)
+            pages: Math.ceil(total / limit),
+            ...getCursors(receipts, RECEIPT_SORT, { hasNext: skip + receipts.length < total, hasPrev: skip > 0 })
         }
     };
 };
 
 /**
- * Delete receipt
+ * Delete receipt, detaching it from its expense unless asked to delete the expense too
  * @param {String} receiptId - Receipt ID
  * @param {String} userId - User ID (for authorization)
+ * @param {Object} options - Delete options (deleteExpense)
  * @returns {Promise<Object>} - Deleted receipt document
  */
-const deleteReceipt = async (receiptId, userId) => {
+const deleteReceipt = async (receiptId, userId, options = {}) => {
+    const { deleteExpense = false } = options;
+
     const receipt = await receiptRepository.findById(receiptId);
 
     if (!receipt) {
@@ -304,27 +581,48 @@ const deleteReceipt = async (receiptId, userId) => {
         // Continue with database deletion even if Cloudinary deletion fails
     }
 
-    // Check if there's an associated expense and delete it
+    // Check if there's an associated expense - keep it as a manual expense unless asked to delete it
     try {
         const expense = await expenseRepository.findByReceiptId(receiptId);
-        if (expense) {
+        if (expense && deleteExpense) {
             await expenseRepository.deleteById(expense._id);
+            // Statement lines matched to this expense no longer have one
+            await bankTransactionRepository.releaseExpense(expense._id);
             console.log(`✅ Associated expense deleted: ${expense._id}`);
+        } else if (expense) {
+            await expenseRepository.setReceipt(expense._id, null);
+            console.log(`✅ Receipt detached from expense: ${expense._id}`);
         }
     } catch (error) {
-        console.error('Error deleting associated expense:', error);
+        console.error('Error updating associated expense:', error);
         // Continue with receipt deletion
     }
 
-    // Delete from database
+    // Delete from database (with its OCR job - a worker still running it finds the receipt gone)
+    await ocrJobRepository.deleteByReceiptId(receiptId);
     await receiptRepository.deleteById(receiptId);
 
     return receipt;
 };
 
+/**
+ * Get OCR monitoring statistics: Tesseract worker pool of this process and the job queue
+ * @returns {Promise<Object>} - { pool, queue }
+ */
+const getOcrStats = async () => {
+    return {
+        pool: ocrService.getPoolStats(),
+        queue: await ocrJobRepository.countByState()
+    };
+};
+
 module.exports = {
     createReceipt,
+    processReceiptOCR,
     getReceiptById,
+    reprocessReceipt,
+    reprocessFailedReceipts,
     getUserReceipts,
-    deleteReceipt
+    deleteReceipt,
+    getOcrStats
 };
@@ -0,0 +1,380 @@
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const budgetService = require('./budgetService');
+const currencyService = require('./currencyService');
+const {
+    addMonthsClamped,
+    getOccurrenceDate,
+    findNextOccurrenceIndex,
+    getOccurrencesUntil
+} = require('../utils/recurrence');
+const { RECURRING_EXPENSE } = require('../constants');
+
+// Fields copied from the recurring expense onto each generated expense
+const TEMPLATE_FIELDS = ['merchant', 'amount', 'currency', 'category', 'paymentMethod', 'notes', 'tags'];
+
+/**
+ * Check budget thresholds after expenses were generated (background task)
+ * @param {String} userId - User ID
+ * @param {Date} expenseDate - Date of the latest generated expense
+ */
+const notifyBudgets = (userId, expenseDate) => {
+    budgetService.checkBudgetAlerts(userId, expenseDate).catch(error => {
+        console.error('Budget alert check error:', error);
+    });
+};
+
+/**
+ * Get next occurrence to generate for a schedule
+ * @param {Object} schedule - Schedule (frequency, interval, startDate, endDate)
+ * @param {Date|null} after - Only occurrences strictly after this date are generated
+ * @returns {Object} - nextOccurrenceIndex and nextOccurrenceAt (null when the schedule has ended)
+ */
+const getNextOccurrence = (schedule, after) => {
+    const nextOccurrenceIndex = findNextOccurrenceIndex(schedule, after);
+
+    return {
+        nextOccurrenceIndex,
+        nextOccurrenceAt: getOccurrenceDate(schedule, nextOccurrenceIndex)
+    };
+};
+
+/**
+ * Get recurring expense owned by user
+ * @param {String} recurringId - Recurring expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Recurring expense document
+ */
+const getRecurringExpenseById = async (recurringId, userId) => {
+    const recurringExpense = await recurringExpenseRepository.findById(recurringId);
+
+    if (!recurringExpense) {
+        const error = new Error('Recurring expense not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (recurringExpense.userId.toString() !== userId) {
+        const error = new Error('Access denied');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return recurringExpense;
+};
+
+/**
+ * Get user recurring expenses
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Array of recurring expense documents
+ */
+const getRecurringExpenses = async (userId) => {
+    return await recurringExpenseRepository.findByUserId(userId);
+};
+
+/**
+ * Generate expenses for all due occurrences of a recurring expense.
+ * Safe to run concurrently or after a crash: the unique (recurringExpenseId, occurrenceDate)
+ * index rejects duplicates and the occurrence only advances if nobody else advanced it.
+ * @param {Object} recurringExpense - Recurring expense document
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Generated expense documents
+ */
+const generateDueOccurrences = async (recurringExpense, now = new Date()) => {
+    const generated = [];
+    let current = recurringExpense;
+    const homeCurrency = await currencyService.getHomeCurrency(recurringExpense.userId.toString());
+    const rateCache = new Map();
+
+    while (
+        current
+        && current.isActive
+        && current.nextOccurrenceAt
+        && current.nextOccurrenceAt <= now
+        && generated.length < RECURRING_EXPENSE.MAX_OCCURRENCES_PER_RUN
+    ) {
+        const occurrenceDate = current.nextOccurrenceAt;
+
+        const expenseData = {
+            userId: current.userId,
+            date: occurrenceDate,
+            receiptId: null,
+            isVerified: false,
+            recurringExpenseId: current._id,
+            occurrenceDate
+        };
+        TEMPLATE_FIELDS.forEach((field) => {
+            expenseData[field] = current[field];
+        });
+
+        try {
+            generated.push(await expenseRepository.create(
+                await currencyService.withHomeAmount(expenseData, homeCurrency, rateCache)
+            ));
+        } catch (error) {
+            // Generated before a restart, just move on to the next occurrence
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        const nextOccurrenceAt = getOccurrenceDate(current.schedule, current.nextOccurrenceIndex + 1);
+        current = await recurringExpenseRepository.advanceOccurrence(
+            current._id,
+            current.nextOccurrenceIndex,
+            occurrenceDate,
+            nextOccurrenceAt
+        );
+    }
+
+    return generated;
+};
+
+/**
+ * Create recurring expense - occurrences already due (start date in the past) are generated right away
+ * @param {String} userId - User ID
+ * @param {Object} recurringData - Recurring expense data (template fields and schedule)
+ * @returns {Promise<Object>} - Created recurring expense document and number of expenses generated
+ */
+const createRecurringExpense = async (userId, recurringData) => {
+    const { schedule } = recurringData;
+
+    const normalizedSchedule = {
+        frequency: schedule.frequency,
+        interval: schedule.interval || 1,
+        startDate: new Date(schedule.startDate),
+        endDate: schedule.endDate ? new Date(schedule.endDate) : null
+    };
+
+    const templateData = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+        if (recurringData[field] !== undefined) {
+            templateData[field] = recurringData[field];
+        }
+    });
+
+    const recurringExpense = await recurringExpenseRepository.create({
+        userId,
+        ...templateData,
+        schedule: normalizedSchedule,
+        isActive: recurringData.isActive !== false,
+        ...getNextOccurrence(normalizedSchedule, null)
+    });
+
+    const generated = await generateDueOccurrences(recurringExpense);
+    if (generated.length > 0) {
+        notifyBudgets(userId, generated[generated.length - 1].date);
+    }
+
+    return {
+        recurringExpense: await recurringExpenseRepository.findById(recurringExpense._id),
+        generatedExpenses: generated.length
+    };
+};
+
+/**
+ * Update recurring expense.
+ * Changes apply to future occurrences only - already generated expenses are not touched.
+ * Resuming a paused schedule skips the occurrences missed while it was paused.
+ * @param {String} recurringId - Recurring expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Object} updateData - Data to update (template fields, schedule, isActive)
+ * @returns {Promise<Object>} - Updated recurring expense document and number of expenses generated
+ */
+const updateRecurringExpense = async (recurringId, userId, updateData) => {
+    const recurringExpense = await getRecurringExpenseById(recurringId, userId);
+    const { schedule, isActive } = updateData;
+
+    const changes = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+        if (updateData[field] !== undefined) {
+            changes[field] = updateData[field];
+        }
+    });
+
+    const currentSchedule = recurringExpense.schedule.toObject();
+    const newSchedule = { ...currentSchedule };
+
+    if (schedule) {
+        if (schedule.frequency !== undefined) {
+            newSchedule.frequency = schedule.frequency;
+        }
+        if (schedule.interval !== undefined) {
+            newSchedule.interval = schedule.interval;
+        }
+        if (schedule.startDate !== undefined) {
+            newSchedule.startDate = new Date(schedule.startDate);
+        }
+        if (schedule.endDate !== undefined) {
+            newSchedule.endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+        }
+
+        if (newSchedule.endDate && newSchedule.endDate < newSchedule.startDate) {
+            const error = new Error('End date must be on or after the start date');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        changes.schedule = newSchedule;
+    }
+
+    const isResuming = isActive === true && !recurringExpense.isActive;
+    if (isActive !== undefined) {
+        changes.isActive = isActive;
+    }
+
+    if (schedule || isResuming) {
+        let after = recurringExpense.lastOccurrenceAt;
+        if (isResuming) {
+            const now = new Date();
+            after = after && after > now ? after : now;
+        }
+
+        Object.assign(changes, getNextOccurrence(newSchedule, after));
+    }
+
+    const updatedRecurringExpense = await recurringExpenseRepository.update(recurringId, changes);
+
+    const generated = await generateDueOccurrences(updatedRecurringExpense);
+    if (generated.length > 0) {
+        notifyBudgets(userId, generated[generated.length - 1].date);
+    }
+
+    return {
+        recurringExpense: await recurringExpenseRepository.findById(recurringId),
+        generatedExpenses: generated.length
+    };
+};
+
+/**
+ * Delete recurring expense - expenses already generated from it are kept
+ * @param {String} recurringId - Recurring expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @returns {Promise<Object>} - Deleted recurring expense document
+ */
+const deleteRecurringExpense = async (recurringId, userId) => {
+    const recurringExpense = await getRecurringExpenseById(recurringId, userId);
+
+    await recurringExpenseRepository.deleteById(recurringId);
+
+    return recurringExpense;
+};
+
+/**
+ * List upcoming (not yet generated) occurrences of a recurring expense
+ * @param {Object} recurringExpense - Recurring expense document
+ * @param {Date} until - Last date to include
+ * @returns {Array} - Occurrences (date plus template fields)
+ */
+const listUpcomingOccurrences = (recurringExpense, until) => {
+    if (!recurringExpense.isActive || !recurringExpense.nextOccurrenceAt) {
+        return [];
+    }
+
+    const dates = getOccurrencesUntil(
+        recurringExpense.schedule,
+        recurringExpense.nextOccurrenceIndex,
+        until,
+        RECURRING_EXPENSE.MAX_PREVIEW_OCCURRENCES
+    );
+
+    return dates.map((date) => ({
+        recurringExpenseId: recurringExpense._id,
+        date,
+        merchant: recurringExpense.merchant,
+        amount: recurringExpense.amount,
+        currency: recurringExpense.currency,
+        category: recurringExpense.category
+    }));
+};
+
+/**
+ * Preview upcoming occurrences of one recurring expense
+ * @param {String} recurringId - Recurring expense ID
+ * @param {String} userId - User ID (for authorization)
+ * @param {Number} months - How many months ahead to look
+ * @returns {Promise<Object>} - Occurrences and the preview window
+ */
+const previewOccurrences = async (recurringId, userId, months = RECURRING_EXPENSE.DEFAULT_PREVIEW_MONTHS) => {
+    const recurringExpense = await getRecurringExpenseById(recurringId, userId);
+    const now = new Date();
+    const until = addMonthsClamped(now, months);
+
+    return {
+        from: now,
+        until,
+        occurrences: listUpcomingOccurrences(recurringExpense, until)
+    };
+};
+
+/**
+ * Preview upcoming occurrences of all active user recurring expenses
+ * @param {String} userId - User ID
+ * @param {Number} months - How many months ahead to look
+ * @returns {Promise<Object>} - Occurrences sorted by date, totals per currency and the preview window
+ */
+const getUpcomingOccurrences = async (userId, months = RECURRING_EXPENSE.DEFAULT_PREVIEW_MONTHS) => {
+    const recurringExpenses = await recurringExpenseRepository.findByUserId(userId, { isActive: true });
+    const now = new Date();
+    const until = addMonthsClamped(now, months);
+
+    const occurrences = recurringExpenses
+        .flatMap((recurringExpense) => listUpcomingOccurrences(recurringExpense, until))
+        .sort((a, b) => a.date - b.date)
+        .slice(0, RECURRING_EXPENSE.MAX_PREVIEW_OCCURRENCES);
+
+    const totals = {};
+    occurrences.forEach((occurrence) => {
+        totals[occurrence.currency] = (totals[occurrence.currency] || 0) + occurrence.amount;
+    });
+
+    return {
+        from: now,
+        until,
+        occurrences,
+        totals
+    };
+};
+
+/**
+ * Generate expenses for all due recurring expenses (called by the scheduler)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Number of recurring expenses processed and expenses generated
+ */
+const processDueRecurringExpenses = async (now = new Date()) => {
+    const dueRecurringExpenses = await recurringExpenseRepository.findDue(now, RECURRING_EXPENSE.BATCH_SIZE);
+    const latestDateByUser = new Map();
+    let generatedCount = 0;
+
+    for (const recurringExpense of dueRecurringExpenses) {
+        try {
+            const generated = await generateDueOccurrences(recurringExpense, now);
+
+            if (generated.length > 0) {
+                generatedCount += generated.length;
+                latestDateByUser.set(recurringExpense.userId.toString(), generated[generated.length - 1].date);
+            }
+        } catch (error) {
+            // One broken schedule must not block the others
+            console.error(`Failed to generate recurring expense ${recurringExpense._id}:`, error);
+        }
+    }
+
+    latestDateByUser.forEach((date, userId) => notifyBudgets(userId, date));
+
+    return {
+        processed: dueRecurringExpenses.length,
+        generated: generatedCount
+    };
+};
+
+module.exports = {
+    getRecurringExpenses,
+    getRecurringExpenseById,
+    createRecurringExpense,
+    updateRecurringExpense,
+    deleteRecurringExpense,
+    previewOccurrences,
+    getUpcomingOccurrences,
+    processDueRecurringExpenses
+};
@@ -0,0 +1,118 @@
+/**
+ * In-memory attempt store with the same interface as mongoAttemptStore.
+ * Intended for tests and single-process development setups - counters are lost on restart.
+ */
+const attempts = new Map();
+
+/**
+ * Get live entry for a key, dropping it if expired
+ * @param {String} key - Attempt key
+ * @returns {Object|null} - Stored entry or null
+ */
+const getEntry = (key) => {
+    const entry = attempts.get(key);
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        attempts.delete(key);
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * Convert stored entry to a record (copy so callers can't mutate the store)
+ * @param {Object|null} entry - Stored entry
+ * @returns {Object|null} - Attempt record
+ */
+const toRecord = (entry) => {
+    if (!entry) {
+        return null;
+    }
+
+    return {
+        count: entry.count,
+        firstAttemptAt: new Date(entry.firstAttemptAt),
+        lastAttemptAt: new Date(entry.lastAttemptAt),
+        lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil) : null
+    };
+};
+
+/**
+ * Get attempt record for a key
+ * @param {String} key - Attempt key
+ * @returns {Promise<Object|null>} - Attempt record or null
+ */
+const get = async (key) => {
+    return toRecord(getEntry(key));
+};
+
+/**
+ * Increment attempt counter, starting a new window if the previous one expired
+ * @param {String} key - Attempt key
+ * @param {Number} windowMs - Counting window in milliseconds
+ * @returns {Promise<Object>} - Updated attempt record
+ */
+const increment = async (key, windowMs) => {
+    const now = Date.now();
+    let entry = getEntry(key);
+
+    if (entry) {
+        entry.count += 1;
+        entry.lastAttemptAt = now;
+    } else {
+        entry = {
+            count: 1,
+            firstAttemptAt: now,
+            lastAttemptAt: now,
+            lockedUntil: null,
+            expiresAt: now + windowMs
+        };
+        attempts.set(key, entry);
+    }
+
+    return toRecord(entry);
+};
+
+/**
+ * Lock key until a given date
+ * @param {String} key - Attempt key
+ * @param {Date} lockedUntil - Lock expiry
+ * @returns {Promise<void>}
+ */
+const lock = async (key, lockedUntil) => {
+    const entry = getEntry(key);
+    if (!entry) {
+        return;
+    }
+
+    entry.lockedUntil = lockedUntil.getTime();
+    entry.expiresAt = Math.max(entry.expiresAt, entry.lockedUntil);
+};
+
+/**
+ * Reset attempts for a key
+ * @param {String} key - Attempt key
+ * @returns {Promise<void>}
+ */
+const reset = async (key) => {
+    attempts.delete(key);
+};
+
+/**
+ * Remove all counters (test helper)
+ */
+const clear = () => {
+    attempts.clear();
+};
+
+module.exports = {
+    get,
+    increment,
+    lock,
+    reset,
+    clear
+};
@@ -0,0 +1,109 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * Convert attempt document to a plain record
+ * @param {Object|null} doc - LoginAttempt document
+ * @returns {Object|null} - Attempt record (count, firstAttemptAt, lastAttemptAt, lockedUntil)
+ */
+const toRecord = (doc) => {
+    if (!doc) {
+        return null;
+    }
+
+    return {
+        count: doc.count,
+        firstAttemptAt: doc.firstAttemptAt,
+        lastAttemptAt: doc.lastAttemptAt,
+        lockedUntil: doc.lockedUntil
+    };
+};
+
+/**
+ * Get attempt record for a key
+ * @param {String} key - Attempt key (e.g. "login:account:user@example.com")
+ * @returns {Promise<Object|null>} - Attempt record or null
+ */
+const get = async (key) => {
+    const doc = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } });
+    return toRecord(doc);
+};
+
+/**
+ * Increment attempt counter, starting a new window if the previous one expired
+ * @param {String} key - Attempt key
+ * @param {Number} windowMs - Counting window in milliseconds
+ * @returns {Promise<Object>} - Updated attempt record
+ */
+const increment = async (key, windowMs) => {
+    const now = new Date();
+
+    const existing = await LoginAttempt.findOneAndUpdate(
+        { key, expiresAt: { $gt: now } },
+        { $inc: { count: 1 }, $set: { lastAttemptAt: now } },
+        { new: true }
+    );
+
+    if (existing) {
+        return toRecord(existing);
+    }
+
+    try {
+        const created = await LoginAttempt.findOneAndUpdate(
+            { key },
+            {
+                $set: {
+                    count: 1,
+                    firstAttemptAt: now,
+                    lastAttemptAt: now,
+                    lockedUntil: null,
+                    expiresAt: new Date(now.getTime() + windowMs)
+                }
+            },
+            { new: true, upsert: true }
+        );
+        return toRecord(created);
+    } catch (error) {
+        // Another request created the counter at the same time - count on top of it
+        if (error.code === 11000) {
+            return increment(key, windowMs);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lock key until a given date
+ * @param {String} key - Attempt key
+ * @param {Date} lockedUntil - Lock expiry
+ * @returns {Promise<void>}
+ */
+const lock = async (key, lockedUntil) => {
+    await LoginAttempt.updateOne(
+        { key },
+        [
+            {
+                $set: {
+                    lockedUntil,
+                    // Keep the counter around at least as long as the lock
+                    expiresAt: { $max: ['$expiresAt', lockedUntil] }
+                }
+            }
+        ]
+    );
+};
+
+/**
+ * Reset attempts for a key
+ * @param {String} key - Attempt key
+ * @returns {Promise<void>}
+ */
+const reset = async (key) => {
+    await LoginAttempt.deleteOne({ key });
+};
+
+module.exports = {
+    get,
+    increment,
+    lock,
+    reset
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const userRepository = require('../repositories/userRepository');
+const tokenSessionRepository = require('../repositories/tokenSessionRepository');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = '64b000000000000000000001';
+const CUTOFF = '2024-05-01T00:00:00Z';
+const originals = {
+    findUser: userRepository.findById,
+    findSession: tokenSessionRepository.findById
+};
+
+/**
+ * Load the auth middleware with a legacy token cutoff (config is read when the module loads)
+ * @param {String|undefined} cutoff - LEGACY_TOKENS_ISSUED_BEFORE
+ * @returns {Function} - auth middleware
+ */
+const loadAuth = (cutoff) => {
+    if (cutoff) {
+        process.env.LEGACY_TOKENS_ISSUED_BEFORE = cutoff;
+    } else {
+        delete process.env.LEGACY_TOKENS_ISSUED_BEFORE;
+    }
+    delete require.cache[require.resolve('../config/env')];
+    delete require.cache[require.resolve('../middleware/auth')];
+
+    return require('../middleware/auth').auth;
+};
+
+/**
+ * Run the middleware with a bearer token
+ * @param {Function} auth - auth middleware
+ * @param {Object} payload - JWT payload
+ * @returns {Promise<Object>} - { status, body, user } (status null when the request got through)
+ */
+const authenticate = async (auth, payload) => {
+    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const req = { header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+    const result = { status: null, body: null, user: null };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+
+    await auth(req, res, () => {
+        result.user = req.user;
+    });
+    return result;
+};
+
+/**
+ * Get JWT iat for a date
+ * @param {String} date - ISO date
+ * @returns {Number} - Seconds since epoch
+ */
+const issuedAt = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+test.beforeEach(() => {
+    test.mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-03T12:00:00Z').getTime() });
+    userRepository.findById = async () => ({ _id: userId, email: 'user@example.com', roles: ['user'], isEmailConfirmed: true });
+    tokenSessionRepository.findById = async (sessionId) => ({
+        _id: sessionId,
+        userId,
+        isActive: sessionId === 'active-session',
+        expiresAt: new Date('2024-06-01T00:00:00Z')
+    });
+});
+
+test.afterEach(() => {
+    test.mock.timers.reset();
+    userRepository.findById = originals.findUser;
+    tokenSessionRepository.findById = originals.findSession;
+});
+
+test('accepts tokens without a session issued before the cutoff', async () => {
+    const auth = loadAuth(CUTOFF);
+
+    const legacy = await authenticate(auth, { userId, iat: issuedAt('2024-04-30T09:00:00Z') });
+    assert.strictEqual(legacy.status, null);
+    assert.strictEqual(legacy.user.userId, userId);
+    assert.strictEqual(legacy.user.sessionId, undefined);
+
+    const afterCutoff = await authenticate(auth, { userId, iat: issuedAt('2024-05-02T09:00:00Z') });
+    assert.strictEqual(afterCutoff.status, 401);
+
+    // The password step of a two-factor login is no access token, whenever it was issued
+    const mfa = await authenticate(auth, { userId, purpose: 'mfa', iat: issuedAt('2024-04-30T09:00:00Z') });
+    assert.strictEqual(mfa.status, 401);
+});
+
+test('rejects every token without a session when no cutoff is configured', async () => {
+    const auth = loadAuth(undefined);
+
+    const legacy = await authenticate(auth, { userId, iat: issuedAt('2024-04-30T09:00:00Z') });
+    assert.strictEqual(legacy.status, 401);
+    assert.match(legacy.body.message, /log in again/);
+});
+
+test('checks the session of session tokens', async () => {
+    const auth = loadAuth(CUTOFF);
+
+    const active = await authenticate(auth, { userId, sessionId: 'active-session' });
+    assert.strictEqual(active.status, null);
+    assert.strictEqual(active.user.sessionId, 'active-session');
+
+    const revoked = await authenticate(auth, { userId, sessionId: 'revoked-session', iat: issuedAt('2024-04-30T09:00:00Z') });
+    assert.strictEqual(revoked.status, 401);
+});
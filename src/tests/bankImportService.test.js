@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
+const importJobRepository = require('../repositories/importJobRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const currencyService = require('../services/currencyService');
+const bankImportService = require('../services/bankImportService');
+
+const userId = '64b000000000000000000001';
+
+const replaced = {
+    bankTransactionRepository: ['create', 'update', 'findExistingFitIds', 'findLinkedExpenseIds', 'deleteByImportJobId'],
+    importJobRepository: ['create', 'update', 'deleteById'],
+    expenseRepository: ['create', 'findBankMatchCandidates', 'deleteByImportJobId'],
+    currencyService: ['getHomeCurrency']
+};
+const modules = { bankTransactionRepository, importJobRepository, expenseRepository, currencyService };
+const originals = Object.fromEntries(Object.entries(replaced).map(([name, keys]) => [
+    name,
+    Object.fromEntries(keys.map((key) => [key, modules[name][key]]))
+]));
+
+let db;
+
+/**
+ * Build an OFX statement file upload
+ * @param {Array<Array>} lines - [fitId, date (YYYYMMDD), amount, name] per line
+ * @returns {Object} - Uploaded file (multer)
+ */
+const buildFile = (lines) => {
+    const transactions = lines.map(([fitId, date, amount, name]) => `<STMTTRN>
+<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}
+<DTPOSTED>${date}
+<TRNAMT>${amount}
+<FITID>${fitId}
+<NAME>${name}
+</STMTTRN>`).join('\n');
+
+    return {
+        originalname: 'statement.ofx',
+        buffer: Buffer.from(`OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>12345<ACCTID>DE0001</BANKACCTFROM>
+<BANKTRANLIST>
+${transactions}
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`)
+    };
+};
+
+/**
+ * Add a receipt expense the statement can match
+ * @param {String} id - Expense ID
+ * @param {String} date - ISO date
+ * @param {Number} amount - Amount
+ * @param {String} merchant - Merchant
+ * @returns {Object} - Expense
+ */
+const addReceiptExpense = (id, date, amount, merchant) => {
+    const expense = { _id: id, receiptId: `receipt-${id}`, date: new Date(date), amount, currency: 'EUR', merchant };
+    db.expenses.push(expense);
+    return expense;
+};
+
+test.beforeEach(() => {
+    db = { expenses: [], transactions: [], jobs: [] };
+    let nextId = 1;
+    const withId = (data) => ({ _id: `id-${nextId++}`, ...data });
+
+    Object.assign(bankTransactionRepository, {
+        create: async (data) => {
+            const transaction = withId(data);
+            db.transactions.push(transaction);
+            return transaction;
+        },
+        update: async (id, data) => Object.assign(db.transactions.find((transaction) => transaction._id === id), data),
+        findExistingFitIds: async (owner, accountKey, fitIds) => new Set(db.transactions
+            .filter((transaction) => transaction.accountKey === accountKey && fitIds.includes(transaction.fitId))
+            .map((transaction) => transaction.fitId)),
+        findLinkedExpenseIds: async (expenseIds) => new Set(db.transactions
+            .filter((transaction) => expenseIds.includes(transaction.expenseId) && ['suggested', 'confirmed'].includes(transaction.status))
+            .map((transaction) => transaction.expenseId)),
+        deleteByImportJobId: async () => {}
+    });
+    Object.assign(importJobRepository, {
+        create: async (data) => {
+            const job = withId(data);
+            db.jobs.push(job);
+            return job;
+        },
+        update: async (id, data) => Object.assign(db.jobs.find((job) => job._id === id), data),
+        deleteById: async () => {}
+    });
+    Object.assign(expenseRepository, {
+        create: async (data) => {
+            const expense = withId(data);
+            db.expenses.push(expense);
+            return expense;
+        },
+        // Receipt expenses not pending and not linked yet, in the amount and date range
+        findBankMatchCandidates: async (owner, { minAmount, maxAmount, startDate, endDate }) => db.expenses.filter((expense) => (
+            expense.receiptId
+            && !expense.isPending
+            && expense.amount >= minAmount && expense.amount <= maxAmount
+            && expense.date >= startDate && expense.date <= endDate
+        )),
+        deleteByImportJobId: async () => {}
+    });
+    currencyService.getHomeCurrency = async () => 'EUR';
+});
+
+test.afterEach(() => {
+    Object.entries(originals).forEach(([name, functions]) => Object.assign(modules[name], functions));
+});
+
+test('creates pending expenses for debits and skips credits', async () => {
+    const job = await bankImportService.importStatement(userId, buildFile([
+        ['T1', '20240301', -12.5, 'Bakery'],
+        ['T2', '20240302', 2500, 'Salary']
+    ]));
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.importedCount, 1);
+    assert.strictEqual(job.skippedCount, 1);
+
+    const [expense] = db.expenses;
+    assert.strictEqual(expense.isPending, true);
+    assert.strictEqual(expense.amount, 12.5);
+    assert.strictEqual(expense.merchant, 'Bakery');
+    assert.strictEqual(db.transactions[0].expenseId, expense._id);
+    assert.strictEqual(db.transactions[0].accountKey, '12345:DE0001');
+});
+
+test('skips lines imported before and repeated FITIDs in the same file', async () => {
+    const file = buildFile([
+        ['T1', '20240301', -12.5, 'Bakery'],
+        ['T1', '20240301', -12.5, 'Bakery'],
+        ['T2', '20240302', -3, 'Cafe']
+    ]);
+
+    const first = await bankImportService.importStatement(userId, file);
+    const second = await bankImportService.importStatement(userId, file);
+
+    assert.strictEqual(first.importedCount, 2);
+    assert.strictEqual(first.skippedCount, 1);
+    assert.strictEqual(second.importedCount, 0);
+    assert.strictEqual(second.skippedCount, 3);
+    assert.strictEqual(db.transactions.length, 2);
+});
+
+test('suggests the receipt expense with the same amount and the closest date', async () => {
+    addReceiptExpense('far', '2024-03-07', 42, 'Grocer');
+    addReceiptExpense('close', '2024-03-04', 42, 'Other shop');
+    addReceiptExpense('wrong-amount', '2024-03-05', 41.5, 'Grocer');
+
+    const job = await bankImportService.importStatement(userId, buildFile([['T1', '20240305', -42, 'GROCER BERLIN']]));
+
+    assert.strictEqual(job.matchedCount, 1);
+    assert.strictEqual(job.importedCount, 0);
+    assert.strictEqual(db.transactions[0].status, 'suggested');
+    assert.strictEqual(db.transactions[0].expenseId, 'close');
+    assert.strictEqual(db.transactions[0].matchDateDifference, 1);
+});
+
+test('breaks date ties on the merchant name and never matches one expense twice', async () => {
+    addReceiptExpense('cinema', '2024-03-04', 20, 'Cinema');
+    addReceiptExpense('pizza', '2024-03-06', 20, 'Pizza Roma');
+
+    await bankImportService.importStatement(userId, buildFile([
+        ['T1', '20240305', -20, 'PIZZA ROMA 123'],
+        ['T2', '20240305', -20, 'PIZZA ROMA 123'],
+        ['T3', '20240305', -20, 'PIZZA ROMA 123']
+    ]));
+
+    assert.deepStrictEqual(db.transactions.map((transaction) => transaction.status), ['suggested', 'suggested', 'unmatched']);
+    assert.deepStrictEqual(db.transactions.slice(0, 2).map((transaction) => transaction.expenseId), ['pizza', 'cinema']);
+});
+
+test('does not suggest an expense already linked by an earlier import or out of the date window', async () => {
+    addReceiptExpense('linked', '2024-03-05', 9.99, 'Stream');
+    addReceiptExpense('old', '2024-02-20', 9.99, 'Stream');
+
+    await bankImportService.importStatement(userId, buildFile([['T1', '20240305', -9.99, 'STREAM']]));
+    const job = await bankImportService.importStatement(userId, buildFile([['T2', '20240305', -9.99, 'STREAM']]));
+
+    assert.strictEqual(db.transactions[0].expenseId, 'linked');
+    assert.strictEqual(job.matchedCount, 0);
+    assert.strictEqual(job.importedCount, 1);
+    assert.strictEqual(db.transactions[1].status, 'unmatched');
+});
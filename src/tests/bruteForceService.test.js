@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EmailToken = require('../models/EmailToken');
+const userRepository = require('../repositories/userRepository');
+const memoryAttemptStore = require('../stores/memoryAttemptStore');
+const bruteForceService = require('../services/bruteForceService');
+const authService = require('../services/authService');
+const { BRUTE_FORCE } = require('../constants');
+
+const MINUTE = 60 * 1000;
+const EMAIL = 'user@example.com';
+const IP = '203.0.113.7';
+
+const originals = {
+    findOne: EmailToken.findOne,
+    findByIdAndUpdate: EmailToken.findByIdAndUpdate,
+    deleteOne: EmailToken.deleteOne,
+    findByEmail: userRepository.findByEmail,
+    findById: userRepository.findById
+};
+
+/**
+ * Record failed logins for the test account
+ * @param {Number} count - Number of failures
+ * @param {String} ip - Client IP
+ */
+const failLogins = async (count, ip = IP) => {
+    for (let i = 0; i < count; i++) {
+        await bruteForceService.recordLoginFailure(EMAIL, ip);
+    }
+};
+
+test.beforeEach(() => {
+    test.mock.timers.enable({ apis: ['Date'], now: new Date('2024-03-01T12:00:00Z').getTime() });
+    memoryAttemptStore.clear();
+    bruteForceService.setStore(memoryAttemptStore);
+});
+
+test.afterEach(() => {
+    test.mock.timers.reset();
+    Object.assign(EmailToken, {
+        findOne: originals.findOne,
+        findByIdAndUpdate: originals.findByIdAndUpdate,
+        deleteOne: originals.deleteOne
+    });
+    Object.assign(userRepository, { findByEmail: originals.findByEmail, findById: originals.findById });
+});
+
+test('delays logins progressively after a few failures', async () => {
+    await failLogins(BRUTE_FORCE.DELAY_AFTER_ATTEMPTS - 1);
+    await bruteForceService.assertLoginAllowed(EMAIL, IP);
+
+    await failLogins(1);
+    await assert.rejects(bruteForceService.assertLoginAllowed(EMAIL, IP), (error) => {
+        assert.strictEqual(error.statusCode, 429);
+        assert.match(error.message, /wait before trying again/);
+        assert.strictEqual(error.retryAfter, BRUTE_FORCE.BASE_DELAY_SECONDS);
+        return true;
+    });
+
+    test.mock.timers.tick(BRUTE_FORCE.BASE_DELAY_SECONDS * 1000);
+    await bruteForceService.assertLoginAllowed(EMAIL, IP);
+});
+
+test('locks the account after too many failures until the lockout ends', async () => {
+    await failLogins(BRUTE_FORCE.ACCOUNT_MAX_ATTEMPTS);
+
+    // Still locked once the progressive delay is over
+    test.mock.timers.tick(BRUTE_FORCE.MAX_DELAY_SECONDS * 1000);
+    await assert.rejects(bruteForceService.assertLoginAllowed(EMAIL, IP), (error) => {
+        assert.strictEqual(error.statusCode, 429);
+        assert.match(error.message, /try again later/);
+        assert.strictEqual(error.retryAfter, BRUTE_FORCE.LOCKOUT_MINUTES * 60 - BRUTE_FORCE.MAX_DELAY_SECONDS);
+        return true;
+    });
+
+    // Another address from the same IP isn't affected
+    await bruteForceService.assertLoginAllowed('other@example.com', IP);
+
+    test.mock.timers.tick(BRUTE_FORCE.LOCKOUT_MINUTES * MINUTE);
+    await bruteForceService.assertLoginAllowed(EMAIL, IP);
+});
+
+test('clears failures after a successful login', async () => {
+    await failLogins(BRUTE_FORCE.ACCOUNT_MAX_ATTEMPTS - 1);
+    await bruteForceService.recordLoginSuccess(EMAIL);
+
+    await failLogins(BRUTE_FORCE.DELAY_AFTER_ATTEMPTS - 1);
+    await bruteForceService.assertLoginAllowed(EMAIL, IP);
+});
+
+test('locks an IP that fails across many accounts', async () => {
+    for (let i = 0; i < BRUTE_FORCE.IP_MAX_ATTEMPTS; i++) {
+        await bruteForceService.recordLoginFailure(`user${i}@example.com`, IP);
+    }
+
+    await assert.rejects(bruteForceService.assertLoginAllowed('new@example.com', IP), { statusCode: 429 });
+    await bruteForceService.assertLoginAllowed('new@example.com', '198.51.100.1');
+});
+
+test('limits password reset emails per address per hour', async () => {
+    for (let i = 0; i < BRUTE_FORCE.RESET_REQUESTS_PER_HOUR; i++) {
+        await bruteForceService.assertResetRequestAllowed(EMAIL);
+    }
+
+    await assert.rejects(bruteForceService.assertResetRequestAllowed(EMAIL), { statusCode: 429 });
+
+    test.mock.timers.tick(60 * MINUTE);
+    await bruteForceService.assertResetRequestAllowed(EMAIL);
+});
+
+test('invalidates a reset code after too many wrong guesses for the user', async () => {
+    const token = {
+        _id: 'token-1',
+        userId: 'user-1',
+        token: '1234567',
+        attempts: 0,
+        expiresAt: new Date(Date.now() + 15 * MINUTE)
+    };
+    let deleted = false;
+
+    userRepository.findByEmail = async () => ({ _id: 'user-1' });
+    EmailToken.findOne = async () => (deleted ? null : token);
+    EmailToken.findByIdAndUpdate = async () => {
+        token.attempts += 1;
+        return { ...token };
+    };
+    EmailToken.deleteOne = async () => {
+        deleted = true;
+    };
+
+    const guess = (ip) => authService.resetPassword('7654321', 'Password1', 'Password1', { ip, email: EMAIL });
+
+    // Each guess from another IP, so only the per-code limit applies
+    for (let i = 1; i < BRUTE_FORCE.RESET_CODE_MAX_ATTEMPTS; i++) {
+        await assert.rejects(guess(`198.51.100.${i}`), /Invalid or expired verification code/);
+    }
+    await assert.rejects(guess('198.51.100.99'), /Too many invalid attempts/);
+    assert.strictEqual(deleted, true);
+
+    // The right code no longer works either
+    await assert.rejects(
+        authService.resetPassword('1234567', 'Password1', 'Password1', { ip: IP, email: EMAIL }),
+        /Invalid or expired verification code/
+    );
+});
+
+test('throttles an IP guessing reset codes without an email', async () => {
+    EmailToken.findOne = async () => null;
+
+    const guess = () => authService.resetPassword('7654321', 'Password1', 'Password1', { ip: IP });
+
+    for (let i = 0; i < BRUTE_FORCE.DELAY_AFTER_ATTEMPTS; i++) {
+        await assert.rejects(guess(), { statusCode: 400 });
+    }
+    await assert.rejects(guess(), { statusCode: 429 });
+
+    test.mock.timers.tick(BRUTE_FORCE.BASE_DELAY_SECONDS * 1000);
+    await assert.rejects(guess(), { statusCode: 400 });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const exchangeRateRepository = require('../repositories/exchangeRateRepository');
+const currencyService = require('../services/currencyService');
+const { createExpenseValidation, updateExpenseValidation } = require('../validations/expenseValidation');
+const { createRecurringExpenseValidation } = require('../validations/recurringExpenseValidation');
+
+const originalFindLatest = exchangeRateRepository.findLatest;
+
+// Rates are stored with uppercase codes, per 1 EUR
+const RATES = { USD: 1.1, GBP: 0.85 };
+
+/**
+ * Run validation chains on a request body and return the sanitized body
+ * @param {Array} chains - Validation chains
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Body after sanitizers ran
+ */
+const sanitize = async (chains, body) => {
+    const req = { body, params: {}, query: {}, user: { userId: '64b000000000000000000001' } };
+    for (const chain of chains) {
+        await chain.run(req);
+    }
+    return req.body;
+};
+
+test.beforeEach(() => {
+    exchangeRateRepository.findLatest = async (currency) => (RATES[currency] ? { rate: RATES[currency] } : null);
+});
+
+test.afterEach(() => {
+    exchangeRateRepository.findLatest = originalFindLatest;
+});
+
+test('expense and recurring expense requests uppercase currency codes', async () => {
+    const created = await sanitize(createExpenseValidation, { amount: 10, date: '2024-03-01', currency: 'gbp' });
+    const updated = await sanitize(updateExpenseValidation, { currency: 'gbp' });
+    const recurring = await sanitize(createRecurringExpenseValidation, { amount: 10, currency: 'gbp' });
+
+    assert.strictEqual(created.currency, 'GBP');
+    assert.strictEqual(updated.currency, 'GBP');
+    assert.strictEqual(recurring.currency, 'GBP');
+});
+
+test('expense and recurring expense documents store currency codes uppercase', () => {
+    assert.strictEqual(new Expense({ currency: 'gbp' }).currency, 'GBP');
+    assert.strictEqual(new RecurringExpense({ currency: 'gbp' }).currency, 'GBP');
+});
+
+test('an expense sent with a lowercase currency code converts into the home currency', async () => {
+    const { currency } = await sanitize(createExpenseValidation, { amount: 85, date: '2024-03-01', currency: 'gbp' });
+
+    const expense = await currencyService.withHomeAmount({ amount: 85, currency, date: new Date('2024-03-01') }, 'USD');
+
+    assert.strictEqual(expense.currency, 'GBP');
+    assert.strictEqual(expense.homeAmount, 110);
+    assert.ok(expense.exchangeRate > 0);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const expenseRepository = require('../repositories/expenseRepository');
+const expenseService = require('../services/expenseService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+const userId = '64b000000000000000000001';
+const originals = {
+    findByUserId: expenseRepository.findByUserId,
+    countByUserId: expenseRepository.countByUserId
+};
+
+/**
+ * Build an ObjectId that sorts by its number
+ * @param {Number} number - Sequence number
+ * @returns {mongoose.Types.ObjectId} - ObjectId
+ */
+const objectId = (number) => new mongoose.Types.ObjectId(number.toString(16).padStart(24, '0'));
+
+/**
+ * Make a value comparable (dates and ObjectIds compare by time and hex string)
+ * @param {*} value - Field value
+ * @returns {*} - Comparable value
+ */
+const comparable = (value) => {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return value.toHexString();
+    }
+    return value;
+};
+
+/**
+ * Check a document against the subset of MongoDB filters the cursor query uses
+ * @param {Object} document - Document
+ * @param {Object} filter - Filter ({ field: value }, { field: { $gt|$lt: value } }, $or)
+ * @returns {Boolean} - True if the document matches
+ */
+const matches = (document, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+        return condition.some((branch) => matches(document, branch));
+    }
+
+    const value = comparable(document[key]);
+    if (condition && condition.$gt !== undefined) {
+        return value > comparable(condition.$gt);
+    }
+    if (condition && condition.$lt !== undefined) {
+        return value < comparable(condition.$lt);
+    }
+    return value === comparable(condition);
+});
+
+// Seven expenses share the same amount, so pages of 3 have to split them on _id
+const expenses = [
+    { _id: objectId(1), amount: 50 },
+    ...Array.from({ length: 7 }, (value, index) => ({ _id: objectId(index + 2), amount: 20 })),
+    { _id: objectId(9), amount: 5 },
+    { _id: objectId(10), amount: 5 }
+];
+
+/**
+ * Read every page by following nextCursor, then go back with prevCursor
+ * @param {String} sort - Sort option
+ * @returns {Promise<Object>} - Pages read forward and backward (lists of numeric IDs)
+ */
+const readAllPages = async (sort) => {
+    const ids = (page) => page.expenses.map((expense) => parseInt(expense._id.toHexString(), 16));
+    const forward = [];
+    const backward = [];
+
+    let page = await expenseService.getUserExpenses(userId, { sort, limit: 3 });
+    forward.push(ids(page));
+    while (page.pagination.nextCursor) {
+        page = await expenseService.getUserExpenses(userId, { sort, limit: 3, cursor: page.pagination.nextCursor });
+        forward.push(ids(page));
+    }
+
+    backward.push(ids(page));
+    while (page.pagination.prevCursor) {
+        page = await expenseService.getUserExpenses(userId, { sort, limit: 3, cursor: page.pagination.prevCursor });
+        if (page.expenses.length === 0) {
+            break;
+        }
+        backward.unshift(ids(page));
+    }
+
+    return { forward, backward };
+};
+
+test.beforeEach(() => {
+    expenseRepository.findByUserId = async (owner, { limit, skip = 0, sort, filter }) => {
+        const sortEntries = Object.entries(sort);
+        return expenses
+            .filter((expense) => matches(expense, filter))
+            .sort((a, b) => {
+                for (const [field, order] of sortEntries) {
+                    const [left, right] = [comparable(a[field]), comparable(b[field])];
+                    if (left !== right) {
+                        return (left < right ? -1 : 1) * order;
+                    }
+                }
+                return 0;
+            })
+            .slice(skip, skip + limit);
+    };
+    expenseRepository.countByUserId = async () => expenses.length;
+});
+
+test.afterEach(() => {
+    Object.assign(expenseRepository, originals);
+});
+
+test('decodes the cursor it encoded', () => {
+    const sort = { date: -1, _id: -1 };
+    const document = { _id: objectId(7), date: new Date('2024-03-01T10:00:00Z') };
+
+    const decoded = decodeCursor(encodeCursor(document, sort, 'next'), sort);
+
+    assert.strictEqual(decoded.field, 'date');
+    assert.strictEqual(decoded.value.toISOString(), '2024-03-01T10:00:00.000Z');
+    assert.ok(decoded.id.equals(document._id));
+    assert.strictEqual(decoded.direction, 'next');
+
+    const amountSort = { amount: 1, _id: 1 };
+    assert.strictEqual(decodeCursor(encodeCursor({ _id: objectId(8), amount: 12.5 }, amountSort, 'prev'), amountSort).value, 12.5);
+    assert.strictEqual(encodeCursor({ _id: objectId(9), amount: null }, amountSort, 'next'), null);
+});
+
+test('rejects malformed and tampered cursors with 400', async () => {
+    const sort = { amount: -1, _id: -1 };
+    const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const valid = { f: 'amount', v: 20, t: 'number', i: objectId(3).toHexString(), d: 'next' };
+
+    const cursors = [
+        'not a cursor',
+        encodeCursor(expenses[3], sort, 'next').slice(0, -6),
+        encode({ ...valid, i: 'not-an-id' }),
+        encode({ ...valid, d: 'sideways' }),
+        encode({ ...valid, t: 'object', v: { $gt: 0 } }),
+        encode({ ...valid, v: '20' }),
+        encode({ ...valid, f: 'date', t: 'date', v: 'yesterday' }),
+        encode(null)
+    ];
+
+    for (const cursor of cursors) {
+        await assert.rejects(expenseService.getUserExpenses(userId, { sort: '-amount', cursor }), { statusCode: 400 }, cursor);
+    }
+
+    // A cursor from another sort order can't be reused
+    await assert.rejects(
+        expenseService.getUserExpenses(userId, { sort: '-date', cursor: encode(valid) }),
+        { statusCode: 400, message: 'Cursor was created with a different sort' }
+    );
+});
+
+test('pages through equal sort values without skipping or repeating expenses', async () => {
+    const { forward, backward } = await readAllPages('-amount');
+
+    assert.deepStrictEqual(forward, [[1, 8, 7], [6, 5, 4], [3, 2, 10], [9]]);
+    assert.deepStrictEqual(backward, forward);
+});
+
+test('pages ascending through equal sort values', async () => {
+    const { forward, backward } = await readAllPages('amount');
+
+    assert.deepStrictEqual(forward, [[9, 10, 2], [3, 4, 5], [6, 7, 8], [1]]);
+    assert.deepStrictEqual(backward, forward);
+});
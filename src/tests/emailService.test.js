@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+
+// Emails are only sent with credentials - read by config/env when the service loads
+process.env.MAILTRAP_USER = process.env.MAILTRAP_USER || 'test-user';
+process.env.MAILTRAP_PASS = process.env.MAILTRAP_PASS || 'test-pass';
+
+const sent = [];
+nodemailer.createTransport = () => ({
+    sendMail: async (mailOptions) => {
+        sent.push(mailOptions);
+        return { messageId: `message-${sent.length}` };
+    }
+});
+
+const emailService = require('../services/emailService');
+
+test('escapes the budget and user names in the budget alert email', async () => {
+    await emailService.sendBudgetAlert('user@example.com', 'Ann <b>', {
+        name: '<img src=x onerror=alert(1)> & "Food"',
+        threshold: 80,
+        percentUsed: 82,
+        spent: 410,
+        effectiveLimit: 500,
+        remaining: 90,
+        currency: 'EUR',
+        periodStart: new Date('2024-03-01T00:00:00Z'),
+        periodEnd: new Date('2024-04-01T00:00:00Z')
+    });
+
+    const [{ html, text }] = sent;
+
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('<b>'));
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt; &amp; &quot;Food&quot;/);
+    assert.match(html, /Hello Ann &lt;b&gt;,/);
+
+    // The plain text part shows the names as written
+    assert.match(text, /"<img src=x onerror=alert\(1\)> & "Food"" budget/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const expenseRepository = require('../repositories/expenseRepository');
+const exportService = require('../services/exportService');
+
+const originalStreamByUserId = expenseRepository.streamByUserId;
+
+/**
+ * Build a fake expense cursor that records whether it was closed
+ * @param {Number} count - Number of expenses
+ * @returns {Object} - Async iterable cursor with close() and state
+ */
+const createCursor = (count) => {
+    const state = { closed: false, read: 0 };
+
+    return {
+        state,
+        async *[Symbol.asyncIterator]() {
+            for (let i = 0; i < count; i++) {
+                state.read++;
+                yield {
+                    _id: `expense-${i}`,
+                    date: new Date('2024-03-01'),
+                    merchant: `Merchant ${i}`.padEnd(200, '.'),
+                    amount: 12.5,
+                    currency: 'USD'
+                };
+            }
+        },
+        async close() {
+            state.closed = true;
+        }
+    };
+};
+
+test.afterEach(() => {
+    expenseRepository.streamByUserId = originalStreamByUserId;
+});
+
+test('ends the export and closes the cursor when the client disconnects during backpressure', async () => {
+    const cursor = createCursor(1000);
+    expenseRepository.streamByUserId = () => cursor;
+
+    // A client that stopped reading: writes never complete, so the buffer stays full
+    const output = new Writable({ highWaterMark: 1024, write: () => {} });
+
+    const exported = exportService.exportExpenses('64b000000000000000000001', { format: 'csv' }, output);
+    setTimeout(() => output.destroy(), 20);
+
+    const rowCount = await exported;
+
+    assert.strictEqual(cursor.state.closed, true);
+    assert.ok(rowCount < 1000);
+    assert.ok(cursor.state.read < 1000);
+});
+
+test('exports every row to a client that keeps reading', async () => {
+    const cursor = createCursor(50);
+    expenseRepository.streamByUserId = () => cursor;
+
+    const chunks = [];
+    const output = new Writable({
+        highWaterMark: 1024,
+        write: (chunk, encoding, callback) => {
+            chunks.push(chunk);
+            setImmediate(callback);
+        }
+    });
+
+    const rowCount = await exportService.exportExpenses('64b000000000000000000001', { format: 'csv' }, output);
+
+    assert.strictEqual(rowCount, 50);
+    assert.strictEqual(cursor.state.closed, true);
+    assert.strictEqual(Buffer.concat(chunks).toString().trim().split('\r\n').length, 51);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const importJobRepository = require('../repositories/importJobRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const bankTransactionRepository = require('../repositories/bankTransactionRepository');
+const userRepository = require('../repositories/userRepository');
+const categoryService = require('../services/categoryService');
+const importService = require('../services/importService');
+const { parseCsv, detectDelimiter } = require('../utils/csv');
+const { parseDate, detectDateFormat, parseAmount, detectDecimalSeparator } = require('../utils/valueParsers');
+const { EXPENSE_IMPORT } = require('../constants');
+
+const userId = '64b000000000000000000001';
+
+const stubbed = {
+    importJobRepository: [importJobRepository, ['create', 'findById', 'transition', 'update']],
+    expenseRepository: [expenseRepository, ['createMany', 'findIdsByImportJobId', 'deleteByImportJobId']],
+    bankTransactionRepository: [bankTransactionRepository, ['releaseExpenses']],
+    userRepository: [userRepository, ['findById']],
+    categoryService: [categoryService, ['getCategories', 'createCategory', 'deleteCategory']]
+};
+const originals = Object.fromEntries(Object.entries(stubbed).map(([name, [module, keys]]) => [
+    name,
+    Object.fromEntries(keys.map((key) => [key, module[key]]))
+]));
+
+let job;
+
+/**
+ * Upload a CSV file through the import service
+ * @param {String} text - File content
+ * @returns {Promise<Object>} - Upload result (import job and detected formats)
+ */
+const upload = (text) => importService.uploadCsv(userId, { originalname: 'expenses.csv', buffer: Buffer.from(text) });
+
+test.beforeEach(() => {
+    job = null;
+
+    importJobRepository.create = async (data) => {
+        job = { _id: 'job-1', status: 'pending', ...data };
+        return job;
+    };
+    importJobRepository.findById = async () => job;
+    importJobRepository.transition = async (id, fromStatus, data) => {
+        if (job.status !== fromStatus) {
+            return null;
+        }
+        return Object.assign(job, data);
+    };
+    importJobRepository.update = async (id, data) => Object.assign(job, data);
+    userRepository.findById = async () => ({ settings: { currency: 'EUR' } });
+    categoryService.getCategories = async () => [{ name: 'Food', isArchived: false }];
+});
+
+test.afterEach(() => {
+    Object.entries(stubbed).forEach(([name, [module]]) => Object.assign(module, originals[name]));
+});
+
+test('reads dates day first or month first only when the value allows it', () => {
+    assert.strictEqual(parseDate('03/04/2024', 'DD/MM/YYYY').toISOString(), '2024-04-03T00:00:00.000Z');
+    assert.strictEqual(parseDate('03/04/2024', 'MM/DD/YYYY').toISOString(), '2024-03-04T00:00:00.000Z');
+    assert.strictEqual(parseDate('25/12/2024', 'MM/DD/YYYY'), null);
+    assert.strictEqual(parseDate('31/02/2024', 'DD/MM/YYYY'), null);
+    assert.strictEqual(parseDate('2024-01-31 14:05', 'YYYY-MM-DD').toISOString(), '2024-01-31T00:00:00.000Z');
+    assert.strictEqual(parseDate('05.03.99', 'DD.MM.YY').toISOString(), '1999-03-05T00:00:00.000Z');
+
+    // One day past the 12th settles the format for the whole column
+    assert.strictEqual(detectDateFormat(['03/04/2024', '25/04/2024'], EXPENSE_IMPORT.DATE_FORMATS), 'DD/MM/YYYY');
+    assert.strictEqual(detectDateFormat(['03/04/2024', '04/25/2024'], EXPENSE_IMPORT.DATE_FORMATS), 'MM/DD/YYYY');
+    assert.strictEqual(detectDateFormat(['03/04/2024', '', null], EXPENSE_IMPORT.DATE_FORMATS), 'DD/MM/YYYY');
+    assert.strictEqual(detectDateFormat(['25/25/2024'], EXPENSE_IMPORT.DATE_FORMATS), null);
+});
+
+test('reads amounts with thousands separators in either convention', () => {
+    assert.strictEqual(parseAmount('1,234,567.89', '.'), 1234567.89);
+    assert.strictEqual(parseAmount('1.234.567,89', ','), 1234567.89);
+    assert.strictEqual(parseAmount('€ 1 234,50', ','), 1234.5);
+    assert.strictEqual(parseAmount('$12.50', '.'), 12.5);
+    assert.strictEqual(parseAmount('(12.50)', '.'), -12.5);
+    assert.strictEqual(parseAmount('12,50-', ','), -12.5);
+    assert.strictEqual(parseAmount('-7', '.'), -7);
+    assert.strictEqual(parseAmount('12.5.0', '.'), null);
+    assert.strictEqual(parseAmount('n/a', '.'), null);
+
+    assert.strictEqual(detectDecimalSeparator(['1.234,56', '12,5', '3']), ',');
+    assert.strictEqual(detectDecimalSeparator(['1,234.56', '12.50', '3']), '.');
+    // "1,234" has no decimals, so it doesn't vote for a decimal comma
+    assert.strictEqual(detectDecimalSeparator(['1,234', '9.99']), '.');
+});
+
+test('parses quoted fields with delimiters, quotes and line breaks inside', () => {
+    const text = '﻿date;amount;notes\r\n'
+        + '01/03/2024;"1.234,50";"Dinner; ""team"" event\r\nsecond line"\r\n'
+        + '\r\n'
+        + '02/03/2024;12,00;plain\n';
+
+    assert.strictEqual(detectDelimiter(text), ';');
+    assert.deepStrictEqual(parseCsv(text, ';'), [
+        ['date', 'amount', 'notes'],
+        ['01/03/2024', '1.234,50', 'Dinner; "team" event\r\nsecond line'],
+        ['02/03/2024', '12,00', 'plain']
+    ]);
+});
+
+test('detects a day-first file with decimal commas and converts every row', async () => {
+    const { detected } = await upload([
+        'Date;Amount;Payee;Memo',
+        '03/04/2024;"1.234,50";Möbelhaus;"Sofa,',
+        'delivered"',
+        '25/04/2024;12,00;Bäckerei;',
+        '"05/05/2024";"0,99";Kiosk;""""'
+    ].join('\n'));
+
+    assert.strictEqual(detected.delimiter, ';');
+    assert.strictEqual(detected.dateFormat, 'DD/MM/YYYY');
+    assert.strictEqual(detected.decimalSeparator, ',');
+    assert.deepStrictEqual(detected.suggestedMapping, { date: 'Date', amount: 'Amount', merchant: 'Payee', notes: 'Memo' });
+    assert.strictEqual(job.totalRows, 3);
+
+    const preview = await importService.previewImport('job-1', userId, {
+        mapping: detected.suggestedMapping
+    });
+
+    assert.strictEqual(preview.invalidRows, 0);
+    assert.deepStrictEqual(preview.sampleRows.map(({ row, expense }) => [
+        row,
+        expense.date.toISOString().slice(0, 10),
+        expense.amount,
+        expense.merchant,
+        expense.notes
+    ]), [
+        [2, '2024-04-03', 1234.5, 'Möbelhaus', 'Sofa,\ndelivered'],
+        [3, '2024-04-25', 12, 'Bäckerei', undefined],
+        [4, '2024-05-05', 0.99, 'Kiosk', '"']
+    ]);
+});
+
+test('removes the categories it created when committing an import fails', async () => {
+    await upload('date,amount,category\n2024-03-01,10.00,Travel\n2024-03-02,5.00,food\n2024-03-03,7.50,Pets\n');
+
+    const created = [];
+    const deleted = [];
+    categoryService.createCategory = async (owner, { name }) => {
+        if (name === 'Pets') {
+            const error = new Error('Category already exists');
+            error.statusCode = 409;
+            throw error;
+        }
+        const category = { _id: `category-${name}`, name };
+        created.push(category);
+        return category;
+    };
+    categoryService.deleteCategory = async (categoryId) => {
+        deleted.push(categoryId);
+    };
+    expenseRepository.createMany = async () => {
+        throw new Error('write failed');
+    };
+    expenseRepository.findIdsByImportJobId = async () => [];
+    expenseRepository.deleteByImportJobId = async () => ({ deletedCount: 0 });
+    bankTransactionRepository.releaseExpenses = async () => {};
+
+    await assert.rejects(
+        importService.commitImport('job-1', userId, {
+            mapping: { date: 'date', amount: 'amount', category: 'category' },
+            createMissingCategories: true
+        }),
+        /write failed/
+    );
+
+    // "food" matched the existing Food category; Pets was created by someone else in the meantime
+    assert.deepStrictEqual(created.map((category) => category.name), ['Travel']);
+    assert.deepStrictEqual(deleted, ['category-Travel']);
+    assert.strictEqual(job.status, 'pending');
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getReceiptLocale,
+    parseReceiptAmount,
+    parseReceiptLines,
+    parseReceiptDate,
+    checkLineItemTotals,
+    getLineItemReview
+} = require('../utils/receiptParser');
+const { normalizeDigits } = require('../utils/valueParsers');
+const { parseReceiptData } = require('../services/ocrService');
+
+const GROCERY_RECEIPT = `CORNER MARKET
+123 Main Street
+03/04/2024 14:22
+2 x Bread 5.00
+Milk 1.99
+1.23 lb @ 0.59/lb Bananas 0.73
+COUPON -0.50
+SUBTOTAL 7.72
+TAX 0.62
+TOTAL 7.84
+VISA 7.84
+CHANGE 0.00`;
+
+test('reads line items, quantities and the totals block', () => {
+    const result = parseReceiptLines(GROCERY_RECEIPT);
+
+    assert.deepStrictEqual(result.lineItems, [
+        { description: 'Bread', quantity: 2, unitPrice: 2.5, totalPrice: 5 },
+        { description: 'Milk', quantity: 1, unitPrice: 1.99, totalPrice: 1.99 },
+        { description: 'Bananas', quantity: 1.23, unitPrice: 0.59, totalPrice: 0.73 }
+    ]);
+    assert.strictEqual(result.subtotal, 7.72);
+    assert.strictEqual(result.discount, 0.5);
+    assert.strictEqual(result.tax, 0.62);
+    assert.strictEqual(result.tip, null);
+    assert.strictEqual(result.total, 7.84);
+    assert.deepStrictEqual(result.totalSource, { line: 'TOTAL 7.84', value: '7.84' });
+});
+
+test('ignores priced lines after the totals and payment lines', () => {
+    const result = parseReceiptLines(`CAFE
+Latte 4.50
+TOTAL 4.50
+TIP 1.00
+Thank you 2.00
+CASH 10.00`);
+
+    assert.deepStrictEqual(result.lineItems.map((item) => item.description), ['Latte']);
+    assert.strictEqual(result.tip, 1);
+    assert.strictEqual(result.total, 4.5);
+});
+
+test('line items that add up with tax, tip and discounts need no review', () => {
+    const { lineItems, subtotal, tax, discount, total } = parseReceiptLines(GROCERY_RECEIPT);
+    const data = { lineItems, subtotal, tax, discount, amount: total };
+
+    assert.deepStrictEqual(checkLineItemTotals(data), {
+        itemsTotal: 7.72,
+        expectedTotal: 7.84,
+        difference: 0,
+        isConsistent: true
+    });
+    assert.deepStrictEqual(getLineItemReview(data), { needsReview: false, reviewReason: null });
+
+    // A cent of rounding per line is tolerated
+    assert.strictEqual(getLineItemReview({ ...data, amount: 7.86 }).needsReview, false);
+});
+
+test('flags line items that do not add up to the total or the subtotal', () => {
+    const { lineItems, tax, discount } = parseReceiptLines(GROCERY_RECEIPT);
+
+    assert.deepStrictEqual(getLineItemReview({ lineItems, tax, discount, amount: 9.84 }), {
+        needsReview: true,
+        reviewReason: 'Line items add up to 7.84 with tax, tip and discounts, but the total is 9.84'
+    });
+
+    assert.deepStrictEqual(getLineItemReview({ lineItems, subtotal: 8, tax, discount, amount: 7.84 }), {
+        needsReview: true,
+        reviewReason: 'Line items add up to 7.72 but the subtotal is 8.00'
+    });
+
+    // Subtotals printed after discounts match too
+    assert.strictEqual(getLineItemReview({ lineItems, subtotal: 7.22, tax, discount, amount: 7.84 }).needsReview, false);
+});
+
+test('expenses without line items are never flagged', () => {
+    assert.strictEqual(checkLineItemTotals({ lineItems: [], amount: 10 }), null);
+    assert.deepStrictEqual(getLineItemReview({ amount: 10 }), { needsReview: false, reviewReason: null });
+});
+
+test('picks the receipt locale of the user language', () => {
+    assert.strictEqual(getReceiptLocale('fr').ocrLanguages, 'fra');
+    assert.strictEqual(getReceiptLocale('de-AT').language, 'de');
+    assert.strictEqual(getReceiptLocale('en-GB').dateOrder, 'DMY');
+    assert.strictEqual(getReceiptLocale('sv').language, 'en');
+    assert.strictEqual(getReceiptLocale().dateOrder, 'MDY');
+});
+
+test('reads ambiguous numeric dates in the day and month order of the locale', () => {
+    const day = (text, language) => parseReceiptDate(text, getReceiptLocale(language)).date.toISOString().slice(0, 10);
+
+    assert.strictEqual(day('Date: 03/04/2024', 'fr'), '2024-04-03');
+    assert.strictEqual(day('Date: 03/04/2024', 'en'), '2024-03-04');
+    assert.strictEqual(day('03.04.24 12:01', 'de'), '2024-04-03');
+
+    // A part above 12 can only be the day, whatever the locale
+    assert.strictEqual(day('25/04/2024', 'en'), '2024-04-25');
+    assert.strictEqual(day('04/25/2024', 'fr'), '2024-04-25');
+
+    assert.strictEqual(day('le 3 avril 2024', 'fr'), '2024-04-03');
+    assert.strictEqual(day('3. März 2024', 'de'), '2024-03-03');
+    assert.strictEqual(day('Apr 3, 2024', 'de'), '2024-04-03');
+    assert.strictEqual(parseReceiptDate('31/02/2024', getReceiptLocale('fr')), null);
+});
+
+test('reads amounts with comma decimals', () => {
+    assert.strictEqual(parseReceiptAmount('12,50'), 12.5);
+    assert.strictEqual(parseReceiptAmount('1.234,56 €'), 1234.56);
+    assert.strictEqual(parseReceiptAmount('$1,234.56'), 1234.56);
+});
+
+test('recognizes totals block keywords of the locale', () => {
+    const receipt = `Bäckerei Müller
+Brötchen 2,40
+2 x Kaffee 5,00
+Kuchen 5,10
+Zwischensumme 12,50
+Gesamt 12,50
+Bar gegeben 20,00
+Rückgeld 7,50`;
+
+    const german = parseReceiptLines(receipt, getReceiptLocale('de'));
+    assert.deepStrictEqual(german.lineItems.map((item) => [item.description, item.quantity, item.totalPrice]), [
+        ['Brötchen', 1, 2.4],
+        ['Kaffee', 2, 5],
+        ['Kuchen', 1, 5.1]
+    ]);
+    assert.strictEqual(german.subtotal, 12.5);
+    assert.strictEqual(german.total, 12.5);
+    assert.deepStrictEqual(german.totalSource, { line: 'Gesamt 12,50', value: '12,50' });
+
+    // English rules don't know "Gesamt" - it reads as one more item
+    const english = parseReceiptLines(receipt, getReceiptLocale('en'));
+    assert.strictEqual(english.total, null);
+    assert.ok(english.lineItems.some((item) => item.description === 'Gesamt'));
+});
+
+test('folds Arabic-Indic digits and separators before parsing', () => {
+    assert.strictEqual(normalizeDigits('١٢٫٥٠'), '12.50');
+    assert.strictEqual(normalizeDigits('۱٬۲۳۴٫۵۰'), '1,234.50');
+
+    const parsed = parseReceiptData(normalizeDigits(`مطعم السلام
+التاريخ ٠٣/٠٤/٢٠٢٤
+شاي ٥٫٠٠
+كعك ٧٫٥٠
+الإجمالي ١٢٫٥٠`), getReceiptLocale('ar'));
+
+    assert.strictEqual(parsed.parsedMerchant, 'مطعم السلام');
+    assert.strictEqual(parsed.parsedAmount, 12.5);
+    assert.strictEqual(parsed.parsedDate.toISOString().slice(0, 10), '2024-04-03');
+    assert.deepStrictEqual(parsed.lineItems.map((item) => item.totalPrice), [5, 7.5]);
+    assert.strictEqual(getLineItemReview({ lineItems: parsed.lineItems, amount: parsed.parsedAmount }).needsReview, false);
+});
+
+test('finds a labelled total in the locale language when no total line is recognized', () => {
+    const parsed = parseReceiptData('Bäckerei\nGesamt: 12,50 EUR\nGegeben: 20,00 EUR', getReceiptLocale('de'));
+
+    assert.strictEqual(parsed.parsedAmount, 12.5);
+    assert.deepStrictEqual(parsed.fieldSources.amount, { line: 'Gesamt: 12,50 EUR', value: '12,50' });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    addMonthsClamped,
+    getOccurrenceDate,
+    findNextOccurrenceIndex,
+    getOccurrencesUntil
+} = require('../utils/recurrence');
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const recurringExpenseService = require('../services/recurringExpenseService');
+
+const userId = '64b000000000000000000001';
+const originalFindById = recurringExpenseRepository.findById;
+
+/**
+ * Format a date as YYYY-MM-DD in local time (schedules work on local calendar days)
+ * @param {Date} date - Date
+ * @returns {String} - Calendar day
+ */
+const day = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * List the first occurrences of a schedule
+ * @param {Object} schedule - Schedule
+ * @param {Number} count - Number of occurrences
+ * @returns {Array<String>} - Calendar days (null past the end date)
+ */
+const firstOccurrences = (schedule, count) => Array.from({ length: count }, (value, index) => {
+    const date = getOccurrenceDate(schedule, index);
+    return date ? day(date) : null;
+});
+
+test.afterEach(() => {
+    test.mock.timers.reset();
+    recurringExpenseRepository.findById = originalFindById;
+});
+
+test('clamps month-end dates to the last day of shorter months', () => {
+    assert.strictEqual(day(addMonthsClamped(new Date(2023, 0, 31), 1)), '2023-02-28');
+    assert.strictEqual(day(addMonthsClamped(new Date(2024, 0, 31), 1)), '2024-02-29');
+    assert.strictEqual(day(addMonthsClamped(new Date(2024, 0, 31), 3)), '2024-04-30');
+    assert.strictEqual(day(addMonthsClamped(new Date(2024, 2, 31), -1)), '2024-02-29');
+    assert.strictEqual(day(addMonthsClamped(new Date(2024, 10, 30), 2)), '2025-01-30');
+});
+
+test('monthly schedules return to the 31st after a short month', () => {
+    const schedule = { frequency: 'monthly', startDate: new Date(2024, 0, 31) };
+
+    assert.deepStrictEqual(firstOccurrences(schedule, 4), ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+});
+
+test('steps daily, weekly, monthly and yearly schedules by their interval', () => {
+    const startDate = new Date(2024, 0, 10);
+
+    assert.deepStrictEqual(firstOccurrences({ frequency: 'daily', interval: 3, startDate }, 3), ['2024-01-10', '2024-01-13', '2024-01-16']);
+    assert.deepStrictEqual(firstOccurrences({ frequency: 'weekly', startDate }, 3), ['2024-01-10', '2024-01-17', '2024-01-24']);
+    assert.deepStrictEqual(firstOccurrences({ frequency: 'weekly', interval: 2, startDate }, 3), ['2024-01-10', '2024-01-24', '2024-02-07']);
+    assert.deepStrictEqual(firstOccurrences({ frequency: 'monthly', interval: 3, startDate }, 3), ['2024-01-10', '2024-04-10', '2024-07-10']);
+    assert.deepStrictEqual(
+        firstOccurrences({ frequency: 'yearly', startDate: new Date(2024, 1, 29) }, 3),
+        ['2024-02-29', '2025-02-28', '2026-02-28']
+    );
+    assert.throws(() => getOccurrenceDate({ frequency: 'hourly', startDate }, 1), /Unsupported frequency/);
+});
+
+test('stops at the end date', () => {
+    const schedule = { frequency: 'monthly', startDate: new Date(2024, 0, 15), endDate: new Date(2024, 2, 15) };
+
+    assert.deepStrictEqual(firstOccurrences(schedule, 4), ['2024-01-15', '2024-02-15', '2024-03-15', null]);
+    assert.deepStrictEqual(getOccurrencesUntil(schedule, 0, new Date(2030, 0, 1), 100).map(day), ['2024-01-15', '2024-02-15', '2024-03-15']);
+    assert.strictEqual(findNextOccurrenceIndex(schedule, new Date(2024, 5, 1)), 3);
+});
+
+test('finds the first occurrence strictly after a date', () => {
+    const schedule = { frequency: 'weekly', startDate: new Date(2024, 0, 1) };
+
+    assert.strictEqual(findNextOccurrenceIndex(schedule, null), 0);
+    assert.strictEqual(findNextOccurrenceIndex(schedule, new Date(2024, 0, 1)), 1);
+    assert.strictEqual(findNextOccurrenceIndex(schedule, new Date(2024, 0, 20)), 3);
+});
+
+test('previews the occurrences that are not generated yet, up to the preview window', async () => {
+    test.mock.timers.enable({ apis: ['Date'], now: new Date(2024, 0, 20, 12).getTime() });
+
+    recurringExpenseRepository.findById = async () => ({
+        _id: 'recurring-1',
+        userId,
+        isActive: true,
+        merchant: 'Rent',
+        amount: 900,
+        currency: 'EUR',
+        category: 'Housing',
+        schedule: { frequency: 'monthly', startDate: new Date(2023, 11, 31) },
+        // December and January were generated already
+        nextOccurrenceIndex: 2,
+        nextOccurrenceAt: new Date(2024, 1, 29)
+    });
+
+    const preview = await recurringExpenseService.previewOccurrences('recurring-1', userId, 3);
+
+    assert.strictEqual(day(preview.until), '2024-04-20');
+    assert.deepStrictEqual(preview.occurrences.map((occurrence) => day(occurrence.date)), ['2024-02-29', '2024-03-31']);
+    assert.deepStrictEqual(
+        { merchant: preview.occurrences[0].merchant, amount: preview.occurrences[0].amount, currency: preview.occurrences[0].currency },
+        { merchant: 'Rent', amount: 900, currency: 'EUR' }
+    );
+
+    await assert.rejects(recurringExpenseService.previewOccurrences('recurring-1', '64b000000000000000000002'), { statusCode: 403 });
+});
+
+test('previews nothing for a paused recurring expense', async () => {
+    recurringExpenseRepository.findById = async () => ({
+        _id: 'recurring-1',
+        userId,
+        isActive: false,
+        schedule: { frequency: 'weekly', startDate: new Date(2024, 0, 1) },
+        nextOccurrenceIndex: 0,
+        nextOccurrenceAt: new Date(2024, 0, 1)
+    });
+
+    const preview = await recurringExpenseService.previewOccurrences('recurring-1', userId);
+
+    assert.deepStrictEqual(preview.occurrences, []);
+});
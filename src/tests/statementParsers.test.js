@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOfx, parseQif } = require('../utils/statementParsers');
+
+/**
+ * Wrap statement lines in an OFX 1.x (SGML) bank statement
+ * @param {String} transactions - STMTTRN blocks
+ * @returns {String} - OFX file content
+ */
+const buildOfx = (transactions) => `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>12345<ACCTID>DE0001<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+${transactions}
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+test('OFX lines use the statement currency by default', () => {
+    const [transaction] = parseOfx(buildOfx(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240301
+<TRNAMT>-12.50
+<FITID>A1
+<NAME>Bakery
+</STMTTRN>`));
+
+    assert.strictEqual(transaction.currency, 'EUR');
+});
+
+test('OFX lines in a foreign currency read CURSYM from the CURRENCY aggregate', () => {
+    const [sgml, xml] = parseOfx(buildOfx(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240301
+<TRNAMT>-20.00
+<FITID>A2
+<NAME>Hotel
+<CURRENCY>
+<CURRATE>1.0850
+<CURSYM>USD
+</CURRENCY>
+</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240302</DTPOSTED><TRNAMT>-5.00</TRNAMT><FITID>A3</FITID><NAME>Cafe</NAME><CURRENCY><CURRATE>0.85</CURRATE><CURSYM>gbp</CURSYM></CURRENCY></STMTTRN>`));
+
+    assert.strictEqual(sgml.currency, 'USD');
+    assert.strictEqual(sgml.amount, -20);
+    assert.strictEqual(xml.currency, 'GBP');
+});
+
+test('OFX lines converted from another currency stay in the statement currency', () => {
+    const [transaction] = parseOfx(buildOfx(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240301
+<TRNAMT>-18.43
+<FITID>A4
+<NAME>Online shop
+<ORIGCURRENCY>
+<CURRATE>0.9215
+<CURSYM>USD
+</ORIGCURRENCY>
+</STMTTRN>`));
+
+    assert.strictEqual(transaction.currency, 'EUR');
+    assert.strictEqual(transaction.amount, -18.43);
+});
+
+test('OFX lines keep the calendar date, the sign and the account of the statement', () => {
+    const [debit, credit, commaDecimal] = parseOfx(buildOfx(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240229235959.000[-5:EST]
+<TRNAMT>-1,234.50
+<FITID>B1
+<NAME>Furniture &amp; Co
+<MEMO>Order 77
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTUSER>20240305
+<TRNAMT>2500.00
+<FITID>B2
+<NAME>Salary
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240306
+<TRNAMT>-7,25
+<FITID>B3
+<NAME>Kiosk
+</STMTTRN>`));
+
+    assert.strictEqual(debit.date.toISOString(), '2024-02-29T00:00:00.000Z');
+    assert.strictEqual(debit.amount, -1234.5);
+    assert.strictEqual(debit.type, 'DEBIT');
+    assert.strictEqual(debit.name, 'Furniture & Co');
+    assert.strictEqual(debit.memo, 'Order 77');
+    assert.strictEqual(debit.fitId, 'B1');
+    assert.strictEqual(debit.accountKey, '12345:DE0001');
+
+    assert.strictEqual(credit.date.toISOString(), '2024-03-05T00:00:00.000Z');
+    assert.strictEqual(credit.amount, 2500);
+
+    assert.strictEqual(commaDecimal.amount, -7.25);
+});
+
+test('QIF dates are read day first when the file proves it', () => {
+    const transactions = parseQif(`!Type:Bank
+D03/04/2024
+T-12.50
+PBakery
+^
+D25/04/2024
+T-3.00
+PCafe
+^
+D28/04/2024
+T1,000.00
+PRefund
+^`, { dateFormats: ['MM/DD/YYYY', 'DD/MM/YYYY', 'MM/DD/YY', 'DD/MM/YY'] });
+
+    assert.strictEqual(transactions[0].date.toISOString(), '2024-04-03T00:00:00.000Z');
+    assert.strictEqual(transactions[1].date.toISOString(), '2024-04-25T00:00:00.000Z');
+    assert.strictEqual(transactions[2].date.toISOString(), '2024-04-28T00:00:00.000Z');
+    assert.strictEqual(transactions[0].amount, -12.5);
+    assert.strictEqual(transactions[2].amount, 1000);
+    assert.strictEqual(transactions[0].type, 'BANK');
+});
+
+test('QIF dates with an apostrophe before the year are read as 20xx', () => {
+    const [transaction] = parseQif(`!Type:Bank
+D 1/ 5'24
+T-9.99
+PBookshop
+^`, { dateFormats: ['MM/DD/YYYY', 'DD/MM/YYYY', 'MM/DD/YY', 'DD/MM/YY'] });
+
+    assert.strictEqual(transaction.date.toISOString(), '2024-01-05T00:00:00.000Z');
+});
+
+test('QIF dates default to month first when both readings are valid', () => {
+    const [transaction] = parseQif(`!Type:CCard
+D03/04/2024
+T-12.50
+PBakery
+^`, { dateFormats: ['MM/DD/YYYY', 'DD/MM/YYYY'] });
+
+    assert.strictEqual(transaction.date.toISOString(), '2024-03-04T00:00:00.000Z');
+});
+
+test('QIF lines get stable IDs that keep identical lines apart', () => {
+    const text = `!Type:Bank
+D03/01/2024
+T-4.20
+PCoffee
+^
+D03/01/2024
+T-4.20
+PCoffee
+^
+D03/02/2024
+T-4.20
+PCoffee
+^`;
+
+    const first = parseQif(text).map((transaction) => transaction.fitId);
+    const second = parseQif(text).map((transaction) => transaction.fitId);
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(new Set(first).size, 3);
+    first.forEach((fitId) => assert.match(fitId, /^qif:[0-9a-f]{40}$/));
+});
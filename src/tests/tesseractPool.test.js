@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Tesseract = require('tesseract.js');
+const { createTesseractPool } = require('../utils/tesseractPool');
+
+const originalCreateWorker = Tesseract.createWorker;
+
+/**
+ * Build a fake Tesseract worker
+ * @returns {Object} - Worker with recognize, reinitialize and terminate
+ */
+const createFakeWorker = () => ({
+    recognize: async () => ({ data: { text: 'text', confidence: 90 } }),
+    reinitialize: async () => {},
+    terminate: async () => {}
+});
+
+const createPool = () => createTesseractPool({ size: 1, maxQueue: 5, idleTimeoutMs: 1000 });
+
+test.afterEach(() => {
+    Tesseract.createWorker = originalCreateWorker;
+});
+
+test('rejects queued requests when workers keep failing to start', async () => {
+    let attempts = 0;
+    Tesseract.createWorker = async () => {
+        attempts++;
+        throw new Error('Failed to load language data');
+    };
+
+    const pool = createPool();
+    const results = await Promise.allSettled([
+        pool.recognize(Buffer.from('a')),
+        pool.recognize(Buffer.from('b')),
+        pool.recognize(Buffer.from('c'))
+    ]);
+
+    assert.deepStrictEqual(results.map((result) => result.status), ['rejected', 'rejected', 'rejected']);
+    assert.strictEqual(attempts, 3);
+    assert.strictEqual(pool.getStats().queued, 0);
+    assert.strictEqual(pool.getStats().starting, 0);
+
+    await pool.shutdown();
+});
+
+test('starts a worker for a queued request after a start failure', async () => {
+    let attempts = 0;
+    Tesseract.createWorker = async () => {
+        attempts++;
+        if (attempts === 1) {
+            throw new Error('Failed to load language data');
+        }
+        return createFakeWorker();
+    };
+
+    const pool = createPool();
+    const [first, second] = await Promise.allSettled([
+        pool.recognize(Buffer.from('a')),
+        pool.recognize(Buffer.from('b'))
+    ]);
+
+    assert.strictEqual(first.status, 'rejected');
+    assert.strictEqual(second.status, 'fulfilled');
+    assert.strictEqual(second.value.data.text, 'text');
+    assert.strictEqual(pool.getStats().workers, 1);
+
+    await pool.shutdown();
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Read by config/env when the services load
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+const userRepository = require('../repositories/userRepository');
+const tokenSessionRepository = require('../repositories/tokenSessionRepository');
+const memoryAttemptStore = require('../stores/memoryAttemptStore');
+const bruteForceService = require('../services/bruteForceService');
+const authService = require('../services/authService');
+
+const PERIOD_MS = 30 * 1000;
+const NOW = new Date('2024-03-01T12:00:10Z').getTime();
+
+// RFC 6238 appendix B: SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const originals = {
+    findById: userRepository.findById,
+    createSession: tokenSessionRepository.create
+};
+
+let user;
+
+/**
+ * Build a user whose two-factor setup was started with a known secret
+ * @returns {Object} - User document stand-in
+ */
+const createUser = () => ({
+    _id: '64b000000000000000000001',
+    email: 'user@example.com',
+    twoFactor: { enabled: false, pendingSecret: totp.generateSecret(), recoveryCodes: [] },
+    save: async () => {},
+    toObject() {
+        return { _id: this._id, email: this.email, twoFactor: this.twoFactor };
+    }
+});
+
+/**
+ * Complete the second login step
+ * @param {String} code - TOTP or recovery code
+ * @returns {Promise<Object>} - Login result
+ */
+const loginWithCode = (code) => {
+    const mfaToken = jwt.sign({ userId: user._id, purpose: 'mfa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+    return authService.loginWithTwoFactor(mfaToken, code, { ip: '203.0.113.7' });
+};
+
+test.beforeEach(() => {
+    test.mock.timers.enable({ apis: ['Date'], now: NOW });
+    memoryAttemptStore.clear();
+    bruteForceService.setStore(memoryAttemptStore);
+
+    user = createUser();
+    userRepository.findById = async () => user;
+    tokenSessionRepository.create = async () => ({ _id: 'session-1' });
+});
+
+test.afterEach(() => {
+    test.mock.timers.reset();
+    userRepository.findById = originals.findById;
+    tokenSessionRepository.create = originals.createSession;
+});
+
+test('generates the RFC 6238 SHA-1 test vectors', () => {
+    // Appendix B lists 8-digit codes; 6-digit codes are their last 6 digits
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130']
+    ];
+
+    vectors.forEach(([seconds, code]) => {
+        assert.strictEqual(totp.generateCode(RFC_SECRET, Math.floor(seconds / 30)), code);
+    });
+});
+
+test('round-trips base32 secrets', () => {
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(totp.base32Decode('gezdgnbv gy3tqojq====').toString(), '1234567890');
+});
+
+test('accepts codes one step either side of the current one, but not further', () => {
+    const step = Math.floor(NOW / PERIOD_MS);
+
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step)), step);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1)), step - 1);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1)), step + 1);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2)), null);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2)), null);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, '12345'), null);
+});
+
+test('rejects a TOTP code whose time step was already used', async () => {
+    const setupCode = totp.generateCode(user.twoFactor.pendingSecret);
+    await authService.confirmTwoFactor(user._id, setupCode);
+
+    // The code that confirmed the setup can't be replayed to log in
+    await assert.rejects(loginWithCode(setupCode), { statusCode: 401 });
+
+    test.mock.timers.tick(PERIOD_MS);
+    const code = totp.generateCode(user.twoFactor.secret);
+    const result = await loginWithCode(code);
+    assert.ok(result.accessToken);
+    assert.strictEqual(user.twoFactor.lastUsedStep, Math.floor(Date.now() / PERIOD_MS));
+
+    await assert.rejects(loginWithCode(code), { statusCode: 401 });
+
+    // Still inside the drift window, but older than the last used step
+    test.mock.timers.tick(PERIOD_MS);
+    await assert.rejects(loginWithCode(code), { statusCode: 401 });
+});
+
+test('stores recovery codes hashed and accepts each one only once', async () => {
+    const { recoveryCodes } = await authService.confirmTwoFactor(user._id, totp.generateCode(user.twoFactor.pendingSecret));
+    const stored = [...user.twoFactor.recoveryCodes];
+
+    assert.strictEqual(stored.length, recoveryCodes.length);
+    recoveryCodes.forEach((code) => {
+        assert.ok(!stored.includes(code));
+        assert.ok(!stored.includes(code.replace('-', '')));
+    });
+
+    // Case and dashes don't matter
+    const result = await loginWithCode(recoveryCodes[0].toUpperCase().replace('-', ' '));
+    assert.strictEqual(result.remainingRecoveryCodes, recoveryCodes.length - 1);
+    assert.strictEqual(result.user.twoFactor, undefined);
+
+    await assert.rejects(loginWithCode(recoveryCodes[0]), { statusCode: 401 });
+    assert.strictEqual(user.twoFactor.recoveryCodes.length, recoveryCodes.length - 1);
+});
@@ -0,0 +1,93 @@
+// Delimiters tried when detecting the format of an uploaded file
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+const DETECTION_SAMPLE_LENGTH = 64 * 1024;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, line breaks inside quotes)
+ * @param {String} text - CSV text
+ * @param {String} delimiter - Delimiter character
+ * @returns {Array<Array<String>>} - Rows of fields (blank lines skipped)
+ */
+const parseCsv = (text, delimiter = ',') => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Detect delimiter from the first rows - the one splitting rows into the same number of fields wins
+ * @param {String} text - CSV text
+ * @returns {String} - Delimiter character
+ */
+const detectDelimiter = (text) => {
+    // Enough for the first rows - a truncated last row only lowers every candidate's score equally
+    const sample = text.slice(0, DETECTION_SAMPLE_LENGTH);
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const fieldCounts = parseCsv(sample, delimiter).slice(0, 10).map((row) => row.length);
+        if (fieldCounts.length === 0 || fieldCounts[0] < 2) {
+            continue;
+        }
+
+        const consistentRows = fieldCounts.filter((count) => count === fieldCounts[0]).length;
+        const score = consistentRows * fieldCounts[0];
+
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+};
+
+module.exports = {
+    detectDelimiter,
+    parseCsv
+};
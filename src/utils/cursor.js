@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+/**
+ * Build "invalid cursor" error
+ * @param {String} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+const createCursorError = (message = 'Invalid cursor') => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Get sort field and direction from a MongoDB sort ({ field: 1|-1, _id: 1|-1 })
+ * @param {Object} sort - MongoDB sort with _id as tie-breaker
+ * @returns {Object} - { field, order }
+ */
+const getSortKey = (sort) => {
+    const [field, order] = Object.entries(sort)[0];
+    return { field, order };
+};
+
+/**
+ * Encode an opaque cursor pointing at a document, for keyset pagination
+ * @param {Object} document - First or last document of a page
+ * @param {Object} sort - MongoDB sort of the page
+ * @param {String} direction - 'next' (documents after) or 'prev' (documents before)
+ * @returns {String|null} - Cursor, or null if the document has no value for the sort field
+ */
+const encodeCursor = (document, sort, direction) => {
+    const { field } = getSortKey(sort);
+    const value = document[field];
+
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const payload = {
+        f: field,
+        v: value instanceof Date ? value.toISOString() : value,
+        t: value instanceof Date ? 'date' : typeof value,
+        i: document._id.toString(),
+        d: direction
+    };
+
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode cursor sent by the client
+ * @param {String} cursor - Opaque cursor
+ * @param {Object} sort - MongoDB sort of the current request (the cursor must come from the same sort)
+ * @returns {Object} - { field, value, id, direction }
+ */
+const decodeCursor = (cursor, sort) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw createCursorError();
+    }
+
+    if (
+        !payload
+        || typeof payload.f !== 'string'
+        || !mongoose.Types.ObjectId.isValid(payload.i)
+        || !['next', 'prev'].includes(payload.d)
+        || !['date', 'number', 'string'].includes(payload.t)
+    ) {
+        throw createCursorError();
+    }
+
+    if (payload.f !== getSortKey(sort).field) {
+        throw createCursorError('Cursor was created with a different sort');
+    }
+
+    const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+    if (typeof payload.v !== (payload.t === 'date' ? 'string' : payload.t) || (value instanceof Date && isNaN(value))) {
+        throw createCursorError();
+    }
+
+    return {
+        field: payload.f,
+        value,
+        id: new mongoose.Types.ObjectId(payload.i),
+        direction: payload.d
+    };
+};
+
+/**
+ * Build query for the page a cursor points to.
+ * Previous pages are read in reverse order from the cursor, then flipped back by getCursorPage.
+ * @param {Object} sort - MongoDB sort of the list
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} - { filter, sort } to combine with the list filter
+ */
+const buildCursorQuery = (sort, cursor) => {
+    const { field, order } = getSortKey(sort);
+    const forward = cursor.direction === 'next';
+    const readOrder = forward ? order : -order;
+    const operator = readOrder === 1 ? '$gt' : '$lt';
+
+    return {
+        filter: {
+            $or: [
+                { [field]: { [operator]: cursor.value } },
+                { [field]: cursor.value, _id: { [operator]: cursor.id } }
+            ]
+        },
+        sort: { [field]: readOrder, _id: readOrder }
+    };
+};
+
+/**
+ * Turn documents read with buildCursorQuery (limit + 1 of them) into a page with cursors
+ * @param {Array} documents - Documents in read order
+ * @param {Object} sort - MongoDB sort of the list
+ * @param {Object} cursor - Decoded cursor
+ * @param {Number} limit - Page size
+ * @returns {Object} - { items, nextCursor, prevCursor }
+ */
+const getCursorPage = (documents, sort, cursor, limit) => {
+    const hasMore = documents.length > limit;
+    const items = documents.slice(0, limit);
+    const forward = cursor.direction === 'next';
+
+    if (!forward) {
+        items.reverse();
+    }
+
+    // Going forward there is always something before (where we came from), going back always something after
+    const hasNext = forward ? hasMore : true;
+    const hasPrev = forward ? true : hasMore;
+
+    return {
+        items,
+        ...getCursors(items, sort, { hasNext, hasPrev })
+    };
+};
+
+/**
+ * Build cursors for the pages around a list of documents
+ * @param {Array} items - Documents of the current page, in list order
+ * @param {Object} sort - MongoDB sort of the list
+ * @param {Object} options - { hasNext, hasPrev }
+ * @returns {Object} - { nextCursor, prevCursor } (null when there is no such page)
+ */
+const getCursors = (items, sort, { hasNext, hasPrev }) => {
+    if (items.length === 0) {
+        return { nextCursor: null, prevCursor: null };
+    }
+
+    return {
+        nextCursor: hasNext ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+        prevCursor: hasPrev ? encodeCursor(items[0], sort, 'prev') : null
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    buildCursorQuery,
+    getCursorPage,
+    getCursors
+};
@@ -0,0 +1,116 @@
+const { parseCsv } = require('./csv');
+const { parseDate } = require('./valueParsers');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Parse date of an ECB file - "2024-01-05" (history files) or "5 January 2024" (daily file)
+ * @param {String} value - Date text
+ * @returns {Date|null} - Date at UTC midnight
+ */
+const parseRateDate = (value) => {
+    const text = String(value || '').trim();
+
+    const isoDate = parseDate(text, 'YYYY-MM-DD');
+    if (isoDate) {
+        return isoDate;
+    }
+
+    const match = text.match(/^(\d{1,2})\s+([a-z]+)\s+(\d{4})$/i);
+    const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+    if (month === -1) {
+        return null;
+    }
+
+    return parseDate(`${match[3]}-${month + 1}-${match[1]}`, 'YYYY-MM-DD');
+};
+
+/**
+ * Parse rate value - ECB files use "N/A" or blanks for currencies without a rate that day
+ * @param {String} value - Rate text
+ * @returns {Number|null} - Positive rate or null
+ */
+const parseRate = (value) => {
+    const rate = parseFloat(String(value || '').trim());
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+};
+
+/**
+ * Parse ECB reference rates CSV (eurofxref.csv / eurofxref-hist.csv): a Date column and one column per currency
+ * @param {String} text - File content
+ * @returns {Array<Object>} - Rates (date, currency, rate per 1 EUR)
+ */
+const parseEcbCsv = (text) => {
+    const [header, ...rows] = parseCsv(text, ',');
+    if (!header || !/^date$/i.test((header[0] || '').trim())) {
+        return [];
+    }
+
+    const currencies = header.map((column) => column.trim().toUpperCase());
+    const rates = [];
+
+    rows.forEach((row) => {
+        const date = parseRateDate(row[0]);
+        if (!date) {
+            return;
+        }
+
+        for (let index = 1; index < row.length; index++) {
+            const currency = currencies[index];
+            const rate = parseRate(row[index]);
+
+            if (/^[A-Z]{3}$/.test(currency || '') && rate) {
+                rates.push({ date, currency, rate });
+            }
+        }
+    });
+
+    return rates;
+};
+
+/**
+ * Parse ECB reference rates XML (eurofxref-daily.xml / eurofxref-hist.xml):
+ * <Cube time="2024-01-05"><Cube currency="USD" rate="1.0921"/>...</Cube>
+ * @param {String} text - File content
+ * @returns {Array<Object>} - Rates (date, currency, rate per 1 EUR)
+ */
+const parseEcbXml = (text) => {
+    const rates = [];
+    let date = null;
+
+    for (const match of text.matchAll(/<Cube\s+([^>]*?)\/?>/gi)) {
+        const attributes = {};
+        for (const attribute of match[1].matchAll(/(\w+)\s*=\s*["']([^"']*)["']/g)) {
+            attributes[attribute[1].toLowerCase()] = attribute[2];
+        }
+
+        if (attributes.time) {
+            date = parseRateDate(attributes.time);
+        } else if (date && attributes.currency) {
+            const currency = attributes.currency.trim().toUpperCase();
+            const rate = parseRate(attributes.rate);
+
+            if (/^[A-Z]{3}$/.test(currency) && rate) {
+                rates.push({ date, currency, rate });
+            }
+        }
+    }
+
+    return rates;
+};
+
+/**
+ * Parse ECB-style exchange rate file, CSV or XML
+ * @param {String} text - File content
+ * @returns {Array<Object>} - Rates (date, currency, rate per 1 EUR)
+ */
+const parseExchangeRates = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    return content.trimStart().startsWith('<') ? parseEcbXml(content) : parseEcbCsv(content);
+};
+
+module.exports = {
+    parseEcbCsv,
+    parseEcbXml,
+    parseExchangeRates
+};
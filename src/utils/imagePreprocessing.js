@@ -0,0 +1,345 @@
+const sharp = require('sharp');
+const { OCR_PREPROCESSING } = require('../constants');
+
+/**
+ * Read an image as 8-bit grayscale pixels
+ * @param {Object} image - sharp instance
+ * @param {Number} maxSize - Downscale so that neither side exceeds this (optional)
+ * @returns {Promise<Object>} - { data, width, height }
+ */
+const toGrayPixels = async (image, maxSize = null) => {
+    let pipeline = image.clone().grayscale();
+    if (maxSize) {
+        pipeline = pipeline.resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+};
+
+/**
+ * Rebuild a sharp pipeline from grayscale pixels (each step starts from the previous step's output)
+ * @param {Object} pixels - { data, width, height }
+ * @returns {Object} - sharp instance
+ */
+const fromGrayPixels = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+/**
+ * Get the size of an image as displayed, i.e. with its EXIF orientation applied
+ * (the frame Tesseract reads the uploaded image in, and the frontend shows it in)
+ * @param {Buffer} imageBuffer - Image buffer
+ * @returns {Promise<Object>} - { width, height }
+ */
+const getDisplaySize = async (imageBuffer) => {
+    const metadata = await sharp(imageBuffer).metadata();
+    return metadata.autoOrient || { width: metadata.width, height: metadata.height };
+};
+
+/**
+ * Otsu threshold of grayscale pixels (separates paper from ink, or paper from background)
+ * @param {Buffer} data - Grayscale pixels
+ * @returns {Number} - Threshold (0-255)
+ */
+const otsuThreshold = (data) => {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) {
+        histogram[data[i]]++;
+    }
+
+    let sum = 0;
+    for (let value = 0; value < 256; value++) {
+        sum += value * histogram[value];
+    }
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 127;
+
+    for (let value = 0; value < 256; value++) {
+        weightBackground += histogram[value];
+        if (weightBackground === 0) {
+            continue;
+        }
+        const weightForeground = data.length - weightBackground;
+        if (weightForeground === 0) {
+            break;
+        }
+
+        sumBackground += value * histogram[value];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = value;
+        }
+    }
+
+    return threshold;
+};
+
+/**
+ * Find the receipt in a photo: the bright paper area against a darker background
+ * @param {Object} image - sharp instance (grayscale)
+ * @param {Object} size - { width, height } of the image
+ * @returns {Promise<Object|null>} - { left, top, width, height } to extract, or null if the paper fills the image
+ */
+const findReceiptBounds = async (image, size) => {
+    const { data, width, height } = await toGrayPixels(image, OCR_PREPROCESSING.ANALYSIS_SIZE);
+    const threshold = otsuThreshold(data);
+    const minFraction = OCR_PREPROCESSING.CROP_MIN_PAPER_FRACTION;
+
+    const isPaperRow = (y) => {
+        let count = 0;
+        for (let x = 0; x < width; x++) {
+            count += data[y * width + x] > threshold ? 1 : 0;
+        }
+        return count / width >= minFraction;
+    };
+
+    let top = 0;
+    while (top < height && !isPaperRow(top)) top++;
+    let bottom = height - 1;
+    while (bottom > top && !isPaperRow(bottom)) bottom--;
+
+    const isPaperColumn = (x) => {
+        let count = 0;
+        for (let y = top; y <= bottom; y++) {
+            count += data[y * width + x] > threshold ? 1 : 0;
+        }
+        return count / (bottom - top + 1) >= minFraction;
+    };
+
+    let left = 0;
+    while (left < width && !isPaperColumn(left)) left++;
+    let right = width - 1;
+    while (right > left && !isPaperColumn(right)) right--;
+
+    const areaFraction = ((right - left + 1) * (bottom - top + 1)) / (width * height);
+    if (areaFraction > OCR_PREPROCESSING.CROP_MAX_AREA_FRACTION || areaFraction < OCR_PREPROCESSING.CROP_MIN_AREA_FRACTION) {
+        return null;
+    }
+
+    // Back to full size, with a small margin so the edge of the text isn't cut
+    const scaleX = size.width / width;
+    const scaleY = size.height / height;
+    const margin = Math.round(Math.min(size.width, size.height) * 0.01);
+
+    const cropLeft = Math.max(Math.floor(left * scaleX) - margin, 0);
+    const cropTop = Math.max(Math.floor(top * scaleY) - margin, 0);
+
+    return {
+        left: cropLeft,
+        top: cropTop,
+        width: Math.min(Math.ceil((right + 1) * scaleX) + margin, size.width) - cropLeft,
+        height: Math.min(Math.ceil((bottom + 1) * scaleY) + margin, size.height) - cropTop
+    };
+};
+
+/**
+ * Estimate text skew: the angle at which dark pixels line up into the sharpest rows (projection profile)
+ * @param {Object} image - sharp instance (grayscale)
+ * @returns {Promise<Number>} - Angle in degrees to rotate by to straighten the text
+ */
+const estimateSkewAngle = async (image) => {
+    const { data, width, height } = await toGrayPixels(image, OCR_PREPROCESSING.ANALYSIS_SIZE);
+    const threshold = otsuThreshold(data);
+
+    // Sample of ink pixel coordinates, relative to the center
+    const points = [];
+    const step = Math.max(1, Math.floor((width * height) / 200000));
+    for (let i = 0; i < data.length; i += step) {
+        if (data[i] < threshold) {
+            points.push((i % width) - width / 2, Math.floor(i / width) - height / 2);
+        }
+    }
+    if (points.length < 200) {
+        return 0;
+    }
+
+    const rowCount = Math.ceil(Math.hypot(width, height));
+    const scoreAngle = (degrees) => {
+        const radians = (degrees * Math.PI) / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Float64Array(rowCount);
+
+        for (let i = 0; i < points.length; i += 2) {
+            const row = Math.round(points[i + 1] * cos - points[i] * sin + rowCount / 2);
+            if (row >= 0 && row < rowCount) {
+                rows[row]++;
+            }
+        }
+
+        let score = 0;
+        for (let row = 1; row < rowCount; row++) {
+            score += (rows[row] - rows[row - 1]) ** 2;
+        }
+        return score;
+    };
+
+    let bestAngle = 0;
+    let bestScore = scoreAngle(0);
+    for (let degrees = -OCR_PREPROCESSING.MAX_DESKEW_DEGREES; degrees <= OCR_PREPROCESSING.MAX_DESKEW_DEGREES; degrees += OCR_PREPROCESSING.DESKEW_STEP_DEGREES) {
+        const score = scoreAngle(degrees);
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = degrees;
+        }
+    }
+
+    // Rows line up when rotating the points by bestAngle; sharp rotates clockwise for positive angles
+    return -bestAngle;
+};
+
+/**
+ * Adaptive (local mean) thresholding - Bradley-Roth with an integral image.
+ * Unlike one global threshold it copes with shadows and uneven lighting across a photo.
+ * @param {Object} pixels - { data, width, height } grayscale
+ * @returns {Object} - Black and white pixels
+ */
+const adaptiveThreshold = ({ data, width, height }) => {
+    const integral = new Uint32Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const half = Math.max(Math.floor(Math.max(width, height) / OCR_PREPROCESSING.THRESHOLD_WINDOW_DIVISOR / 2), 4);
+    const ratio = 1 - OCR_PREPROCESSING.THRESHOLD_OFFSET_PERCENT / 100;
+    const output = Buffer.alloc(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const y1 = Math.max(y - half, 0);
+        const y2 = Math.min(y + half, height - 1);
+        for (let x = 0; x < width; x++) {
+            const x1 = Math.max(x - half, 0);
+            const x2 = Math.min(x + half, width - 1);
+            const count = (x2 - x1 + 1) * (y2 - y1 + 1);
+            const sum = integral[(y2 + 1) * (width + 1) + x2 + 1]
+                - integral[y1 * (width + 1) + x2 + 1]
+                - integral[(y2 + 1) * (width + 1) + x1]
+                + integral[y1 * (width + 1) + x1];
+
+            output[y * width + x] = data[y * width + x] * count < sum * ratio ? 0 : 255;
+        }
+    }
+
+    return { data: output, width, height };
+};
+
+/**
+ * Prepare a receipt photo for OCR. Steps run in a fixed order, each only if enabled:
+ * autoRotate (EXIF orientation), grayscale, crop (to the receipt), normalize (contrast), deskew, threshold (adaptive).
+ * Steps that had nothing to do (no EXIF rotation, receipt already fills the photo, text already straight) are not recorded.
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {Array<String>} enabledSteps - Steps to run (names from OCR_PREPROCESSING.STEPS)
+ * @returns {Promise<Object>} - { image (PNG buffer), steps (names of the steps that ran), skewAngle,
+ *   displaySize, mapBox (maps a box on the preprocessed image back onto the displayed image) }
+ */
+const preprocessImage = async (imageBuffer, enabledSteps = OCR_PREPROCESSING.STEPS) => {
+    const enabled = new Set(enabledSteps);
+    const steps = [];
+    let skewAngle = 0;
+    let cropOffset = { left: 0, top: 0 };
+    let deskewSizes = null; // { before, after } - rotation happens around the image center
+
+    const metadata = await sharp(imageBuffer).metadata();
+    let image = sharp(imageBuffer);
+
+    if (enabled.has('autoRotate') && metadata.orientation && metadata.orientation > 1) {
+        image = sharp(await image.rotate().toBuffer());
+        steps.push('autoRotate');
+    }
+
+    // Grayscale is needed by the pixel steps below, so it always runs when any of them does
+    const needsGray = ['crop', 'deskew', 'threshold'].some((step) => enabled.has(step));
+    if (enabled.has('grayscale') || needsGray) {
+        image = fromGrayPixels(await toGrayPixels(image));
+        steps.push('grayscale');
+    }
+
+    if (enabled.has('crop')) {
+        const { width, height } = await image.clone().metadata();
+        const bounds = await findReceiptBounds(image, { width, height });
+        if (bounds) {
+            image = fromGrayPixels(await toGrayPixels(image.extract(bounds)));
+            cropOffset = { left: bounds.left, top: bounds.top };
+            steps.push('crop');
+        }
+    }
+
+    if (enabled.has('normalize')) {
+        image = fromGrayPixels(await toGrayPixels(image.normalise()));
+        steps.push('normalize');
+    }
+
+    if (enabled.has('deskew')) {
+        skewAngle = await estimateSkewAngle(image);
+        if (Math.abs(skewAngle) >= OCR_PREPROCESSING.MIN_DESKEW_DEGREES) {
+            const before = await image.clone().metadata();
+            const rotated = await toGrayPixels(image.rotate(skewAngle, { background: '#ffffff' }));
+            image = fromGrayPixels(rotated);
+            deskewSizes = {
+                before: { width: before.width, height: before.height },
+                after: { width: rotated.width, height: rotated.height }
+            };
+            steps.push('deskew');
+        } else {
+            skewAngle = 0;
+        }
+    }
+
+    if (enabled.has('threshold')) {
+        image = fromGrayPixels(adaptiveThreshold(await toGrayPixels(image)));
+        steps.push('threshold');
+    }
+
+    // The pipeline before autoRotate works in stored pixels; if it was disabled, so do the boxes
+    const displaySize = steps.includes('autoRotate') || !metadata.autoOrient
+        ? await getDisplaySize(imageBuffer)
+        : { width: metadata.width, height: metadata.height };
+
+    const mapPoint = (x, y) => {
+        if (deskewSizes) {
+            // Undo the clockwise rotation around the center
+            const radians = (skewAngle * Math.PI) / 180;
+            const dx = x - deskewSizes.after.width / 2;
+            const dy = y - deskewSizes.after.height / 2;
+            x = dx * Math.cos(radians) + dy * Math.sin(radians) + deskewSizes.before.width / 2;
+            y = -dx * Math.sin(radians) + dy * Math.cos(radians) + deskewSizes.before.height / 2;
+        }
+        return { x: x + cropOffset.left, y: y + cropOffset.top };
+    };
+
+    const mapBox = ({ x0, y0, x1, y1 }) => {
+        const corners = [mapPoint(x0, y0), mapPoint(x1, y0), mapPoint(x0, y1), mapPoint(x1, y1)];
+        const xs = corners.map((corner) => corner.x);
+        const ys = corners.map((corner) => corner.y);
+
+        return {
+            x0: Math.max(Math.min(...xs), 0),
+            y0: Math.max(Math.min(...ys), 0),
+            x1: Math.min(Math.max(...xs), displaySize.width),
+            y1: Math.min(Math.max(...ys), displaySize.height)
+        };
+    };
+
+    return {
+        image: await image.png().toBuffer(),
+        steps,
+        skewAngle,
+        displaySize,
+        mapBox
+    };
+};
+
+module.exports = {
+    getDisplaySize,
+    preprocessImage
+};
@@ -0,0 +1,128 @@
+const { normalizeDigits } = require('./valueParsers');
+
+/**
+ * Collapse whitespace and read Arabic-Indic digits as ASCII for comparing lines of OCR text
+ * with the text the fields were parsed from
+ * @param {String} text - Text
+ * @returns {String} - Normalized text
+ */
+const normalizeText = (text) => normalizeDigits(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * Round confidence to one decimal
+ * @param {Number} value - Confidence (0-100)
+ * @returns {Number} - Rounded confidence
+ */
+const roundConfidence = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Merge word boxes into one box
+ * @param {Array<Object>} boxes - Boxes ({ x0, y0, x1, y1 }), null entries ignored
+ * @returns {Object|null} - Box around all of them
+ */
+const unionBoxes = (boxes) => {
+    const present = boxes.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+
+    return {
+        x0: Math.min(...present.map((box) => box.x0)),
+        y0: Math.min(...present.map((box) => box.y0)),
+        x1: Math.max(...present.map((box) => box.x1)),
+        y1: Math.max(...present.map((box) => box.y1))
+    };
+};
+
+/**
+ * Find the words of a line that make up a value printed on it
+ * @param {Object} line - OCR line ({ text, words })
+ * @param {String} value - Value as printed
+ * @returns {Array<Object>} - Words covering the value (all words if it can't be placed)
+ */
+const findValueWords = (line, value) => {
+    const lineText = normalizeText(line.text);
+    const start = lineText.indexOf(normalizeText(value));
+    if (start === -1) {
+        return line.words;
+    }
+    const end = start + normalizeText(value).length;
+
+    // The line text is its words joined by spaces - walk it to find each word's position
+    let cursor = 0;
+    const words = line.words.filter((word) => {
+        const wordText = normalizeText(word.text);
+        const wordStart = lineText.indexOf(wordText, cursor);
+        if (wordStart === -1) {
+            return false;
+        }
+        cursor = wordStart + wordText.length;
+        return wordStart < end && cursor > start;
+    });
+
+    return words.length ? words : line.words;
+};
+
+/**
+ * Locate one parsed field in the OCR output
+ * @param {Object} source - { line, value } the field was read from
+ * @param {Array<Object>} ocrLines - OCR lines ({ page, text, confidence, bbox, words })
+ * @param {String} textSource - Where the text came from ('ocr', 'embedded' or 'mixed')
+ * @returns {Object|null} - { value, line, page, lineIndex, bbox, confidence }, or null if the field wasn't parsed
+ */
+const locateField = (source, ocrLines, textSource) => {
+    if (!source) {
+        return null;
+    }
+
+    const wanted = normalizeText(source.line);
+    let lineIndex = ocrLines.findIndex((line) => normalizeText(line.text) === wanted);
+    if (lineIndex === -1) {
+        lineIndex = ocrLines.findIndex((line) => normalizeText(line.text).includes(normalizeText(source.value)));
+    }
+
+    if (lineIndex === -1) {
+        // Text embedded in a PDF is exact but has no position on an image
+        return {
+            value: source.value,
+            line: source.line,
+            page: null,
+            lineIndex: null,
+            bbox: null,
+            confidence: textSource === 'ocr' ? null : 100
+        };
+    }
+
+    const line = ocrLines[lineIndex];
+    const words = findValueWords(line, source.value);
+
+    return {
+        value: source.value,
+        line: line.text,
+        page: line.page,
+        lineIndex,
+        bbox: unionBoxes(words.map((word) => word.bbox)) || line.bbox,
+        confidence: words.length
+            ? roundConfidence(words.reduce((sum, word) => sum + word.confidence, 0) / words.length)
+            : line.confidence
+    };
+};
+
+/**
+ * Build provenance of the parsed merchant, amount and date: the OCR line each was read from,
+ * where its words are on the image and how confident Tesseract was in them
+ * @param {Object} fieldSources - { merchant, amount, date } sources from parseReceiptData
+ * @param {Array<Object>} ocrLines - OCR lines
+ * @param {String} textSource - Where the text came from ('ocr', 'embedded' or 'mixed')
+ * @returns {Object} - { merchant, amount, date }
+ */
+const buildFieldProvenance = (fieldSources, ocrLines, textSource) => ({
+    merchant: locateField(fieldSources.merchant, ocrLines, textSource),
+    amount: locateField(fieldSources.amount, ocrLines, textSource),
+    date: locateField(fieldSources.date, ocrLines, textSource)
+});
+
+module.exports = {
+    roundConfidence,
+    buildFieldProvenance
+};
@@ -0,0 +1,87 @@
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+
+// pdfjs-dist only ships as ES modules; load it once on first use
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js (Node build)
+ * @returns {Promise<Object>} - pdf.js module
+ */
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+};
+
+// Fonts for PDFs that use the standard 14 fonts without embedding them
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Open a PDF document
+ * @param {Buffer} pdfBuffer - PDF file content
+ * @returns {Promise<Object>} - pdf.js document (call destroy() when done)
+ */
+const openPdf = async (pdfBuffer) => {
+    const pdfjs = await loadPdfjs();
+
+    return await pdfjs.getDocument({
+        // pdf.js takes ownership of the data, so give it a copy
+        data: new Uint8Array(pdfBuffer),
+        standardFontDataUrl: STANDARD_FONT_DATA_URL,
+        isEvalSupported: false,
+        useSystemFonts: false,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+};
+
+/**
+ * Get the embedded text of a page, one text line per line
+ * @param {Object} page - pdf.js page
+ * @returns {Promise<String>} - Page text (empty for scanned pages)
+ */
+const getPageText = async (page) => {
+    const content = await page.getTextContent();
+    let text = '';
+
+    content.items.forEach((item) => {
+        if (typeof item.str !== 'string') {
+            return;
+        }
+        text += item.str;
+        text += item.hasEOL ? '\n' : (item.str && !item.str.endsWith(' ') ? ' ' : '');
+    });
+
+    return text
+        .split('\n')
+        .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .trim();
+};
+
+/**
+ * Render a page to a PNG image
+ * @param {Object} page - pdf.js page
+ * @param {Number} scale - Scale (1 = 72 DPI)
+ * @returns {Promise<Buffer>} - PNG image
+ */
+const renderPageToImage = async (page, scale) => {
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // Scans with transparent backgrounds would otherwise render black on transparent
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, canvas, viewport }).promise;
+
+    return canvas.toBuffer('image/png');
+};
+
+module.exports = {
+    openPdf,
+    getPageText,
+    renderPageToImage
+};
@@ -0,0 +1,413 @@
+const { parseAmount, parseDate, detectDecimalSeparator } = require('./valueParsers');
+const { escapeRegex } = require('./textSearch');
+const { RECEIPT_LINE_ITEMS, RECEIPT_LOCALES } = require('../constants');
+
+// Amount at the end of a line: "3.50", "$1,234.56", "12,50 €", "-1.00", "1.00-", optionally followed by a tax code ("3.99 T")
+const LINE_AMOUNT = /(?:^|\s)(-?\s?[$€£]?\s?-?(?:\d{1,3}(?:,\d{3})+|\d{1,3}(?:\.\d{3})+|\d+)[.,]\d{2}\s?[$€£]?-?)(?:\s+[A-Z*]{1,2})?\s*$/;
+
+// "2 @ 3.50", "2 x 2.50", "1.23 lb @ 0.59/lb"
+const QUANTITY_AT_PRICE = /(\d+(?:[.,]\d+)?)\s*(?:kg|g|lbs?|oz|ea)?\s*[x×@]\s*[$€£]?\s*(\d+[.,]\d{2})(?:\s*\/\s*[a-z]+)?/i;
+
+// "2 x Bread", "2 Bread"
+const LEADING_QUANTITY = /^(\d{1,2})\s*(?:[x×]\s*)?(?=\p{L})/u;
+
+const LINE_KINDS = {
+    subtotal: /\bsub\s*-?\s*total\b/i,
+    tip: /\btip\b|\bgratuity\b|\bservice\s+charge\b/i,
+    discount: /\bdiscount\b|\bcoupon\b|\bsavings?\b|\bpromo\b|\bvoucher\b|\boff\b/i,
+    tax: /\b(?:sales\s+)?tax\b|\bvat\b|\bgst\b|\bhst\b|\bpst\b/i,
+    total: /\b(?:grand\s+)?total\b|\b(?:amount|balance)\s+due\b/i,
+    // Payment and summary lines carry amounts that aren't items
+    payment: /\bcash\b|\bchange\b|\bvisa\b|\bmastercard\b|\bamex\b|\bdebit\b|\bcredit\b|\bcard\b|\btender(?:ed)?\b|\bpaid\b|\bpayment\b|\bbalance\b|\bauth\b|\bapproval\b|\bpoints\b/i
+};
+
+// "Total incl. VAT", "Summe inkl. MwSt", "Total TTC", "الإجمالي شامل الضريبة"
+const INCLUDES_TAX = /\bincl|\binkl|\bttc\b|شامل/i;
+
+const DATE_OR_TIME = /\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}:\d{2}/;
+
+// "03/04/2024", "3.4.24", "03-04-2024" - day and month order depends on the locale
+const NUMERIC_DATE = /(?<!\d)(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?!\d)/g;
+
+// "2024-04-03"
+const ISO_DATE = /(?<!\d)(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?!\d)/g;
+
+// "3 Apr 2024", "3. April 2024", "3 de abril de 2024", "3 أبريل 2024"
+const DAY_MONTH_NAME = /(?<!\d)(\d{1,2})\.?\s+(?:de\s+)?([\p{L}\p{M}]{3,})\.?,?\s+(?:de\s+)?(\d{4}|\d{2})(?!\d)/gu;
+
+// "Apr 3, 2024"
+const MONTH_NAME_DAY = /(?<![\p{L}\p{M}])([\p{L}\p{M}]{3,})\.?\s+(\d{1,2}),?\s+(\d{4}|\d{2})(?!\d)/gu;
+
+const ENGLISH_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const compiledLocales = new Map();
+
+/**
+ * Build a pattern matching any of the keywords as whole words, in any script
+ * @param {Array<String>} keywords - Keywords (spaces match any whitespace)
+ * @returns {RegExp|null} - Pattern, or null without keywords
+ */
+const buildKeywordPattern = (keywords = []) => {
+    if (keywords.length === 0) {
+        return null;
+    }
+
+    const alternatives = keywords.map((keyword) => keyword.split(/\s+/).map(escapeRegex).join('\\s+'));
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'iu');
+};
+
+/**
+ * Fold text for comparing words: lower case, without accents or Arabic diacritics
+ * @param {String} text - Text
+ * @returns {String} - Folded text
+ */
+const foldWord = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Get receipt parsing rules of a user language. Unknown regional variants fall back to the base language
+ * ("de-AT" reads as "de") and unknown languages to English.
+ * @param {String} language - User.settings.language
+ * @returns {Object} - { language, ocrLanguages, dateOrder ('MDY' or 'DMY'), kinds (patterns of each line kind),
+ *   labelledTotal (pattern of a total keyword followed by an amount), months (folded month names, locale first) }
+ */
+const getReceiptLocale = (language = RECEIPT_LOCALES.DEFAULT) => {
+    const requested = String(language || RECEIPT_LOCALES.DEFAULT);
+    const key = [requested, requested.split(/[-_]/)[0]].find((candidate) => RECEIPT_LOCALES.LOCALES[candidate])
+        || RECEIPT_LOCALES.DEFAULT;
+
+    if (!compiledLocales.has(key)) {
+        const { ocrLanguages, dateOrder, keywords, months } = RECEIPT_LOCALES.LOCALES[key];
+
+        const kinds = {};
+        Object.keys(LINE_KINDS).forEach((kind) => {
+            kinds[kind] = [LINE_KINDS[kind], buildKeywordPattern(keywords[kind])].filter(Boolean);
+        });
+
+        const totalWords = ['total', 'amount', ...(keywords.total || [])]
+            .map((keyword) => keyword.split(/\s+/).map(escapeRegex).join('\\s+'));
+        const labelledTotal = new RegExp(
+            `(?:${totalWords.join('|')})[:\\s]*[$€£]?\\s*(\\d{1,3}(?:[.,]\\d{3})+[.,]\\d{2}|\\d+[.,]\\d{2})`,
+            'iu'
+        );
+
+        compiledLocales.set(key, {
+            language: key,
+            ocrLanguages,
+            dateOrder,
+            kinds,
+            labelledTotal,
+            months: [...months, ...ENGLISH_MONTHS].map(foldWord)
+        });
+    }
+
+    return compiledLocales.get(key);
+};
+
+/**
+ * Round money to cents
+ * @param {Number} value - Amount
+ * @returns {Number} - Rounded amount
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse amount text as printed on a receipt, with either decimal separator ("12.50", "12,50", "1.234,56")
+ * @param {String} text - Amount text
+ * @returns {Number|null} - Amount
+ */
+const parseReceiptAmount = (text) => {
+    const value = text.replace(/[\s$€£]/g, '');
+    return parseAmount(value, detectDecimalSeparator([value]));
+};
+
+/**
+ * Classify a receipt line by its label
+ * @param {String} label - Line text without the amount
+ * @param {Number} amount - Line amount
+ * @param {Object} locale - Receipt locale (from getReceiptLocale)
+ * @returns {String} - subtotal, tip, discount, tax, total, payment or item
+ */
+const classifyLine = (label, amount, locale) => {
+    const is = (kind) => locale.kinds[kind].some((pattern) => pattern.test(label));
+
+    if (is('subtotal')) {
+        return 'subtotal';
+    }
+    if (is('tip')) {
+        return 'tip';
+    }
+    if (is('discount') || amount < 0) {
+        return 'discount';
+    }
+    if (is('tax')) {
+        // "Total incl. VAT" is the total, "Total tax" is tax
+        return is('total') && INCLUDES_TAX.test(label) ? 'total' : 'tax';
+    }
+    if (is('total')) {
+        return 'total';
+    }
+    if (is('payment')) {
+        return 'payment';
+    }
+    return 'item';
+};
+
+/**
+ * Build line item from its label and line total
+ * @param {String} label - Line text without the amount
+ * @param {Number} totalPrice - Line total
+ * @returns {Object|null} - Line item, or null if the label has no description
+ */
+const parseLineItem = (label, totalPrice) => {
+    let description = label;
+    let quantity = 1;
+    let unitPrice = null;
+
+    const quantityAtPrice = description.match(QUANTITY_AT_PRICE);
+    if (quantityAtPrice) {
+        quantity = parseReceiptAmount(quantityAtPrice[1]) || 1;
+        unitPrice = parseReceiptAmount(quantityAtPrice[2]);
+        description = description.replace(quantityAtPrice[0], ' ');
+    } else {
+        const leadingQuantity = description.match(LEADING_QUANTITY);
+        if (leadingQuantity && Number(leadingQuantity[1]) > 0) {
+            quantity = Number(leadingQuantity[1]);
+            description = description.slice(leadingQuantity[0].length);
+        }
+    }
+
+    description = description
+        .replace(/^\s*\d{4,}\s+/, '') // Item codes / barcodes
+        .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N})]+$/gu, '')
+        .replace(/\s+/g, ' ');
+
+    if ((description.match(/\p{L}/gu) || []).length < 2) {
+        return null;
+    }
+
+    return {
+        description,
+        quantity,
+        unitPrice: unitPrice !== null ? unitPrice : roundMoney(totalPrice / quantity),
+        totalPrice
+    };
+};
+
+/**
+ * Read line items and the totals block from receipt text.
+ * Items are the priced lines above the first subtotal/tax/total line; tax and tip lines are summed,
+ * discounts (labelled or negative lines, anywhere on the receipt) are summed as a positive amount.
+ * Lines are recognized by English labels and those of the receipt locale.
+ * @param {String} ocrText - OCR text (with ASCII digits)
+ * @param {Object} locale - Receipt locale (from getReceiptLocale)
+ * @returns {Object} - { lineItems, subtotal, tax, tip, discount, total, totalSource } (null when not on the receipt);
+ *   totalSource is { line, value } - the total line and the amount as printed on it
+ */
+const parseReceiptLines = (ocrText, locale = getReceiptLocale()) => {
+    const result = {
+        lineItems: [],
+        subtotal: null,
+        tax: null,
+        tip: null,
+        discount: null,
+        total: null,
+        totalSource: null
+    };
+    let inTotals = false;
+
+    const add = (field, amount) => {
+        result[field] = roundMoney((result[field] || 0) + amount);
+    };
+
+    String(ocrText || '').split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        const match = line.match(LINE_AMOUNT);
+        if (!match) {
+            return;
+        }
+
+        const amount = parseReceiptAmount(match[1]);
+        const label = line.slice(0, match.index).trim();
+        if (amount === null || !label) {
+            return;
+        }
+
+        const kind = classifyLine(label, amount, locale);
+
+        switch (kind) {
+            case 'subtotal':
+                inTotals = true;
+                if (result.subtotal === null) {
+                    result.subtotal = amount;
+                }
+                break;
+            case 'total':
+                inTotals = true;
+                if (result.total === null) {
+                    result.total = amount;
+                    result.totalSource = { line, value: match[1].trim() };
+                }
+                break;
+            case 'tax':
+                inTotals = true;
+                add('tax', amount);
+                break;
+            case 'tip':
+                add('tip', amount);
+                break;
+            case 'discount':
+                add('discount', Math.abs(amount));
+                break;
+            case 'item': {
+                if (inTotals || DATE_OR_TIME.test(label) || result.lineItems.length >= RECEIPT_LINE_ITEMS.MAX_ITEMS) {
+                    return;
+                }
+                const lineItem = parseLineItem(label, amount);
+                if (lineItem) {
+                    result.lineItems.push(lineItem);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Find month number of a month name or its abbreviation ("Apr", "März", "févr.")
+ * @param {String} word - Month word
+ * @param {Object} locale - Receipt locale
+ * @returns {Number|null} - Month (1-12)
+ */
+const findMonth = (word, locale) => {
+    const folded = foldWord(word);
+    const index = locale.months.findIndex((month) => month.startsWith(folded));
+    return index === -1 ? null : (index % 12) + 1;
+};
+
+/**
+ * Build date from its parts
+ * @param {Number} day - Day
+ * @param {Number} month - Month (1-12)
+ * @param {String} year - Year as printed (2 or 4 digits)
+ * @returns {Date|null} - Date at UTC midnight, or null if it isn't a real date
+ */
+const toDate = (day, month, year) => parseDate(
+    `${day}/${month}/${year}`,
+    year.length === 4 ? 'DD/MM/YYYY' : 'DD/MM/YY'
+);
+
+// Date patterns in order of preference, each with a reader turning a match into a date
+const DATE_READERS = [
+    {
+        pattern: NUMERIC_DATE,
+        // A part above 12 can only be the day; when both could be the month the locale decides
+        read: ([, first, , second, year], locale) => {
+            const dayFirst = locale.dateOrder === 'DMY';
+            return dayFirst
+                ? toDate(Number(first), Number(second), year) || toDate(Number(second), Number(first), year)
+                : toDate(Number(second), Number(first), year) || toDate(Number(first), Number(second), year);
+        }
+    },
+    {
+        pattern: ISO_DATE,
+        read: ([, year, , month, day]) => toDate(Number(day), Number(month), year)
+    },
+    {
+        pattern: DAY_MONTH_NAME,
+        read: ([, day, monthName, year], locale) => {
+            const month = findMonth(monthName, locale);
+            return month ? toDate(Number(day), month, year) : null;
+        }
+    },
+    {
+        pattern: MONTH_NAME_DAY,
+        read: ([, monthName, day, year], locale) => {
+            const month = findMonth(monthName, locale);
+            return month ? toDate(Number(day), month, year) : null;
+        }
+    }
+];
+
+/**
+ * Find the receipt date. Numeric dates like 03/04/2024 are read in the locale's day and month order
+ * unless one part can only be the day; month names are recognized in English and the locale's language.
+ * @param {String} ocrText - OCR text (with ASCII digits)
+ * @param {Object} locale - Receipt locale (from getReceiptLocale)
+ * @returns {Object|null} - { date (UTC midnight), value (as printed), index (position in the text) }
+ */
+const parseReceiptDate = (ocrText, locale = getReceiptLocale()) => {
+    const text = String(ocrText || '');
+
+    for (const { pattern, read } of DATE_READERS) {
+        for (const match of text.matchAll(pattern)) {
+            const date = read(match, locale);
+            if (date) {
+                return { date, value: match[0].trim(), index: match.index };
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check that line items add up to the total: items - discount + tax + tip = total,
+ * and items (before or after discounts) = subtotal when the receipt prints one
+ * @param {Object} data - { lineItems, subtotal, tax, tip, discount, amount }
+ * @returns {Object|null} - { itemsTotal, expectedTotal, difference, isConsistent }, or null without line items
+ */
+const checkLineItemTotals = (data) => {
+    const lineItems = data.lineItems || [];
+    if (lineItems.length === 0) {
+        return null;
+    }
+
+    const itemsTotal = roundMoney(lineItems.reduce((sum, item) => sum + Number(item.totalPrice || 0), 0));
+    const discount = Number(data.discount || 0);
+    const expectedTotal = roundMoney(itemsTotal - discount + Number(data.tax || 0) + Number(data.tip || 0));
+    const difference = roundMoney(Number(data.amount) - expectedTotal);
+
+    const isClose = (a, b) => Math.abs(a - b) <= RECEIPT_LINE_ITEMS.TOTAL_TOLERANCE;
+    const subtotalMatches = data.subtotal === null || data.subtotal === undefined
+        || isClose(data.subtotal, itemsTotal)
+        || isClose(data.subtotal, itemsTotal - discount);
+
+    return {
+        itemsTotal,
+        expectedTotal,
+        difference,
+        isConsistent: isClose(difference, 0) && subtotalMatches
+    };
+};
+
+/**
+ * Get review flag of an expense with line items
+ * @param {Object} data - { lineItems, subtotal, tax, tip, discount, amount }
+ * @returns {Object} - { needsReview, reviewReason }
+ */
+const getLineItemReview = (data) => {
+    const check = checkLineItemTotals(data);
+
+    if (!check || check.isConsistent) {
+        return { needsReview: false, reviewReason: null };
+    }
+
+    const reviewReason = Math.abs(check.difference) <= RECEIPT_LINE_ITEMS.TOTAL_TOLERANCE
+        ? `Line items add up to ${check.itemsTotal.toFixed(2)} but the subtotal is ${Number(data.subtotal).toFixed(2)}`
+        : `Line items add up to ${check.expectedTotal.toFixed(2)} with tax, tip and discounts, but the total is ${Number(data.amount).toFixed(2)}`;
+
+    return { needsReview: true, reviewReason };
+};
+
+module.exports = {
+    getReceiptLocale,
+    parseReceiptAmount,
+    parseReceiptLines,
+    parseReceiptDate,
+    checkLineItemTotals,
+    getLineItemReview
+};
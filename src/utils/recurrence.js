@@ -0,0 +1,110 @@
+// Upper bound when searching a schedule, so a bad schedule can't loop forever
+const MAX_OCCURRENCE_INDEX = 100000;
+
+/**
+ * Add months to a date, clamping the day to the end of the target month
+ * (Jan 31 + 1 month = Feb 28/29, then back to Mar 31)
+ * @param {Date} date - Anchor date
+ * @param {Number} months - Months to add
+ * @returns {Date} - New date (time of day is kept)
+ */
+const addMonthsClamped = (date, months) => {
+    const result = new Date(date);
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+
+    const lastDayOfMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDayOfMonth));
+
+    return result;
+};
+
+/**
+ * Get the nth occurrence of a schedule.
+ * Always computed from the start date, so monthly schedules don't drift after short months.
+ * @param {Object} schedule - Schedule (frequency, interval, startDate, endDate)
+ * @param {Number} index - Occurrence index (0 = start date)
+ * @returns {Date|null} - Occurrence date or null if it falls after the end date
+ */
+const getOccurrenceDate = (schedule, index) => {
+    const { frequency, interval = 1, startDate, endDate } = schedule;
+    const step = index * interval;
+    let date;
+
+    switch (frequency) {
+        case 'daily':
+            date = new Date(startDate);
+            date.setDate(date.getDate() + step);
+            break;
+        case 'weekly':
+            date = new Date(startDate);
+            date.setDate(date.getDate() + step * 7);
+            break;
+        case 'monthly':
+            date = addMonthsClamped(new Date(startDate), step);
+            break;
+        case 'yearly':
+            date = addMonthsClamped(new Date(startDate), step * 12);
+            break;
+        default:
+            throw new Error(`Unsupported frequency: ${frequency}`);
+    }
+
+    if (endDate && date > endDate) {
+        return null;
+    }
+
+    return date;
+};
+
+/**
+ * Find the index of the first occurrence strictly after a date
+ * @param {Object} schedule - Schedule (frequency, interval, startDate, endDate)
+ * @param {Date|null} after - Date to search from (null = first occurrence)
+ * @returns {Number} - Occurrence index (may point past the end date)
+ */
+const findNextOccurrenceIndex = (schedule, after) => {
+    if (!after) {
+        return 0;
+    }
+
+    let index = 0;
+    while (index < MAX_OCCURRENCE_INDEX) {
+        const date = getOccurrenceDate(schedule, index);
+        if (!date || date > after) {
+            break;
+        }
+        index++;
+    }
+
+    return index;
+};
+
+/**
+ * List occurrences from an index up to a date
+ * @param {Object} schedule - Schedule (frequency, interval, startDate, endDate)
+ * @param {Number} fromIndex - First occurrence index
+ * @param {Date} until - Last date to include
+ * @param {Number} limit - Maximum number of occurrences
+ * @returns {Array<Date>} - Occurrence dates
+ */
+const getOccurrencesUntil = (schedule, fromIndex, until, limit) => {
+    const occurrences = [];
+
+    for (let index = fromIndex; occurrences.length < limit; index++) {
+        const date = getOccurrenceDate(schedule, index);
+        if (!date || date > until) {
+            break;
+        }
+        occurrences.push(date);
+    }
+
+    return occurrences;
+};
+
+module.exports = {
+    addMonthsClamped,
+    getOccurrenceDate,
+    findNextOccurrenceIndex,
+    getOccurrencesUntil
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { parseDate, detectDateFormat, parseAmount } = require('./valueParsers');
+
+// QIF comes from US software, so month first unless the file proves otherwise
+const DEFAULT_QIF_DATE_FORMAT = 'MM/DD/YYYY';
+
+/**
+ * Detect statement format from file name and content
+ * @param {String} fileName - Original file name
+ * @param {String} text - File content
+ * @returns {String|null} - 'ofx', 'qif' or null if unknown
+ */
+const detectStatementFormat = (fileName, text) => {
+    if (/\.(ofx|qfx)$/i.test(fileName || '') || /OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) {
+        return 'ofx';
+    }
+
+    if (/\.qif$/i.test(fileName || '') || /^\s*!Type:/im.test(text.slice(0, 2000))) {
+        return 'qif';
+    }
+
+    return null;
+};
+
+/**
+ * Decode the few SGML/XML entities used in OFX files
+ * @param {String} value - Raw value
+ * @returns {String} - Decoded value
+ */
+const decodeEntities = (value) => {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+};
+
+/**
+ * Read a simple OFX element value - works for both SGML (OFX 1.x, no closing tags) and XML (OFX 2.x)
+ * @param {String} block - OFX fragment
+ * @param {String} tag - Element name
+ * @returns {String|null} - Trimmed value or null
+ */
+const getOfxValue = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) {
+        return null;
+    }
+
+    const value = decodeEntities(match[1]).trim();
+    return value || null;
+};
+
+/**
+ * Parse OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) - only the calendar date is kept
+ * @param {String} value - OFX date
+ * @returns {Date|null} - Date at UTC midnight
+ */
+const parseOfxDate = (value) => {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD') : null;
+};
+
+/**
+ * Get all blocks of an aggregate element
+ * @param {String} text - OFX content
+ * @param {String} tag - Aggregate name
+ * @returns {Array<String>} - Inner content of each block
+ */
+const getOfxBlocks = (text, tag) => {
+    const regex = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+    return [...text.matchAll(regex)].map((match) => match[1]);
+};
+
+/**
+ * Parse OFX/QFX statement (bank and credit card statements)
+ * @param {String} text - File content
+ * @returns {Array<Object>} - Transactions (fitId, type, date, amount, currency, name, memo, accountKey)
+ */
+const parseOfx = (text) => {
+    const statements = [...getOfxBlocks(text, 'STMTRS'), ...getOfxBlocks(text, 'CCSTMTRS')];
+    const transactions = [];
+
+    // Some exports skip the statement wrapper - treat the whole file as one statement
+    (statements.length > 0 ? statements : [text]).forEach((statement) => {
+        const currency = getOfxValue(statement, 'CURDEF');
+        const bankId = getOfxValue(statement, 'BANKID');
+        const accountId = getOfxValue(statement, 'ACCTID');
+        const accountKey = [bankId, accountId].filter(Boolean).join(':') || null;
+
+        getOfxBlocks(statement, 'STMTTRN').forEach((block) => {
+            const rawAmount = getOfxValue(block, 'TRNAMT') || '';
+            // A few banks write amounts with a decimal comma
+            const decimalSeparator = rawAmount.includes(',') && !rawAmount.includes('.') ? ',' : '.';
+
+            // A line in another currency than the statement has a CURRENCY aggregate (<CURRATE>, <CURSYM>).
+            // ORIGCURRENCY only tells what the amount was converted from - TRNAMT is then in CURDEF.
+            const [currencyBlock] = getOfxBlocks(block, 'CURRENCY');
+            const lineCurrency = currencyBlock ? getOfxValue(currencyBlock, 'CURSYM') : null;
+
+            transactions.push({
+                fitId: getOfxValue(block, 'FITID'),
+                type: (getOfxValue(block, 'TRNTYPE') || '').toUpperCase() || null,
+                date: parseOfxDate(getOfxValue(block, 'DTPOSTED') || getOfxValue(block, 'DTUSER')),
+                amount: parseAmount(rawAmount, decimalSeparator),
+                currency: (lineCurrency || currency || '').toUpperCase() || null,
+                name: getOfxValue(block, 'NAME') || getOfxValue(block, 'PAYEE'),
+                memo: getOfxValue(block, 'MEMO'),
+                accountKey
+            });
+        });
+    });
+
+    return transactions;
+};
+
+/**
+ * Build a stable ID for a statement line that has none (QIF).
+ * Identical lines in the same file get a running number so they stay distinct.
+ * @param {Object} transaction - Parsed transaction
+ * @param {Map} seen - Occurrences of each line so far
+ * @returns {String} - Synthetic ID
+ */
+const buildSyntheticId = (transaction, seen) => {
+    const key = [
+        transaction.date ? transaction.date.toISOString().slice(0, 10) : '',
+        transaction.amount,
+        transaction.name || '',
+        transaction.memo || ''
+    ].join('|');
+
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+
+    return `qif:${crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex')}`;
+};
+
+/**
+ * Parse QIF statement
+ * @param {String} text - File content
+ * @param {Object} options - Parse options (dateFormat - detected from the file when not given)
+ * @returns {Array<Object>} - Transactions (fitId, type, date, amount, currency, name, memo, accountKey)
+ */
+const parseQif = (text, options = {}) => {
+    const records = [];
+    let current = {};
+    let type = null;
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        if (line.startsWith('!Type:')) {
+            type = line.slice(6).trim();
+            return;
+        }
+
+        if (line.startsWith('!')) {
+            return;
+        }
+
+        if (line === '^') {
+            if (Object.keys(current).length > 0) {
+                records.push({ ...current, type });
+            }
+            current = {};
+            return;
+        }
+
+        const code = line[0];
+        const value = line.slice(1).trim();
+
+        switch (code) {
+            case 'D':
+                // 1/ 5'24 style dates: the apostrophe separates a 2-digit year after 2000
+                current.date = value.replace(/\s/g, '').replace('\'', '/');
+                break;
+            case 'T':
+            case 'U':
+                current.amount = value;
+                break;
+            case 'P':
+                current.name = value;
+                break;
+            case 'M':
+                current.memo = value;
+                break;
+            case 'N':
+                current.checkNumber = value;
+                break;
+            case 'L':
+                current.category = value;
+                break;
+            default:
+                break;
+        }
+    });
+
+    if (Object.keys(current).length > 0) {
+        records.push({ ...current, type });
+    }
+
+    const dateFormat = options.dateFormat
+        || detectDateFormat(records.map((record) => record.date), options.dateFormats || [DEFAULT_QIF_DATE_FORMAT])
+        || DEFAULT_QIF_DATE_FORMAT;
+    const seen = new Map();
+
+    return records.map((record) => {
+        const transaction = {
+            fitId: null,
+            type: record.type ? record.type.toUpperCase() : null,
+            date: parseDate(record.date, dateFormat),
+            amount: parseAmount(record.amount, '.'),
+            currency: null,
+            name: record.name || null,
+            memo: record.memo || null,
+            category: record.category || null,
+            accountKey: null
+        };
+
+        transaction.fitId = buildSyntheticId(transaction, seen);
+        return transaction;
+    });
+};
+
+module.exports = {
+    detectStatementFormat,
+    parseOfx,
+    parseQif
+};
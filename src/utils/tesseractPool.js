@@ -0,0 +1,224 @@
+const Tesseract = require('tesseract.js');
+
+/**
+ * Build "OCR unavailable" error - the OCR job queue retries these later
+ * @param {String} message - Error message
+ * @returns {Error} - Error with statusCode 503
+ */
+const createUnavailableError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 503;
+    return error;
+};
+
+/**
+ * Create a bounded pool of Tesseract workers.
+ * Workers are started on demand up to `size` and keep their language data loaded between images;
+ * further requests wait in a queue of at most `maxQueue`, and workers idle for `idleTimeoutMs` are stopped.
+ * Requests may ask for other languages than the default; a worker loads them when it takes such a request.
+ * @param {Object} options - { size, maxQueue, idleTimeoutMs, languages (default, e.g. 'eng' or 'deu+eng'), logger }
+ * @returns {Object} - { recognize, getStats, shutdown }
+ */
+const createTesseractPool = (options) => {
+    const { size, maxQueue, idleTimeoutMs, languages = 'eng', logger = () => {} } = options;
+
+    const workers = []; // { worker, languages, busy, idleTimer }
+    const waiting = []; // { languages, resolve, reject } of requests waiting for a worker
+    let startingCount = 0;
+    let activeCount = 0;
+    let isShuttingDown = false;
+    let shutdownPromise = null;
+    const counters = { processed: 0, failed: 0, rejected: 0, totalDurationMs: 0 };
+
+    /**
+     * Start a worker, already marked busy for the request that needed it
+     * @param {String} workerLanguages - Languages to load
+     * @returns {Promise<Object>} - Pool entry
+     */
+    const startWorker = async (workerLanguages) => {
+        startingCount++;
+        let worker;
+        try {
+            worker = await Tesseract.createWorker(workerLanguages, Tesseract.OEM.LSTM_ONLY, {
+                logger,
+                // Without a handler tesseract.js throws worker errors asynchronously, which kills the process
+                errorHandler: (error) => console.error('Tesseract worker error:', error)
+            });
+        } catch (error) {
+            startingCount--;
+            // The slot is free again - queued requests would otherwise wait for a worker that never comes
+            startForNextWaiter();
+            throw error;
+        }
+        startingCount--;
+
+        const entry = { worker, languages: workerLanguages, busy: true, idleTimer: null };
+        workers.push(entry);
+        return entry;
+    };
+
+    /**
+     * Start a worker for the next waiting request, if any (a slot was freed without a worker to hand over)
+     */
+    const startForNextWaiter = () => {
+        const next = waiting.shift();
+        if (next) {
+            startWorker(next.languages).then(next.resolve, next.reject);
+        }
+    };
+
+    /**
+     * Stop a worker and remove it from the pool
+     * @param {Object} entry - Pool entry
+     */
+    const stopWorker = async (entry) => {
+        clearTimeout(entry.idleTimer);
+        const index = workers.indexOf(entry);
+        if (index !== -1) {
+            workers.splice(index, 1);
+        }
+
+        await entry.worker.terminate().catch(error => console.error('Tesseract worker terminate error:', error));
+    };
+
+    /**
+     * Get a worker for one request: an idle one with the languages loaded, a new one while below size,
+     * any idle one (to load the languages), or wait in the queue
+     * @param {String} requestLanguages - Languages the request needs
+     * @returns {Promise<Object>} - Pool entry (busy, possibly with other languages loaded)
+     */
+    const acquire = async (requestLanguages) => {
+        if (isShuttingDown) {
+            throw createUnavailableError('OCR is shutting down');
+        }
+
+        const idleEntries = workers.filter((entry) => !entry.busy);
+        const matchingEntry = idleEntries.find((entry) => entry.languages === requestLanguages);
+        if (matchingEntry || (idleEntries.length > 0 && workers.length + startingCount >= size)) {
+            const idleEntry = matchingEntry || idleEntries[0];
+            clearTimeout(idleEntry.idleTimer);
+            idleEntry.busy = true;
+            return idleEntry;
+        }
+
+        if (workers.length + startingCount < size) {
+            return await startWorker(requestLanguages);
+        }
+
+        if (waiting.length >= maxQueue) {
+            counters.rejected++;
+            throw createUnavailableError('OCR is busy, try again later');
+        }
+
+        return await new Promise((resolve, reject) => waiting.push({ languages: requestLanguages, resolve, reject }));
+    };
+
+    /**
+     * Hand a worker to the next waiting request, or let it idle
+     * @param {Object} entry - Pool entry
+     */
+    const release = (entry) => {
+        const next = waiting.shift();
+        if (next) {
+            next.resolve(entry);
+            return;
+        }
+
+        entry.busy = false;
+        entry.idleTimer = setTimeout(() => {
+            stopWorker(entry);
+        }, idleTimeoutMs);
+        entry.idleTimer.unref();
+    };
+
+    /**
+     * Recognize text in an image
+     * @param {Buffer} image - Image buffer
+     * @param {Object} output - Tesseract output formats (text only by default)
+     * @param {String} requestLanguages - Languages of the text (pool default if not given)
+     * @returns {Promise<Object>} - Tesseract result
+     */
+    const recognize = async (image, output = { text: true }, requestLanguages = languages) => {
+        const entry = await acquire(requestLanguages);
+        const startedAt = Date.now();
+        activeCount++;
+
+        try {
+            if (entry.languages !== requestLanguages) {
+                await entry.worker.reinitialize(requestLanguages, Tesseract.OEM.LSTM_ONLY);
+                entry.languages = requestLanguages;
+            }
+
+            const result = await entry.worker.recognize(image, {}, output);
+
+            counters.processed++;
+            counters.totalDurationMs += Date.now() - startedAt;
+            release(entry);
+
+            return result;
+        } catch (error) {
+            counters.failed++;
+
+            // The worker may be in a bad state - replace it rather than reuse it
+            await stopWorker(entry);
+            startForNextWaiter();
+
+            throw error;
+        } finally {
+            activeCount--;
+        }
+    };
+
+    /**
+     * Get pool statistics for monitoring
+     * @returns {Object} - Worker counts, queue length and counters
+     */
+    const getStats = () => ({
+        size,
+        workers: workers.length,
+        starting: startingCount,
+        busy: workers.filter((entry) => entry.busy).length,
+        idle: workers.filter((entry) => !entry.busy).length,
+        // Languages loaded by each worker
+        languages: workers.map((entry) => entry.languages),
+        queued: waiting.length,
+        maxQueue,
+        processed: counters.processed,
+        failed: counters.failed,
+        rejected: counters.rejected,
+        averageDurationMs: counters.processed ? Math.round(counters.totalDurationMs / counters.processed) : 0,
+        isShuttingDown
+    });
+
+    /**
+     * Stop accepting work, fail queued requests, let running ones finish, then stop all workers
+     * @returns {Promise<void>}
+     */
+    const shutdown = () => {
+        if (shutdownPromise) {
+            return shutdownPromise;
+        }
+
+        isShuttingDown = true;
+        waiting.splice(0).forEach(({ reject }) => reject(createUnavailableError('OCR is shutting down')));
+
+        shutdownPromise = (async () => {
+            while (activeCount > 0 || startingCount > 0) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            await Promise.all(workers.slice().map(stopWorker));
+        })();
+
+        return shutdownPromise;
+    };
+
+    return {
+        recognize,
+        getStats,
+        shutdown
+    };
+};
+
+module.exports = {
+    createTesseractPool
+};
@@ -0,0 +1,147 @@
+// Word characters in any script - \b and \w only know ASCII
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {String} value - Raw text
+ * @returns {String} - Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query the way MongoDB $text reads it: "quoted phrases", -excluded words and plain terms
+ * @param {String} query - Search query
+ * @returns {Object} - { terms, phrases, excluded } (lowercased)
+ */
+const parseSearchQuery = (query) => {
+    const phrases = [];
+    const terms = [];
+    const excluded = [];
+
+    const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) {
+            phrases.push(phrase.trim().toLowerCase());
+        }
+        return ' ';
+    });
+
+    rest.split(/\s+/).forEach((token) => {
+        const isExcluded = token.startsWith('-');
+        const word = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+        if (!word) {
+            return;
+        }
+
+        (isExcluded ? excluded : terms).push(word);
+    });
+
+    return { terms, phrases, excluded };
+};
+
+/**
+ * Strip common English suffixes so "drills" also highlights "drill" and "drilling", close to what the text index matches
+ * @param {String} term - Lowercased search term
+ * @returns {String} - Term stem (never shorter than 3 characters)
+ */
+const stemTerm = (term) => {
+    const stem = term.replace(/(ies|es|s|ing|ed)$/, '');
+    return stem.length >= 3 ? stem : term;
+};
+
+/**
+ * Build regex matching the query terms (as word prefixes) and phrases
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @returns {RegExp|null} - Global, case-insensitive regex or null if nothing to highlight
+ */
+const buildHighlightRegex = (parsedQuery) => {
+    const patterns = [
+        ...parsedQuery.phrases.map((phrase) => phrase.split(/\s+/).map(escapeRegex).join('\\s+')),
+        ...parsedQuery.terms.map((term) => `${escapeRegex(stemTerm(term))}${WORD_CHAR}*`)
+    ];
+
+    if (patterns.length === 0) {
+        return null;
+    }
+
+    // Longest first, so a phrase wins over one of its words
+    patterns.sort((a, b) => b.length - a.length);
+
+    return new RegExp(`(?<!${WORD_CHAR})(?:${patterns.join('|')})`, 'giu');
+};
+
+/**
+ * Build highlighted snippets around the query matches in a text (e.g. OCR text of a receipt).
+ * Whitespace is collapsed, so line breaks of the OCR text don't end up in the snippet.
+ * @param {String} text - Text to search
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @param {Object} options - Snippet options (radius - characters of context on each side, maxSnippets)
+ * @returns {Array<Object>} - Snippets: { text, highlights: [{ start, end }] } with offsets into the snippet text
+ */
+const buildSnippets = (text, parsedQuery, options = {}) => {
+    const { radius = 60, maxSnippets = 3 } = options;
+    const regex = buildHighlightRegex(parsedQuery);
+    if (!text || !regex) {
+        return [];
+    }
+
+    const matches = [...text.matchAll(regex)].map((match) => ({
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+
+    // Group matches that are close to each other into one window
+    const windows = [];
+    matches.forEach((match) => {
+        const last = windows[windows.length - 1];
+        if (last && match.start - last.end <= radius * 2) {
+            last.end = match.end;
+            last.matches.push(match);
+        } else if (windows.length < maxSnippets) {
+            windows.push({ start: match.start, end: match.end, matches: [match] });
+        }
+    });
+
+    return windows.map((window) => {
+        let start = Math.max(0, window.start - radius);
+        let end = Math.min(text.length, window.end + radius);
+
+        // Don't cut words in half
+        if (start > 0) {
+            const space = text.slice(start, window.start).search(/\s/);
+            start = space === -1 ? window.start : start + space + 1;
+        }
+        if (end < text.length) {
+            const space = text.slice(window.end, end).search(/\s[^\s]*$/);
+            end = space === -1 ? window.end : window.end + space;
+        }
+
+        let snippet = start > 0 ? '…' : '';
+        const highlights = [];
+        let position = start;
+
+        const append = (part) => {
+            snippet += part.replace(/\s+/g, ' ');
+        };
+
+        window.matches.forEach((match) => {
+            append(text.slice(position, match.start));
+            const highlightStart = snippet.length;
+            append(text.slice(match.start, match.end));
+            highlights.push({ start: highlightStart, end: snippet.length });
+            position = match.end;
+        });
+
+        append(text.slice(position, end));
+        if (end < text.length) {
+            snippet += '…';
+        }
+
+        return { text: snippet, highlights };
+    });
+};
+
+module.exports = {
+    escapeRegex,
+    parseSearchQuery,
+    buildSnippets
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults (compatible with Google Authenticator, Authy, 1Password, ...)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+/**
+ * Encode buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode base32 string (RFC 4648, padding and case ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} - Decoded data
+ */
+const base32Decode = (input) => {
+    const cleanInput = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleanInput) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+};
+
+/**
+ * Generate random TOTP secret
+ * @returns {String} - Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get TOTP time step for a timestamp
+ * @param {Number} timestamp - Unix time in milliseconds
+ * @returns {Number} - Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Generate TOTP code for a time step (HOTP with time-based counter)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} step - Time step counter
+ * @returns {String} - Zero-padded numeric code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify TOTP code, allowing for small clock drift
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of time steps accepted before/after the current one
+ * @returns {Number|null} - Matching time step or null if the code is invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalizedCode = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const currentStep = getTimeStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateCode(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build otpauth:// URI for authenticator apps (usually rendered as a QR code)
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} accountName - Account label (user email)
+ * @param {String} issuer - Issuer name shown in the app
+ * @returns {String} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -3,31 +3,56 @@ const multer = require('multer');
 // Configure multer for memory storage (we'll upload to Cloudinary)
 const storage = multer.memoryStorage();
 
-// File filter for images and documents
-const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        'image/jpeg',
-        'image/png',
-        'image/jpg',
-        'image/webp',
-        'image/gif',
-        'application/pdf'
-    ];
-    
-    if (allowedMimeTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, WebP, GIF images and PDF files are allowed'), false);
-    }
-};
-
-// Configure multer upload
-const upload = multer({
+/**
+ * Create multer upload accepting only the given file types
+ * @param {Function} isAllowed - (file) => Boolean
+ * @param {String} errorMessage - Error for rejected files
+ * @returns {Object} - Multer instance
+ */
+const createUpload = (isAllowed, errorMessage) => multer({
     storage: storage,
-    fileFilter: fileFilter,
+    fileFilter: (req, file, cb) => {
+        if (isAllowed(file)) {
+            cb(null, true);
+        } else {
+            cb(new Error(errorMessage), false);
+        }
+    },
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
     }
 });
 
+// File filter for images and documents
+const allowedMimeTypes = [
+    'image/jpeg',
+    'image/png',
+    'image/jpg',
+    'image/webp',
+    'image/gif',
+    'application/pdf'
+];
+
+// Configure multer upload
+const upload = createUpload(
+    (file) => allowedMimeTypes.includes(file.mimetype),
+    'Invalid file type. Only JPEG, PNG, WebP, GIF images and PDF files are allowed'
+);
+
+// CSV files for expense imports - browsers report CSV under several MIME types, so check the extension too
+const csvMimeTypes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+upload.csv = createUpload(
+    (file) => csvMimeTypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname),
+    'Invalid file type. Only CSV files are allowed'
+);
+
+// Bank statements - OFX/QFX and QIF have no registered MIME types, so the extension decides
+const statementMimeTypes = ['application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx', 'application/qif', 'application/x-qif'];
+
+upload.statement = createUpload(
+    (file) => statementMimeTypes.includes(file.mimetype) || /\.(ofx|qfx|qif)$/i.test(file.originalname),
+    'Invalid file type. Only OFX, QFX and QIF files are allowed'
+);
+
 module.exports = upload;
@@ -0,0 +1,172 @@
+/**
+ * Decode uploaded text file - UTF-8, falling back to Latin-1 for files exported by older software
+ * @param {Buffer} buffer - File content
+ * @returns {String} - Decoded text
+ */
+const decodeText = (buffer) => {
+    const text = buffer.toString('utf8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+};
+
+/**
+ * Build regular expression for a date format made of YYYY, YY, MM, DD and separators
+ * @param {String} format - Date format (e.g. 'DD/MM/YYYY')
+ * @returns {Object} - Regex and the order of the captured parts
+ */
+const buildDateRegex = (format) => {
+    const parts = [];
+    const pattern = format.replace(/YYYY|YY|MM|DD|[^YMD]/g, (token) => {
+        switch (token) {
+            case 'YYYY':
+                parts.push('year');
+                return '(\\d{4})';
+            case 'YY':
+                parts.push('shortYear');
+                return '(\\d{2})';
+            case 'MM':
+                parts.push('month');
+                return '(\\d{1,2})';
+            case 'DD':
+                parts.push('day');
+                return '(\\d{1,2})';
+            default:
+                return token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    });
+
+    // A time part after the date (e.g. "2024-01-31 14:05") is ignored
+    return { regex: new RegExp(`^${pattern}(?:[ T].*)?$`), parts };
+};
+
+/**
+ * Parse a date written in a known format
+ * @param {String} value - Date text
+ * @param {String} format - Date format (e.g. 'DD/MM/YYYY')
+ * @returns {Date|null} - Date at UTC midnight, or null if the value doesn't match or isn't a real date
+ */
+const parseDate = (value, format) => {
+    const { regex, parts } = buildDateRegex(format);
+    const match = String(value || '').trim().match(regex);
+    if (!match) {
+        return null;
+    }
+
+    const values = {};
+    parts.forEach((part, index) => {
+        values[part] = parseInt(match[index + 1], 10);
+    });
+
+    const year = values.year !== undefined
+        ? values.year
+        : (values.shortYear < 70 ? 2000 + values.shortYear : 1900 + values.shortYear);
+
+    const date = new Date(Date.UTC(year, values.month - 1, values.day));
+
+    // Rejects 31/02 and similar, which Date would silently roll over
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== values.month - 1 || date.getUTCDate() !== values.day) {
+        return null;
+    }
+
+    return date;
+};
+
+/**
+ * Pick the first format that parses every sample value
+ * @param {Array<String>} values - Sample date texts
+ * @param {Array<String>} formats - Candidate formats, in order of preference
+ * @returns {String|null} - Matching format or null
+ */
+const detectDateFormat = (values, formats) => {
+    const samples = values.filter((value) => value && String(value).trim());
+    if (samples.length === 0) {
+        return null;
+    }
+
+    return formats.find((format) => samples.every((value) => parseDate(value, format))) || null;
+};
+
+/**
+ * Replace Arabic-Indic digits (٠-٩, and the ۰-۹ used in Persian and Urdu) and the Arabic decimal
+ * and thousands separators with their ASCII forms
+ * @param {String} text - Text
+ * @returns {String} - Text with ASCII digits
+ */
+const normalizeDigits = (text) => String(text || '')
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, (digit) => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/\u066B/g, '.')
+    .replace(/\u066C/g, ',');
+
+/**
+ * Parse an amount written with a given decimal separator.
+ * Currency symbols, spaces and thousands separators are ignored; "(12.50)" and "12.50-" are negative.
+ * @param {String|Number} value - Amount text
+ * @param {String} decimalSeparator - '.' or ','
+ * @returns {Number|null} - Amount, or null if the value isn't a number
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    let text = String(value || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (/-\s*$/.test(text)) {
+        negative = true;
+        text = text.replace(/-\s*$/, '');
+    }
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text
+        .replace(/[^\d.,\-]/g, '')
+        .split(thousandsSeparator).join('');
+
+    if (decimalSeparator === ',') {
+        text = text.replace(',', '.');
+    }
+
+    if (!/^-?\d+(\.\d+)?$/.test(text)) {
+        return null;
+    }
+
+    const amount = parseFloat(text);
+    return negative ? -Math.abs(amount) : amount;
+};
+
+/**
+ * Guess decimal separator from sample amounts ("1.234,56" and "12,5" vote for comma)
+ * @param {Array<String>} values - Sample amount texts
+ * @returns {String} - '.' or ','
+ */
+const detectDecimalSeparator = (values) => {
+    let commaVotes = 0;
+    let dotVotes = 0;
+
+    values.forEach((value) => {
+        const text = String(value || '').trim();
+        if (/,\d{1,2}\)?-?$/.test(text)) {
+            commaVotes++;
+        } else if (/\.\d{1,2}\)?-?$/.test(text)) {
+            dotVotes++;
+        }
+    });
+
+    return commaVotes > dotVotes ? ',' : '.';
+};
+
+module.exports = {
+    decodeText,
+    parseDate,
+    detectDateFormat,
+    normalizeDigits,
+    parseAmount,
+    detectDecimalSeparator
+};
@@ -1,4 +1,5 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const { API_TOKEN, RECEIPT_LOCALES } = require('../constants');
 
 // Validation rules for user registration
 const registerValidation = [
@@ -47,6 +48,35 @@ const loginValidation = [
         .withMessage('Password is required')
 ];
 
+// Validation rules for two-factor code (TOTP or recovery code)
+const twoFactorCodeValidation = [
+    body('code')
+        .trim()
+        .notEmpty()
+        .withMessage('Two-factor code is required')
+        .isLength({ min: 6, max: 20 })
+        .withMessage('Two-factor code must be between 6 and 20 characters')
+];
+
+// Validation rules for second login step
+const loginTwoFactorValidation = [
+    body('mfaToken')
+        .trim()
+        .notEmpty()
+        .withMessage('MFA token is required')
+        .isJWT()
+        .withMessage('Invalid MFA token format'),
+    ...twoFactorCodeValidation
+];
+
+// Validation rules for disabling two-factor authentication
+const disableTwoFactorValidation = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    ...twoFactorCodeValidation
+];
+
 // Validation rules for email confirmation
 const emailConfirmValidation = [
     body('token')
@@ -55,6 +85,54 @@ const emailConfirmValidation = [
         .trim()
 ];
 
+// Validation rules for refresh token
+const refreshTokenValidation = [
+    body('refreshToken')
+        .trim()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+        .isHexadecimal()
+        .withMessage('Invalid refresh token format')
+];
+
+// Validation rules for session ID param
+const sessionIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Session ID is required')
+        .isMongoId()
+        .withMessage('Invalid session ID format')
+];
+
+// Validation rules for creating personal access token
+const createApiTokenValidation = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Token name is required')
+        .isLength({ max: 100 })
+        .withMessage('Token name must be at most 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+        .isIn(API_TOKEN.SCOPES)
+        .withMessage(`Scope must be one of: ${API_TOKEN.SCOPES.join(', ')}`),
+    body('expiresInDays')
+        .optional()
+        .isInt({ min: 1, max: API_TOKEN.MAX_EXPIRES_DAYS })
+        .withMessage(`Expiration must be between 1 and ${API_TOKEN.MAX_EXPIRES_DAYS} days`)
+];
+
+// Validation rules for API token ID param
+const apiTokenIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Token ID is required')
+        .isMongoId()
+        .withMessage('Invalid token ID format')
+];
+
 // Validation rules for update profile
 const updateProfileValidation = [
     body('name')
@@ -64,6 +142,17 @@ const updateProfileValidation = [
         .withMessage('Name cannot be empty')
         .isLength({ min: 2, max: 100 })
         .withMessage('Name must be between 2 and 100 characters'),
+    body('currency')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z]{3}$/)
+        .withMessage('Currency must be a 3-letter code')
+        .toUpperCase(),
+    body('language')
+        .optional()
+        .trim()
+        .isIn(Object.keys(RECEIPT_LOCALES.LOCALES))
+        .withMessage(`Language must be one of: ${Object.keys(RECEIPT_LOCALES.LOCALES).join(', ')}`),
     body('newPassword')
         .optional()
         .notEmpty()
@@ -104,8 +193,14 @@ const forgetPasswordValidation = [
         .normalizeEmail()
 ];
 
-// Validation rules for reset password
+// Validation rules for reset password (email is optional - with it, wrong codes also count against that user's code)
 const resetPasswordValidation = [
+    body('email')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail(),
     body('code')
         .trim()
         .notEmpty()
@@ -132,6 +227,14 @@ const resetPasswordValidation = [
         })
 ];
 
+// Validation rules for account unlock
+const unlockAccountValidation = [
+    body('token')
+        .trim()
+        .notEmpty()
+        .withMessage('Token is required')
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -151,10 +254,18 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
     registerValidation,
     loginValidation,
+    twoFactorCodeValidation,
+    loginTwoFactorValidation,
+    disableTwoFactorValidation,
     emailConfirmValidation,
+    refreshTokenValidation,
+    sessionIdValidation,
+    createApiTokenValidation,
+    apiTokenIdValidation,
     updateProfileValidation,
     forgetPasswordValidation,
     resetPasswordValidation,
+    unlockAccountValidation,
     handleValidationErrors
 };
 
@@ -0,0 +1,64 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { BANK_IMPORT } = require('../constants');
+
+// Validation rules for bank transaction ID param
+const bankTransactionIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Bank transaction ID is required')
+        .isMongoId()
+        .withMessage('Invalid bank transaction ID format')
+];
+
+// Validation rules for listing bank transactions
+const bankTransactionListValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+    query('status')
+        .optional()
+        .isIn(BANK_IMPORT.TRANSACTION_STATUSES)
+        .withMessage(`Status must be one of: ${BANK_IMPORT.TRANSACTION_STATUSES.join(', ')}`),
+    query('importJobId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid import ID format')
+];
+
+// Validation rules for manual matching
+const matchBankTransactionValidation = [
+    ...bankTransactionIdValidation,
+    body('expenseId')
+        .notEmpty()
+        .withMessage('Expense ID is required')
+        .isMongoId()
+        .withMessage('Invalid expense ID format')
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array().map(err => ({
+                field: err.path || err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+module.exports = {
+    bankTransactionIdValidation,
+    bankTransactionListValidation,
+    matchBankTransactionValidation,
+    handleValidationErrors
+};
@@ -0,0 +1,94 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { BUDGET } = require('../constants');
+
+// Shared rules for optional budget settings
+const budgetSettingsValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Budget name must be at most 100 characters'),
+    body('rollover')
+        .optional()
+        .isIn(BUDGET.ROLLOVER_OPTIONS)
+        .withMessage(`Rollover must be one of: ${BUDGET.ROLLOVER_OPTIONS.join(', ')}`),
+    body('alertThresholds')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Alert thresholds must be an array of at most 10 values'),
+    body('alertThresholds.*')
+        .isInt({ min: 1, max: 500 })
+        .withMessage('Alert thresholds must be percentages between 1 and 500')
+        .toInt()
+];
+
+// Validation rules for budget ID param
+const budgetIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Budget ID is required')
+        .isMongoId()
+        .withMessage('Invalid budget ID format')
+];
+
+// Validation rules for creating budget
+const createBudgetValidation = [
+    body('amount')
+        .notEmpty()
+        .withMessage('Amount is required')
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('categoryId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid category ID format'),
+    body('period')
+        .optional()
+        .isIn(BUDGET.PERIODS)
+        .withMessage(`Period must be one of: ${BUDGET.PERIODS.join(', ')}`),
+    ...budgetSettingsValidation
+];
+
+// Validation rules for updating budget
+const updateBudgetValidation = [
+    ...budgetIdValidation,
+    body('amount')
+        .optional()
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be greater than 0')
+        .toFloat(),
+    ...budgetSettingsValidation
+];
+
+// Validation rules for budget status query
+const budgetStatusValidation = [
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid date format')
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array().map(err => ({
+                field: err.path || err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+module.exports = {
+    budgetIdValidation,
+    createBudgetValidation,
+    updateBudgetValidation,
+    budgetStatusValidation,
+    handleValidationErrors
+};
@@ -0,0 +1,105 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+// Validation rules for category ID param
+const categoryIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Category ID is required')
+        .isMongoId()
+        .withMessage('Invalid category ID format')
+];
+
+// Validation rules for listing categories
+const categoryListValidation = [
+    query('includeArchived')
+        .optional()
+        .isBoolean()
+        .withMessage('includeArchived must be a boolean')
+];
+
+// Validation rules for creating category
+const createCategoryValidation = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Category name is required')
+        .isLength({ max: 50 })
+        .withMessage('Category name must be at most 50 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color (e.g. #FF7043)'),
+    body('icon')
+        .optional()
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Icon must be a string of at most 50 characters'),
+    body('parentId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid parent category ID format')
+];
+
+// Validation rules for updating category
+const updateCategoryValidation = [
+    ...categoryIdValidation,
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Category name cannot be empty')
+        .isLength({ max: 50 })
+        .withMessage('Category name must be at most 50 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color (e.g. #FF7043)'),
+    body('icon')
+        .optional()
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Icon must be a string of at most 50 characters'),
+    body('parentId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid parent category ID format'),
+    body('isArchived')
+        .optional()
+        .isBoolean()
+        .withMessage('isArchived must be a boolean')
+];
+
+// Validation rules for merging categories
+const mergeCategoryValidation = [
+    ...categoryIdValidation,
+    body('targetId')
+        .notEmpty()
+        .withMessage('Target category ID is required')
+        .isMongoId()
+        .withMessage('Invalid target category ID format')
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array().map(err => ({
+                field: err.path || err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+module.exports = {
+    categoryIdValidation,
+    categoryListValidation,
+    createCategoryValidation,
+    updateCategoryValidation,
+    mergeCategoryValidation,
+    handleValidationErrors
+};
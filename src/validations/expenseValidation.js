@@ -1,10 +1,97 @@
 const { body, param, query, validationResult } = require('express-validator');
+const categoryService = require('../services/categoryService');
+const { EXPENSE_EXPORT, EXPENSE_LIST, EXPENSE_SEARCH, EXPENSE_SPLITS, RECEIPT_LINE_ITEMS } = require('../constants');
+
+/**
+ * Find category of the user that can be assigned to expenses
+ * @param {String} userId - User ID
+ * @param {String} name - Category name (any casing)
+ * @returns {Promise<Object>} - Category document
+ */
+const findAssignableCategory = async (userId, name) => {
+    const category = await categoryService.findCategoryByName(userId, name);
+
+    if (!category) {
+        throw new Error(`Category "${name}" does not exist`);
+    }
+
+    if (category.isArchived) {
+        throw new Error(`Category "${name}" is archived`);
+    }
+
+    return category;
+};
+
+/**
+ * Check that category exists for the user and isn't archived.
+ * Replaces the value with the category's canonical name so casing stays consistent.
+ */
+const validateUserCategory = async (value, { req }) => {
+    const category = await findAssignableCategory(req.user.userId, value);
+
+    req.body.category = category.name;
+    return true;
+};
+
+/**
+ * Check split categories like validateUserCategory, and that no category is used twice
+ */
+const validateSplitCategories = async (splits, { req }) => {
+    const names = new Set();
+
+    // Malformed splits are reported by the field rules
+    const namedSplits = (Array.isArray(splits) ? splits : [])
+        .filter((split) => split && typeof split.category === 'string' && split.category);
+
+    for (const split of namedSplits) {
+        const category = await findAssignableCategory(req.user.userId, split.category);
+
+        if (names.has(category.name)) {
+            throw new Error(`Category "${category.name}" is used by more than one split`);
+        }
+
+        names.add(category.name);
+        split.category = category.name;
+    }
+
+    return true;
+};
+
+// Validation rules for line items and the totals block (shared by create and update)
+const lineItemValidation = [
+    body('lineItems')
+        .optional()
+        .isArray({ max: RECEIPT_LINE_ITEMS.MAX_ITEMS })
+        .withMessage(`Line items must be an array of at most ${RECEIPT_LINE_ITEMS.MAX_ITEMS} items`),
+    body('lineItems.*.description')
+        .trim()
+        .notEmpty()
+        .withMessage('Line item description is required'),
+    body('lineItems.*.quantity')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Line item quantity must be greater than 0')
+        .toFloat(),
+    body('lineItems.*.unitPrice')
+        .optional({ values: 'null' })
+        .isFloat()
+        .withMessage('Line item unit price must be a number')
+        .toFloat(),
+    body('lineItems.*.totalPrice')
+        .isFloat()
+        .withMessage('Line item total price must be a number')
+        .toFloat(),
+    body(['subtotal', 'tax', 'tip', 'discount'])
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Subtotal, tax, tip and discount must be non-negative numbers')
+        .toFloat()
+];
 
 // Validation rules for creating expense
 const createExpenseValidation = [
     body('receiptId')
-        .notEmpty()
-        .withMessage('Receipt ID is required')
+        .optional({ values: 'null' })
         .isMongoId()
         .withMessage('Invalid receipt ID format'),
     body('amount')
@@ -22,14 +109,17 @@ const createExpenseValidation = [
         .isString()
         .withMessage('Merchant must be a string'),
     body('category')
-        .optional()
+        .optional({ values: 'falsy' })
         .isString()
-        .withMessage('Category must be a string'),
+        .withMessage('Category must be a string')
+        .bail()
+        .custom(validateUserCategory),
     body('currency')
         .optional()
         .isString()
         .isLength({ min: 3, max: 3 })
-        .withMessage('Currency must be a 3-letter code'),
+        .withMessage('Currency must be a 3-letter code')
+        .toUpperCase(),
     body('paymentMethod')
         .optional()
         .isString()
@@ -41,7 +131,8 @@ const createExpenseValidation = [
     body('tags')
         .optional()
         .isArray()
-        .withMessage('Tags must be an array')
+        .withMessage('Tags must be an array'),
+    ...lineItemValidation
 ];
 
 // Validation rules for updating expense
@@ -64,13 +155,22 @@ const updateExpenseValidation = [
         .isString()
         .withMessage('Merchant must be a string'),
     body('category')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Category must be a string')
+        .bail()
+        .custom(validateUserCategory),
+    body('currency')
         .optional()
         .isString()
-        .withMessage('Category must be a string'),
+        .isLength({ min: 3, max: 3 })
+        .withMessage('Currency must be a 3-letter code')
+        .toUpperCase(),
     body('isVerified')
         .optional()
         .isBoolean()
-        .withMessage('isVerified must be a boolean')
+        .withMessage('isVerified must be a boolean'),
+    ...lineItemValidation
 ];
 
 // Validation rules for expense ID param
@@ -82,7 +182,60 @@ const expenseIdValidation = [
         .withMessage('Invalid expense ID format')
 ];
 
-// Validation rules for expense query filters
+// Validation rules for splitting expense across categories (amounts must add up to the expense amount)
+const splitExpenseValidation = [
+    ...expenseIdValidation,
+    body('splits')
+        .isArray({ min: EXPENSE_SPLITS.MIN_SPLITS, max: EXPENSE_SPLITS.MAX_SPLITS })
+        .withMessage(`Splits must be an array of ${EXPENSE_SPLITS.MIN_SPLITS} to ${EXPENSE_SPLITS.MAX_SPLITS} items`),
+    body('splits.*.category')
+        .trim()
+        .notEmpty()
+        .withMessage('Split category is required'),
+    body('splits.*.amount')
+        .isFloat({ min: 0.01 })
+        .withMessage('Split amount must be greater than 0')
+        .toFloat(),
+    body('splits.*.notes')
+        .optional()
+        .isString()
+        .withMessage('Split notes must be a string'),
+    body('splits.*.tags')
+        .optional()
+        .isArray()
+        .withMessage('Split tags must be an array'),
+    body('splits.*.tags.*')
+        .isString()
+        .withMessage('Split tags must be strings'),
+    body('splits')
+        .custom(validateSplitCategories)
+];
+
+// Validation rules for deleting expense
+const deleteExpenseValidation = [
+    ...expenseIdValidation,
+    query('deleteReceipt')
+        .optional()
+        .isBoolean()
+        .withMessage('deleteReceipt must be a boolean')
+];
+
+// Validation rules for attaching receipt to expense
+const attachReceiptValidation = [
+    ...expenseIdValidation,
+    body('receiptId')
+        .notEmpty()
+        .withMessage('Receipt ID is required')
+        .isMongoId()
+        .withMessage('Invalid receipt ID format')
+];
+
+/**
+ * Split comma-separated (or repeated) query values into a list
+ */
+const toList = (value) => [].concat(value).join(',').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Validation rules for expense query filters (shared by list, export and search)
 const expenseFilterValidation = [
     query('page')
         .optional()
@@ -94,8 +247,9 @@ const expenseFilterValidation = [
         .withMessage('Limit must be between 1 and 100'),
     query('category')
         .optional()
-        .isString()
-        .withMessage('Category must be a string'),
+        .customSanitizer(toList)
+        .custom((categories) => categories.length <= EXPENSE_LIST.MAX_FILTER_VALUES)
+        .withMessage(`At most ${EXPENSE_LIST.MAX_FILTER_VALUES} categories can be filtered at once`),
     query('startDate')
         .optional()
         .isISO8601()
@@ -103,7 +257,118 @@ const expenseFilterValidation = [
     query('endDate')
         .optional()
         .isISO8601()
-        .withMessage('Invalid end date format')
+        .withMessage('Invalid end date format'),
+    query('minAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum amount must be a non-negative number')
+        .toFloat(),
+    query('maxAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Maximum amount must be a non-negative number')
+        .toFloat()
+        .custom((value, { req }) => {
+            if (req.query.minAmount !== undefined && value < req.query.minAmount) {
+                throw new Error('Maximum amount must not be less than minimum amount');
+            }
+            return true;
+        }),
+    query('merchant')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Merchant must be at most 100 characters'),
+    query('merchantMatch')
+        .optional()
+        .isIn(EXPENSE_LIST.MERCHANT_MATCHES)
+        .withMessage(`merchantMatch must be one of: ${EXPENSE_LIST.MERCHANT_MATCHES.join(', ')}`),
+    query('tags')
+        .optional()
+        .customSanitizer(toList)
+        .custom((tags) => tags.length <= EXPENSE_LIST.MAX_FILTER_VALUES)
+        .withMessage(`At most ${EXPENSE_LIST.MAX_FILTER_VALUES} tags can be filtered at once`),
+    query('tagMatch')
+        .optional()
+        .isIn(EXPENSE_LIST.TAG_MATCHES)
+        .withMessage(`tagMatch must be one of: ${EXPENSE_LIST.TAG_MATCHES.join(', ')}`),
+    query('paymentMethod')
+        .optional()
+        .isString()
+        .withMessage('Payment method must be a string'),
+    query('currency')
+        .optional()
+        .isString()
+        .isLength({ min: 3, max: 3 })
+        .withMessage('Currency must be a 3-letter code')
+        .toUpperCase()
+        .toUpperCase(),
+    query('isVerified')
+        .optional()
+        .isBoolean()
+        .withMessage('isVerified must be a boolean')
+        .toBoolean(),
+    query('hasReceipt')
+        .optional()
+        .isBoolean()
+        .withMessage('hasReceipt must be a boolean')
+        .toBoolean(),
+    query('needsReview')
+        .optional()
+        .isBoolean()
+        .withMessage('needsReview must be a boolean')
+        .toBoolean()
+];
+
+// Validation rules for expense list sorting ("-amount" is descending)
+const expenseSortValidation = [
+    query('sort')
+        .optional()
+        .isIn(EXPENSE_LIST.SORT_FIELDS.flatMap((field) => [field, `-${field}`]))
+        .withMessage(`Sort must be one of: ${EXPENSE_LIST.SORT_FIELDS.join(', ')} (prefix with - for descending)`)
+];
+
+// Validation rules for the expense list (cursor takes precedence over page)
+const expenseListValidation = [
+    ...expenseFilterValidation,
+    ...expenseSortValidation,
+    query('cursor')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Invalid cursor')
+];
+
+// Validation rules for expense export (same filters as the list, plus format and columns)
+const exportExpenseValidation = [
+    ...expenseFilterValidation,
+    ...expenseSortValidation,
+    query('format')
+        .optional()
+        .isIn(EXPENSE_EXPORT.FORMATS)
+        .withMessage(`Format must be one of: ${EXPENSE_EXPORT.FORMATS.join(', ')}`),
+    query('columns')
+        .optional()
+        .customSanitizer((value) => String(value).split(',').map((column) => column.trim()).filter(Boolean))
+        .custom((columns) => {
+            const unknown = columns.filter((column) => !EXPENSE_EXPORT.COLUMNS.includes(column));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown columns: ${unknown.join(', ')}. Available: ${EXPENSE_EXPORT.COLUMNS.join(', ')}`);
+            }
+            return true;
+        })
+];
+
+// Validation rules for full-text search (same filters as the list; results are sorted by relevance)
+const searchExpenseValidation = [
+    query('q')
+        .trim()
+        .notEmpty()
+        .withMessage('Search query is required')
+        .isLength({ max: EXPENSE_SEARCH.MAX_QUERY_LENGTH })
+        .withMessage(`Search query must be at most ${EXPENSE_SEARCH.MAX_QUERY_LENGTH} characters`),
+    ...expenseFilterValidation
 ];
 
 const dashboardQueryValidation = [
@@ -130,10 +395,17 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 module.exports = {
+    validateUserCategory,
     createExpenseValidation,
     updateExpenseValidation,
     expenseIdValidation,
+    deleteExpenseValidation,
+    splitExpenseValidation,
+    attachReceiptValidation,
     expenseFilterValidation,
+    expenseListValidation,
+    exportExpenseValidation,
+    searchExpenseValidation,
     dashboardQueryValidation,
     handleValidationErrors
 };
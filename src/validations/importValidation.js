@@ -0,0 +1,122 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { EXPENSE_IMPORT, BANK_IMPORT } = require('../constants');
+
+/**
+ * Mapping must map known expense fields to header names or column indexes
+ */
+const validateMapping = (mapping) => {
+    for (const [field, column] of Object.entries(mapping)) {
+        if (!EXPENSE_IMPORT.FIELDS.includes(field)) {
+            throw new Error(`Unknown field "${field}". Available: ${EXPENSE_IMPORT.FIELDS.join(', ')}`);
+        }
+
+        const isColumnIndex = Number.isInteger(column) && column >= 0;
+        if (column !== null && typeof column !== 'string' && !isColumnIndex) {
+            throw new Error(`Column for ${field} must be a header name or a column index`);
+        }
+    }
+
+    return true;
+};
+
+// Validation rules for import job ID param
+const importJobIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Import ID is required')
+        .isMongoId()
+        .withMessage('Invalid import ID format')
+];
+
+// Validation rules for preview/commit options
+const importOptionsValidation = [
+    ...importJobIdValidation,
+    body('mapping')
+        .isObject()
+        .withMessage('Mapping is required')
+        .bail()
+        .custom(validateMapping),
+    body('dateFormat')
+        .optional()
+        .isIn(EXPENSE_IMPORT.DATE_FORMATS)
+        .withMessage(`Date format must be one of: ${EXPENSE_IMPORT.DATE_FORMATS.join(', ')}`),
+    body('decimalSeparator')
+        .optional()
+        .isIn(EXPENSE_IMPORT.DECIMAL_SEPARATORS)
+        .withMessage(`Decimal separator must be one of: ${EXPENSE_IMPORT.DECIMAL_SEPARATORS.join(' ')}`),
+    body('hasHeaderRow')
+        .optional()
+        .isBoolean()
+        .withMessage('hasHeaderRow must be a boolean')
+        .toBoolean(),
+    body('createMissingCategories')
+        .optional()
+        .isBoolean()
+        .withMessage('createMissingCategories must be a boolean')
+        .toBoolean(),
+    body('absoluteAmounts')
+        .optional()
+        .isBoolean()
+        .withMessage('absoluteAmounts must be a boolean')
+        .toBoolean()
+];
+
+// Validation rules for committing an import
+const commitImportValidation = [
+    ...importOptionsValidation,
+    body('skipInvalidRows')
+        .optional()
+        .isBoolean()
+        .withMessage('skipInvalidRows must be a boolean')
+        .toBoolean()
+];
+
+// Validation rules for bank statement upload (multipart fields)
+const statementImportValidation = [
+    body('account')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Account must not exceed 100 characters'),
+    body('dateFormat')
+        .optional({ values: 'falsy' })
+        .isIn(BANK_IMPORT.QIF_DATE_FORMATS)
+        .withMessage(`Date format must be one of: ${BANK_IMPORT.QIF_DATE_FORMATS.join(', ')}`)
+];
+
+// Validation rules for import list pagination
+const importListValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array().map(err => ({
+                field: err.path || err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+module.exports = {
+    importJobIdValidation,
+    importOptionsValidation,
+    commitImportValidation,
+    statementImportValidation,
+    importListValidation,
+    handleValidationErrors
+};
@@ -1,4 +1,5 @@
-const { param, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { OCR_LANGUAGES, OCR_PREPROCESSING } = require('../constants');
 
 // Validation rules for getting receipt by ID
 const getReceiptValidation = [
@@ -9,7 +10,40 @@ const getReceiptValidation = [
         .withMessage('Invalid receipt ID format')
 ];
 
-// Validation rules for pagination
+// Validation rules for deleting receipt
+const deleteReceiptValidation = [
+    ...getReceiptValidation,
+    query('deleteExpense')
+        .optional()
+        .isBoolean()
+        .withMessage('deleteExpense must be a boolean')
+];
+
+// Validation rules for OCR options of reprocess requests
+const reprocessOptionsValidation = [
+    body('languages')
+        .optional()
+        .isArray({ min: 1, max: OCR_LANGUAGES.MAX_PER_REQUEST })
+        .withMessage(`languages must be a list of 1 to ${OCR_LANGUAGES.MAX_PER_REQUEST} languages`),
+    body('languages.*')
+        .isIn(OCR_LANGUAGES.SUPPORTED)
+        .withMessage(`Language must be one of: ${OCR_LANGUAGES.SUPPORTED.join(', ')}`),
+    body('preprocessing')
+        .optional()
+        .isArray()
+        .withMessage('preprocessing must be a list of steps (empty to OCR the file as uploaded)'),
+    body('preprocessing.*')
+        .isIn(OCR_PREPROCESSING.STEPS)
+        .withMessage(`Preprocessing step must be one of: ${OCR_PREPROCESSING.STEPS.join(', ')}`)
+];
+
+// Validation rules for reprocessing a receipt
+const reprocessReceiptValidation = [
+    ...getReceiptValidation,
+    ...reprocessOptionsValidation
+];
+
+// Validation rules for pagination (cursor takes precedence over page)
 const paginationValidation = [
     query('page')
         .optional()
@@ -18,7 +52,12 @@ const paginationValidation = [
     query('limit')
         .optional()
         .isInt({ min: 1, max: 100 })
-        .withMessage('Limit must be between 1 and 100')
+        .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Invalid cursor')
 ];
 
 // Middleware to handle validation errors
@@ -39,6 +78,9 @@ const handleValidationErrors = (req, res, next) => {
 
 module.exports = {
     getReceiptValidation,
+    deleteReceiptValidation,
+    reprocessOptionsValidation,
+    reprocessReceiptValidation,
     paginationValidation,
     handleValidationErrors
 };
@@ -0,0 +1,153 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { validateUserCategory } = require('./expenseValidation');
+const { RECURRING_EXPENSE } = require('../constants');
+
+/**
+ * End date must not be before the start date (when both are sent)
+ */
+const validateEndDate = (value, { req }) => {
+    const startDate = req.body.schedule && req.body.schedule.startDate;
+
+    if (value && startDate && new Date(value) < new Date(startDate)) {
+        throw new Error('End date must be on or after the start date');
+    }
+
+    return true;
+};
+
+// Shared rules for optional expense template fields
+const templateValidation = [
+    body('merchant')
+        .optional()
+        .isString()
+        .withMessage('Merchant must be a string'),
+    body('category')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Category must be a string')
+        .bail()
+        .custom(validateUserCategory),
+    body('currency')
+        .optional()
+        .isString()
+        .isLength({ min: 3, max: 3 })
+        .withMessage('Currency must be a 3-letter code')
+        .toUpperCase(),
+    body('paymentMethod')
+        .optional()
+        .isString()
+        .withMessage('Payment method must be a string'),
+    body('notes')
+        .optional()
+        .isString()
+        .withMessage('Notes must be a string'),
+    body('tags')
+        .optional()
+        .isArray()
+        .withMessage('Tags must be an array'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean(),
+    body('schedule.interval')
+        .optional()
+        .isInt({ min: 1, max: RECURRING_EXPENSE.MAX_INTERVAL })
+        .withMessage(`Interval must be between 1 and ${RECURRING_EXPENSE.MAX_INTERVAL}`)
+        .toInt(),
+    body('schedule.endDate')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Invalid end date format')
+        .bail()
+        .custom(validateEndDate)
+];
+
+// Validation rules for recurring expense ID param
+const recurringExpenseIdValidation = [
+    param('id')
+        .notEmpty()
+        .withMessage('Recurring expense ID is required')
+        .isMongoId()
+        .withMessage('Invalid recurring expense ID format')
+];
+
+// Validation rules for creating recurring expense
+const createRecurringExpenseValidation = [
+    body('amount')
+        .notEmpty()
+        .withMessage('Amount is required')
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('schedule')
+        .isObject()
+        .withMessage('Schedule is required'),
+    body('schedule.frequency')
+        .notEmpty()
+        .withMessage('Frequency is required')
+        .isIn(RECURRING_EXPENSE.FREQUENCIES)
+        .withMessage(`Frequency must be one of: ${RECURRING_EXPENSE.FREQUENCIES.join(', ')}`),
+    body('schedule.startDate')
+        .notEmpty()
+        .withMessage('Start date is required')
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    ...templateValidation
+];
+
+// Validation rules for updating recurring expense
+const updateRecurringExpenseValidation = [
+    ...recurringExpenseIdValidation,
+    body('amount')
+        .optional()
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('schedule')
+        .optional()
+        .isObject()
+        .withMessage('Schedule must be an object'),
+    body('schedule.frequency')
+        .optional()
+        .isIn(RECURRING_EXPENSE.FREQUENCIES)
+        .withMessage(`Frequency must be one of: ${RECURRING_EXPENSE.FREQUENCIES.join(', ')}`),
+    body('schedule.startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    ...templateValidation
+];
+
+// Validation rules for occurrence preview
+const previewValidation = [
+    query('months')
+        .optional()
+        .isInt({ min: 1, max: RECURRING_EXPENSE.MAX_PREVIEW_MONTHS })
+        .withMessage(`Months must be between 1 and ${RECURRING_EXPENSE.MAX_PREVIEW_MONTHS}`)
+        .toInt()
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array().map(err => ({
+                field: err.path || err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+module.exports = {
+    recurringExpenseIdValidation,
+    createRecurringExpenseValidation,
+    updateRecurringExpenseValidation,
+    previewValidation,
+    handleValidationErrors
+};